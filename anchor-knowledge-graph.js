@@ -0,0 +1,153 @@
+// Script to anchor existing knowledge graph triplets to their evidence
+//
+// Usage:
+//   node anchor-knowledge-graph.js [--document ID] [--dry-run]
+//
+// Triplets extracted before provenance anchors have a source_snippet but no
+// source_anchor. This finds each snippet in its saved document and stores
+// where it is, the same way new extractions are anchored
+// (src/lib/provenance.js). Run supabase-knowledge-graph.sql first so the
+// columns exist.
+//
+// Snippets that cannot be found are left unanchored rather than flagged,
+// since the model may have paraphrased them. Anchored triplets whose
+// evidence is gone are flagged stale, so the job is safe to run again.
+// --dry-run prints what would change without writing anything.
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { extractBlocks } from './src/lib/documentText.js'
+import { verifyEvidence } from './src/lib/provenance.js'
+
+// Load environment variables
+dotenv.config()
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Parse --name value flags from the command line
+ */
+function parseArgs(argv) {
+  const args = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) continue
+
+    const name = arg.slice(2)
+    const next = argv[i + 1]
+
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true
+    } else {
+      args[name] = next
+      i++
+    }
+  }
+
+  return args
+}
+
+/**
+ * IDs of the documents that have knowledge graph triplets
+ */
+async function loadDocumentIds() {
+  const { data, error } = await supabase
+    .from('knowledge_graph')
+    .select('document_id')
+
+  if (error) {
+    throw new Error(`Failed to read triplets: ${error.message}`)
+  }
+
+  return [...new Set((data || []).map(row => row.document_id).filter(Boolean))]
+}
+
+/**
+ * Check one document's triplets against its saved content
+ * @returns {Promise<Object>} - {title, total, changes}
+ */
+async function checkDocument(documentId) {
+  const { data: document, error: documentError } = await supabase
+    .from('documents')
+    .select('title, content')
+    .eq('id', documentId)
+    .single()
+
+  if (documentError || !document) {
+    throw new Error(`Failed to read document ${documentId}: ${documentError?.message || 'not found'}`)
+  }
+
+  const { data: triplets, error } = await supabase
+    .from('knowledge_graph')
+    .select('id, source_snippet, source_anchor, is_stale, is_verified, created_by')
+    .eq('document_id', documentId)
+
+  if (error) {
+    throw new Error(`Failed to read triplets of ${documentId}: ${error.message}`)
+  }
+
+  return {
+    title: document.title,
+    total: (triplets || []).length,
+    changes: verifyEvidence(extractBlocks(document.content), triplets || [])
+  }
+}
+
+/**
+ * Run the anchoring job
+ */
+async function anchorKnowledgeGraph() {
+  try {
+    const args = parseArgs(process.argv.slice(2))
+
+    if (args.document === true) {
+      throw new Error('--document needs a document ID')
+    }
+
+    console.log('⚓ Anchoring knowledge graph evidence\n')
+
+    const documentIds = args.document ? [args.document] : await loadDocumentIds()
+    let anchored = 0
+    let stale = 0
+
+    for (const documentId of documentIds) {
+      const { title, total, changes } = await checkDocument(documentId)
+      const staleChanges = changes.filter(change => change.is_stale)
+
+      console.log(`📄 ${title}: ${changes.length - staleChanges.length} of ${total} triplets anchored or moved, ${staleChanges.length} stale`)
+      anchored += changes.length - staleChanges.length
+      stale += staleChanges.length
+
+      if (args['dry-run']) continue
+
+      for (const { id, ...evidence } of changes) {
+        const { error } = await supabase
+          .from('knowledge_graph')
+          .update(evidence)
+          .eq('id', id)
+
+        if (error) {
+          throw new Error(`Failed to update triplet ${id}: ${error.message}`)
+        }
+      }
+    }
+
+    if (args['dry-run']) {
+      console.log(`\nℹ️ Dry run: nothing was written. ${anchored} triplets would be anchored and ${stale} flagged stale.`)
+      return
+    }
+
+    console.log(`\n✅ Done: ${anchored} triplets anchored, ${stale} flagged stale across ${documentIds.length} documents`)
+
+  } catch (error) {
+    console.error('❌ Error anchoring knowledge graph:', error.message)
+    process.exitCode = 1
+  }
+}
+
+// Run the script
+anchorKnowledgeGraph()
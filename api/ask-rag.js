@@ -1,10 +1,12 @@
-import OpenAI from 'openai'
 import { createClient } from '@supabase/supabase-js'
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-})
+import { getProvider } from '../src/lib/providers/index.js'
+import {
+  questionEntitySpans,
+  pickQuestionEntities,
+  rankGraphFacts,
+  formatGraphFact,
+  buildGraphFactsMetadata
+} from '../src/lib/graphContext.js'
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -13,19 +15,13 @@ const supabase = createClient(
 )
 
 /**
- * Get embedding for a text using OpenAI API
+ * Get embedding for a text using the configured provider
  * @param {string} text - The text to embed
  * @returns {Promise<number[]>} - The embedding vector
  */
 async function getEmbedding(text) {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-large',
-      input: text,
-      encoding_format: 'float'
-    })
-    
-    return response.data[0].embedding
+    return await getProvider().embed(text)
   } catch (error) {
     console.error('Error getting embedding:', error)
     throw new Error(`Failed to get embedding: ${error.message}`)
@@ -37,15 +33,16 @@ async function getEmbedding(text) {
  * @param {string} documentId - The document ID to search within
  * @param {number[]} questionEmbedding - The question embedding vector
  * @param {number} limit - Number of chunks to retrieve
- * @returns {Promise<string[]>} - Array of relevant text chunks
+ * @returns {Promise<Array>} - Array of {id, document_id, chunk, similarity} rows
  */
 async function retrieveSimilarChunks(documentId, questionEmbedding, limit = 3) {
   try {
     // Use Supabase's vector similarity search
     const { data, error } = await supabase.rpc('match_document_chunks', {
       query_embedding: questionEmbedding,
+      query_model: getProvider().embeddingModel,
       target_document_id: documentId,
-      match_threshold: 0.5, // Minimum similarity threshold
+      match_threshold: getProvider().matchThreshold, // Minimum similarity threshold
       match_count: limit
     })
 
@@ -55,7 +52,7 @@ async function retrieveSimilarChunks(documentId, questionEmbedding, limit = 3) {
       return await retrieveSimilarChunksFallback(documentId, questionEmbedding, limit)
     }
 
-    return data ? data.map(item => item.chunk) : []
+    return data || []
   } catch (error) {
     console.error('Error retrieving similar chunks:', error)
     // Fallback to direct SQL query
@@ -70,8 +67,9 @@ async function retrieveSimilarChunksFallback(documentId, questionEmbedding, limi
   try {
     const { data, error } = await supabase
       .from('embeddings')
-      .select('chunk')
+      .select('id, document_id, chunk, heading_path, anchor')
       .eq('document_id', documentId)
+      .eq('embedding_model', getProvider().embeddingModel)
       .order('embedding <#> ' + JSON.stringify(questionEmbedding))
       .limit(limit)
 
@@ -79,7 +77,7 @@ async function retrieveSimilarChunksFallback(documentId, questionEmbedding, limi
       throw error
     }
 
-    return data ? data.map(item => item.chunk) : []
+    return data || []
   } catch (error) {
     console.error('Error in fallback retrieval:', error)
     throw new Error(`Failed to retrieve chunks: ${error.message}`)
@@ -87,47 +85,401 @@ async function retrieveSimilarChunksFallback(documentId, questionEmbedding, limi
 }
 
 /**
- * Generate answer using GPT-4 with retrieved context
- * @param {string} question - The user's question
- * @param {string[]} chunks - Retrieved relevant chunks
- * @returns {Promise<string>} - The generated answer
+ * Retrieve similar chunks across every document's embeddings
+ * @param {string} question - The question text, used by the hybrid fallback
+ * @param {number[]} questionEmbedding - The question embedding vector
+ * @param {number} limit - Number of chunks to retrieve
+ * @returns {Promise<Array>} - Array of {id, document_id, chunk, similarity} rows
  */
-async function generateAnswer(question, chunks) {
+async function retrieveGlobalChunks(question, questionEmbedding, limit = 5) {
   try {
-    const context = chunks.join('\n\n')
-    
-    const prompt = `You are a helpful AI assistant that answers questions based on the provided context. Use only the information from the context to answer the question. If the context doesn't contain enough information to answer the question, say so clearly.
+    const { data, error } = await supabase.rpc('match_chunks', {
+      query_embedding: questionEmbedding,
+      query_model: getProvider().embeddingModel,
+      match_threshold: getProvider().matchThreshold,
+      match_count: limit
+    })
 
-Context:
-${context}
+    if (error) {
+      throw error
+    }
 
-Question: ${question}
+    if (data && data.length > 0) {
+      return data
+    }
+  } catch (error) {
+    console.error('Global vector retrieval error:', error)
+  }
 
-Answer:`
+  // Fallback to hybrid search so keyword matches still surface
+  try {
+    const { data, error } = await supabase.rpc('simple_hybrid_search', {
+      query_embedding: questionEmbedding,
+      query_model: getProvider().embeddingModel,
+      query_text: question,
+      match_count: limit
+    })
+
+    if (error) {
+      throw error
+    }
+
+    return (data || []).map(item => ({
+      id: item.id,
+      document_id: item.document_id,
+      chunk: item.chunk,
+      heading_path: item.heading_path,
+      anchor: item.anchor,
+      similarity: item.hybrid_score
+    }))
+  } catch (error) {
+    console.error('Error in global hybrid retrieval:', error)
+    throw new Error(`Failed to retrieve chunks: ${error.message}`)
+  }
+}
+
+/**
+ * Attach document titles to retrieved chunks so answers can cite their source
+ * @param {Array} chunks - Retrieved chunk rows with document_id
+ * @returns {Promise<Array>} - The same rows with a document_title field
+ */
+async function attachDocumentTitles(chunks) {
+  const documentIds = [...new Set(chunks.map(chunk => chunk.document_id))]
+
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, title')
+    .in('id', documentIds)
+
+  if (error) {
+    console.error('Error loading document titles:', error)
+  }
+
+  const titles = new Map((data || []).map(doc => [doc.id, doc.title]))
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
+  return chunks.map(chunk => ({
+    ...chunk,
+    document_title: titles.get(chunk.document_id) || 'Untitled document'
+  }))
+}
+
+/**
+ * Retrieve knowledge graph facts about the entities a question names.
+ * Each entity's neighbourhood comes from search_knowledge_graph; the facts
+ * that best link the question's entities are kept. Failures only cost the
+ * graph context, so they are logged and an empty list is returned.
+ * @param {string} question - The standalone question
+ * @param {string|null} documentId - The document asked about, or null for all documents
+ * @returns {Promise<Array>} - Knowledge graph rows, best first
+ */
+async function retrieveGraphFacts(question, documentId) {
+  try {
+    const spans = questionEntitySpans(question)
+    if (spans.length === 0) {
+      return []
+    }
+
+    const { data: aliasRows, error: aliasError } = await supabase
+      .from('entity_aliases')
+      .select('alias_key, kind, entity_id, entities(canonical_name)')
+      .in('alias_key', [...new Set(spans.map(span => span.key))])
+
+    if (aliasError) {
+      throw aliasError
+    }
+
+    const entityIds = pickQuestionEntities(spans, aliasRows || [])
+    if (entityIds.length === 0) {
+      return []
+    }
+
+    const names = new Map((aliasRows || []).map(row => [row.entity_id, row.entities?.canonical_name]))
+    const neighbourhoods = await Promise.all(entityIds.map(async (entityId) => {
+      const { data, error } = await supabase.rpc('search_knowledge_graph', {
+        search_term: names.get(entityId),
+        target_document_id: documentId
+      })
+
+      if (error) {
+        throw error
+      }
+
+      // The search matches names by substring; keep the entity's own triplets,
+      // leaving out facts whose evidence was deleted from their document
+      return (data || []).filter(triplet => !triplet.is_stale &&
+        (triplet.subject_entity_id === entityId || triplet.object_entity_id === entityId))
+    }))
+
+    return rankGraphFacts(neighbourhoods.flat(), entityIds)
+  } catch (error) {
+    console.error('Error retrieving knowledge graph facts:', error)
+    return []
+  }
+}
+
+/**
+ * Build the metadata returned alongside an answer.
+ * Each source's `citation` is the [n] number the answer uses to refer to it,
+ * and each graph fact's is the G-number it is cited with ([G1], [G2], ...).
+ * @param {Array} chunks - Retrieved chunk rows
+ * @param {Array} facts - Knowledge graph rows used in GraphRAG mode
+ * @returns {Object} - chunksUsed, context, per-chunk sources and graphFacts
+ */
+function buildAnswerMetadata(chunks, facts = []) {
+  return {
+    chunksUsed: chunks.length,
+    context: chunks.map(chunk => chunk.chunk),
+    sources: chunks.map((chunk, index) => ({
+      citation: index + 1,
+      id: chunk.id,
+      documentId: chunk.document_id,
+      documentTitle: chunk.document_title || null,
+      chunk: chunk.chunk,
+      headingPath: chunk.heading_path || [],
+      anchor: chunk.anchor || null,
+      similarity: chunk.similarity ?? null
+    })),
+    graphFacts: buildGraphFactsMetadata(facts)
+  }
+}
+
+/**
+ * Maximum number of prior question/answer turns considered per request
+ */
+const MAX_HISTORY_TURNS = 6
+
+/**
+ * Keep only well-formed prior turns, most recent last
+ * @param {Array} history - Prior turns sent by the client
+ * @returns {Array} - Array of {question, answer} objects
+ */
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) {
+    return []
+  }
+
+  return history
+    .filter(turn => turn && typeof turn.question === 'string' && typeof turn.answer === 'string')
+    .slice(-MAX_HISTORY_TURNS)
+    .map(turn => ({
+      question: turn.question.trim(),
+      // Citation numbers refer to the passages of that earlier turn, not this one
+      answer: turn.answer.replace(/\[\d+\]/g, '').trim()
+    }))
+}
+
+/**
+ * Rewrite a follow-up question into a standalone retrieval query
+ * so that "what about the second story?" embeds like the full question
+ * @param {string} question - The latest question
+ * @param {Array} history - Sanitized prior turns
+ * @returns {Promise<string>} - The standalone question
+ */
+async function rewriteFollowUpQuestion(question, history) {
+  if (history.length === 0) {
+    return question
+  }
+
+  try {
+    const transcript = history
+      .map(turn => `User: ${turn.question}\nAssistant: ${turn.answer}`)
+      .join('\n\n')
+
+    const rewritten = await getProvider().complete({
       messages: [
         {
           role: 'system',
-          content: 'You are a helpful AI assistant that answers questions based on provided context. Be concise and accurate.'
+          content: 'You rewrite follow-up questions into standalone questions. Resolve pronouns and references using the conversation. Return only the rewritten question, with no explanation.'
         },
         {
           role: 'user',
-          content: prompt
+          content: `Conversation:\n${transcript}\n\nFollow-up question: ${question}\n\nStandalone question:`
         }
       ],
-      max_tokens: 500,
-      temperature: 0.3, // Lower temperature for more focused answers
+      maxTokens: 100,
+      temperature: 0,
+      task: { type: 'rewrite', question, history }
     })
 
-    return response.choices[0].message.content.trim()
+    return rewritten || question
+  } catch (error) {
+    // Retrieval still works with the raw question, just less precisely
+    console.error('Error rewriting follow-up question:', error)
+    return question
+  }
+}
+
+/**
+ * Build the chat messages used to answer a question from retrieved chunks
+ * @param {string} question - The user's question
+ * @param {Array} chunks - Retrieved chunk rows
+ * @param {Array} history - Sanitized prior turns of the conversation
+ * @param {Array} facts - Knowledge graph rows, cited as [G1], [G2], ...
+ * @returns {Array} - Messages for the chat completion request
+ */
+function buildAnswerMessages(question, chunks, history = [], facts = []) {
+  // Passages are numbered so the answer can cite them as [1], [2], ...
+  // Chunks from a global search also carry their document title
+  const isGlobal = chunks.some(chunk => chunk.document_title)
+  const context = chunks
+    .map((chunk, index) => isGlobal
+      ? `[${index + 1}] (Source: ${chunk.document_title})\n${chunk.chunk}`
+      : `[${index + 1}]\n${chunk.chunk}`)
+    .join('\n\n')
+
+  const citationRule = ' Cite the passages you rely on with their number in square brackets, for example [1] or [2][3], and only cite numbers that appear in the context.' +
+    (isGlobal ? ' The context comes from several documents; when you use a passage, name the document it came from.' : '')
+
+  // Graph facts follow the passages, labelled so the answer can say which facts came from the graph
+  const graphRule = facts.length > 0
+    ? ' The context also lists facts from the knowledge graph, labelled [G1], [G2], ...; they are especially useful for how things are related. Cite a fact you rely on with its label, for example [G1].'
+    : ''
+  const graphContext = facts.length > 0
+    ? `\n\nKnowledge graph facts:\n${facts.map((fact, index) => `[G${index + 1}] ${formatGraphFact(fact)}`).join('\n')}`
+    : ''
+
+  const prompt = `You are a helpful AI assistant that answers questions based on the provided context. Use only the information from the context to answer the question. If the context doesn't contain enough information to answer the question, say so clearly.${citationRule}${graphRule}
+
+Context:
+${context}${graphContext}
+
+Question: ${question}
+
+Answer:`
+
+  return [
+    {
+      role: 'system',
+      content: 'You are a helpful AI assistant that answers questions based on provided context. Be concise and accurate, and cite the numbered passages you use.'
+    },
+    ...history.flatMap(turn => [
+      { role: 'user', content: turn.question },
+      { role: 'assistant', content: turn.answer }
+    ]),
+    {
+      role: 'user',
+      content: prompt
+    }
+  ]
+}
+
+/**
+ * Build the completion request for answering a question from retrieved chunks.
+ * `task` lets providers without a chat model (the local one) answer extractively.
+ */
+function buildAnswerRequest(question, chunks, history, facts = []) {
+  return {
+    messages: buildAnswerMessages(question, chunks, history, facts),
+    maxTokens: 500,
+    temperature: 0.3, // Lower temperature for more focused answers
+    task: {
+      type: 'answer',
+      question,
+      passages: chunks.map(chunk => chunk.chunk),
+      facts: facts.map(formatGraphFact)
+    }
+  }
+}
+
+/**
+ * Generate answer with the configured provider from retrieved context
+ * @param {string} question - The user's question
+ * @param {Array} chunks - Retrieved chunk rows
+ * @param {Array} history - Sanitized prior turns of the conversation
+ * @param {Array} facts - Knowledge graph rows used in GraphRAG mode
+ * @returns {Promise<string>} - The generated answer
+ */
+async function generateAnswer(question, chunks, history = [], facts = []) {
+  try {
+    return await getProvider().complete(buildAnswerRequest(question, chunks, history, facts))
   } catch (error) {
     console.error('Error generating answer:', error)
     throw new Error(`Failed to generate answer: ${error.message}`)
   }
 }
 
+/**
+ * Stream an answer from the configured provider, calling onToken for every content delta
+ * @param {string} question - The user's question
+ * @param {Array} chunks - Retrieved chunk rows
+ * @param {Array} history - Sanitized prior turns of the conversation
+ * @param {Array} facts - Knowledge graph rows used in GraphRAG mode
+ * @param {Function} onToken - Called with each piece of generated text
+ * @param {AbortSignal} signal - Aborts the completion when the client disconnects
+ * @returns {Promise<string>} - The full generated answer
+ */
+async function streamAnswer(question, chunks, history, facts, onToken, signal) {
+  try {
+    const answer = await getProvider().stream({
+      ...buildAnswerRequest(question, chunks, history, facts),
+      onToken,
+      signal
+    })
+
+    return answer.trim()
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error
+    }
+    console.error('Error streaming answer:', error)
+    throw new Error(`Failed to generate answer: ${error.message}`)
+  }
+}
+
+/**
+ * Write a single Server-Sent Event to the response
+ * @param {Object} res - The HTTP response
+ * @param {string} event - The event name (token, done or error)
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Answer a question as a Server-Sent Events stream.
+ * Emits `token` events while the model generates, then a single `done` event
+ * carrying the same metadata as the JSON response, or an `error` event.
+ */
+async function handleStreamingRequest(res, { question, chunks, history, facts, metadata }) {
+  // The request body was read before the handler ran, so a client that goes
+  // away shows up as the response closing before it was finished
+  const abortController = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort()
+  })
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  })
+
+  try {
+    const answer = await streamAnswer(
+      question,
+      chunks,
+      history,
+      facts,
+      token => sendEvent(res, 'token', { token }),
+      abortController.signal
+    )
+
+    sendEvent(res, 'done', {
+      answer,
+      ...metadata
+    })
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('Client disconnected, streaming aborted')
+      return
+    }
+    sendEvent(res, 'error', { error: error.message })
+  } finally {
+    res.end()
+  }
+}
+
 /**
  * Main API handler for RAG endpoint
  */
@@ -148,44 +500,90 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { question, documentId } = req.body
+    const { question, documentId, stream = false, history = [], graphMode = false } = req.body
 
     // Validate input
     if (!question || typeof question !== 'string') {
       return res.status(400).json({ error: 'Question is required and must be a string' })
     }
 
-    if (!documentId || typeof documentId !== 'string') {
-      return res.status(400).json({ error: 'Document ID is required and must be a string' })
+    // A null documentId asks across all documents
+    if (documentId != null && typeof documentId !== 'string') {
+      return res.status(400).json({ error: 'Document ID must be a string or null' })
+    }
+
+    if (!Array.isArray(history)) {
+      return res.status(400).json({ error: 'History must be an array of prior turns' })
     }
 
-    console.log('Processing RAG request:', { question, documentId })
+    if (typeof graphMode !== 'boolean') {
+      return res.status(400).json({ error: 'graphMode must be a boolean' })
+    }
+
+    const isGlobal = !documentId
+    const priorTurns = sanitizeHistory(history)
+
+    console.log('Processing RAG request:', { question, documentId, stream, isGlobal, graphMode, turns: priorTurns.length })
+
+    // Step 1: Turn a follow-up into a standalone query, then embed it
+    const retrievalQuery = await rewriteFollowUpQuestion(question, priorTurns)
+    if (retrievalQuery !== question) {
+      console.log('Rewrote follow-up question:', retrievalQuery)
+    }
 
-    // Step 1: Get embedding for the question
     console.log('Getting embedding for question...')
-    const questionEmbedding = await getEmbedding(question)
+    const questionEmbedding = await getEmbedding(retrievalQuery)
 
-    // Step 2: Retrieve similar chunks from the document
+    // Step 2: Retrieve similar chunks from the document, or from every document
     console.log('Retrieving similar chunks...')
-    const relevantChunks = await retrieveSimilarChunks(documentId, questionEmbedding, 3)
+    let relevantChunks = isGlobal
+      ? await retrieveGlobalChunks(retrievalQuery, questionEmbedding, 5)
+      : await retrieveSimilarChunks(documentId, questionEmbedding, 3)
 
-    if (relevantChunks.length === 0) {
+    // In GraphRAG mode, add knowledge graph facts about the entities the question names
+    const graphFacts = graphMode ? await retrieveGraphFacts(retrievalQuery, documentId || null) : []
+    if (graphMode) {
+      console.log(`Found ${graphFacts.length} knowledge graph facts`)
+    }
+
+    if (relevantChunks.length === 0 && graphFacts.length === 0) {
       return res.status(404).json({ 
-        error: 'No relevant content found for this question in the specified document' 
+        error: isGlobal
+          ? 'No relevant content found for this question in any document'
+          : 'No relevant content found for this question in the specified document'
       })
     }
 
+    if (isGlobal && relevantChunks.length > 0) {
+      relevantChunks = await attachDocumentTitles(relevantChunks)
+    }
+
     console.log(`Found ${relevantChunks.length} relevant chunks`)
 
-    // Step 3: Generate answer using GPT-4
+    const metadata = {
+      ...buildAnswerMetadata(relevantChunks, graphFacts),
+      retrievalQuery
+    }
+
+    // Step 3: Generate answer with the provider, streamed as SSE when requested
+    if (stream) {
+      console.log('Streaming answer...')
+      return await handleStreamingRequest(res, {
+        question,
+        chunks: relevantChunks,
+        history: priorTurns,
+        facts: graphFacts,
+        metadata
+      })
+    }
+
     console.log('Generating answer...')
-    const answer = await generateAnswer(question, relevantChunks)
+    const answer = await generateAnswer(question, relevantChunks, priorTurns, graphFacts)
 
     // Return the answer
     return res.status(200).json({
       answer,
-      chunksUsed: relevantChunks.length,
-      context: relevantChunks // Optional: include context for debugging
+      ...metadata
     })
 
   } catch (error) {
@@ -1,3 +1,5 @@
+import { getProvider } from '../src/lib/providers/index.js'
+
 export default async function handler(req, res) {
   // Only allow POST requests
   if (req.method !== 'POST') {
@@ -25,21 +27,10 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Question cannot be empty.' })
     }
 
-    // Check for OpenAI API key
-    const apiKey = process.env.OPENAI_API_KEY
-    if (!apiKey) {
-      return res.status(500).json({ error: 'OpenAI API key not configured.' })
-    }
-
-    // Call OpenAI API
-    const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4',
+    // Generate the answer with the configured provider
+    let answer
+    try {
+      answer = await getProvider().complete({
         messages: [
           {
             role: 'system',
@@ -50,31 +41,22 @@ export default async function handler(req, res) {
             content: `Text:\n${text}\n\nQuestion:\n${question}`,
           }
         ],
-        max_tokens: 500,
+        maxTokens: 500,
         temperature: 0.7,
-      }),
-    })
+        task: { type: 'answer', question, passages: [text], citePassages: false }
+      })
+    } catch (providerError) {
+      console.error('Provider Error:', providerError)
 
-    // Check if OpenAI API request was successful
-    if (!openaiResponse.ok) {
-      const errorData = await openaiResponse.json().catch(() => ({}))
-      console.error('OpenAI API Error:', errorData)
-      
-      if (openaiResponse.status === 401) {
+      if (providerError.status === 401) {
         return res.status(500).json({ error: 'Invalid OpenAI API key.' })
-      } else if (openaiResponse.status === 429) {
+      } else if (providerError.status === 429) {
         return res.status(429).json({ error: 'Rate limit exceeded. Please try again later.' })
       } else {
         return res.status(500).json({ error: 'Failed to generate answer. Please try again.' })
       }
     }
 
-    // Parse OpenAI response
-    const data = await openaiResponse.json()
-
-    // Extract answer from response
-    const answer = data.choices?.[0]?.message?.content?.trim()
-
     if (!answer) {
       return res.status(500).json({ error: 'No answer generated. Please try again.' })
     }
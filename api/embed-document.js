@@ -0,0 +1,130 @@
+import { createClient } from '@supabase/supabase-js'
+import { getProvider } from '../src/lib/providers/index.js'
+import { chunkText, chunkColumns, hashChunk } from '../src/lib/chunking.js'
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY // Use service role key for server-side operations
+)
+
+/**
+ * Number of chunks embedded and inserted per round trip
+ */
+const BATCH_SIZE = 10
+
+/**
+ * Embed chunks with the configured provider and store them in Supabase
+ * @param {Array} chunks - Chunks from chunkText
+ * @param {string} documentId - The UUID of the document
+ * @returns {Promise<number>} - Number of chunks stored
+ */
+async function storeChunkEmbeddings(chunks, documentId) {
+  const provider = getProvider()
+  let stored = 0
+
+  for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+    const batch = chunks.slice(i, i + BATCH_SIZE)
+    console.log(`Embedding batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(chunks.length / BATCH_SIZE)}`)
+
+    const embeddings = await provider.embedMany(batch.map(chunk => chunk.text))
+    const hashes = await Promise.all(batch.map(hashChunk))
+
+    const { error } = await supabase
+      .from('embeddings')
+      .insert(batch.map((chunk, index) => ({
+        document_id: documentId,
+        ...chunkColumns(chunk),
+        content_hash: hashes[index],
+        embedding: embeddings[index],
+        embedding_model: provider.embeddingModel,
+        embedding_dimensions: provider.embeddingDimensions
+      })))
+
+    if (error) {
+      console.error('Supabase insert error:', error)
+      throw new Error(`Failed to insert embeddings: ${error.message}`)
+    }
+
+    stored += batch.length
+  }
+
+  return stored
+}
+
+/**
+ * Main API handler for document embedding.
+ * Splits a document into chunks and embeds them server-side so the
+ * provider's API key never reaches the browser.
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { text, document_id } = req.body
+
+    // Validate input
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'Text is required and must be a string' })
+    }
+
+    if (!document_id || typeof document_id !== 'string') {
+      return res.status(400).json({ error: 'Document ID is required and must be a string' })
+    }
+
+    console.log('Processing embedding request:', {
+      textLength: text.length,
+      documentId: document_id
+    })
+
+    // Step 1: Split document into chunks along its headings, lists and code blocks
+    const chunks = chunkText(text)
+
+    if (chunks.length === 0) {
+      return res.status(400).json({ error: 'No chunks created from document text' })
+    }
+
+    console.log(`Split document into ${chunks.length} chunks`)
+
+    // Step 2: Embed and store every chunk
+    const count = await storeChunkEmbeddings(chunks, document_id)
+
+    console.log(`Stored ${count} embeddings`)
+
+    return res.status(200).json({
+      success: true,
+      message: `Successfully embedded ${count} chunks`,
+      count,
+      model: getProvider().embeddingModel,
+      dimensions: getProvider().embeddingDimensions
+    })
+
+  } catch (error) {
+    console.error('Embed document API error:', error)
+
+    // Return appropriate error response
+    if (error.status === 429 || error.message.includes('quota') || error.message.includes('rate limit')) {
+      return res.status(429).json({
+        error: 'API rate limit exceeded. Please try again later.'
+      })
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,64 @@
+import { getProvider } from '../src/lib/providers/index.js'
+
+/**
+ * Longest query accepted for embedding
+ */
+const MAX_QUERY_LENGTH = 2000
+
+/**
+ * Main API handler for query embedding.
+ * Lets the browser run vector searches without holding a provider API key.
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { query } = req.body
+
+    // Validate input
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      return res.status(400).json({ error: 'Query is required and must be a non-empty string' })
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Query must be less than ${MAX_QUERY_LENGTH} characters` })
+    }
+
+    const provider = getProvider()
+    const embedding = await provider.embed(query.trim())
+
+    return res.status(200).json({
+      embedding,
+      model: provider.embeddingModel,
+      dimensions: provider.embeddingDimensions,
+      matchThreshold: provider.matchThreshold
+    })
+
+  } catch (error) {
+    console.error('Embed query API error:', error)
+
+    if (error.status === 429 || error.message.includes('quota') || error.message.includes('rate limit')) {
+      return res.status(429).json({
+        error: 'API rate limit exceeded. Please try again later.'
+      })
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
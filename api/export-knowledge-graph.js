@@ -0,0 +1,93 @@
+import { createClient } from '@supabase/supabase-js'
+import { serializeGraph, exportFileName, EXPORT_FORMATS } from '../src/lib/graphExport.js'
+import { loadGraphTriplets } from '../src/lib/graphTriplets.js'
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * File name for an export: the document title, or the whole graph
+ * @param {string|null} documentId - Optional document ID
+ * @returns {Promise<string|null>} - File name without extension, or null if the document does not exist
+ */
+async function exportName(documentId) {
+  if (!documentId) return exportFileName()
+
+  const { data: document, error } = await supabase
+    .from('documents')
+    .select('title')
+    .eq('id', documentId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to load document: ${error.message}`)
+  }
+
+  return document ? exportFileName(document.title || '') : null
+}
+
+/**
+ * Main API handler for knowledge graph export. Responds with the file itself,
+ * so tools can save it directly; CSV exports are two files, picked with part.
+ * The whole graph is exported, unlike the Knowledge Graph page's capped view.
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { format, document_id = null, part = null } = req.body
+
+    // Validate input
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` })
+    }
+
+    if (document_id !== null && typeof document_id !== 'string') {
+      return res.status(400).json({ error: 'Document ID must be a string' })
+    }
+
+    if (format === 'csv' && !['nodes', 'edges'].includes(part)) {
+      return res.status(400).json({ error: 'CSV exports need part "nodes" or "edges"' })
+    }
+
+    const name = await exportName(document_id)
+    if (!name) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    const { triplets } = await loadGraphTriplets(supabase, { documentId: document_id })
+    const files = serializeGraph(triplets, format, name)
+    const file = format === 'csv' ? files[part === 'nodes' ? 0 : 1] : files[0]
+
+    console.log('Exported knowledge graph:', { format, documentId: document_id, triplets: triplets.length })
+
+    res.setHeader('Content-Type', `${file.mimeType}; charset=utf-8`)
+    res.setHeader('Content-Disposition', `attachment; filename="${file.name}"`)
+    res.setHeader('X-Triplet-Count', String(triplets.length))
+    return res.status(200).send(file.content)
+
+  } catch (error) {
+    console.error('Knowledge graph export API error:', error)
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -1,10 +1,9 @@
-import OpenAI from 'openai'
 import { createClient } from '@supabase/supabase-js'
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-})
+import { extractKnowledgeTriplets } from '../src/lib/knowledgeExtraction.js'
+import { resolveTripletEntities } from '../src/lib/entityResolution.js'
+import { extractBlocks } from '../src/lib/documentText.js'
+import { anchorTriplets } from '../src/lib/provenance.js'
+import { typeTriplets } from '../src/lib/ontology.js'
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -13,104 +12,56 @@ const supabase = createClient(
 )
 
 /**
- * Extract knowledge triplets from text using GPT-4
- * @param {string} text - The text to extract knowledge from
- * @returns {Promise<Array>} - Array of triplets {subject, predicate, object, source_snippet}
+ * Blocks of the saved document, for anchoring evidence; empty when the
+ * document has not been saved yet
+ * @param {string} documentId - The document ID
+ * @returns {Promise<Array>} - Blocks from extractBlocks
  */
-async function extractKnowledgeTriplets(text) {
-  try {
-    const prompt = `Extract knowledge triplets from the following text. A triplet consists of (subject, predicate, object).
-
-Rules:
-1. Extract factual relationships only
-2. Use clear, concise subjects and objects
-3. Use descriptive predicates (verbs or relationships)
-4. Return ONLY a JSON array of objects with "subject", "predicate", "object", "source_snippet" fields
-5. Maximum 20 triplets per text
-6. Include the original sentence/paragraph where each triplet was found in "source_snippet"
-
-Example format:
-[
-  {"subject": "Alan Turing", "predicate": "invented", "object": "Turing Machine", "source_snippet": "Alan Turing invented the Turing Machine in 1936 as a theoretical model of computation."},
-  {"subject": "GPT-4", "predicate": "is developed by", "object": "OpenAI", "source_snippet": "GPT-4 is developed by OpenAI and represents a significant advancement in language models."},
-  {"subject": "Machine Learning", "predicate": "is a subset of", "object": "Artificial Intelligence", "source_snippet": "Machine Learning is a subset of Artificial Intelligence that focuses on algorithms."}
-]
-
-Text to analyze:
-${text}
-
-JSON triplets:`
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert knowledge extraction system. Extract factual relationships as JSON triplets. Return only valid JSON array, no additional text.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 1500,
-      temperature: 0.1, // Low temperature for consistent extraction
-    })
-
-    const content = response.choices[0].message.content.trim()
-    
-    // Parse JSON response
-    try {
-      const triplets = JSON.parse(content)
-      
-      // Validate triplets format
-      if (!Array.isArray(triplets)) {
-        throw new Error('Response is not an array')
-      }
-      
-      const validTriplets = triplets.filter(triplet =>
-        triplet.subject && triplet.predicate && triplet.object &&
-        typeof triplet.subject === 'string' &&
-        typeof triplet.predicate === 'string' &&
-        typeof triplet.object === 'string' &&
-        typeof triplet.source_snippet === 'string'
-      )
-      
-      return validTriplets
-      
-    } catch (parseError) {
-      console.error('Failed to parse GPT-4 response as JSON:', content)
-      throw new Error('Invalid JSON response from GPT-4')
-    }
-    
-  } catch (error) {
-    console.error('Error extracting knowledge triplets:', error)
-    throw new Error(`Failed to extract knowledge: ${error.message}`)
+async function loadDocumentBlocks(documentId) {
+  const { data: document, error } = await supabase
+    .from('documents')
+    .select('content')
+    .eq('id', documentId)
+    .maybeSingle()
+
+  if (error) {
+    console.warn('Could not load document for anchoring:', error.message)
+    return []
   }
+
+  return extractBlocks(document?.content)
 }
 
 /**
- * Save knowledge triplets to Supabase
+ * Save knowledge triplets to Supabase, linking subjects and objects to
+ * entities shared across documents, typing each predicate against the
+ * relation ontology and anchoring each one to its evidence
  * @param {Array} triplets - Array of triplet objects
  * @param {string} documentId - The document ID
  * @returns {Promise<Array>} - Inserted triplets with IDs
  */
 async function saveKnowledgeTriplets(triplets, documentId) {
   try {
+    const blocks = await loadDocumentBlocks(documentId)
+
     // Prepare data for insertion
-    const tripletsToInsert = triplets.map(triplet => ({
+    const tripletsToInsert = await resolveTripletEntities(supabase, anchorTriplets(blocks, typeTriplets(triplets.map(triplet => ({
       subject: triplet.subject.trim(),
       predicate: triplet.predicate.trim(),
       object: triplet.object.trim(),
+      subject_type: triplet.subject_type,
+      object_type: triplet.object_type,
       source_snippet: triplet.source_snippet ? triplet.source_snippet.trim() : null,
+      confidence: typeof triplet.confidence === 'number' ? triplet.confidence : null,
       document_id: documentId,
       created_at: new Date().toISOString()
-    }))
+    })))))
 
-    // Insert into Supabase
+    // Insert into Supabase; triplets already in the graph, such as verified ones
+    // kept through a re-extraction, are left as they are
     const { data, error } = await supabase
       .from('knowledge_graph')
-      .insert(tripletsToInsert)
+      .upsert(tripletsToInsert, { onConflict: 'document_id,subject,predicate,object', ignoreDuplicates: true })
       .select()
 
     if (error) {
@@ -169,7 +120,7 @@ export default async function handler(req, res) {
       documentId: document_id 
     })
 
-    // Step 1: Extract knowledge triplets using GPT-4
+    // Step 1: Extract knowledge triplets with the configured provider
     console.log('Extracting knowledge triplets...')
     const triplets = await extractKnowledgeTriplets(text)
 
@@ -1,10 +1,7 @@
-import OpenAI from 'openai'
 import { createClient } from '@supabase/supabase-js'
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-})
+import { getProvider } from '../src/lib/providers/index.js'
+import { rerankPassages } from '../src/lib/reranking.js'
+import { createSearchCore, createSupabaseSearchBackend, validateSearchRequest } from '../src/lib/searchCore.js'
 
 // Initialize Supabase
 const supabase = createClient(
@@ -12,203 +9,78 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 )
 
-/**
- * Generate embedding for the query text
- */
-async function generateQueryEmbedding(query) {
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-large',
-      input: query.trim(),
-      encoding_format: 'float',
-    })
-
-    return response.data[0].embedding
-  } catch (error) {
-    console.error('Error generating embedding:', error)
-    throw new Error('Failed to generate query embedding')
-  }
-}
-
-/**
- * Perform Full Text Search
- */
-async function performFTSSearch(queryText, limit = 20) {
-  try {
-    const { data, error } = await supabase
-      .from('embeddings')
-      .select('id, document_id, chunk')
-      .textSearch('chunk', queryText, {
-        type: 'plainto',
-        config: 'english'
-      })
-      .limit(limit)
-
-    if (error) throw error
-    return data || []
-  } catch (error) {
-    console.error('FTS search error:', error)
-    return []
-  }
-}
-
-/**
- * Perform Vector Similarity Search
- */
-async function performVectorSearch(queryEmbedding, limit = 20) {
-  try {
-    const { data, error } = await supabase.rpc('match_chunks', {
-      query_embedding: queryEmbedding,
-      match_threshold: 0.5,
-      match_count: limit
-    })
-
-    if (error) throw error
-    return data || []
-  } catch (error) {
-    console.error('Vector search error:', error)
-    return []
-  }
-}
-
-/**
- * Calculate hybrid score and merge results
- */
-function mergeAndScore(ftsResults, vectorResults, ftsWeight = 0.5, vectorWeight = 0.5) {
-  const resultMap = new Map()
-
-  // Add FTS results
-  ftsResults.forEach((result, index) => {
-    const ftsScore = Math.max(0, 1 - (index / ftsResults.length)) // Simple ranking score
-    resultMap.set(result.id, {
-      ...result,
-      fts_score: ftsScore,
-      vector_score: 0,
-      hybrid_score: ftsWeight * ftsScore
-    })
-  })
-
-  // Add/merge vector results
-  vectorResults.forEach((result) => {
-    const vectorScore = result.similarity || 0
-    
-    if (resultMap.has(result.id)) {
-      // Merge with existing FTS result
-      const existing = resultMap.get(result.id)
-      existing.vector_score = vectorScore
-      existing.hybrid_score = ftsWeight * existing.fts_score + vectorWeight * vectorScore
-    } else {
-      // Add new vector-only result
-      resultMap.set(result.id, {
-        id: result.id,
-        document_id: result.document_id,
-        chunk: result.chunk,
-        fts_score: 0,
-        vector_score: vectorScore,
-        hybrid_score: vectorWeight * vectorScore
-      })
+const searchCore = createSearchCore({
+  backend: createSupabaseSearchBackend(supabase),
+  embedQuery: async (text) => {
+    const provider = getProvider()
+    return {
+      embedding: await provider.embed(text.trim()),
+      model: provider.embeddingModel,
+      matchThreshold: provider.matchThreshold
     }
-  })
-
-  // Convert to array and sort by hybrid score
-  return Array.from(resultMap.values())
-    .sort((a, b) => b.hybrid_score - a.hybrid_score)
-}
+  },
+  rerank: rerankPassages
+})
 
 /**
  * Main hybrid search handler
+ * Runs the shared search core (src/lib/searchCore.js) with the configured
+ * provider; the response uses the core's result schema.
  */
 export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' })
   }
 
   try {
-    const { 
-      query, 
-      documentId = null, 
-      limit = 10,
-      ftsWeight = 0.5,
-      vectorWeight = 0.5,
-      useSupabaseFunction = false 
-    } = req.body
+    const { query, ...options } = req.body
 
     // Validate input
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      return res.status(400).json({ error: 'Query is required and must be a non-empty string' })
-    }
-
-    if (query.length > 1000) {
-      return res.status(400).json({ error: 'Query must be less than 1000 characters' })
+    const validation = validateSearchRequest(query, options)
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error })
     }
 
-    console.log('Processing hybrid search:', { 
-      query: query.substring(0, 100) + '...', 
-      documentId, 
-      limit,
-      useSupabaseFunction 
+    console.log('Processing hybrid search:', {
+      query: query.substring(0, 100) + '...',
+      documentId: options.documentId || null,
+      fusion: options.fusion,
+      rerank: Boolean(options.rerank),
+      diversity: options.diversity ?? null
     })
 
-    // Generate query embedding
-    const queryEmbedding = await generateQueryEmbedding(query)
-
-    let results
-
-    if (useSupabaseFunction) {
-      // Use Supabase SQL function approach
-      const functionName = documentId ? 'hybrid_search_document' : 'simple_hybrid_search'
-      const params = documentId 
-        ? {
-            query_embedding: queryEmbedding,
-            query_text: query,
-            target_document_id: documentId,
-            match_count: limit
-          }
-        : {
-            query_embedding: queryEmbedding,
-            query_text: query,
-            match_count: limit
-          }
-
-      const { data, error } = await supabase.rpc(functionName, params)
-      
-      if (error) throw error
-      results = data || []
-    } else {
-      // Use JavaScript merging approach
-      const [ftsResults, vectorResults] = await Promise.all([
-        performFTSSearch(query, limit * 2),
-        performVectorSearch(queryEmbedding, limit * 2)
-      ])
-
-      // Filter by document if specified
-      const filteredFTS = documentId 
-        ? ftsResults.filter(r => r.document_id === documentId)
-        : ftsResults
+    const response = await searchCore.search(query, options)
 
-      const filteredVector = documentId
-        ? vectorResults.filter(r => r.document_id === documentId)
-        : vectorResults
-
-      // Merge and score results
-      const mergedResults = mergeAndScore(filteredFTS, filteredVector, ftsWeight, vectorWeight)
-      results = mergedResults.slice(0, limit)
+    if (!response.success) {
+      const error = new Error(response.error)
+      error.status = response.status
+      throw error
     }
 
-    // Return results
-    res.status(200).json({
-      success: true,
-      query,
-      results,
-      total: results.length,
-      method: useSupabaseFunction ? 'sql_function' : 'javascript_merge'
-    })
+    res.status(200).json(response)
 
   } catch (error) {
     console.error('Hybrid search error:', error)
-    res.status(500).json({ 
+
+    if (error.status === 429 || error.message.includes('quota') || error.message.includes('rate limit')) {
+      return res.status(429).json({
+        error: 'API rate limit exceeded. Please try again later.'
+      })
+    }
+
+    res.status(500).json({
       error: 'Internal server error',
-      message: error.message 
+      message: error.message
     })
   }
 }
@@ -0,0 +1,361 @@
+import { createClient } from '@supabase/supabase-js'
+import { getProvider } from '../src/lib/providers/index.js'
+import { chunkDocument, chunkColumns, hashChunk } from '../src/lib/chunking.js'
+import { extractBlocks } from '../src/lib/documentText.js'
+import { extractKnowledgeTriplets } from '../src/lib/knowledgeExtraction.js'
+import { resolveTripletEntities } from '../src/lib/entityResolution.js'
+import { anchorTriplets, verifyEvidence } from '../src/lib/provenance.js'
+import { typeTriplets } from '../src/lib/ontology.js'
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY // Use service role key for server-side operations
+)
+
+/**
+ * Number of chunks embedded and inserted per round trip
+ */
+const BATCH_SIZE = 10
+
+/**
+ * Shortest chunk worth sending to knowledge extraction
+ */
+const MIN_EXTRACTION_LENGTH = 50
+
+/**
+ * Diff the document's current chunks against its stored embeddings by content hash
+ * @param {Array} chunks - Chunks of the saved document from chunkDocument
+ * @param {Array} rows - Stored {id, chunk, content_hash, start_offset, end_offset, anchor} rows for the current model
+ * @returns {Promise<Object>} - {added, orphaned, moved, unchanged}
+ */
+async function diffChunks(chunks, rows) {
+  const current = new Map()
+  for (const chunk of chunks) {
+    const hash = await hashChunk(chunk)
+    if (!current.has(hash)) {
+      current.set(hash, chunk)
+    }
+  }
+
+  const stored = new Set()
+  const orphaned = []
+  const moved = []
+
+  for (const row of rows) {
+    // Rows embedded before hashes were stored get hashed from their text
+    const hash = row.content_hash || await hashChunk(row.chunk)
+
+    if (current.has(hash) && !stored.has(hash)) {
+      stored.add(hash)
+
+      // Same content, but edits above it shifted where it starts
+      const chunk = current.get(hash)
+      if (row.start_offset !== chunk.startOffset ||
+        row.end_offset !== chunk.endOffset ||
+        JSON.stringify(row.anchor) !== JSON.stringify(chunk.anchor || null)) {
+        moved.push({ id: row.id, chunk })
+      }
+    } else {
+      // Removed from the document, or a duplicate of a chunk already kept
+      orphaned.push(row)
+    }
+  }
+
+  const added = [...current.entries()]
+    .filter(([hash]) => !stored.has(hash))
+    .map(([hash, chunk]) => ({ hash, chunk }))
+
+  return { added, orphaned, moved, unchanged: stored.size }
+}
+
+/**
+ * Embed new chunks and store them with their content hash
+ * @param {Array} added - Array of {hash, chunk} objects
+ * @param {string} documentId - The document UUID
+ */
+async function insertChunkEmbeddings(added, documentId) {
+  const provider = getProvider()
+
+  for (let i = 0; i < added.length; i += BATCH_SIZE) {
+    const batch = added.slice(i, i + BATCH_SIZE)
+    const embeddings = await provider.embedMany(batch.map(item => item.chunk.text))
+
+    const { error } = await supabase
+      .from('embeddings')
+      .insert(batch.map((item, index) => ({
+        document_id: documentId,
+        ...chunkColumns(item.chunk),
+        content_hash: item.hash,
+        embedding: embeddings[index],
+        embedding_model: provider.embeddingModel,
+        embedding_dimensions: provider.embeddingDimensions
+      })))
+
+    if (error) {
+      throw new Error(`Failed to insert embeddings: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Point unchanged rows at their chunk's new position and anchor in the document
+ * @param {Array} moved - Array of {id, chunk} objects
+ */
+async function updateChunkOffsets(moved) {
+  for (const { id, chunk } of moved) {
+    const { error } = await supabase
+      .from('embeddings')
+      .update({ start_offset: chunk.startOffset, end_offset: chunk.endOffset, anchor: chunk.anchor || null })
+      .eq('id', id)
+
+    if (error) {
+      throw new Error(`Failed to update chunk offsets: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Delete embedding rows that no longer match any chunk of the document
+ * @param {Array} orphaned - Stored rows to delete
+ */
+async function deleteOrphanedEmbeddings(orphaned) {
+  if (orphaned.length === 0) return
+
+  const { error } = await supabase
+    .from('embeddings')
+    .delete()
+    .in('id', orphaned.map(row => row.id))
+
+  if (error) {
+    throw new Error(`Failed to delete orphaned embeddings: ${error.message}`)
+  }
+}
+
+/**
+ * Key of a triplet's fact, matching the table's unique constraint
+ */
+const tripletKey = (triplet) => [triplet.subject, triplet.predicate, triplet.object].join('\u0000')
+
+/**
+ * Update the evidence columns of stored triplets
+ * @param {Array} changes - Array of {id, ...columns}, e.g. from verifyEvidence
+ */
+async function updateTripletEvidence(changes) {
+  for (const { id, ...evidence } of changes) {
+    const { error } = await supabase
+      .from('knowledge_graph')
+      .update(evidence)
+      .eq('id', id)
+
+    if (error) {
+      throw new Error(`Failed to update triplet evidence: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Refresh the knowledge graph for the paragraphs that changed:
+ * re-anchor stored triplets to their evidence and flag the ones whose
+ * evidence was deleted as stale, then extract triplets from the added
+ * chunks. A stale triplet that is extracted again from new text is revived
+ * with its new evidence rather than duplicated.
+ * @param {string} documentId - The document UUID
+ * @param {Array} blocks - Blocks of the saved document
+ * @param {Array} added - Added {hash, chunk} objects
+ * @param {Array} orphaned - Removed embedding rows
+ * @returns {Promise<Object>} - Counts of triplets added and revived, and of the document's triplets left stale
+ */
+async function refreshKnowledgeGraph(documentId, blocks, added, orphaned) {
+  const { data: stored, error } = await supabase
+    .from('knowledge_graph')
+    .select('id, subject, predicate, object, source_snippet, source_anchor, is_stale, is_verified, created_by')
+    .eq('document_id', documentId)
+
+  if (error) {
+    throw new Error(`Failed to load knowledge graph: ${error.message}`)
+  }
+
+  const changes = verifyEvidence(blocks, stored || [], orphaned.map(row => row.chunk))
+  await updateTripletEvidence(changes)
+
+  const changed = new Map(changes.map(change => [change.id, change]))
+  const staleByKey = new Map((stored || [])
+    .filter(triplet => (changed.get(triplet.id) || triplet).is_stale)
+    .map(triplet => [tripletKey(triplet), triplet]))
+
+  let inserted = 0
+  let revived = 0
+
+  for (const { chunk } of added) {
+    if (chunk.text.length < MIN_EXTRACTION_LENGTH) continue
+
+    const triplets = await extractKnowledgeTriplets(chunk.text)
+    if (triplets.length === 0) continue
+
+    const rows = anchorTriplets(blocks, typeTriplets(triplets.map(triplet => ({
+      subject: triplet.subject.trim(),
+      predicate: triplet.predicate.trim(),
+      object: triplet.object.trim(),
+      subject_type: triplet.subject_type,
+      object_type: triplet.object_type,
+      source_snippet: triplet.source_snippet ? triplet.source_snippet.trim() : null,
+      confidence: typeof triplet.confidence === 'number' ? triplet.confidence : null,
+      document_id: documentId,
+      created_at: new Date().toISOString()
+    }))), chunk.anchor)
+
+    // Facts deleted with their evidence and written again elsewhere
+    const revivals = []
+    const freshRows = []
+    rows.forEach(row => {
+      const triplet = staleByKey.get(tripletKey(row))
+      if (!triplet) return freshRows.push(row)
+
+      staleByKey.delete(tripletKey(row))
+      revivals.push({
+        id: triplet.id,
+        source_snippet: row.source_snippet,
+        source_anchor: row.source_anchor,
+        confidence: row.confidence,
+        is_stale: false
+      })
+    })
+
+    await updateTripletEvidence(revivals)
+    revived += revivals.length
+
+    const newRows = await resolveTripletEntities(supabase, freshRows)
+    if (newRows.length === 0) continue
+
+    // Facts already in the graph from unchanged paragraphs are kept as they are
+    const { data, error: saveError } = await supabase
+      .from('knowledge_graph')
+      .upsert(newRows, { onConflict: 'document_id,subject,predicate,object', ignoreDuplicates: true })
+      .select('id')
+
+    if (saveError) {
+      throw new Error(`Failed to save knowledge: ${saveError.message}`)
+    }
+
+    inserted += (data || []).length
+  }
+
+  return { added: inserted, stale: staleByKey.size, revived }
+}
+
+/**
+ * Main API handler for incremental re-indexing.
+ * Called after the editor auto-saves a document: re-embeds only chunks whose
+ * content hash is new, deletes orphaned chunks and refreshes the knowledge
+ * graph for the changed paragraphs. Triplets whose evidence was deleted are
+ * kept but flagged stale.
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { document_id } = req.body
+
+    // Validate input
+    if (!document_id || typeof document_id !== 'string') {
+      return res.status(400).json({ error: 'Document ID is required and must be a string' })
+    }
+
+    // Step 1: Read the saved document, not client-supplied text
+    const { data: document, error: documentError } = await supabase
+      .from('documents')
+      .select('id, content')
+      .eq('id', document_id)
+      .single()
+
+    if (documentError || !document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    const blocks = extractBlocks(document.content)
+    const chunks = chunkDocument(document.content)
+
+    // Step 2: Diff against the embeddings stored for the current model
+    const provider = getProvider()
+    const { data: rows, error: rowsError } = await supabase
+      .from('embeddings')
+      .select('id, chunk, content_hash, start_offset, end_offset, anchor')
+      .eq('document_id', document_id)
+      .eq('embedding_model', provider.embeddingModel)
+      .eq('embedding_dimensions', provider.embeddingDimensions)
+
+    if (rowsError) {
+      throw new Error(`Failed to load embeddings: ${rowsError.message}`)
+    }
+
+    const { added, orphaned, moved, unchanged } = await diffChunks(chunks, rows || [])
+
+    console.log('Reindexing document:', {
+      documentId: document_id,
+      chunks: chunks.length,
+      added: added.length,
+      orphaned: orphaned.length,
+      moved: moved.length,
+      unchanged
+    })
+
+    // Step 3: Re-embed changed chunks, then drop the ones that disappeared
+    await insertChunkEmbeddings(added, document_id)
+    await deleteOrphanedEmbeddings(orphaned)
+    await updateChunkOffsets(moved)
+
+    // Step 4: Refresh knowledge for the affected paragraphs and follow
+    // evidence that moved; search stays up to date even if extraction fails
+    let knowledge = { added: 0, stale: 0, revived: 0 }
+    let knowledgeError = null
+
+    if (added.length > 0 || orphaned.length > 0 || moved.length > 0) {
+      try {
+        knowledge = await refreshKnowledgeGraph(document_id, blocks, added, orphaned)
+      } catch (error) {
+        console.error('Knowledge refresh error:', error)
+        knowledgeError = error.message
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      chunksTotal: chunks.length,
+      chunksAdded: added.length,
+      chunksRemoved: orphaned.length,
+      chunksUnchanged: unchanged,
+      tripletsAdded: knowledge.added,
+      tripletsStale: knowledge.stale,
+      tripletsRevived: knowledge.revived,
+      knowledgeError
+    })
+
+  } catch (error) {
+    console.error('Reindex document API error:', error)
+
+    if (error.status === 429 || error.message.includes('quota') || error.message.includes('rate limit')) {
+      return res.status(429).json({
+        error: 'API rate limit exceeded. Please try again later.'
+      })
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,70 @@
+import { rerankPassages, MAX_RERANK_PASSAGES } from '../src/lib/reranking.js'
+
+/**
+ * Longest query accepted for re-ranking
+ */
+const MAX_QUERY_LENGTH = 1000
+
+/**
+ * Main API handler for search result re-ranking.
+ * Grades the top hybrid search candidates against the query so the browser
+ * search library can reorder them without holding a provider API key.
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { query, passages } = req.body
+
+    // Validate input
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      return res.status(400).json({ error: 'Query is required and must be a non-empty string' })
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Query must be less than ${MAX_QUERY_LENGTH} characters` })
+    }
+
+    if (!Array.isArray(passages) || passages.some(passage => typeof passage !== 'string')) {
+      return res.status(400).json({ error: 'Passages must be an array of strings' })
+    }
+
+    if (passages.length > MAX_RERANK_PASSAGES) {
+      return res.status(400).json({ error: `At most ${MAX_RERANK_PASSAGES} passages can be re-ranked` })
+    }
+
+    const { scores, model } = await rerankPassages(query.trim(), passages)
+
+    return res.status(200).json({
+      scores,
+      model
+    })
+
+  } catch (error) {
+    console.error('Rerank API error:', error)
+
+    if (error.status === 429 || error.message.includes('quota') || error.message.includes('rate limit')) {
+      return res.status(429).json({
+        error: 'API rate limit exceeded. Please try again later.'
+      })
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,125 @@
+import { createClient } from '@supabase/supabase-js'
+import { rankSuggestions, MIN_SUGGESTION_PREFIX, MAX_SUGGESTIONS } from '../src/lib/searchSuggestions.js'
+import { escapeLike } from '../src/lib/searchQuery.js'
+
+// Initialize Supabase
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Longest prefix accepted for suggestions
+ */
+const MAX_PREFIX_LENGTH = 200
+
+/**
+ * Rows read per source before ranking
+ */
+const CANDIDATE_LIMIT = 200
+
+/**
+ * Document titles containing the prefix
+ */
+async function loadTitleCandidates(prefix) {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, title')
+    .ilike('title', `%${escapeLike(prefix)}%`)
+    .limit(CANDIDATE_LIMIT)
+
+  if (error) throw error
+
+  return (data || []).map(document => ({
+    text: document.title,
+    source: 'title',
+    documentId: document.id
+  }))
+}
+
+/**
+ * Knowledge graph subjects and objects containing the prefix, counted by how
+ * many triplets mention them
+ */
+async function loadEntityCandidates(prefix) {
+  const pattern = `%${escapeLike(prefix)}%`
+  const [subjects, objects] = await Promise.all([
+    supabase.from('knowledge_graph').select('subject').ilike('subject', pattern).limit(CANDIDATE_LIMIT),
+    supabase.from('knowledge_graph').select('object').ilike('object', pattern).limit(CANDIDATE_LIMIT)
+  ])
+
+  if (subjects.error) throw subjects.error
+  if (objects.error) throw objects.error
+
+  const counts = new Map()
+  const names = [
+    ...(subjects.data || []).map(row => row.subject),
+    ...(objects.data || []).map(row => row.object)
+  ]
+
+  names.forEach(name => {
+    const key = name.toLowerCase()
+    const entry = counts.get(key) || { text: name, source: 'entity', count: 0 }
+    entry.count++
+    counts.set(key, entry)
+  })
+
+  return Array.from(counts.values())
+}
+
+/**
+ * Main API handler for search suggestions.
+ * Returns ranked title and entity completions for a prefix; the browser
+ * merges in the user's recent searches, which never leave the device.
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { prefix, limit = 5 } = req.body
+
+    // Validate input
+    if (!prefix || typeof prefix !== 'string' || prefix.trim().length < MIN_SUGGESTION_PREFIX) {
+      return res.status(400).json({ error: `Prefix must be at least ${MIN_SUGGESTION_PREFIX} characters` })
+    }
+
+    if (prefix.length > MAX_PREFIX_LENGTH) {
+      return res.status(400).json({ error: `Prefix must be less than ${MAX_PREFIX_LENGTH} characters` })
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+      return res.status(400).json({ error: `Limit must be an integer between 1 and ${MAX_SUGGESTIONS}` })
+    }
+
+    const trimmedPrefix = prefix.trim()
+    const [titles, entities] = await Promise.all([
+      loadTitleCandidates(trimmedPrefix),
+      loadEntityCandidates(trimmedPrefix)
+    ])
+
+    return res.status(200).json({
+      suggestions: rankSuggestions(trimmedPrefix, [...titles, ...entities], limit)
+    })
+
+  } catch (error) {
+    console.error('Search suggestions API error:', error)
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    })
+  }
+}
@@ -0,0 +1,59 @@
+// Shared runner and fixtures for the test-*.js scripts behind `npm test`
+// These checks need no database, network or API key: each script registers
+// named checks with check() and reports them with runChecks().
+
+/**
+ * Create a registry of named checks
+ * @returns {Object} - {check, runChecks}
+ */
+export function createChecks() {
+  const checks = []
+
+  /**
+   * Register a named check
+   */
+  function check(name, fn) {
+    checks.push({ name, fn })
+  }
+
+  /**
+   * Run the registered checks in order, print each outcome and set a failing
+   * exit code if any check failed
+   * @param {string} subject - What the checks cover, for the summary line
+   */
+  async function runChecks(subject) {
+    let failures = 0
+    for (const [position, { name, fn }] of checks.entries()) {
+      try {
+        await fn()
+        console.log(`✅ ${position + 1}. ${name}`)
+      } catch (error) {
+        failures++
+        console.log(`❌ ${position + 1}. ${name}`)
+        console.log(`   ${error.message}`)
+      }
+    }
+
+    if (failures > 0) {
+      console.log(`\n❌ ${failures} of ${checks.length} checks failed`)
+      process.exitCode = 1
+      return
+    }
+
+    console.log(`\n🎉 All ${checks.length} ${subject} checks passed`)
+  }
+
+  return { check, runChecks }
+}
+
+/**
+ * A Tiptap document with one paragraph per string
+ * @param {...string} paragraphs - Paragraph texts
+ * @returns {Object} - Tiptap JSON document
+ */
+export function doc(...paragraphs) {
+  return {
+    type: 'doc',
+    content: paragraphs.map(text => ({ type: 'paragraph', content: [{ type: 'text', text }] }))
+  }
+}
@@ -1,6 +1,9 @@
 // Script to create embeddings for existing documents
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { getProvider } from './src/lib/providers/index.js'
+import { chunkDocument, chunkColumns, hashChunk } from './src/lib/chunking.js'
+import { extractDocumentText } from './src/lib/documentText.js'
 
 // Load environment variables
 dotenv.config()
@@ -12,11 +15,13 @@ const supabase = createClient(
 )
 
 /**
- * Create mock embeddings for existing documents
+ * Create embeddings for existing documents with the configured provider
+ * (set LLM_PROVIDER=local to embed offline without an OpenAI key)
  */
-async function createMockEmbeddingsForExistingDocs() {
+async function createEmbeddingsForExistingDocs() {
   try {
-    console.log('🔄 Creating mock embeddings for existing documents...\n')
+    const provider = getProvider()
+    console.log(`🔄 Creating ${provider.name} embeddings for existing documents...\n`)
 
     // Get all documents that don't have embeddings
     const { data: documents, error: docsError } = await supabase
@@ -37,11 +42,12 @@ async function createMockEmbeddingsForExistingDocs() {
     for (const doc of documents) {
       console.log(`\n📝 Processing: ${doc.title} (${doc.id})`)
 
-      // Check if this document already has embeddings
+      // Check if this document already has embeddings from the current model
       const { data: existingEmbeddings, error: checkError } = await supabase
         .from('embeddings')
         .select('id')
         .eq('document_id', doc.id)
+        .eq('embedding_model', provider.embeddingModel)
         .limit(1)
 
       if (checkError) {
@@ -55,14 +61,7 @@ async function createMockEmbeddingsForExistingDocs() {
       }
 
       // Extract text content from the document
-      let textContent = ''
-      
-      if (doc.content && typeof doc.content === 'object') {
-        // Extract text from Tiptap JSON content
-        textContent = extractTextFromTiptapContent(doc.content)
-      } else if (typeof doc.content === 'string') {
-        textContent = doc.content
-      }
+      const textContent = extractDocumentText(doc.content)
 
       if (!textContent || textContent.trim().length < 10) {
         console.log(`⚠️ ${doc.title} has no meaningful content, skipping...`)
@@ -71,8 +70,8 @@ async function createMockEmbeddingsForExistingDocs() {
 
       console.log(`📊 Content length: ${textContent.length} characters`)
 
-      // Split into chunks
-      const chunks = splitIntoChunks(textContent)
+      // Split into chunks along headings, lists and code blocks
+      const chunks = chunkDocument(doc.content)
       console.log(`🔪 Split into ${chunks.length} chunks`)
 
       if (chunks.length === 0) {
@@ -80,21 +79,17 @@ async function createMockEmbeddingsForExistingDocs() {
         continue
       }
 
-      // Create mock embeddings for each chunk
-      const embeddingData = []
-      
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i]
-        
-        // Create mock embedding (1536 random numbers between -1 and 1)
-        const mockEmbedding = Array.from({ length: 1536 }, () => (Math.random() - 0.5) * 2)
-        
-        embeddingData.push({
-          document_id: doc.id,
-          chunk: chunk,
-          embedding: mockEmbedding
-        })
-      }
+      // Create embeddings for each chunk
+      const embeddings = await provider.embedMany(chunks.map(chunk => chunk.text))
+      const hashes = await Promise.all(chunks.map(hashChunk))
+      const embeddingData = chunks.map((chunk, i) => ({
+        document_id: doc.id,
+        ...chunkColumns(chunk),
+        content_hash: hashes[i],
+        embedding: embeddings[i],
+        embedding_model: provider.embeddingModel,
+        embedding_dimensions: provider.embeddingDimensions
+      }))
 
       // Insert embeddings into Supabase
       const { error: insertError } = await supabase
@@ -106,7 +101,7 @@ async function createMockEmbeddingsForExistingDocs() {
         continue
       }
 
-      console.log(`✅ Created ${embeddingData.length} mock embeddings for ${doc.title}`)
+      console.log(`✅ Created ${embeddingData.length} embeddings for ${doc.title}`)
     }
 
     console.log('\n🎉 Finished processing all documents!')
@@ -125,58 +120,5 @@ async function createMockEmbeddingsForExistingDocs() {
   }
 }
 
-/**
- * Extract text from Tiptap JSON content
- */
-function extractTextFromTiptapContent(content) {
-  if (!content || !content.content) return ''
-  
-  let text = ''
-  
-  const extractText = (node) => {
-    if (node.type === 'text') {
-      text += node.text || ''
-    } else if (node.content) {
-      node.content.forEach(extractText)
-    }
-    
-    // Add spacing for block elements
-    if (node.type === 'paragraph' || node.type === 'heading') {
-      text += '\n\n'
-    }
-  }
-  
-  content.content.forEach(extractText)
-  return text.trim()
-}
-
-/**
- * Split text into chunks of approximately 200 tokens each
- */
-function splitIntoChunks(text) {
-  const targetChunkSize = 800 // ~200 tokens * 4 chars/token
-  const chunks = []
-  
-  // First, split by paragraphs
-  const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 0)
-  
-  let currentChunk = ''
-  
-  for (const paragraph of paragraphs) {
-    if (currentChunk.length + paragraph.length > targetChunkSize && currentChunk.length > 0) {
-      chunks.push(currentChunk.trim())
-      currentChunk = paragraph
-    } else {
-      currentChunk += (currentChunk ? '\n\n' : '') + paragraph
-    }
-  }
-  
-  if (currentChunk.trim().length > 0) {
-    chunks.push(currentChunk.trim())
-  }
-  
-  return chunks.filter(chunk => chunk.length > 0)
-}
-
 // Run the script
-createMockEmbeddingsForExistingDocs()
+createEmbeddingsForExistingDocs()
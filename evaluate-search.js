@@ -0,0 +1,169 @@
+// Script to measure search relevance against a golden query set
+//
+// Usage:
+//   node evaluate-search.js [--golden search-golden-queries.json] [--k 5]
+//     [--fusion rrf|linear|zscore|all] [--fts-weight W --vector-weight W]
+//     [--max-tokens N] [--overlap N] [--verbose] [--json]
+//
+// Runs offline: the corpus is chunked and embedded in memory with the local
+// embedding provider, then every query is run through the shared search core
+// with the keywordSearch, semanticSearch and hybridSearch weights (see
+// src/lib/searchEvaluation.js).
+// Reports recall@k, MRR and nDCG@k per mode, so changes to fusion, weights or
+// chunking can be compared run against run. --fts-weight/--vector-weight
+// override the hybrid mode's weights.
+import { readFile } from 'fs/promises'
+import { createProvider } from './src/lib/providers/index.js'
+import { FUSION_STRATEGIES, DEFAULT_FUSION } from './src/lib/searchFusion.js'
+import { DEFAULT_CHUNK_OPTIONS } from './src/lib/chunking.js'
+import {
+  buildSearchIndex,
+  evaluateSearch,
+  validateGoldenSet,
+  DEFAULT_EVALUATION_K
+} from './src/lib/searchEvaluation.js'
+
+/**
+ * Parse --name value flags from the command line
+ */
+function parseArgs(argv) {
+  const args = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) continue
+
+    const name = arg.slice(2)
+    const next = argv[i + 1]
+
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true
+    } else {
+      args[name] = next
+      i++
+    }
+  }
+
+  return args
+}
+
+/**
+ * Load the documents a golden set is judged against: the default documents,
+ * its own documents, or both
+ */
+async function loadCorpus(golden) {
+  const documents = Array.isArray(golden.documents) ? golden.documents : []
+
+  if (golden.corpus === 'default-documents') {
+    const { defaultDocuments } = await import('./src/data/defaultDocuments.js')
+    return [...defaultDocuments, ...documents]
+  }
+
+  if (documents.length === 0) {
+    throw new Error('Golden set must set "corpus": "default-documents" or list its "documents"')
+  }
+
+  return documents
+}
+
+/**
+ * Format a metric as a fixed-width number
+ */
+function formatMetric(value) {
+  return value.toFixed(3).padStart(8)
+}
+
+/**
+ * Print one fusion strategy's report as a table
+ */
+function printReport(report, verbose) {
+  console.log(`\n📊 Fusion: ${report.fusion}`)
+  console.log(`   ${'mode'.padEnd(10)}${`recall@${report.k}`.padStart(10)}${'MRR'.padStart(8)}${`nDCG@${report.k}`.padStart(10)}`)
+
+  Object.entries(report.modes).forEach(([mode, metrics]) => {
+    console.log(`   ${mode.padEnd(10)}  ${formatMetric(metrics.recall)}${formatMetric(metrics.mrr)}  ${formatMetric(metrics.ndcg)}`)
+  })
+
+  if (!verbose) return
+
+  Object.entries(report.modes).forEach(([mode, metrics]) => {
+    console.log(`\n   ${mode}:`)
+    metrics.queries.forEach(entry => {
+      const icon = entry.recall === 1 ? '✅' : entry.recall > 0 ? '🟡' : '❌'
+      const rank = entry.firstRelevantRank ? `first hit #${entry.firstRelevantRank}` : 'no hit'
+      console.log(`   ${icon} "${entry.query}" — recall ${entry.recall.toFixed(2)}, nDCG ${entry.ndcg.toFixed(2)}, ${rank}`)
+    })
+  })
+}
+
+/**
+ * Run the evaluation
+ */
+async function evaluate() {
+  try {
+    const args = parseArgs(process.argv.slice(2))
+    const goldenPath = typeof args.golden === 'string' ? args.golden : 'search-golden-queries.json'
+
+    const golden = JSON.parse(await readFile(goldenPath, 'utf8'))
+    const validation = validateGoldenSet(golden)
+    if (!validation.valid) {
+      throw new Error(`Invalid golden set ${goldenPath}: ${validation.error}`)
+    }
+
+    const k = args.k ? parseInt(args.k, 10) : (golden.k || DEFAULT_EVALUATION_K)
+    if (!Number.isInteger(k) || k < 1) {
+      throw new Error('--k must be a positive integer')
+    }
+
+    const strategies = args.fusion === 'all'
+      ? FUSION_STRATEGIES
+      : [typeof args.fusion === 'string' ? args.fusion : DEFAULT_FUSION]
+
+    const unknown = strategies.filter(strategy => !FUSION_STRATEGIES.includes(strategy))
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fusion strategy: ${unknown.join(', ')} (expected ${FUSION_STRATEGIES.join(', ')} or all)`)
+    }
+
+    const hybridWeights = {}
+    if (args['fts-weight']) hybridWeights.ftsWeight = parseFloat(args['fts-weight'])
+    if (args['vector-weight']) hybridWeights.vectorWeight = parseFloat(args['vector-weight'])
+    if (Object.values(hybridWeights).some(weight => Number.isNaN(weight) || weight < 0)) {
+      throw new Error('--fts-weight and --vector-weight must be non-negative numbers')
+    }
+
+    const chunkOptions = {
+      maxTokens: args['max-tokens'] ? parseInt(args['max-tokens'], 10) : DEFAULT_CHUNK_OPTIONS.maxTokens,
+      overlapTokens: args.overlap ? parseInt(args.overlap, 10) : DEFAULT_CHUNK_OPTIONS.overlapTokens
+    }
+
+    const documents = await loadCorpus(golden)
+    const provider = createProvider({ provider: 'local' })
+    const index = await buildSearchIndex(documents, provider, chunkOptions)
+
+    if (!args.json) {
+      console.log(`🔍 Evaluating ${golden.queries.length} queries from ${goldenPath}`)
+      console.log(`📚 ${documents.length} documents → ${index.rows.length} chunks (maxTokens ${chunkOptions.maxTokens}, overlap ${chunkOptions.overlapTokens})`)
+      console.log(`🧮 Embeddings: ${provider.embeddingModel} (${provider.embeddingDimensions})`)
+    }
+
+    const reports = []
+    for (const fusion of strategies) {
+      reports.push(await evaluateSearch(index, golden.queries, { k, fusion, weights: { hybrid: hybridWeights } }))
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify({ golden: goldenPath, chunkOptions, reports }, null, 2))
+      return
+    }
+
+    reports.forEach(report => printReport(report, args.verbose))
+    console.log('\n✅ Evaluation complete')
+
+  } catch (error) {
+    console.error('❌ Error evaluating search:', error.message)
+    process.exitCode = 1
+  }
+}
+
+// Run the script
+evaluate()
@@ -2,6 +2,7 @@
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
 import { defaultKnowledgeGraphs } from './src/data/defaultKnowledgeGraphs.js'
+import { resolveTripletEntities } from './src/lib/entityResolution.js'
 
 dotenv.config()
 
@@ -82,12 +83,12 @@ async function insertDefaultKnowledgeGraphs() {
       }
       
       // Prepare triplets for insertion
-      const tripletsToInsert = knowledgeData.map(triplet => ({
+      const tripletsToInsert = await resolveTripletEntities(supabase, knowledgeData.map(triplet => ({
         document_id: doc.id,
         subject: triplet.subject,
         predicate: triplet.predicate,
         object: triplet.object
-      }))
+      })))
       
       // Insert knowledge graph triplets
       const { data: inserted, error: insertError } = await supabase
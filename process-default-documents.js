@@ -1,7 +1,7 @@
 // Process default documents to generate embeddings and knowledge graphs
 import { createClient } from '@supabase/supabase-js'
-import OpenAI from 'openai'
 import dotenv from 'dotenv'
+import { getProvider } from './src/lib/providers/index.js'
 
 dotenv.config()
 
@@ -10,10 +10,6 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 )
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || process.env.VITE_OPENAI_API_KEY
-})
-
 // Extract text content from Tiptap JSON
 function extractTextFromTiptap(content) {
   if (!content || !content.content) return ''
@@ -70,19 +66,15 @@ async function generateEmbeddings(textChunks, documentId) {
     const chunk = textChunks[i]
     
     try {
-      const response = await openai.embeddings.create({
-        model: 'text-embedding-3-large',
-        input: chunk,
-        encoding_format: 'float'
-      })
-      
-      const embedding = response.data[0].embedding
+      const provider = getProvider()
+      const embedding = await provider.embed(chunk)
       
       embeddings.push({
         document_id: documentId,
-        content: chunk,
+        chunk: chunk,
         embedding: embedding,
-        chunk_index: i
+        embedding_model: provider.embeddingModel,
+        embedding_dimensions: provider.embeddingDimensions
       })
       
       console.log(`    ✅ Generated embedding for chunk ${i + 1}/${textChunks.length}`)
@@ -106,14 +98,12 @@ Text: ${text}
 
 Return only the JSON array, no other text.`
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4',
+    const content = await getProvider().complete({
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.3,
-      max_tokens: 1000
+      maxTokens: 1000,
+      task: { type: 'triplets', text }
     })
-
-    const content = response.choices[0].message.content.trim()
     
     // Try to parse the JSON response
     let triplets = []
@@ -0,0 +1,286 @@
+// Script to migrate the embeddings corpus from one embedding model to another
+//
+// Usage:
+//   node reembed-corpus.js --from <model> [--from-dimensions N] --to <model> [--dimensions N] [--prune] [--batch N]
+//
+// Zero-downtime migration:
+//   1. Backfill: node reembed-corpus.js --from text-embedding-3-large --to text-embedding-3-large --dimensions 3072
+//      New rows are written next to the old ones; searches keep using the
+//      configured model, so nothing changes for users yet.
+//   2. Switch the app to the new model (OPENAI_EMBEDDING_MODEL / EMBEDDING_DIMENSIONS)
+//      and redeploy. Searches now only see the new rows.
+//   3. Prune: re-run step 1 with --prune. It first embeds any chunk written
+//      under the old model in the meantime, then deletes the old rows.
+//
+// The job is idempotent: chunks that already have a row for the target model
+// are skipped, so it can be stopped and resumed at any time.
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { createProvider, getProviderConfig } from './src/lib/providers/index.js'
+import { EMBEDDING_MODELS } from './src/lib/providers/embeddingModels.js'
+import { hashChunk } from './src/lib/chunking.js'
+
+// Load environment variables
+dotenv.config()
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Rows read from the source model per page
+ */
+const PAGE_SIZE = 200
+
+/**
+ * Parse --name value flags from the command line
+ */
+function parseArgs(argv) {
+  const args = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) continue
+
+    const name = arg.slice(2)
+    const next = argv[i + 1]
+
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true
+    } else {
+      args[name] = next
+      i++
+    }
+  }
+
+  return args
+}
+
+/**
+ * Restrict a query to the rows of one model (and dimension, when given)
+ */
+function whereModel(query, model, dimensions) {
+  query = query.eq('embedding_model', model)
+  return dimensions ? query.eq('embedding_dimensions', dimensions) : query
+}
+
+/**
+ * Key identifying a chunk independently of the model it was embedded with
+ */
+function chunkKey(documentId, chunk) {
+  return `${documentId}\u0000${chunk}`
+}
+
+/**
+ * Load the chunks that already have a target-model row for some documents
+ */
+async function loadTargetKeys(documentIds, target) {
+  const { data, error } = await whereModel(
+    supabase.from('embeddings').select('document_id, chunk'),
+    target.embeddingModel,
+    target.embeddingDimensions
+  ).in('document_id', documentIds)
+
+  if (error) {
+    throw new Error(`Failed to load target embeddings: ${error.message}`)
+  }
+
+  return new Set((data || []).map(row => chunkKey(row.document_id, row.chunk)))
+}
+
+/**
+ * Embed every source chunk that has no target-model row yet
+ * @returns {Promise<Object>} - {scanned, created, skipped}
+ */
+async function backfill(source, target, batchSize) {
+  const stats = { scanned: 0, created: 0, skipped: 0 }
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data: rows, error } = await whereModel(
+      supabase.from('embeddings').select('id, document_id, chunk, content_hash, heading_path, start_offset, end_offset, token_count, anchor'),
+      source.model,
+      source.dimensions
+    )
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1)
+
+    if (error) {
+      throw new Error(`Failed to read source embeddings: ${error.message}`)
+    }
+
+    if (!rows || rows.length === 0) {
+      break
+    }
+
+    stats.scanned += rows.length
+
+    const existing = await loadTargetKeys([...new Set(rows.map(row => row.document_id))], target)
+    const missing = []
+
+    for (const row of rows) {
+      const key = chunkKey(row.document_id, row.chunk)
+      if (existing.has(key)) {
+        stats.skipped++
+      } else {
+        existing.add(key)
+        missing.push(row)
+      }
+    }
+
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const batch = missing.slice(i, i + batchSize)
+      const vectors = await target.embedMany(batch.map(row => row.chunk))
+      const hashes = await Promise.all(batch.map(row => row.content_hash || hashChunk(row.chunk)))
+
+      const { error: insertError } = await supabase
+        .from('embeddings')
+        .insert(batch.map((row, index) => ({
+          document_id: row.document_id,
+          chunk: row.chunk,
+          heading_path: row.heading_path,
+          start_offset: row.start_offset,
+          end_offset: row.end_offset,
+          token_count: row.token_count,
+          anchor: row.anchor,
+          content_hash: hashes[index],
+          embedding: vectors[index],
+          embedding_model: target.embeddingModel,
+          embedding_dimensions: target.embeddingDimensions
+        })))
+
+      if (insertError) {
+        throw new Error(`Failed to insert embeddings: ${insertError.message}`)
+      }
+
+      stats.created += batch.length
+    }
+
+    console.log(`📊 Scanned ${stats.scanned} rows, created ${stats.created}, already migrated ${stats.skipped}`)
+
+    if (rows.length < PAGE_SIZE) {
+      break
+    }
+  }
+
+  return stats
+}
+
+/**
+ * Delete the source-model rows once every one of them has a target counterpart
+ */
+async function prune(source, target) {
+  const { count: sourceCount, error: sourceError } = await whereModel(
+    supabase.from('embeddings').select('id', { count: 'exact', head: true }),
+    source.model,
+    source.dimensions
+  )
+
+  if (sourceError) {
+    throw new Error(`Failed to count source embeddings: ${sourceError.message}`)
+  }
+
+  // Re-check coverage page by page before deleting anything
+  for (let offset = 0; offset < sourceCount; offset += PAGE_SIZE) {
+    const { data: rows, error } = await whereModel(
+      supabase.from('embeddings').select('document_id, chunk'),
+      source.model,
+      source.dimensions
+    )
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1)
+
+    if (error) {
+      throw new Error(`Failed to read source embeddings: ${error.message}`)
+    }
+
+    const existing = await loadTargetKeys([...new Set(rows.map(row => row.document_id))], target)
+    const uncovered = rows.filter(row => !existing.has(chunkKey(row.document_id, row.chunk)))
+
+    if (uncovered.length > 0) {
+      throw new Error(`${uncovered.length} source chunks have no ${target.embeddingModel} embedding yet; not pruning`)
+    }
+  }
+
+  const { error: deleteError } = await whereModel(
+    supabase.from('embeddings').delete(),
+    source.model,
+    source.dimensions
+  )
+
+  if (deleteError) {
+    throw new Error(`Failed to delete source embeddings: ${deleteError.message}`)
+  }
+
+  return sourceCount
+}
+
+/**
+ * Run the re-embedding job
+ */
+async function reembedCorpus() {
+  try {
+    const args = parseArgs(process.argv.slice(2))
+
+    if (!args.from || !args.to) {
+      console.log('Usage: node reembed-corpus.js --from <model> [--from-dimensions N] --to <model> [--dimensions N] [--prune] [--batch N]')
+      console.log(`Known models: ${Object.keys(EMBEDDING_MODELS).join(', ')}`)
+      process.exitCode = 1
+      return
+    }
+
+    const targetModel = EMBEDDING_MODELS[args.to]
+    if (!targetModel) {
+      throw new Error(`Unknown embedding model: ${args.to}`)
+    }
+
+    const target = createProvider({
+      ...getProviderConfig(),
+      provider: targetModel.provider,
+      embeddingModel: args.to,
+      embeddingDimensions: args.dimensions ? parseInt(args.dimensions, 10) : undefined
+    })
+
+    const source = {
+      model: args.from,
+      dimensions: args['from-dimensions'] ? parseInt(args['from-dimensions'], 10) : null
+    }
+
+    if (source.model === target.embeddingModel && (!source.dimensions || source.dimensions === target.embeddingDimensions)) {
+      throw new Error('Source and target are the same model and dimension; pass --from-dimensions to tell them apart')
+    }
+
+    const batchSize = args.batch ? parseInt(args.batch, 10) : 20
+
+    console.log(`🔄 Re-embedding ${source.model}${source.dimensions ? ` (${source.dimensions})` : ''} → ${target.embeddingModel} (${target.embeddingDimensions})\n`)
+
+    const stats = await backfill(source, target, batchSize)
+    console.log(`\n✅ Backfill complete: ${stats.created} chunks embedded, ${stats.skipped} already migrated`)
+
+    if (args.prune) {
+      console.log('\n🧹 Pruning source embeddings...')
+      const deleted = await prune(source, target)
+      console.log(`✅ Deleted ${deleted} ${source.model} embeddings`)
+    } else {
+      console.log('\nℹ️ Switch the app to the new model, then re-run with --prune to delete the old rows.')
+    }
+
+    // Show per-model summary
+    const { data: modelStats, error: statsError } = await supabase.rpc('get_embedding_model_stats')
+
+    if (!statsError) {
+      console.log('\n📊 Embeddings per model:')
+      modelStats.forEach(row => {
+        console.log(`   ${row.embedding_model} (${row.embedding_dimensions}): ${row.total_embeddings} chunks in ${row.total_documents} documents`)
+      })
+    }
+
+  } catch (error) {
+    console.error('❌ Error re-embedding corpus:', error.message)
+    process.exitCode = 1
+  }
+}
+
+// Run the script
+reembedCorpus()
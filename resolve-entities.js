@@ -0,0 +1,162 @@
+// Script to link existing knowledge graph triplets to entities
+//
+// Usage:
+//   node resolve-entities.js [--batch N] [--dry-run]
+//
+// Triplets written before entity resolution have no subject_entity_id or
+// object_entity_id. This resolves them the same way new extractions are
+// resolved (src/lib/entityResolution.js), creating entities and aliases as
+// needed. Run supabase-knowledge-graph.sql first so the tables exist.
+//
+// The job is idempotent: only triplets with a missing entity are read, so it
+// can be stopped and resumed at any time. --dry-run prints the entities the
+// first batch would resolve to without writing anything.
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { resolveTripletEntities, planEntityResolution, inferEntityType } from './src/lib/entityResolution.js'
+
+// Load environment variables
+dotenv.config()
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Parse --name value flags from the command line
+ */
+function parseArgs(argv) {
+  const args = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) continue
+
+    const name = arg.slice(2)
+    const next = argv[i + 1]
+
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true
+    } else {
+      args[name] = next
+      i++
+    }
+  }
+
+  return args
+}
+
+/**
+ * Read a batch of triplets that are not linked to entities yet
+ */
+async function loadUnresolved(batchSize) {
+  const { data, error } = await supabase
+    .from('knowledge_graph')
+    .select('id, subject, predicate, object')
+    .or('subject_entity_id.is.null,object_entity_id.is.null')
+    .order('id', { ascending: true })
+    .limit(batchSize)
+
+  if (error) {
+    throw new Error(`Failed to read triplets: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * Print how a batch of triplets would resolve, without writing
+ */
+function printPlan(triplets) {
+  const mentions = triplets.flatMap(triplet => ['subject', 'object'].map(role => ({
+    name: triplet[role],
+    type: inferEntityType(triplet[role], { predicate: triplet.predicate, role })
+  })))
+
+  const { newEntities } = planEntityResolution(mentions, [], new Map())
+
+  console.log(`🔍 ${mentions.length} mentions in ${triplets.length} triplets would form ${newEntities.length} entities`)
+  console.log('   Entities written more than one way:')
+  newEntities.forEach(entity => {
+    const names = [...new Set(entity.names)].filter(name => name !== entity.canonical_name)
+    if (names.length > 0) {
+      console.log(`   ${entity.canonical_name} (${entity.type}) ← ${names.join(', ')}`)
+    }
+  })
+}
+
+/**
+ * Run the resolution job
+ */
+async function resolveEntities() {
+  try {
+    const args = parseArgs(process.argv.slice(2))
+    const batchSize = args.batch ? parseInt(args.batch, 10) : 200
+
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error('--batch must be a positive number')
+    }
+
+    console.log('🧠 Resolving knowledge graph entities\n')
+
+    if (args['dry-run']) {
+      const triplets = await loadUnresolved(batchSize)
+      if (triplets.length === 0) {
+        console.log('✅ Every triplet is already linked to its entities')
+        return
+      }
+      printPlan(triplets)
+      console.log('\nℹ️ Dry run: nothing was written. Known entities are not consulted, so existing aliases may absorb some of these.')
+      return
+    }
+
+    let resolved = 0
+
+    for (;;) {
+      const triplets = await loadUnresolved(batchSize)
+      if (triplets.length === 0) break
+
+      const rows = await resolveTripletEntities(supabase, triplets)
+
+      for (const row of rows) {
+        const { error } = await supabase
+          .from('knowledge_graph')
+          .update({ subject_entity_id: row.subject_entity_id, object_entity_id: row.object_entity_id })
+          .eq('id', row.id)
+
+        if (error) {
+          throw new Error(`Failed to update triplet ${row.id}: ${error.message}`)
+        }
+      }
+
+      // Mentions without letters or digits cannot be resolved; stop rather than loop on them
+      const unresolvable = rows.filter(row => !row.subject_entity_id || !row.object_entity_id)
+      resolved += rows.length - unresolvable.length
+      console.log(`📊 Resolved ${resolved} triplets`)
+
+      if (unresolvable.length > 0 && unresolvable.length === rows.length) {
+        console.log(`⚠️ ${unresolvable.length} triplets have a subject or object that cannot be resolved`)
+        break
+      }
+    }
+
+    const { count: entityCount, error: countError } = await supabase
+      .from('entities')
+      .select('id', { count: 'exact', head: true })
+
+    if (countError) {
+      throw new Error(`Failed to count entities: ${countError.message}`)
+    }
+
+    console.log(`\n✅ Done: ${resolved} triplets linked, ${entityCount || 0} entities in the graph`)
+
+  } catch (error) {
+    console.error('❌ Error resolving entities:', error.message)
+    process.exitCode = 1
+  }
+}
+
+// Run the script
+resolveEntities()
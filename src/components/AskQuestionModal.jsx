@@ -1,11 +1,17 @@
-import { useState } from 'react'
-import { askDocumentQuestion } from '../lib/rag'
+import { useState, useEffect, useRef } from 'react'
+import { streamDocumentQuestion } from '../lib/rag'
 
 const AskQuestionModal = ({ isOpen, onClose, documentId, documentTitle }) => {
   const [question, setQuestion] = useState('')
   const [answer, setAnswer] = useState('')
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState('')
+  const abortControllerRef = useRef(null)
+
+  // Cancel any in-flight answer stream when the modal unmounts
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort()
+  }, [])
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -19,23 +25,39 @@ const AskQuestionModal = ({ isOpen, onClose, documentId, documentTitle }) => {
     setError('')
     setAnswer('')
 
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+
     try {
-      const result = await askDocumentQuestion(question.trim(), documentId)
+      const result = await streamDocumentQuestion(question.trim(), documentId, {
+        signal: abortController.signal,
+        onToken: (token, answerSoFar) => setAnswer(answerSoFar)
+      })
       
       if (result.success) {
         setAnswer(result.answer)
-      } else {
+      } else if (!result.aborted) {
         setError(result.error || 'Failed to get answer')
       }
     } catch (err) {
       setError('An error occurred while processing your question')
       console.error('RAG error:', err)
     } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null
+      }
       setIsLoading(false)
     }
   }
 
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort()
+    }
+  }
+
   const handleClose = () => {
+    handleCancel()
     setQuestion('')
     setAnswer('')
     setError('')
@@ -78,20 +100,27 @@ const AskQuestionModal = ({ isOpen, onClose, documentId, documentTitle }) => {
                 className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 disabled={isLoading}
               />
-              <button
-                type="submit"
-                disabled={isLoading || !question.trim()}
-                className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-              >
-                {isLoading ? (
+              {isLoading ? (
+                <button
+                  type="button"
+                  onClick={handleCancel}
+                  className="flex items-center gap-2 bg-gray-600 text-white px-4 py-2 rounded-md hover:bg-gray-700 transition-colors"
+                >
                   <svg className="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                     <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                     <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                   </svg>
-                ) : (
-                  'Ask'
-                )}
-              </button>
+                  Stop
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={!question.trim()}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Ask
+                </button>
+              )}
             </div>
           </form>
 
@@ -106,7 +135,10 @@ const AskQuestionModal = ({ isOpen, onClose, documentId, documentTitle }) => {
           {answer && (
             <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
               <h4 className="font-medium text-blue-900 mb-2">Answer:</h4>
-              <div className="text-blue-800 whitespace-pre-wrap">{answer}</div>
+              <div className="text-blue-800 whitespace-pre-wrap">
+                {answer}
+                {isLoading && <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-blue-400 animate-pulse"></span>}
+              </div>
             </div>
           )}
 
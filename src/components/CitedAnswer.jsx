@@ -0,0 +1,56 @@
+/**
+ * Renders an answer whose text contains [n] citations as clickable badges.
+ * `sources` come from /api/ask-rag; each has a `citation` number and the
+ * chunk it refers to. `graphFacts` are knowledge graph facts cited as [Gn].
+ */
+const CitedAnswer = ({ answer, sources = [], graphFacts = [], onCitationClick, className = '' }) => {
+  const sourcesByCitation = new Map(sources.map(source => [String(source.citation), source]))
+  const factsByCitation = new Map(graphFacts.map(fact => [fact.citation, fact]))
+
+  // Split on [n] and [Gn] markers while keeping them in the result
+  const parts = (answer || '').split(/(\[G?\d+\])/g)
+
+  return (
+    <p className={`whitespace-pre-wrap ${className}`}>
+      {parts.map((part, index) => {
+        const match = part.match(/^\[(G?\d+)\]$/)
+        const fact = match ? factsByCitation.get(match[1]) : null
+        const source = match ? sourcesByCitation.get(match[1]) : null
+
+        if (fact) {
+          return (
+            <button
+              key={index}
+              type="button"
+              onClick={() => onCitationClick && fact.sourceSnippet && onCitationClick({ ...fact, chunk: fact.sourceSnippet })}
+              title={`Knowledge graph: ${fact.fact}`}
+              className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 mx-0.5 align-text-top text-xs font-semibold rounded bg-emerald-500/30 text-emerald-200 border border-emerald-400/50 hover:bg-emerald-500/50 transition-colors"
+            >
+              {fact.citation}
+            </button>
+          )
+        }
+
+        if (!source) {
+          return part
+        }
+
+        return (
+          <button
+            key={index}
+            type="button"
+            onClick={() => onCitationClick && onCitationClick(source)}
+            title={source.documentTitle
+              ? `${source.documentTitle}: ${source.chunk.substring(0, 120)}...`
+              : `${source.chunk.substring(0, 120)}...`}
+            className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 mx-0.5 align-text-top text-xs font-semibold rounded bg-sky-500/30 text-sky-200 border border-sky-400/50 hover:bg-sky-500/50 transition-colors"
+          >
+            {source.citation}
+          </button>
+        )
+      })}
+    </p>
+  )
+}
+
+export default CitedAnswer
@@ -1,11 +1,34 @@
+import { useEffect, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
+import { highlightAnchorInElement, highlightMentionsInElement } from '../lib/editorHighlight'
 
-const DocumentViewer = ({ document, onBack, onEdit }) => {
+const DocumentViewer = ({ document, onBack, onEdit, highlightText = null, highlightAnchor = null, highlightMentions = null }) => {
   const navigate = useNavigate()
+  const contentRef = useRef(null)
+
+  // Scroll to and highlight a passage (e.g. a cited chunk or search hit) once
+  // content renders, using the chunk's anchor when it has one. Opened from a
+  // knowledge graph entity, every mention of it is highlighted.
+  useEffect(() => {
+    const hasMentions = highlightMentions?.length > 0
+    if ((!highlightText && !highlightAnchor && !hasMentions) || !contentRef.current) {
+      return
+    }
+
+    const timeoutId = setTimeout(() => {
+      if (hasMentions) {
+        highlightMentionsInElement(contentRef.current, highlightMentions, 4000)
+      } else {
+        highlightAnchorInElement(contentRef.current, highlightAnchor, highlightText, 4000)
+      }
+    }, 100)
+
+    return () => clearTimeout(timeoutId)
+  }, [highlightText, highlightAnchor, highlightMentions, document.id])
 
   const handleEdit = () => {
-    // Navigate to editor with document data
-    navigate('/editor', { state: { document } })
+    // Navigate to editor with document data, keeping the highlighted passage
+    navigate('/editor', { state: { document, highlight: highlightText, anchor: highlightAnchor } })
   }
 
   const handleHome = () => {
@@ -143,7 +166,7 @@ const DocumentViewer = ({ document, onBack, onEdit }) => {
     return (
       <div className="prose prose-invert max-w-none">
         {content.content.map((node, index) => (
-          <div key={index}>{renderNode(node)}</div>
+          <div key={index} data-node-index={index}>{renderNode(node)}</div>
         ))}
       </div>
     )
@@ -212,7 +235,7 @@ const DocumentViewer = ({ document, onBack, onEdit }) => {
 
         {/* Document Content with Scrolling */}
         <div className="bg-white/10 border border-white/20 rounded-lg overflow-hidden">
-          <div className="max-h-[70vh] overflow-y-auto p-6 custom-scrollbar">
+          <div ref={contentRef} className="max-h-[70vh] overflow-y-auto p-6 custom-scrollbar">
             {renderContent(document.content)}
           </div>
         </div>
@@ -14,8 +14,9 @@ import DocumentSaveButton from './DocumentSaveButton'
 import SaveStatus from './SaveStatus'
 import FileUpload from './FileUpload'
 import { useAutoSave } from '../hooks/useAutoSave'
+import { highlightAnchorInEditor } from '../lib/editorHighlight'
 
-export default function Editor({ selectedDocument, onShowDocuments }) {
+export default function Editor({ selectedDocument, onShowDocuments, highlightText = null, highlightAnchor = null }) {
   const navigate = useNavigate()
   const [showSelectionMenu, setShowSelectionMenu] = useState(false)
   const [selectedText, setSelectedText] = useState('')
@@ -257,6 +258,19 @@ export default function Editor({ selectedDocument, onShowDocuments }) {
     }
   }, [editor, selectedDocument])
 
+  // Opened from a search hit or citation: select the passage once the document is loaded
+  useEffect(() => {
+    if (!editor || !selectedDocument || (!highlightText && !highlightAnchor)) {
+      return
+    }
+
+    const timeoutId = setTimeout(() => {
+      highlightAnchorInEditor(editor, highlightAnchor, highlightText)
+    }, 100)
+
+    return () => clearTimeout(timeoutId)
+  }, [editor, selectedDocument, highlightText, highlightAnchor])
+
   // Auto-save functionality
   console.log('Editor - selectedDocument:', selectedDocument)
   console.log('Editor - selectedDocument?.id:', selectedDocument?.id)
@@ -1,6 +1,17 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo, useId } from 'react'
 import { useHybridSearch } from '../hooks/useHybridSearch'
 import { highlightSearchTerms } from '../lib/hybridSearch'
+import { parseSearchQuery, removeSearchFilter, describeSearchFilter } from '../lib/searchQuery'
+import { saveRecentSearch } from '../lib/recentSearches'
+
+/**
+ * Labels shown next to each suggestion
+ */
+const SUGGESTION_LABELS = {
+  recent: 'Recent',
+  title: 'Document',
+  entity: 'Entity'
+}
 
 const HybridSearchBox = ({ 
   documentId = null, 
@@ -13,6 +24,11 @@ const HybridSearchBox = ({
   const [query, setQuery] = useState('')
   const [searchMode, setSearchMode] = useState('hybrid') // 'hybrid', 'keyword', 'semantic'
   const [isExpanded, setIsExpanded] = useState(false)
+  const [activeSuggestion, setActiveSuggestion] = useState(-1)
+  const listboxId = useId()
+
+  // Filters and syntax errors shown as chips under the input
+  const parsedQuery = useMemo(() => parseSearchQuery(query), [query])
 
   const {
     isSearching,
@@ -20,12 +36,15 @@ const HybridSearchBox = ({
     searchQuery,
     searchError,
     searchStats,
+    suggestions,
     search,
     searchKeywords,
     searchSemantic,
     searchDocument,
     searchGlobal,
-    clearSearch
+    clearSearch,
+    suggest,
+    clearSuggestions
   } = useHybridSearch({
     debounceMs: 300,
     defaultLimit: documentId ? 5 : 10
@@ -33,7 +52,9 @@ const HybridSearchBox = ({
 
   // Handle search based on mode
   const handleSearch = (searchQuery) => {
-    if (!searchQuery.trim()) {
+    // Wait for search terms; a query of only filters has nothing to rank
+    const parsed = parseSearchQuery(searchQuery)
+    if (!searchQuery.trim() || !parsed.text || parsed.errors.length > 0) {
       clearSearch()
       return
     }
@@ -63,11 +84,69 @@ const HybridSearchBox = ({
     const newQuery = e.target.value
     setQuery(newQuery)
     handleSearch(newQuery)
+    suggest(newQuery)
+    setActiveSuggestion(-1)
     setIsExpanded(newQuery.length > 0)
   }
 
+  // Suggestions can shrink under the highlighted one
+  const activeIndex = activeSuggestion < suggestions.length ? activeSuggestion : -1
+
+  // Search for a suggestion and remember it
+  const handleSelectSuggestion = (suggestion) => {
+    setQuery(suggestion.text)
+    handleSearch(suggestion.text)
+    saveRecentSearch(suggestion.text)
+    clearSuggestions()
+    setActiveSuggestion(-1)
+    setIsExpanded(true)
+  }
+
+  // Arrow keys move through suggestions, Enter picks one, Escape closes
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        if (suggestions.length === 0) return
+        e.preventDefault()
+        setIsExpanded(true)
+        setActiveSuggestion((activeIndex + 1) % suggestions.length)
+        break
+      case 'ArrowUp':
+        if (suggestions.length === 0) return
+        e.preventDefault()
+        setIsExpanded(true)
+        setActiveSuggestion(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1)
+        break
+      case 'Enter':
+        if (activeIndex >= 0) {
+          e.preventDefault()
+          handleSelectSuggestion(suggestions[activeIndex])
+        } else {
+          saveRecentSearch(query)
+          clearSuggestions()
+        }
+        break
+      case 'Escape':
+        if (activeIndex >= 0 || suggestions.length > 0) {
+          clearSuggestions()
+          setActiveSuggestion(-1)
+        } else {
+          setIsExpanded(false)
+        }
+        break
+    }
+  }
+
+  // Drop a filter chip and search again without it
+  const handleRemoveFilter = (filter) => {
+    const newQuery = removeSearchFilter(query, filter)
+    setQuery(newQuery)
+    handleSearch(newQuery)
+  }
+
   // Handle result click
   const handleResultClick = (result) => {
+    saveRecentSearch(query)
     if (onResultClick) {
       onResultClick(result)
     }
@@ -101,8 +180,14 @@ const HybridSearchBox = ({
           type="text"
           value={query}
           onChange={handleInputChange}
+          onKeyDown={handleKeyDown}
           onFocus={() => setIsExpanded(query.length > 0)}
           placeholder={placeholder}
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={isExpanded && suggestions.length > 0}
+          aria-controls={listboxId}
+          aria-activedescendant={activeIndex >= 0 ? `${listboxId}-${activeIndex}` : undefined}
           className="w-full px-4 py-2 pr-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
         />
         
@@ -127,6 +212,32 @@ const HybridSearchBox = ({
         </div>
       </div>
 
+      {/* Query Filters */}
+      {(parsedQuery.filters.length > 0 || parsedQuery.errors.length > 0) && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {parsedQuery.filters.map(filter => (
+            <span
+              key={`${filter.field}-${filter.start}`}
+              className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800"
+            >
+              {describeSearchFilter(filter)}
+              <button
+                onClick={() => handleRemoveFilter(filter)}
+                className="ml-1 text-blue-500 hover:text-blue-800"
+                aria-label={`Remove filter: ${describeSearchFilter(filter)}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          {parsedQuery.errors.map(message => (
+            <span key={message} className="px-2 py-1 text-xs rounded-full bg-red-100 text-red-700">
+              {message}
+            </span>
+          ))}
+        </div>
+      )}
+
       {/* Search Mode Toggle */}
       {showModeToggle && (
         <div className="flex gap-2 mt-2">
@@ -152,6 +263,32 @@ const HybridSearchBox = ({
       {/* Search Results */}
       {isExpanded && (query || searchResults.length > 0) && (
         <div className="absolute top-full left-0 right-0 mt-1 bg-white border border-gray-300 rounded-lg shadow-lg z-50 max-h-96 overflow-y-auto">
+          {/* Suggestions */}
+          {suggestions.length > 0 && (
+            <ul id={listboxId} role="listbox" className="py-1 border-b">
+              {suggestions.map((suggestion, index) => (
+                <li
+                  key={`${suggestion.source}-${suggestion.text}`}
+                  id={`${listboxId}-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  onMouseDown={(e) => {
+                    // Keep focus in the input
+                    e.preventDefault()
+                    handleSelectSuggestion(suggestion)
+                  }}
+                  onMouseEnter={() => setActiveSuggestion(index)}
+                  className={`px-4 py-2 text-sm cursor-pointer flex justify-between items-center ${
+                    index === activeIndex ? 'bg-blue-50' : ''
+                  }`}
+                >
+                  <span className="text-gray-900 truncate">{suggestion.text}</span>
+                  <span className="ml-2 text-xs text-gray-400 shrink-0">{SUGGESTION_LABELS[suggestion.source]}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
           {/* Stats */}
           {showStats && searchStats.total > 0 && (
             <div className="px-4 py-2 text-xs text-gray-500 border-b">
@@ -176,10 +313,15 @@ const HybridSearchBox = ({
                   onClick={() => handleResultClick(result)}
                   className="px-4 py-3 hover:bg-gray-50 cursor-pointer border-b last:border-b-0"
                 >
+                  {result.headingPath.length > 0 && (
+                    <div className="text-xs text-blue-600 mb-1 truncate">
+                      {result.headingPath.join(' › ')}
+                    </div>
+                  )}
                   <div className="text-sm text-gray-900 mb-1">
                     <div 
                       dangerouslySetInnerHTML={{
-                        __html: highlightSearchTerms(result.preview, searchQuery)
+                        __html: highlightSearchTerms(result.preview, parseSearchQuery(searchQuery).text)
                       }}
                     />
                   </div>
@@ -1,262 +1,503 @@
-import { useEffect, useRef } from 'react'
-import * as d3 from 'd3'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { ForceGraph2D } from 'react-force-graph'
+import {
+  detectCommunities,
+  collapseCommunities,
+  searchNodes,
+  endpointId,
+  CLUSTER_THRESHOLD
+} from '../lib/graphClustering'
+
+// Node colours for entity types; concepts are coloured by connection count
+const ENTITY_TYPE_COLORS = {
+  person: "#f59e0b", // amber-500
+  org: "#ec4899", // pink-500
+  date: "#06b6d4" // cyan-500
+}
 
-const KnowledgeGraphVisualization = ({ data }) => {
-  const svgRef = useRef()
-  const containerRef = useRef()
+// Colours for picked nodes, the path between them and the searched-for node
+const SELECTED_COLOR = "#6ee7b7" // emerald-300
+const PATH_COLOR = "#fbbf24" // amber-400
+const FOCUS_COLOR = "#f0abfc" // fuchsia-300
+const CLUSTER_COLOR = "#475569" // slate-600
+
+// Colour for links without a relation type
+const LINK_COLOR = "#64748b" // slate-500
+
+// Zoom levels at which node and link labels appear
+const NODE_LABEL_ZOOM = 1.2
+const LINK_LABEL_ZOOM = 2.5
+
+// Graphs this large settle faster and draw without arrowheads
+const LARGE_GRAPH_LINKS = 2000
+
+// Link width; verified links are drawn thicker and merged links by count
+const linkWidth = (l) => l.aggregated ? Math.min(8, 1 + Math.log2(l.count)) : l.verified ? 3 : 2
+
+// Dashes for stale links and for relations inferred rather than stated
+const linkDash = (l) => l.inferred ? [1, 4] : l.stale ? [4, 4] : null
+
+// Node radius grows with the number of connections, clusters with their size
+const nodeRadius = (d) => d.type === 'cluster'
+  ? Math.min(40, 10 + Math.sqrt(d.size) * 3)
+  : Math.max(8, Math.min(20, d.connections * 3 + 8))
+
+const nodeColor = (d) => {
+  if (d.type === 'cluster') return CLUSTER_COLOR
+  if (ENTITY_TYPE_COLORS[d.entityType]) return ENTITY_TYPE_COLORS[d.entityType]
+
+  // Color other nodes based on their connection count
+  const connections = d.connections || 0
+  if (connections > 5) return "#10b981" // emerald-500
+  if (connections > 2) return "#3b82f6" // blue-500
+  return "#6366f1" // indigo-500
+}
+
+// Fade a #rrggbb colour
+const withAlpha = (hex, alpha) => {
+  if (alpha >= 1) return hex
+  const value = parseInt(hex.slice(1), 16)
+  return `rgba(${value >> 16}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`
+}
 
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const truncate = (label, length) => label.length > length ? label.substring(0, length) + "..." : label
+
+/**
+ * Force-directed knowledge graph drawn on a canvas, so graphs of 10,000+
+ * relationships stay responsive. Clicking a node calls onNodeClick with it;
+ * selectedNodeIds are outlined, and highlightedPath ({nodeIds, linkIds},
+ * where link ids are triplet ids) is drawn over the rest of the graph.
+ * Links are coloured by relation type (link.color); stale links (their
+ * evidence was deleted from the document) are dashed, inferred links dotted
+ * and verified links thicker. Clicking a link calls onLinkClick,
+ * and shift-dragging from one node to another calls onCreateLink(from, to).
+ *
+ * Large graphs are grouped into communities (src/lib/graphClustering.js)
+ * drawn as super-nodes; clicking one opens it, and clusters holding picked,
+ * highlighted or searched-for entities open by themselves. Labels appear
+ * once zoomed in far enough, and the search box centres on an entity.
+ */
+const KnowledgeGraphVisualization = ({
+  data,
+  onNodeClick,
+  onLinkClick,
+  onCreateLink,
+  selectedNodeIds = [],
+  selectedLinkId = null,
+  highlightedPath = null
+}) => {
+  const graphRef = useRef()
+  const containerRef = useRef()
+  const positionsRef = useRef(new Map())
+  const shiftRef = useRef(false)
+  const linkDraftRef = useRef(null)
+  const fitPendingRef = useRef(true)
+  const focusPendingRef = useRef(null)
+  const [size, setSize] = useState({ width: 0, height: 0 })
+  const [clusterChoice, setClusterChoice] = useState(null)
+  const [expanded, setExpanded] = useState(() => new Set())
+  const [hoverNode, setHoverNode] = useState(null)
+  const [query, setQuery] = useState('')
+  const [focusId, setFocusId] = useState(null)
+
+  const nodes = data?.nodes
+  const links = data?.links
+
+  // Large graphs are clustered unless the user turned it off
+  const clustering = clusterChoice ?? (nodes?.length || 0) > CLUSTER_THRESHOLD
+
+  // A new graph starts with its clusters closed, and is fitted to the view
   useEffect(() => {
-    if (!data || !data.nodes || !data.links || data.nodes.length === 0) {
+    setExpanded(new Set())
+    setFocusId(null)
+    setHoverNode(null)
+    positionsRef.current = new Map()
+    fitPendingRef.current = true
+  }, [nodes, links])
+
+  const communities = useMemo(
+    () => clustering && nodes ? detectCommunities(nodes, links) : null,
+    [clustering, nodes, links]
+  )
+
+  // Clusters holding entities that must stay visible open by themselves. Kept
+  // as a string, so picking another node in an open cluster leaves the layout be
+  const openClusters = useMemo(() => {
+    const open = new Set(expanded)
+    if (communities) {
+      const visible = [...selectedNodeIds, ...(highlightedPath?.nodeIds || []), focusId]
+      visible.forEach(id => communities.has(id) && open.add(communities.get(id)))
+    }
+    return [...open].sort().join(',')
+  }, [communities, expanded, selectedNodeIds, highlightedPath, focusId])
+
+  // What is drawn: copies, so the simulation never moves the page's objects,
+  // starting where the same node (or its cluster's members) was last drawn
+  const graphData = useMemo(() => {
+    if (!nodes || !links) return { nodes: [], links: [] }
+
+    const view = communities
+      ? collapseCommunities({ nodes, links }, communities, { expanded: new Set(openClusters.split(',')) })
+      : { nodes: nodes.map(node => ({ ...node })), links: links.map(link => ({ ...link })) }
+
+    const positions = positionsRef.current
+    view.nodes.forEach(node => {
+      const known = positions.get(node.id) ||
+        (node.members || [node.id]).map(id => positions.get(id)).find(Boolean) ||
+        (communities && positions.get(`cluster:${communities.get(node.id)}`))
+      if (known) {
+        node.x = known.x
+        node.y = known.y
+      }
+    })
+
+    return view
+  }, [nodes, links, communities, openClusters])
+
+  // Neighbours of each drawn node, for hover highlighting
+  const neighbors = useMemo(() => {
+    const adjacency = new Map()
+    graphData.links.forEach(link => {
+      const source = endpointId(link.source)
+      const target = endpointId(link.target)
+      for (const [from, to] of [[source, target], [target, source]]) {
+        if (!adjacency.has(from)) adjacency.set(from, { nodes: new Set([from]), links: new Set() })
+        adjacency.get(from).nodes.add(to)
+        adjacency.get(from).links.add(link)
+      }
+    })
+    return adjacency
+  }, [graphData])
+
+  const isLarge = graphData.links.length > LARGE_GRAPH_LINKS
+  const selected = useMemo(() => new Set(selectedNodeIds), [selectedNodeIds])
+  const pathNodes = useMemo(() => new Set(highlightedPath?.nodeIds || []), [highlightedPath])
+  const pathLinks = useMemo(() => new Set(highlightedPath?.linkIds || []), [highlightedPath])
+  const hasPath = pathLinks.size > 0
+  const hovered = hoverNode ? neighbors.get(hoverNode.id) : null
+
+  const nodeAlpha = (node) => {
+    if (hovered) return hovered.nodes.has(node.id) ? 1 : 0.3
+    return !hasPath || pathNodes.has(node.id) ? 1 : 0.3
+  }
+
+  const isPathLink = (link) => pathLinks.has(link.id) || (link.linkIds || []).some(id => pathLinks.has(id))
+
+  const linkAlpha = (link) => {
+    if (link.id === selectedLinkId) return 1
+    if (hovered) return hovered.links.has(link) ? 1 : 0.1
+    return !hasPath ? 0.6 : isPathLink(link) ? 1 : 0.1
+  }
+
+  const linkStroke = (link) => {
+    const color = link.id === selectedLinkId ? SELECTED_COLOR
+      : isPathLink(link) ? PATH_COLOR
+      : link.color || LINK_COLOR
+    return withAlpha(color, linkAlpha(link))
+  }
+
+  const drawNode = (node, ctx, globalScale) => {
+    const radius = nodeRadius(node)
+    const alpha = nodeAlpha(node)
+    const ring = node.id === focusId ? FOCUS_COLOR
+      : selected.has(node.id) ? SELECTED_COLOR
+      : pathNodes.has(node.id) ? PATH_COLOR
+      : "#ffffff"
+
+    ctx.globalAlpha = alpha
+    ctx.beginPath()
+    ctx.arc(node.x, node.y, radius, 0, 2 * Math.PI)
+    ctx.fillStyle = nodeColor(node)
+    ctx.fill()
+    ctx.lineWidth = (ring === "#ffffff" ? 2 : 4) / Math.max(1, globalScale / 2)
+    ctx.strokeStyle = ring
+    if (node.type === 'cluster') ctx.setLineDash([3, 3])
+    ctx.stroke()
+    ctx.setLineDash([])
+
+    // Labels only once they are readable, except for nodes that matter now
+    const important = node.type === 'cluster' || ring !== "#ffffff" || node.id === hoverNode?.id
+    if (globalScale >= NODE_LABEL_ZOOM || important || radius * globalScale >= 24) {
+      const fontSize = Math.max(12 / globalScale, 2)
+      ctx.font = `500 ${fontSize}px Inter, sans-serif`
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+      ctx.fillStyle = '#ffffff'
+      const label = truncate(node.label || node.id, 15)
+      ctx.fillText(node.type === 'cluster' ? `${label} +${node.size - 1}` : label, node.x, node.type === 'cluster' ? node.y : node.y + radius + fontSize)
+    }
+    ctx.globalAlpha = 1
+  }
+
+  const paintNodeArea = (node, color, ctx) => {
+    ctx.fillStyle = color
+    ctx.beginPath()
+    ctx.arc(node.x, node.y, nodeRadius(node), 0, 2 * Math.PI)
+    ctx.fill()
+  }
+
+  const drawLinkLabel = (link, ctx, globalScale) => {
+    if (globalScale < LINK_LABEL_ZOOM && link.id !== selectedLinkId && !isPathLink(link)) return
+    if (!link.label || typeof link.source !== 'object') return
+
+    const fontSize = Math.max(10 / globalScale, 1.5)
+    ctx.font = `${fontSize}px Inter, sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'bottom'
+    ctx.fillStyle = link.id === selectedLinkId ? SELECTED_COLOR
+      : isPathLink(link) ? PATH_COLOR
+      : withAlpha("#94a3b8", Math.max(linkAlpha(link), 0.3))
+    ctx.fillText(link.label, (link.source.x + link.target.x) / 2, (link.source.y + link.target.y) / 2 - 2 / globalScale)
+  }
+
+  // The relationship being drawn with shift-drag
+  const drawLinkDraft = (ctx, globalScale) => {
+    const draft = linkDraftRef.current
+    if (!draft) return
+
+    ctx.strokeStyle = SELECTED_COLOR
+    ctx.lineWidth = 2 / globalScale
+    ctx.setLineDash([6 / globalScale, 4 / globalScale])
+    ctx.beginPath()
+    ctx.moveTo(draft.x, draft.y)
+    ctx.lineTo(draft.node.x, draft.node.y)
+    ctx.stroke()
+    ctx.setLineDash([])
+  }
+
+  const handleNodeClick = (node) => {
+    if (node.type === 'cluster') {
+      setExpanded(current => new Set(current).add(node.community))
       return
     }
+    onNodeClick?.(node)
+  }
+
+  const handleLinkClick = (link) => {
+    if (link.aggregated) return
+    onLinkClick?.(link)
+  }
+
+  // Shift-dragging draws a new link instead of moving the node
+  const handleNodeDrag = (node, translate) => {
+    if (!linkDraftRef.current && shiftRef.current && onCreateLink && node.type !== 'cluster') {
+      linkDraftRef.current = { node, x: node.x - translate.x, y: node.y - translate.y }
+    }
+  }
 
-    // Clear previous visualization
-    d3.select(svgRef.current).selectAll("*").remove()
-
-    const container = containerRef.current
-    const width = container.clientWidth
-    const height = container.clientHeight
-
-    // Create SVG
-    const svg = d3.select(svgRef.current)
-      .attr("width", width)
-      .attr("height", height)
-
-    // Create zoom behavior
-    const zoom = d3.zoom()
-      .scaleExtent([0.1, 4])
-      .on("zoom", (event) => {
-        g.attr("transform", event.transform)
-      })
-
-    svg.call(zoom)
-
-    // Create main group for zooming/panning
-    const g = svg.append("g")
-
-    // Create arrow markers for directed edges
-    svg.append("defs").selectAll("marker")
-      .data(["end"])
-      .enter().append("marker")
-      .attr("id", "arrowhead")
-      .attr("viewBox", "0 -5 10 10")
-      .attr("refX", 20)
-      .attr("refY", 0)
-      .attr("markerWidth", 6)
-      .attr("markerHeight", 6)
-      .attr("orient", "auto")
-      .append("path")
-      .attr("d", "M0,-5L10,0L0,5")
-      .attr("fill", "#64748b")
-
-    // Create force simulation
-    const simulation = d3.forceSimulation(data.nodes)
-      .force("link", d3.forceLink(data.links).id(d => d.id).distance(100))
-      .force("charge", d3.forceManyBody().strength(-300))
-      .force("center", d3.forceCenter(width / 2, height / 2))
-      .force("collision", d3.forceCollide().radius(30))
-
-    // Create links
-    const link = g.append("g")
-      .selectAll("line")
-      .data(data.links)
-      .enter().append("line")
-      .attr("stroke", "#64748b")
-      .attr("stroke-opacity", 0.6)
-      .attr("stroke-width", 2)
-      .attr("marker-end", "url(#arrowhead)")
-
-    // Create link labels
-    const linkLabel = g.append("g")
-      .selectAll("text")
-      .data(data.links)
-      .enter().append("text")
-      .attr("font-family", "Inter, sans-serif")
-      .attr("font-size", "10px")
-      .attr("fill", "#94a3b8")
-      .attr("text-anchor", "middle")
-      .attr("dy", -5)
-      .text(d => d.label)
-
-    // Create nodes
-    const node = g.append("g")
-      .selectAll("circle")
-      .data(data.nodes)
-      .enter().append("circle")
-      .attr("r", d => Math.max(8, Math.min(20, d.connections * 3 + 8)))
-      .attr("fill", d => {
-        // Color nodes based on their connection count
-        const connections = d.connections || 0
-        if (connections > 5) return "#10b981" // emerald-500
-        if (connections > 2) return "#3b82f6" // blue-500
-        return "#6366f1" // indigo-500
-      })
-      .attr("stroke", "#ffffff")
-      .attr("stroke-width", 2)
-      .style("cursor", "pointer")
-      .call(d3.drag()
-        .on("start", dragstarted)
-        .on("drag", dragged)
-        .on("end", dragended))
-
-    // Create node labels
-    const nodeLabel = g.append("g")
-      .selectAll("text")
-      .data(data.nodes)
-      .enter().append("text")
-      .attr("font-family", "Inter, sans-serif")
-      .attr("font-size", "12px")
-      .attr("font-weight", "500")
-      .attr("fill", "#ffffff")
-      .attr("text-anchor", "middle")
-      .attr("dy", 4)
-      .style("pointer-events", "none")
-      .style("user-select", "none")
-      .text(d => {
-        // Truncate long labels
-        const label = d.label || d.id
-        return label.length > 15 ? label.substring(0, 15) + "..." : label
-      })
-
-    // Add hover effects
-    node
-      .on("mouseover", function(event, d) {
-        // Highlight connected nodes and links
-        const connectedNodes = new Set()
-        const connectedLinks = new Set()
-
-        data.links.forEach(link => {
-          if (link.source.id === d.id || link.target.id === d.id) {
-            connectedNodes.add(link.source.id)
-            connectedNodes.add(link.target.id)
-            connectedLinks.add(link)
-          }
-        })
+  const handleNodeDragEnd = (node) => {
+    const draft = linkDraftRef.current
+    if (draft) {
+      linkDraftRef.current = null
 
-        // Dim non-connected elements
-        node.style("opacity", n => connectedNodes.has(n.id) ? 1 : 0.3)
-        link.style("opacity", l => connectedLinks.has(l) ? 1 : 0.1)
-        linkLabel.style("opacity", l => connectedLinks.has(l) ? 1 : 0.1)
-        nodeLabel.style("opacity", n => connectedNodes.has(n.id) ? 1 : 0.3)
-
-        // Show tooltip
-        showTooltip(event, d)
-      })
-      .on("mouseout", function() {
-        // Reset opacity
-        node.style("opacity", 1)
-        link.style("opacity", 0.6)
-        linkLabel.style("opacity", 1)
-        nodeLabel.style("opacity", 1)
-
-        // Hide tooltip
-        hideTooltip()
-      })
-
-    // Tooltip
-    const tooltip = d3.select("body").append("div")
-      .attr("class", "knowledge-graph-tooltip")
-      .style("position", "absolute")
-      .style("visibility", "hidden")
-      .style("background", "rgba(0, 0, 0, 0.8)")
-      .style("color", "white")
-      .style("padding", "8px 12px")
-      .style("border-radius", "6px")
-      .style("font-size", "12px")
-      .style("font-family", "Inter, sans-serif")
-      .style("pointer-events", "none")
-      .style("z-index", "1000")
-
-    function showTooltip(event, d) {
-      const connections = d.connections || 0
-      tooltip
-        .style("visibility", "visible")
-        .html(`
-          <div><strong>${d.label || d.id}</strong></div>
-          <div>Connections: ${connections}</div>
-        `)
-        .style("left", (event.pageX + 10) + "px")
-        .style("top", (event.pageY - 10) + "px")
-    }
+      const target = graphData.nodes.find(n => n !== node && n.type !== 'cluster' &&
+        Math.hypot(n.x - node.x, n.y - node.y) <= nodeRadius(n) + 4)
 
-    function hideTooltip() {
-      tooltip.style("visibility", "hidden")
+      // Put the node back where the drag started
+      node.x = node.fx = draft.x
+      node.y = node.fy = draft.y
+      setTimeout(() => { node.fx = undefined; node.fy = undefined }, 0)
+
+      if (target) onCreateLink?.(node, target)
+      return
     }
 
-    // Update positions on simulation tick
-    simulation.on("tick", () => {
-      link
-        .attr("x1", d => d.source.x)
-        .attr("y1", d => d.source.y)
-        .attr("x2", d => d.target.x)
-        .attr("y2", d => d.target.y)
-
-      linkLabel
-        .attr("x", d => (d.source.x + d.target.x) / 2)
-        .attr("y", d => (d.source.y + d.target.y) / 2)
-
-      node
-        .attr("cx", d => d.x)
-        .attr("cy", d => d.y)
-
-      nodeLabel
-        .attr("x", d => d.x)
-        .attr("y", d => d.y)
+    node.fx = undefined
+    node.fy = undefined
+    positionsRef.current.set(node.id, { x: node.x, y: node.y })
+  }
+
+  // Remember where nodes settled, so re-clustering keeps the layout
+  const handleEngineStop = () => {
+    graphData.nodes.forEach(node => {
+      positionsRef.current.set(node.id, { x: node.x, y: node.y })
+      node.members?.forEach(id => positionsRef.current.set(id, { x: node.x, y: node.y }))
     })
 
-    // Drag functions
-    function dragstarted(event, d) {
-      if (!event.active) simulation.alphaTarget(0.3).restart()
-      d.fx = d.x
-      d.fy = d.y
+    if (focusPendingRef.current) {
+      centerOnFocus()
+    } else if (fitPendingRef.current) {
+      graphRef.current?.zoomToFit(400, 40)
     }
+    fitPendingRef.current = false
+  }
+
+  const nodeTooltip = (node) => node.type === 'cluster'
+    ? `<div><strong>${escapeHtml(node.label)}</strong> and ${node.size - 1} more</div><div>Click to open this cluster</div>`
+    : `<div><strong>${escapeHtml(node.label || node.id)}</strong></div>` +
+      (node.entityType ? `<div>Type: ${escapeHtml(node.entityType)}</div>` : '') +
+      `<div>Connections: ${node.connections || 0}</div>`
+
+  // Search-to-focus
+  const matches = useMemo(() => searchNodes(nodes || [], query), [nodes, query])
+
+  const focusNode = (node) => {
+    focusPendingRef.current = node.id
+    setFocusId(node.id)
+    setQuery('')
+  }
+
+  // Centre on the searched-for entity, once it has a place on the canvas
+  const centerOnFocus = () => {
+    const node = graphData.nodes.find(n => n.id === focusPendingRef.current)
+    if (!node || !Number.isFinite(node.x) || !graphRef.current) return
+
+    focusPendingRef.current = null
+    graphRef.current.centerAt(node.x, node.y, 600)
+    graphRef.current.zoom(NODE_LABEL_ZOOM * 2, 600)
+  }
+
+  // Its cluster opens first; if it has no position yet, the layout settling does it
+  useEffect(() => {
+    if (focusPendingRef.current) centerOnFocus()
+  })
 
-    function dragged(event, d) {
-      d.fx = event.x
-      d.fy = event.y
-    }
+  const showGraph = graphData.nodes.length > 0 && size.width > 0
 
-    function dragended(event, d) {
-      if (!event.active) simulation.alphaTarget(0)
-      d.fx = null
-      d.fy = null
-    }
+  // Spread the layout out more for small graphs
+  useEffect(() => {
+    const graph = graphRef.current
+    if (!graph) return
+    graph.d3Force('charge')?.strength(isLarge ? -60 : -300)
+    graph.d3Force('link')?.distance(link => link.aggregated ? 160 : isLarge ? 40 : 100)
+  }, [graphData, isLarge, showGraph])
 
-    // Cleanup function
+  // Track shift for drawing links
+  useEffect(() => {
+    const handleKey = (e) => { shiftRef.current = e.shiftKey }
+    window.addEventListener('keydown', handleKey)
+    window.addEventListener('keyup', handleKey)
     return () => {
-      simulation.stop()
-      d3.select("body").selectAll(".knowledge-graph-tooltip").remove()
+      window.removeEventListener('keydown', handleKey)
+      window.removeEventListener('keyup', handleKey)
     }
-
-  }, [data])
+  }, [])
 
   // Handle window resize
   useEffect(() => {
     const handleResize = () => {
-      if (containerRef.current && svgRef.current) {
-        const width = containerRef.current.clientWidth
-        const height = containerRef.current.clientHeight
-        d3.select(svgRef.current)
-          .attr("width", width)
-          .attr("height", height)
+      if (containerRef.current) {
+        setSize({
+          width: containerRef.current.clientWidth,
+          height: containerRef.current.clientHeight
+        })
       }
     }
 
+    handleResize()
     window.addEventListener('resize', handleResize)
     return () => window.removeEventListener('resize', handleResize)
   }, [])
 
+  // One legend entry per relation type shown
+  const relationLegend = Array.from(new Map((links || [])
+    .filter(link => link.relationType)
+    .map(link => [link.relationType, link])).values())
+
+  const clusterCount = graphData.nodes.filter(node => node.type === 'cluster').length
+
   return (
     <div ref={containerRef} className="w-full h-full relative">
-      <svg ref={svgRef} className="w-full h-full"></svg>
+      {showGraph && (
+        <ForceGraph2D
+          ref={graphRef}
+          width={size.width}
+          height={size.height}
+          graphData={graphData}
+          backgroundColor="rgba(0,0,0,0)"
+          nodeId="id"
+          nodeLabel={nodeTooltip}
+          nodeCanvasObject={drawNode}
+          nodePointerAreaPaint={paintNodeArea}
+          linkColor={linkStroke}
+          linkWidth={link => link.id === selectedLinkId || isPathLink(link) ? 4 : linkWidth(link)}
+          linkLineDash={linkDash}
+          linkDirectionalArrowLength={isLarge ? 0 : 6}
+          linkDirectionalArrowRelPos={1}
+          linkDirectionalArrowColor={linkStroke}
+          linkCanvasObjectMode={() => 'after'}
+          linkCanvasObject={drawLinkLabel}
+          linkHoverPrecision={4}
+          onNodeClick={handleNodeClick}
+          onLinkClick={onLinkClick ? handleLinkClick : undefined}
+          onNodeHover={setHoverNode}
+          onNodeDrag={handleNodeDrag}
+          onNodeDragEnd={handleNodeDragEnd}
+          onRenderFramePost={drawLinkDraft}
+          onEngineStop={handleEngineStop}
+          cooldownTime={isLarge ? 4000 : 15000}
+          d3AlphaDecay={isLarge ? 0.05 : 0.0228}
+          minZoom={0.05}
+          maxZoom={8}
+        />
+      )}
+
+      {/* Search and clustering */}
+      {nodes?.length > 0 && (
+        <div className="absolute top-4 left-4 w-64 bg-black/50 rounded-lg p-2 space-y-2">
+          <div className="relative">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && matches[0] && focusNode(matches[0])}
+              placeholder="Find an entity…"
+              className="w-full px-2 py-1 bg-white/10 border border-white/20 rounded text-white text-sm placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            />
+            {query && (
+              <div className="absolute left-0 right-0 mt-1 bg-slate-900/95 border border-white/20 rounded z-10">
+                {matches.length === 0 ? (
+                  <div className="px-2 py-1 text-xs text-white/60">No matching entity</div>
+                ) : matches.map(node => (
+                  <button
+                    key={node.id}
+                    onClick={() => focusNode(node)}
+                    className="w-full text-left px-2 py-1 text-sm text-white hover:bg-white/10"
+                  >
+                    {node.label}
+                    {node.entityType && <span className="ml-1 text-xs text-white/50">{node.entityType}</span>}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <label className="flex items-center gap-2 text-xs text-white/70">
+            <input
+              type="checkbox"
+              checked={clustering}
+              onChange={(e) => { setClusterChoice(e.target.checked); setExpanded(new Set()) }}
+            />
+            Group into clusters
+            {clusterCount > 0 && <span className="text-white/50">({clusterCount} closed)</span>}
+          </label>
+          {clustering && expanded.size > 0 && (
+            <button
+              onClick={() => setExpanded(new Set())}
+              className="text-xs text-white/60 hover:text-white"
+            >
+              Close all clusters
+            </button>
+          )}
+        </div>
+      )}
 
       {/* Controls */}
       <div className="absolute top-4 right-4 bg-black/50 rounded-lg p-2 space-y-2">
         <div className="text-white text-xs font-medium">Controls:</div>
         <div className="text-white/70 text-xs space-y-1">
           <div>• Drag nodes to move</div>
-          <div>• Scroll to zoom</div>
+          <div>• Scroll to zoom; labels appear up close</div>
           <div>• Hover for details</div>
+          {onNodeClick && <div>• Click to pick entities</div>}
+          {clustering && <div>• Click a cluster to open it</div>}
+          {onLinkClick && <div>• Click a relationship to edit it</div>}
+          {onCreateLink && <div>• Shift-drag between entities to link them</div>}
         </div>
       </div>
 
@@ -277,6 +518,58 @@ const KnowledgeGraphVisualization = ({ data }) => {
             <span>Many connections</span>
           </div>
         </div>
+        <div className="text-white text-xs font-medium mt-2 mb-2">Entity Type:</div>
+        <div className="flex items-center gap-3 text-xs text-white/70">
+          <div className="flex items-center gap-1">
+            <div className="w-3 h-3 bg-amber-500 rounded-full"></div>
+            <span>Person</span>
+          </div>
+          <div className="flex items-center gap-1">
+            <div className="w-3 h-3 bg-pink-500 rounded-full"></div>
+            <span>Organisation</span>
+          </div>
+          <div className="flex items-center gap-1">
+            <div className="w-3 h-3 bg-cyan-500 rounded-full"></div>
+            <span>Date</span>
+          </div>
+          {clusterCount > 0 && (
+            <div className="flex items-center gap-1">
+              <div className="w-4 h-4 bg-slate-600 border border-dashed border-white rounded-full"></div>
+              <span>Cluster</span>
+            </div>
+          )}
+        </div>
+        {relationLegend.length > 0 && (
+          <>
+            <div className="text-white text-xs font-medium mt-2 mb-2">Relation Type:</div>
+            <div className="flex flex-wrap items-center gap-x-3 gap-y-1 max-w-xs text-xs text-white/70">
+              {relationLegend.map(({ relationType, relationLabel, color }) => (
+                <div key={relationType} className="flex items-center gap-1">
+                  <div className="w-4 border-t-2" style={{ borderColor: color || LINK_COLOR }}></div>
+                  <span>{relationLabel}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+        {links?.some(link => link.verified) && (
+          <div className="flex items-center gap-2 mt-2 text-xs text-white/70">
+            <div className="w-6 border-t-4 border-slate-400"></div>
+            <span>Verified</span>
+          </div>
+        )}
+        {links?.some(link => link.inferred) && (
+          <div className="flex items-center gap-2 mt-2 text-xs text-white/70">
+            <div className="w-6 border-t-2 border-dotted border-slate-400"></div>
+            <span>Inferred</span>
+          </div>
+        )}
+        {links?.some(link => link.stale) && (
+          <div className="flex items-center gap-2 mt-2 text-xs text-white/70">
+            <div className="w-6 border-t-2 border-dashed border-slate-400"></div>
+            <span>Evidence deleted (stale)</span>
+          </div>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,260 @@
+// Relation types of the knowledge graph ontology
+// Edit this list to change how raw predicates are typed (see src/lib/ontology.js).
+//
+// Each relation type has:
+//   id            - stored in knowledge_graph.relation_type
+//   label         - how the graph names the relation
+//   inverse       - id of the same relation read the other way, if any
+//   symmetric     - the relation reads the same both ways
+//   transitive    - A→B and B→C imply A→C
+//   subjectTypes  - entity types allowed as subject (null allows any)
+//   objectTypes   - entity types allowed as object (null allows any)
+//   color         - edge colour in the graph; inverse pairs share one
+//   predicates    - raw predicates that map to it. Matching ignores case,
+//                   tense, articles and adverbs, so "is a subset of" also
+//                   covers "were subsets of" and "is also a subset of"
+
+export const RELATION_TYPES = [
+  {
+    id: 'is_a',
+    label: 'is a',
+    inverse: 'has_kind',
+    symmetric: false,
+    transitive: true,
+    subjectTypes: null,
+    objectTypes: ['concept'],
+    color: '#60a5fa', // blue-400
+    predicates: [
+      'is a', 'is a type of', 'is a kind of', 'is a form of', 'is an example of', 'is a class of',
+      'is a category of', 'is classified as', 'is considered', 'is one of'
+    ]
+  },
+  {
+    id: 'has_kind',
+    label: 'has kind',
+    inverse: 'is_a',
+    symmetric: false,
+    transitive: true,
+    subjectTypes: ['concept'],
+    objectTypes: null,
+    color: '#60a5fa',
+    predicates: ['has types such as', 'includes types such as']
+  },
+  {
+    id: 'part_of',
+    label: 'part of',
+    inverse: 'has_part',
+    symmetric: false,
+    transitive: true,
+    subjectTypes: null,
+    objectTypes: ['concept', 'org'],
+    color: '#a78bfa', // violet-400
+    predicates: [
+      'is a subset of', 'is part of', 'is a branch of', 'is a component of', 'is a subfield of',
+      'is a field of', 'is a member of', 'belongs to', 'is included in', 'is contained in'
+    ]
+  },
+  {
+    id: 'has_part',
+    label: 'has part',
+    inverse: 'part_of',
+    symmetric: false,
+    transitive: true,
+    subjectTypes: ['concept', 'org'],
+    objectTypes: null,
+    color: '#a78bfa',
+    predicates: ['includes', 'contains', 'consists of', 'comprises', 'is composed of', 'is made up of']
+  },
+  {
+    id: 'created_by',
+    label: 'created by',
+    inverse: 'created',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: ['concept', 'org'],
+    objectTypes: ['person', 'org'],
+    color: '#f472b6', // pink-400
+    predicates: [
+      'was developed by', 'was created by', 'was invented by', 'was designed by', 'was built by',
+      'was founded by', 'was written by', 'was proposed by', 'was introduced by', 'was coined by',
+      'was pioneered by', 'was discovered by', 'was authored by', 'was established by',
+      'was produced by', 'was made by', 'was released by', 'was published by'
+    ]
+  },
+  {
+    id: 'created',
+    label: 'created',
+    inverse: 'created_by',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: ['person', 'org'],
+    objectTypes: ['concept', 'org'],
+    color: '#f472b6',
+    predicates: [
+      'developed', 'created', 'invented', 'designed', 'built', 'founded', 'wrote', 'proposed',
+      'introduced', 'coined', 'pioneered', 'discovered', 'authored', 'established', 'produced',
+      'made', 'released', 'published'
+    ]
+  },
+  {
+    id: 'uses',
+    label: 'uses',
+    inverse: 'used_by',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: null,
+    objectTypes: ['concept', 'org'],
+    color: '#34d399', // emerald-400
+    predicates: [
+      'uses', 'is built with', 'is built on', 'is based on', 'relies on', 'depends on', 'utilizes',
+      'utilises', 'is powered by', 'is implemented in', 'is written in', 'requires', 'employs',
+      'leverages', 'is developed using', 'developed using'
+    ]
+  },
+  {
+    id: 'used_by',
+    label: 'used by',
+    inverse: 'uses',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: ['concept', 'org'],
+    objectTypes: null,
+    color: '#34d399',
+    predicates: ['is used by', 'is used in', 'powers', 'is utilized by', 'is required by', 'underlies']
+  },
+  {
+    id: 'located_in',
+    label: 'located in',
+    inverse: 'location_of',
+    symmetric: false,
+    transitive: true,
+    subjectTypes: ['person', 'org', 'concept'],
+    objectTypes: ['concept'],
+    color: '#fbbf24', // amber-400
+    predicates: ['is located in', 'is based in', 'is headquartered in', 'lives in', 'is situated in']
+  },
+  {
+    id: 'location_of',
+    label: 'location of',
+    inverse: 'located_in',
+    symmetric: false,
+    transitive: true,
+    subjectTypes: ['concept'],
+    objectTypes: ['person', 'org', 'concept'],
+    color: '#fbbf24',
+    predicates: ['is home to', 'hosts']
+  },
+  {
+    id: 'works_for',
+    label: 'works for',
+    inverse: 'employs',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: ['person'],
+    objectTypes: ['org'],
+    color: '#fb923c', // orange-400
+    predicates: ['works at', 'works for', 'is employed by', 'joined', 'is a researcher at', 'leads', 'heads']
+  },
+  {
+    id: 'employs',
+    label: 'employs',
+    inverse: 'works_for',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: ['org'],
+    objectTypes: ['person'],
+    color: '#fb923c',
+    predicates: ['employs', 'hired', 'is led by', 'is headed by']
+  },
+  {
+    id: 'happened_in',
+    label: 'happened in',
+    inverse: null,
+    symmetric: false,
+    transitive: false,
+    subjectTypes: null,
+    objectTypes: ['date'],
+    color: '#22d3ee', // cyan-400
+    predicates: [
+      'was published in', 'published in', 'was released in', 'released in', 'was founded in',
+      'founded in', 'was born in', 'born in', 'was introduced in', 'introduced in', 'was launched in',
+      'launched in', 'was established in', 'was invented in', 'was created in', 'was developed in',
+      'was proposed in', 'occurred in', 'happened in', 'began in', 'started in', 'died in', 'dates from'
+    ]
+  },
+  {
+    id: 'influences',
+    label: 'influences',
+    inverse: 'influenced_by',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: null,
+    objectTypes: null,
+    color: '#f87171', // red-400
+    predicates: [
+      'influenced', 'inspired', 'shaped', 'led to', 'enabled', 'revolutionized', 'revolutionised',
+      'transformed', 'affects', 'emerged from'
+    ]
+  },
+  {
+    id: 'influenced_by',
+    label: 'influenced by',
+    inverse: 'influences',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: null,
+    objectTypes: null,
+    color: '#f87171',
+    predicates: ['was influenced by', 'was inspired by', 'was shaped by', 'was enabled by', 'is affected by']
+  },
+  {
+    id: 'evaluates',
+    label: 'evaluates',
+    inverse: 'evaluated_by',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: null,
+    objectTypes: null,
+    color: '#c084fc', // purple-400
+    predicates: ['evaluates', 'measures', 'tests', 'assesses', 'benchmarks']
+  },
+  {
+    id: 'evaluated_by',
+    label: 'evaluated by',
+    inverse: 'evaluates',
+    symmetric: false,
+    transitive: false,
+    subjectTypes: null,
+    objectTypes: null,
+    color: '#c084fc',
+    predicates: ['is evaluated by', 'is measured by', 'is tested by', 'is assessed by']
+  },
+  {
+    id: 'same_as',
+    label: 'same as',
+    inverse: null,
+    symmetric: true,
+    transitive: true,
+    subjectTypes: null,
+    objectTypes: null,
+    color: '#e2e8f0', // slate-200
+    predicates: [
+      'is also known as', 'also known as', 'is known as', 'is called', 'is an alias of', 'is the same as',
+      'stands for', 'is short for', 'is abbreviated as'
+    ]
+  },
+  {
+    id: 'related_to',
+    label: 'related to',
+    inverse: null,
+    symmetric: true,
+    transitive: false,
+    subjectTypes: null,
+    objectTypes: null,
+    color: '#94a3b8', // slate-400
+    predicates: [
+      'is related to', 'is associated with', 'is linked to', 'is connected to', 'collaborated with',
+      'worked with', 'competes with', 'partnered with', 'interacts with', 'is similar to', 'converses with'
+    ]
+  }
+]
@@ -1,10 +1,49 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import { supabase } from '../lib/supabase'
+import { reindexDocument } from '../lib/embeddings'
+
+// Re-index once the user has stopped saving for this long
+const REINDEX_DELAY_MS = 10000
 
 export const useAutoSave = (editor, documentId) => {
   const [saveStatus, setSaveStatus] = useState('idle') // 'idle' | 'saving' | 'saved' | 'error'
   const debounceTimeoutRef = useRef(null)
   const statusTimeoutRef = useRef(null)
+  const reindexTimeoutRef = useRef(null)
+  const reindexStateRef = useRef({ running: false, pending: false })
+
+  // Keep search, RAG and the knowledge graph in sync with saved edits.
+  // Runs in the background; a save during a run queues one more run.
+  const runReindex = useCallback(async () => {
+    if (!documentId) return
+
+    const state = reindexStateRef.current
+    if (state.running) {
+      state.pending = true
+      return
+    }
+
+    state.running = true
+    try {
+      const result = await reindexDocument(documentId)
+      if (!result.success) {
+        console.warn('Background reindex failed:', result.error)
+      }
+    } finally {
+      state.running = false
+      if (state.pending) {
+        state.pending = false
+        runReindex()
+      }
+    }
+  }, [documentId])
+
+  const scheduleReindex = useCallback(() => {
+    if (reindexTimeoutRef.current) {
+      clearTimeout(reindexTimeoutRef.current)
+    }
+    reindexTimeoutRef.current = setTimeout(runReindex, REINDEX_DELAY_MS)
+  }, [runReindex])
 
   const saveToSupabase = useCallback(async (content) => {
     console.log('saveToSupabase called with documentId:', documentId)
@@ -36,6 +75,8 @@ export const useAutoSave = (editor, documentId) => {
       setSaveStatus('saved')
       console.log('Document auto-saved successfully')
 
+      scheduleReindex()
+
       // Reset to idle after 2 seconds
       if (statusTimeoutRef.current) {
         clearTimeout(statusTimeoutRef.current)
@@ -56,7 +97,7 @@ export const useAutoSave = (editor, documentId) => {
         setSaveStatus('idle')
       }, 2000)
     }
-  }, [documentId])
+  }, [documentId, scheduleReindex])
 
   const debouncedSave = useCallback((content) => {
     console.log('debouncedSave called, setting 2-second timer...')
@@ -104,8 +145,15 @@ export const useAutoSave = (editor, documentId) => {
       if (statusTimeoutRef.current) {
         clearTimeout(statusTimeoutRef.current)
       }
+
+      // Switching documents re-indexes the one being left right away
+      if (reindexTimeoutRef.current) {
+        clearTimeout(reindexTimeoutRef.current)
+        reindexTimeoutRef.current = null
+        runReindex()
+      }
     }
-  }, [editor, documentId, debouncedSave])
+  }, [editor, documentId, debouncedSave, runReindex])
 
   // Manual save function (optional - for immediate saves)
   const saveNow = useCallback(() => {
@@ -1,5 +1,6 @@
 import { useState, useCallback, useRef } from 'react'
-import { hybridSearch, formatSearchResults } from '../lib/hybridSearch'
+import { hybridSearch, getSearchSuggestions } from '../lib/hybridSearch'
+import { SEARCH_MODE_WEIGHTS } from '../lib/searchFusion'
 
 /**
  * Custom hook for hybrid search functionality
@@ -11,7 +12,8 @@ export const useHybridSearch = (options = {}) => {
     debounceMs = 300,
     defaultLimit = 10,
     defaultFtsWeight = 0.5,
-    defaultVectorWeight = 0.5
+    defaultVectorWeight = 0.5,
+    suggestionLimit = 5
   } = options
 
   // Search state
@@ -25,9 +27,14 @@ export const useHybridSearch = (options = {}) => {
     duration: 0
   })
 
+  // Autocomplete state
+  const [suggestions, setSuggestions] = useState([])
+
   // Refs for debouncing and cancellation
   const debounceTimeoutRef = useRef(null)
   const searchAbortControllerRef = useRef(null)
+  const suggestTimeoutRef = useRef(null)
+  const suggestAbortControllerRef = useRef(null)
 
   /**
    * Perform search with given parameters
@@ -72,11 +79,13 @@ export const useHybridSearch = (options = {}) => {
       const duration = Date.now() - startTime
 
       if (result.success) {
-        const formattedResults = formatSearchResults(result.results)
-        setSearchResults(formattedResults)
+        setSearchResults(result.results)
         setSearchStats({
           total: result.total,
           method: result.method,
+          fusion: result.fusion,
+          reranked: result.reranked,
+          timings: result.timings,
           duration
         })
         setSearchQuery(query)
@@ -149,27 +158,74 @@ export const useHybridSearch = (options = {}) => {
   }, [searchNow])
 
   /**
-   * Keyword-focused search
+   * Keyword-only search
    */
   const searchKeywords = useCallback((query, searchOptions = {}) => {
     return searchNow(query, {
       ...searchOptions,
-      ftsWeight: 0.8,
-      vectorWeight: 0.2
+      ...SEARCH_MODE_WEIGHTS.keyword
     })
   }, [searchNow])
 
   /**
-   * Semantic-focused search
+   * Vector-only search
    */
   const searchSemantic = useCallback((query, searchOptions = {}) => {
     return searchNow(query, {
       ...searchOptions,
-      ftsWeight: 0.2,
-      vectorWeight: 0.8
+      ...SEARCH_MODE_WEIGHTS.semantic
     })
   }, [searchNow])
 
+  /**
+   * Load suggestions for a partial query, dropping any older request
+   */
+  const loadSuggestions = useCallback(async (query) => {
+    if (suggestAbortControllerRef.current) {
+      suggestAbortControllerRef.current.abort()
+    }
+
+    const controller = new AbortController()
+    suggestAbortControllerRef.current = controller
+
+    try {
+      const nextSuggestions = await getSearchSuggestions(query, suggestionLimit, { signal: controller.signal })
+      if (!controller.signal.aborted) {
+        setSuggestions(nextSuggestions)
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return
+      console.error('Suggestions error:', error)
+      setSuggestions([])
+    }
+  }, [suggestionLimit])
+
+  /**
+   * Debounced suggestions, on the same delay as the search
+   */
+  const suggest = useCallback((query) => {
+    if (suggestTimeoutRef.current) {
+      clearTimeout(suggestTimeoutRef.current)
+    }
+
+    suggestTimeoutRef.current = setTimeout(() => {
+      loadSuggestions(query)
+    }, debounceMs)
+  }, [loadSuggestions, debounceMs])
+
+  /**
+   * Clear suggestions and cancel pending ones
+   */
+  const clearSuggestions = useCallback(() => {
+    if (suggestTimeoutRef.current) {
+      clearTimeout(suggestTimeoutRef.current)
+    }
+    if (suggestAbortControllerRef.current) {
+      suggestAbortControllerRef.current.abort()
+    }
+    setSuggestions([])
+  }, [])
+
   /**
    * Clear search results
    */
@@ -189,7 +245,8 @@ export const useHybridSearch = (options = {}) => {
     setSearchError(null)
     setSearchStats({ total: 0, method: null, duration: 0 })
     setIsSearching(false)
-  }, [])
+    clearSuggestions()
+  }, [clearSuggestions])
 
   /**
    * Cleanup function
@@ -201,6 +258,12 @@ export const useHybridSearch = (options = {}) => {
     if (debounceTimeoutRef.current) {
       clearTimeout(debounceTimeoutRef.current)
     }
+    if (suggestTimeoutRef.current) {
+      clearTimeout(suggestTimeoutRef.current)
+    }
+    if (suggestAbortControllerRef.current) {
+      suggestAbortControllerRef.current.abort()
+    }
   }, [])
 
   return {
@@ -210,6 +273,7 @@ export const useHybridSearch = (options = {}) => {
     searchQuery,
     searchError,
     searchStats,
+    suggestions,
 
     // Functions
     search: debouncedSearch,
@@ -219,6 +283,8 @@ export const useHybridSearch = (options = {}) => {
     searchKeywords,
     searchSemantic,
     clearSearch,
+    suggest,
+    clearSuggestions,
     cleanup
   }
 }
@@ -0,0 +1,348 @@
+/**
+ * Structure-aware chunking for NeuraNotes embeddings
+ */
+
+import { getEncoding } from 'js-tiktoken'
+import { extractBlocks, textToBlocks, BLOCK_SEPARATOR, ATOMIC_BLOCK_TYPES } from './documentText.js'
+
+/**
+ * Default chunking options
+ * maxTokens: target chunk size
+ * overlapTokens: trailing sentences of a chunk repeated at the start of the next one
+ * maxAtomicTokens: lists/code/tables longer than this are split by line after all
+ */
+export const DEFAULT_CHUNK_OPTIONS = {
+  maxTokens: 200,
+  overlapTokens: 30,
+  maxAtomicTokens: 1000
+}
+
+let encoding = null
+
+/**
+ * Count tokens with the cl100k_base encoding used by the OpenAI embedding models
+ * @param {string} text - The text to count
+ * @returns {number} - Number of tokens
+ */
+export const countTokens = (text) => {
+  if (!encoding) {
+    encoding = getEncoding('cl100k_base')
+  }
+  return encoding.encode(text).length
+}
+
+/**
+ * Split a range of the document text into sentence ranges, keeping punctuation
+ * @param {string} text - The document text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {Array} - Array of [start, end] ranges
+ */
+const sentenceRanges = (text, start, end) => {
+  const ranges = []
+  const pattern = /[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)\s*/g
+  const slice = text.slice(start, end)
+  let match
+
+  while ((match = pattern.exec(slice)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++
+      continue
+    }
+    ranges.push([start + match.index, start + match.index + match[0].length])
+  }
+
+  return ranges.length > 0 ? ranges : [[start, end]]
+}
+
+/**
+ * Split a range into pieces of at most maxTokens, breaking at whitespace
+ * @param {string} text - The document text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {number} maxTokens - Maximum tokens per piece
+ * @returns {Array} - Array of [start, end] ranges
+ */
+const wordRanges = (text, start, end, maxTokens) => {
+  const ranges = []
+  const words = [...text.slice(start, end).matchAll(/\S+\s*/g)]
+  let pieceStart = start
+  let pieceTokens = 0
+
+  words.forEach(word => {
+    const wordStart = start + word.index
+    const tokens = countTokens(word[0])
+    if (pieceTokens > 0 && pieceTokens + tokens > maxTokens) {
+      ranges.push([pieceStart, wordStart])
+      pieceStart = wordStart
+      pieceTokens = 0
+    }
+    pieceTokens += tokens
+  })
+
+  ranges.push([pieceStart, end])
+  return ranges
+}
+
+/**
+ * Trim surrounding whitespace off a range
+ */
+const trimRange = (text, start, end) => {
+  while (start < end && /\s/.test(text[start])) start++
+  while (end > start && /\s/.test(text[end - 1])) end--
+  return [start, end]
+}
+
+/**
+ * Break blocks into units, the pieces chunks are packed from
+ * @param {Array} blocks - Blocks with start/end offsets
+ * @param {string} text - The document text
+ * @param {Object} options - Chunking options
+ * @returns {Array} - Array of {start, end, tokens, atomic, heading, section, block} units
+ */
+const buildUnits = (blocks, text, options) => {
+  const units = []
+
+  blocks.forEach(block => {
+    const base = { section: block.section, heading: block.type === 'heading', block }
+
+    if (block.type === 'heading') {
+      units.push({ ...base, start: block.start, end: block.end, tokens: countTokens(block.text), atomic: true })
+      return
+    }
+
+    if (ATOMIC_BLOCK_TYPES.has(block.type)) {
+      const tokens = countTokens(block.text)
+      if (tokens <= options.maxAtomicTokens) {
+        units.push({ ...base, start: block.start, end: block.end, tokens, atomic: true })
+        return
+      }
+
+      // Too long to keep whole: fall back to line-sized pieces
+      let lineStart = block.start
+      block.text.split('\n').forEach(line => {
+        const lineEnd = lineStart + line.length
+        if (line.trim()) {
+          wordRanges(text, lineStart, lineEnd, options.maxTokens).forEach(([start, end]) => {
+            units.push({ ...base, start, end, tokens: countTokens(text.slice(start, end)), atomic: false })
+          })
+        }
+        lineStart = lineEnd + 1
+      })
+      return
+    }
+
+    sentenceRanges(text, block.start, block.end).forEach(([sentenceStart, sentenceEnd]) => {
+      const [start, end] = trimRange(text, sentenceStart, sentenceEnd)
+      if (start === end) return
+
+      const tokens = countTokens(text.slice(start, end))
+      const pieces = tokens > options.maxTokens
+        ? wordRanges(text, start, end, options.maxTokens)
+        : [[start, end]]
+
+      pieces.forEach(([pieceStart, pieceEnd]) => {
+        const [trimmedStart, trimmedEnd] = trimRange(text, pieceStart, pieceEnd)
+        units.push({
+          ...base,
+          start: trimmedStart,
+          end: trimmedEnd,
+          tokens: pieces.length === 1 ? tokens : countTokens(text.slice(trimmedStart, trimmedEnd)),
+          atomic: false
+        })
+      })
+    })
+  })
+
+  return units
+}
+
+/**
+ * Anchor a chunk to the Tiptap nodes it was cut from
+ * @param {Array} units - The chunk's units
+ * @returns {Object|null} - {path, offset, endPath, endOffset}, or null when the
+ *   chunk does not start in a Tiptap node (plain text, uploaded files)
+ */
+const buildAnchor = (units) => {
+  const first = units[0]
+  if (!first.block.path) return null
+
+  // Attached files have no node of their own; end at the last block that does
+  const last = [...units].reverse().find(unit => unit.block.path)
+
+  return {
+    path: first.block.path,
+    offset: first.start - first.block.start,
+    endPath: last.block.path,
+    endOffset: last.end - last.block.start
+  }
+}
+
+/**
+ * Pack units into chunks section by section
+ * @param {Array} units - Units from buildUnits
+ * @param {Array} sections - Heading path per section index
+ * @param {string} text - The document text
+ * @param {Object} options - Chunking options
+ * @returns {Array} - Chunks
+ */
+const packUnits = (units, sections, text, options) => {
+  const chunks = []
+  let current = []
+  let currentTokens = 0
+
+  const emit = () => {
+    if (current.length === 0 || current.every(unit => unit.heading)) return
+
+    const startOffset = current[0].start
+    const endOffset = current[current.length - 1].end
+    const chunkText = text.slice(startOffset, endOffset)
+
+    chunks.push({
+      index: chunks.length,
+      text: chunkText,
+      headingPath: sections[current[0].section],
+      startOffset,
+      endOffset,
+      tokenCount: countTokens(chunkText),
+      anchor: buildAnchor(current)
+    })
+  }
+
+  // Trailing sentences of the emitted chunk that seed the next one
+  const overlapFrom = (emitted) => {
+    const overlap = []
+    let tokens = 0
+
+    for (let i = emitted.length - 1; i > 0; i--) {
+      const unit = emitted[i]
+      if (unit.atomic || tokens + unit.tokens > options.overlapTokens) break
+      overlap.unshift(unit)
+      tokens += unit.tokens
+    }
+
+    return { overlap, tokens }
+  }
+
+  units.forEach(unit => {
+    const sectionChanged = current.length > 0 && current[0].section !== unit.section
+
+    if (sectionChanged) {
+      // Headings start a new chunk so they stay with their section
+      emit()
+      current = []
+      currentTokens = 0
+    } else if (currentTokens + unit.tokens > options.maxTokens && !current.every(item => item.heading)) {
+      emit()
+      const { overlap, tokens } = overlapFrom(current)
+      current = overlap
+      currentTokens = tokens
+    }
+
+    current.push(unit)
+    currentTokens += unit.tokens
+  })
+
+  emit()
+  return chunks
+}
+
+/**
+ * Lay blocks out in the document text and assign each its section
+ * @param {Array} blocks - Blocks from documentText.js
+ * @returns {Object} - {text, blocks with start/end/section, sections}
+ */
+const layoutBlocks = (blocks) => {
+  const sections = [[]]
+  const headingStack = []
+  const positioned = []
+  let offset = 0
+
+  blocks.forEach((block, index) => {
+    if (index > 0) offset += BLOCK_SEPARATOR.length
+
+    if (block.type === 'heading') {
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= block.level) {
+        headingStack.pop()
+      }
+      headingStack.push({ level: block.level, text: block.text })
+      sections.push(headingStack.map(heading => heading.text))
+    }
+
+    positioned.push({
+      ...block,
+      start: offset,
+      end: offset + block.text.length,
+      section: sections.length - 1
+    })
+    offset += block.text.length
+  })
+
+  return {
+    text: blocks.map(block => block.text).join(BLOCK_SEPARATOR),
+    blocks: positioned,
+    sections
+  }
+}
+
+/**
+ * Chunk a list of blocks
+ * @param {Array} blocks - Blocks from documentText.js
+ * @param {Object} options - Overrides for DEFAULT_CHUNK_OPTIONS
+ * @returns {Array} - Array of {index, text, headingPath, startOffset, endOffset, tokenCount, anchor}
+ */
+export const chunkBlocks = (blocks, options = {}) => {
+  const settings = { ...DEFAULT_CHUNK_OPTIONS, ...options }
+  const layout = layoutBlocks(blocks)
+  const units = buildUnits(layout.blocks, layout.text, settings)
+  return packUnits(units, layout.sections, layout.text, settings)
+}
+
+/**
+ * Chunk a document's stored content (Tiptap JSON, uploaded file or plain text)
+ * @param {Object|string} content - documents.content
+ * @param {Object} options - Overrides for DEFAULT_CHUNK_OPTIONS
+ * @returns {Array} - Array of {index, text, headingPath, startOffset, endOffset, tokenCount, anchor}
+ */
+export const chunkDocument = (content, options = {}) => {
+  return chunkBlocks(extractBlocks(content), options)
+}
+
+/**
+ * Chunk plain text or Markdown
+ * @param {string} text - The text to chunk
+ * @param {Object} options - Overrides for DEFAULT_CHUNK_OPTIONS
+ * @returns {Array} - Array of {index, text, headingPath, startOffset, endOffset, tokenCount, anchor}
+ */
+export const chunkText = (text, options = {}) => {
+  return chunkBlocks(textToBlocks(text), options)
+}
+
+/**
+ * SHA-256 hash identifying a chunk's content and position in the outline,
+ * used to tell which chunks changed between saves
+ * @param {Object|string} chunk - A chunk from chunkDocument, or bare chunk text
+ * @returns {Promise<string>} - Hex digest
+ */
+export const hashChunk = async (chunk) => {
+  const source = typeof chunk === 'string'
+    ? chunk
+    : `${(chunk.headingPath || []).join('\u0000')}\u0001${chunk.text}`
+  const bytes = new TextEncoder().encode(source)
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Columns of an embeddings row that describe where a chunk sits in its document
+ * @param {Object} chunk - A chunk from chunkDocument or chunkText
+ * @returns {Object} - {chunk, heading_path, start_offset, end_offset, token_count, anchor}
+ */
+export const chunkColumns = (chunk) => ({
+  chunk: chunk.text,
+  heading_path: chunk.headingPath,
+  start_offset: chunk.startOffset,
+  end_offset: chunk.endOffset,
+  token_count: chunk.tokenCount,
+  anchor: chunk.anchor || null
+})
@@ -0,0 +1,167 @@
+import { supabase } from './supabase'
+
+/**
+ * Strip a conversation turn down to what is worth persisting
+ * @param {Object} turn - A conversation entry from the RAG page
+ * @returns {Object} - The stored turn
+ */
+const toStoredTurn = (turn) => ({
+  question: turn.question,
+  answer: turn.answer,
+  sources: turn.sources || [],
+  graphFacts: turn.graphFacts || [],
+  chunksUsed: turn.chunksUsed || 0,
+  isGlobal: !!turn.isGlobal,
+  isCancelled: !!turn.isCancelled,
+  timestamp: turn.timestamp
+})
+
+/**
+ * Build a short conversation title from its first question
+ * @param {string} question - The first question of the conversation
+ * @returns {string} - The title
+ */
+const buildConversationTitle = (question) => {
+  const title = question.trim()
+  return title.length > 60 ? title.substring(0, 60) + '...' : title
+}
+
+/**
+ * Create a new conversation starting with its first turn
+ * @param {string|null} documentId - The document asked about, or null for all documents
+ * @param {Object} firstTurn - The first {question, answer, ...} turn
+ * @returns {Promise<Object>} - The created conversation
+ */
+export const createConversation = async (documentId, firstTurn) => {
+  try {
+    const { data, error } = await supabase
+      .from('conversations')
+      .insert([
+        {
+          document_id: documentId,
+          title: buildConversationTitle(firstTurn.question),
+          messages: [toStoredTurn(firstTurn)]
+        }
+      ])
+      .select()
+      .single()
+
+    if (error) {
+      throw error
+    }
+
+    return {
+      success: true,
+      conversation: data
+    }
+
+  } catch (error) {
+    console.error('Error creating conversation:', error)
+
+    return {
+      success: false,
+      error: error.message,
+      conversation: null
+    }
+  }
+}
+
+/**
+ * Replace the stored turns of a conversation
+ * @param {string} conversationId - The UUID of the conversation
+ * @param {Array} turns - Every turn of the conversation, oldest first
+ * @returns {Promise<Object>} - The update result
+ */
+export const saveConversationTurns = async (conversationId, turns) => {
+  try {
+    const { error } = await supabase
+      .from('conversations')
+      .update({
+        messages: turns.map(toStoredTurn),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', conversationId)
+
+    if (error) {
+      throw error
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Error saving conversation:', error)
+
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+/**
+ * List saved conversations for a document, or for "All documents"
+ * @param {string|null} documentId - The document UUID, or null for global conversations
+ * @param {number} limit - Maximum number of conversations to return
+ * @returns {Promise<Object>} - The conversations, most recently updated first
+ */
+export const listConversations = async (documentId, limit = 20) => {
+  try {
+    let query = supabase
+      .from('conversations')
+      .select('id, document_id, title, messages, created_at, updated_at')
+      .order('updated_at', { ascending: false })
+      .limit(limit)
+
+    query = documentId
+      ? query.eq('document_id', documentId)
+      : query.is('document_id', null)
+
+    const { data, error } = await query
+
+    if (error) {
+      throw error
+    }
+
+    return {
+      success: true,
+      conversations: data || []
+    }
+
+  } catch (error) {
+    console.error('Error listing conversations:', error)
+
+    return {
+      success: false,
+      error: error.message,
+      conversations: []
+    }
+  }
+}
+
+/**
+ * Delete a saved conversation
+ * @param {string} conversationId - The UUID of the conversation
+ * @returns {Promise<Object>} - The deletion result
+ */
+export const deleteConversation = async (conversationId) => {
+  try {
+    const { error } = await supabase
+      .from('conversations')
+      .delete()
+      .eq('id', conversationId)
+
+    if (error) {
+      throw error
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Error deleting conversation:', error)
+
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
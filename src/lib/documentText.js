@@ -0,0 +1,229 @@
+/**
+ * Plain-text extraction from stored NeuraNotes documents
+ */
+
+/**
+ * Separator placed between blocks in the document text
+ */
+export const BLOCK_SEPARATOR = '\n\n'
+
+/**
+ * Block types that are never split across chunks
+ */
+export const ATOMIC_BLOCK_TYPES = new Set(['list', 'code', 'table'])
+
+/**
+ * Collect the inline text of a node; file attachments are returned separately
+ * because their content is a whole file, not part of the sentence
+ * @param {Object} node - Tiptap node
+ * @param {Array} attachments - Receives fileContent strings
+ * @returns {string} - The inline text
+ */
+const inlineText = (node, attachments) => {
+  if (node.type === 'text') return node.text || ''
+  if (node.type === 'hardBreak') return '\n'
+
+  if (node.type === 'fileAttachment') {
+    if (node.attrs?.fileContent) {
+      attachments.push(node.attrs.fileContent)
+    }
+    return node.attrs?.fileName ? `[${node.attrs.fileName}]` : ''
+  }
+
+  return (node.content || []).map(child => inlineText(child, attachments)).join('')
+}
+
+/**
+ * Render a list as one text block, one line per item, nested items indented
+ * @param {Object} node - bulletList, orderedList or taskList node
+ * @param {number} depth - Nesting depth
+ * @param {Array} attachments - Receives fileContent strings
+ * @returns {string[]} - Lines of the list
+ */
+const listLines = (node, depth, attachments) => {
+  const ordered = node.type === 'orderedList'
+  const start = node.attrs?.start || 1
+  const indent = '  '.repeat(depth)
+  const lines = []
+
+  ;(node.content || []).forEach((item, index) => {
+    const marker = ordered ? `${start + index}.` : '-'
+    let first = true
+
+    ;(item.content || []).forEach(child => {
+      if (['bulletList', 'orderedList', 'taskList'].includes(child.type)) {
+        lines.push(...listLines(child, depth + 1, attachments))
+      } else {
+        const text = inlineText(child, attachments)
+        lines.push(first ? `${indent}${marker} ${text}` : `${indent}  ${text}`)
+        first = false
+      }
+    })
+  })
+
+  return lines
+}
+
+/**
+ * Turn plain text or Markdown into blocks
+ * @param {string} text - Plain text or Markdown
+ * @returns {Array} - Array of {type, text, level, path} blocks
+ */
+export const textToBlocks = (text) => {
+  const blocks = []
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n')
+  let paragraph = []
+
+  const flushParagraph = () => {
+    const joined = paragraph.join('\n').trim()
+    if (joined) blocks.push({ type: 'paragraph', text: joined, path: null })
+    paragraph = []
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    // Fenced code block
+    if (/^\s*(```|~~~)/.test(line)) {
+      flushParagraph()
+      const fence = line.trim().slice(0, 3)
+      const codeLines = [line]
+      while (++i < lines.length) {
+        codeLines.push(lines[i])
+        if (lines[i].trim().startsWith(fence)) break
+      }
+      blocks.push({ type: 'code', text: codeLines.join('\n'), path: null })
+      continue
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/)
+    if (heading) {
+      flushParagraph()
+      blocks.push({ type: 'heading', text: heading[2].trim(), level: heading[1].length, path: null })
+      continue
+    }
+
+    // List: consecutive item lines plus their indented continuations
+    if (/^\s*([-*+]|\d+[.)])\s+/.test(line)) {
+      flushParagraph()
+      const listLinesBuffer = [line]
+      while (i + 1 < lines.length && (/^\s*([-*+]|\d+[.)])\s+/.test(lines[i + 1]) || /^\s{2,}\S/.test(lines[i + 1]))) {
+        listLinesBuffer.push(lines[++i])
+      }
+      blocks.push({ type: 'list', text: listLinesBuffer.join('\n'), path: null })
+      continue
+    }
+
+    if (line.trim() === '') {
+      flushParagraph()
+      continue
+    }
+
+    paragraph.push(line)
+  }
+
+  flushParagraph()
+  return blocks
+}
+
+/**
+ * Turn Tiptap JSON into blocks
+ * @param {Object} content - Tiptap document JSON
+ * @returns {Array} - Array of {type, text, level, path} blocks
+ */
+export const tiptapToBlocks = (content) => {
+  if (!content || !Array.isArray(content.content)) return []
+
+  const blocks = []
+
+  const pushBlock = (block, path, attachments) => {
+    if (block.text.trim()) blocks.push({ ...block, path })
+    // Attached files follow the block they were dropped into
+    attachments.forEach(fileContent => blocks.push(...textToBlocks(fileContent)))
+  }
+
+  const visit = (node, path) => {
+    const attachments = []
+
+    switch (node.type) {
+      case 'heading':
+        pushBlock({ type: 'heading', text: inlineText(node, attachments).trim(), level: node.attrs?.level || 1 }, path, attachments)
+        break
+      case 'paragraph':
+        pushBlock({ type: 'paragraph', text: inlineText(node, attachments).trim() }, path, attachments)
+        break
+      case 'bulletList':
+      case 'orderedList':
+      case 'taskList':
+        pushBlock({ type: 'list', text: listLines(node, 0, attachments).join('\n') }, path, attachments)
+        break
+      case 'codeBlock':
+        pushBlock({ type: 'code', text: inlineText(node, attachments) }, path, attachments)
+        break
+      case 'blockquote':
+        pushBlock({
+          type: 'quote',
+          text: (node.content || []).map(child => inlineText(child, attachments)).join('\n').trim()
+        }, path, attachments)
+        break
+      case 'table':
+        pushBlock({
+          type: 'table',
+          text: (node.content || [])
+            .map(row => (row.content || []).map(cell => inlineText(cell, attachments).trim()).join(' | '))
+            .join('\n')
+        }, path, attachments)
+        break
+      case 'horizontalRule':
+        break
+      default:
+        if (node.content) {
+          node.content.forEach((child, index) => visit(child, [...path, index]))
+        }
+    }
+  }
+
+  content.content.forEach((node, index) => visit(node, [index]))
+  return blocks
+}
+
+/**
+ * Turn a document's stored content into blocks, whatever its shape
+ * @param {Object|string} content - documents.content
+ * @returns {Array} - Array of {type, text, level, path} blocks
+ */
+export const extractBlocks = (content) => {
+  if (!content) return []
+
+  if (typeof content === 'string') {
+    return textToBlocks(content)
+  }
+
+  // Uploaded files keep the original text next to the editor JSON
+  if (content.type === 'uploaded_file') {
+    return content.original_content
+      ? textToBlocks(content.original_content)
+      : tiptapToBlocks(content.editor_content)
+  }
+
+  return tiptapToBlocks(content)
+}
+
+/**
+ * Extract text from Tiptap JSON, separating blocks with blank lines
+ * @param {Object} content - Tiptap document JSON
+ * @returns {string} - The document text
+ */
+export const extractTextFromTiptap = (content) => {
+  return tiptapToBlocks(content).map(block => block.text).join(BLOCK_SEPARATOR)
+}
+
+/**
+ * Extract the text of a document's stored content, whatever its shape.
+ * Chunk character offsets are positions in this text.
+ * @param {Object|string} content - documents.content
+ * @returns {string} - The document text
+ */
+export const extractDocumentText = (content) => {
+  return extractBlocks(content).map(block => block.text).join(BLOCK_SEPARATOR)
+}
@@ -1,4 +1,5 @@
 import { supabase } from './supabase'
+import { findSnippetRanges } from './provenance'
 
 /**
  * Find and highlight text in the Tiptap editor
@@ -8,18 +9,31 @@ import { supabase } from './supabase'
  * @returns {Promise<boolean>} - True if text was found and highlighted
  */
 export const highlightTextInEditor = async (editor, searchText, highlightDuration = 2000) => {
-  if (!editor || !searchText) {
+  if (!editor) {
+    return false
+  }
+
+  return highlightTextInElement(editor.view.dom, searchText, highlightDuration)
+}
+
+/**
+ * Find, scroll to and highlight text inside any rendered DOM element
+ * (the Tiptap editor or the read-only document viewer)
+ * @param {HTMLElement} rootElement - Element whose text should be searched
+ * @param {string} searchText - Text to find and highlight
+ * @param {number} highlightDuration - Duration in milliseconds (default: 2000)
+ * @returns {Promise<boolean>} - True if text was found and highlighted
+ */
+export const highlightTextInElement = async (rootElement, searchText, highlightDuration = 2000) => {
+  if (!rootElement || !searchText) {
     return false
   }
 
   try {
-    // Get the editor's DOM element
-    const editorDOM = editor.view.dom
-    
-    // Find all text nodes in the editor
+    // Find all text nodes in the element
     const textNodes = []
     const walker = document.createTreeWalker(
-      editorDOM,
+      rootElement,
       NodeFilter.SHOW_TEXT,
       null,
       false
@@ -68,118 +82,467 @@ export const highlightTextInEditor = async (editor, searchText, highlightDuratio
     }
 
     if (!foundNode) {
-      console.log('Text not found in editor:', searchText)
+      console.log('Text not found in element:', searchText)
       return false
     }
 
-    // Create a range and selection
-    const range = document.createRange()
-    range.setStart(foundNode, foundOffset)
-    range.setEnd(foundNode, foundOffset + foundLength)
+    return wrapHighlight(foundNode, foundOffset, foundNode, foundOffset + foundLength, highlightDuration)
+  } catch (error) {
+    console.error('Error highlighting text:', error)
+    return false
+  }
+}
+
+/**
+ * Elements currently tinted: element → {count, original}. An element can be
+ * tinted by several highlights at once (two mentions in one paragraph), so
+ * its own style is saved by the first and restored by the last.
+ */
+const tintedElements = new WeakMap()
+
+/**
+ * Give an element a temporary background
+ * @param {HTMLElement} element - Element to tint
+ * @param {Object} tint - Inline styles to apply, e.g. {backgroundColor}
+ * @param {number} duration - Duration in milliseconds
+ */
+const tintElement = (element, tint, duration) => {
+  const current = tintedElements.get(element)
+  if (current) {
+    current.count++
+  } else {
+    const original = {}
+    Object.keys(tint).forEach(property => { original[property] = element.style[property] })
+    tintedElements.set(element, { count: 1, original })
+
+    element.style.transition = 'background-color 0.3s ease'
+    Object.assign(element.style, tint)
+  }
+
+  setTimeout(() => {
+    const state = tintedElements.get(element)
+    if (--state.count > 0) return
+
+    tintedElements.delete(element)
+    Object.assign(element.style, state.original)
+  }, duration)
+}
+
+/**
+ * Wrap a text range in a temporary highlight and scroll it into view. Ranges
+ * that cannot be wrapped (they cut through formatting) tint their parent
+ * element instead.
+ * @param {Text} startNode - Text node the range starts in
+ * @param {number} startOffset - Offset into startNode
+ * @param {Text} endNode - Text node the range ends in
+ * @param {number} endOffset - Offset into endNode
+ * @param {number} highlightDuration - Duration in milliseconds
+ * @returns {boolean} - True if the range was highlighted
+ */
+const wrapHighlight = (startNode, startOffset, endNode, endOffset, highlightDuration) => {
+  // Create a range and selection
+  const range = document.createRange()
+  range.setStart(startNode, startOffset)
+  range.setEnd(endNode, endOffset)
+
+  // Create highlight element
+  const highlight = document.createElement('span')
+  highlight.style.cssText = `
+    background-color: #fef08a;
+    padding: 2px 4px;
+    border-radius: 3px;
+    transition: background-color 0.3s ease;
+    box-shadow: 0 0 0 2px #eab308;
+  `
+
+  // Wrap the text in highlight
+  try {
+    range.surroundContents(highlight)
+
+    // Scroll the highlight into view (also works inside scrollable containers)
+    highlight.scrollIntoView({
+      behavior: 'smooth',
+      block: 'center',
+      inline: 'nearest'
+    })
+
+    // Remove highlight after duration
+    setTimeout(() => {
+      if (highlight.parentNode) {
+        const parent = highlight.parentNode
+        while (highlight.firstChild) {
+          parent.insertBefore(highlight.firstChild, highlight)
+        }
+        parent.removeChild(highlight)
+        parent.normalize() // Merge adjacent text nodes
+      }
+    }, highlightDuration)
+
+    return true
+  } catch (error) {
+    // If surroundContents fails, try alternative highlighting
+    console.warn('Could not wrap text, using alternative highlighting:', error)
+
+    // Alternative: add temporary background to parent element
+    const parentElement = startNode.parentElement
+    if (parentElement) {
+      tintElement(parentElement, { backgroundColor: '#fef08a' }, highlightDuration)
 
-    // Scroll the range into view
-    const rect = range.getBoundingClientRect()
-    if (rect.top < 0 || rect.bottom > window.innerHeight) {
-      range.scrollIntoView({
+      // Scroll into view
+      parentElement.scrollIntoView({
         behavior: 'smooth',
         block: 'center',
         inline: 'nearest'
       })
+
+      return true
     }
+  }
 
-    // Create highlight element
-    const highlight = document.createElement('span')
-    highlight.style.cssText = `
-      background-color: #fef08a;
-      padding: 2px 4px;
-      border-radius: 3px;
-      transition: background-color 0.3s ease;
-      box-shadow: 0 0 0 2px #eab308;
-    `
+  return false
+}
 
-    // Wrap the text in highlight
-    try {
-      range.surroundContents(highlight)
-      
-      // Remove highlight after duration
-      setTimeout(() => {
-        if (highlight.parentNode) {
-          const parent = highlight.parentNode
-          while (highlight.firstChild) {
-            parent.insertBefore(highlight.firstChild, highlight)
-          }
-          parent.removeChild(highlight)
-          parent.normalize() // Merge adjacent text nodes
-        }
-      }, highlightDuration)
+/**
+ * Highlight a character range of an element's text content
+ * @param {HTMLElement} element - Element whose textContent the range indexes
+ * @param {number} start - Start offset
+ * @param {number} end - End offset, exclusive
+ * @param {number} highlightDuration - Duration in milliseconds
+ * @returns {boolean} - True if the range was highlighted
+ */
+const highlightTextRange = (element, start, end, highlightDuration) => {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false)
+  let seen = 0
+  let startPoint = null
+  let endPoint = null
+  let node
+
+  while (!endPoint && (node = walker.nextNode())) {
+    const length = node.textContent.length
+    if (!startPoint && start < seen + length) startPoint = [node, start - seen]
+    if (startPoint && end <= seen + length) endPoint = [node, end - seen]
+    seen += length
+  }
 
-      return true
-    } catch (error) {
-      // If surroundContents fails, try alternative highlighting
-      console.warn('Could not wrap text, using alternative highlighting:', error)
-      
-      // Alternative: add temporary background to parent element
-      const parentElement = foundNode.parentElement
-      if (parentElement) {
-        const originalBackground = parentElement.style.backgroundColor
-        parentElement.style.backgroundColor = '#fef08a'
-        parentElement.style.transition = 'background-color 0.3s ease'
-        
-        // Scroll into view
-        parentElement.scrollIntoView({
-          behavior: 'smooth',
-          block: 'center',
-          inline: 'nearest'
-        })
-        
-        setTimeout(() => {
-          parentElement.style.backgroundColor = originalBackground
-        }, highlightDuration)
-        
-        return true
+  if (!startPoint || !endPoint) {
+    return false
+  }
+
+  return wrapHighlight(...startPoint, ...endPoint, highlightDuration)
+}
+
+/**
+ * The occurrence of a snippet in a text nearest an expected offset, so a
+ * phrase repeated in the same block resolves to the copy that was anchored
+ * @param {string} text - Text of the block
+ * @param {string} snippet - The passage to find
+ * @param {number} offset - Where the passage is expected to start
+ * @returns {Array|null} - The [start, end) range, or null if the snippet is not there
+ */
+const closestSnippetRange = (text, snippet, offset = 0) => {
+  const ranges = findSnippetRanges(text, snippet)
+  if (ranges.length === 0) return null
+
+  return ranges.reduce((best, range) =>
+    Math.abs(range[0] - offset) < Math.abs(best[0] - offset) ? range : best)
+}
+
+/**
+ * Pick a short, highlightable passage from a retrieved chunk.
+ * Long chunks span several paragraphs, so we target their first sentence.
+ * @param {string} chunk - The chunk text
+ * @param {number} maxLength - Maximum snippet length (default: 150)
+ * @returns {string} - The snippet to search for
+ */
+export const getPassageSnippet = (chunk, maxLength = 150) => {
+  if (!chunk) {
+    return ''
+  }
+
+  // Skip code fences and list markers, which are not part of the rendered text
+  const firstLine = chunk.trim().split(/\n+/)
+    .find(line => !/^\s*(```|~~~)/.test(line))
+    ?.replace(/^\s*([-*+]|\d+[.)])\s+/, '') || ''
+  const sentenceMatch = firstLine.match(/^.*?[.!?](?=\s|$)/)
+  const sentence = sentenceMatch ? sentenceMatch[0] : firstLine
+
+  return sentence.length > maxLength ? sentence.substring(0, maxLength) : sentence
+}
+
+/**
+ * Collapse whitespace and case so rendered text can be compared with chunk text
+ */
+const normalizeForMatch = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase()
+
+/**
+ * Find the top-level block a chunk anchor points at. Edits made since the
+ * chunk was indexed can shift blocks, so the anchored block is only used if
+ * it still contains the passage; otherwise the nearest block that does.
+ * @param {string[]} blockTexts - Text of each top-level block
+ * @param {number} anchoredIndex - Top-level index stored in the anchor
+ * @param {string} snippet - Text the passage starts with
+ * @returns {number} - Index of the block, or -1 if none contains the passage
+ */
+const resolveAnchorIndex = (blockTexts, anchoredIndex, snippet) => {
+  const needle = normalizeForMatch(snippet)
+  const contains = (index) => index >= 0 &&
+    index < blockTexts.length &&
+    normalizeForMatch(blockTexts[index]).includes(needle)
+
+  if (!needle) {
+    return anchoredIndex < blockTexts.length ? anchoredIndex : -1
+  }
+
+  if (contains(anchoredIndex)) {
+    return anchoredIndex
+  }
+
+  for (let distance = 1; distance < blockTexts.length; distance++) {
+    if (contains(anchoredIndex - distance)) return anchoredIndex - distance
+    if (contains(anchoredIndex + distance)) return anchoredIndex + distance
+  }
+
+  return -1
+}
+
+/**
+ * Scroll to and highlight a chunk in the read-only document viewer using its
+ * anchor ({path, offset, endPath, endOffset}, see src/lib/chunking.js).
+ * Blocks are the viewer's top-level elements marked with data-node-index.
+ * Falls back to a plain text search when the chunk has no anchor or its
+ * passage can no longer be found near it.
+ * @param {HTMLElement} rootElement - Element containing the rendered document
+ * @param {Object|null} anchor - The chunk anchor
+ * @param {string} snippet - Opening text of the chunk (see getPassageSnippet)
+ * @param {number} highlightDuration - Duration in milliseconds (default: 2000)
+ * @returns {Promise<boolean>} - True if the passage was found and highlighted
+ */
+export const highlightAnchorInElement = async (rootElement, anchor, snippet, highlightDuration = 2000) => {
+  if (!rootElement) {
+    return false
+  }
+
+  const blocks = Array.from(rootElement.querySelectorAll('[data-node-index]'))
+
+  if (!anchor?.path || blocks.length === 0) {
+    return highlightTextInElement(rootElement, snippet, highlightDuration)
+  }
+
+  const index = resolveAnchorIndex(blocks.map(block => block.textContent), anchor.path[0], snippet)
+
+  if (index === -1) {
+    return highlightTextInElement(rootElement, snippet, highlightDuration)
+  }
+
+  const endIndex = Math.min(blocks.length - 1, index + Math.max(0, anchor.endPath[0] - anchor.path[0]))
+  const passage = blocks.slice(index, endIndex + 1)
+
+  // Tint every block the chunk covers
+  passage.forEach(block => tintElement(block, {
+    backgroundColor: 'rgba(254, 240, 138, 0.15)',
+    boxShadow: 'inset 3px 0 0 #eab308'
+  }, highlightDuration))
+
+  // Mark the opening words precisely, at the stored offset where a phrase
+  // repeats in the block; this also scrolls them into view
+  const range = closestSnippetRange(passage[0].textContent, snippet, anchor.offset)
+  const marked = range
+    ? highlightTextRange(passage[0], range[0], range[1], highlightDuration)
+    : snippet ? await highlightTextInElement(passage[0], snippet, highlightDuration) : false
+
+  if (!marked) {
+    passage[0].scrollIntoView({
+      behavior: 'smooth',
+      block: 'center',
+      inline: 'nearest'
+    })
+  }
+
+  return true
+}
+
+/**
+ * Highlight several anchored passages at once, e.g. every mention of a
+ * knowledge graph entity in a document. The view ends up on the first one.
+ * @param {HTMLElement} rootElement - Element containing the rendered document
+ * @param {Array} mentions - Array of {anchor, snippet} objects, in document order
+ * @param {number} highlightDuration - Duration in milliseconds (default: 4000)
+ * @returns {Promise<number>} - Number of passages highlighted
+ */
+export const highlightMentionsInElement = async (rootElement, mentions, highlightDuration = 4000) => {
+  let highlighted = 0
+
+  // Last to first, so the final scroll lands on the first mention
+  for (const mention of [...mentions].reverse()) {
+    if (await highlightAnchorInElement(rootElement, mention.anchor, mention.snippet, highlightDuration)) {
+      highlighted++
+    }
+  }
+
+  return highlighted
+}
+
+/**
+ * Map a character offset in a node's text to a document position
+ * @param {Object} node - ProseMirror node
+ * @param {number} pos - Position of the node in the document
+ * @param {number} offset - Character offset into node.textContent
+ * @returns {number|null} - The document position, or null if out of range
+ */
+const textOffsetToPos = (node, pos, offset) => {
+  let seen = 0
+  let found = null
+
+  node.descendants((child, childPos) => {
+    if (found !== null) return false
+
+    if (child.isText) {
+      if (offset <= seen + child.text.length) {
+        found = pos + 1 + childPos + (offset - seen)
+        return false
       }
+      seen += child.text.length
     }
+  })
 
+  return found
+}
+
+/**
+ * Select and scroll to a chunk in the Tiptap editor using its anchor.
+ * The stored character range is used when the anchored block is unchanged;
+ * after edits the passage is located by its opening words instead.
+ * @param {Object} editor - Tiptap editor instance
+ * @param {Object|null} anchor - The chunk anchor
+ * @param {string} snippet - Opening text of the chunk (see getPassageSnippet)
+ * @returns {Promise<boolean>} - True if the passage was found and selected
+ */
+export const highlightAnchorInEditor = async (editor, anchor, snippet) => {
+  if (!editor) {
     return false
-  } catch (error) {
-    console.error('Error highlighting text in editor:', error)
-    return false
   }
+
+  if (!anchor?.path) {
+    return highlightTextInEditor(editor, snippet, 3000)
+  }
+
+  const blocks = []
+  editor.state.doc.forEach((node, pos) => blocks.push({ node, pos }))
+
+  const index = resolveAnchorIndex(blocks.map(block => block.node.textContent), anchor.path[0], snippet)
+
+  if (index === -1) {
+    return highlightTextInEditor(editor, snippet, 3000)
+  }
+
+  const unmoved = index === anchor.path[0]
+  const endIndex = Math.min(blocks.length - 1, index + Math.max(0, anchor.endPath[0] - anchor.path[0]))
+  const start = blocks[index]
+  const end = blocks[endIndex]
+  const startText = start.node.textContent
+
+  // Start of the passage: the stored offset if the text there still matches,
+  // else wherever its opening words now are, else the start of the block
+  let from = null
+  const probe = normalizeForMatch(snippet).slice(0, 20)
+
+  if (unmoved && normalizeForMatch(startText.slice(anchor.offset)).startsWith(probe)) {
+    from = textOffsetToPos(start.node, start.pos, anchor.offset)
+  }
+
+  let relocated = null
+
+  if (from === null && snippet) {
+    relocated = closestSnippetRange(startText, snippet, anchor.offset)
+    if (relocated) {
+      from = textOffsetToPos(start.node, start.pos, relocated[0])
+    }
+  }
+
+  if (from === null) {
+    from = start.pos + 1
+  }
+
+  // End of the passage: the stored offset while the blocks have not moved,
+  // the stored length from where a one-block passage moved to, else the end
+  // of the last block it covers
+  let to = null
+
+  if (unmoved && !relocated && anchor.endOffset <= end.node.textContent.length) {
+    to = textOffsetToPos(end.node, end.pos, anchor.endOffset)
+  } else if (relocated && index === endIndex) {
+    to = textOffsetToPos(end.node, end.pos, relocated[0] + Math.max(anchor.endOffset - anchor.offset, relocated[1] - relocated[0]))
+  }
+
+  if (to === null || to <= from) {
+    to = end.pos + end.node.nodeSize - 1
+  }
+
+  editor.chain().focus().setTextSelection({ from, to }).scrollIntoView().run()
+  return true
 }
 
 /**
- * Get source snippets for a node from knowledge graph
- * @param {string} nodeId - The entity name to search for
- * @param {string} documentId - The document ID to search in
- * @returns {Promise<Array>} - Array of source snippets
+ * Entity ids are UUIDs; anything else is matched as a name
  */
-export const getNodeSourceSnippets = async (nodeId, documentId) => {
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Get every mention of a knowledge graph node: the evidence of each triplet
+ * it appears in, with the anchor of that evidence in its document
+ * @param {string} nodeId - The entity ID, or an entity name to search for
+ * @param {string|null} documentId - Only mentions in this document (default: all documents)
+ * @returns {Promise<Array>} - Array of {snippet, anchor, stale, documentId, triplet}, current evidence first
+ */
+export const getNodeSourceSnippets = async (nodeId, documentId = null) => {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from('knowledge_graph')
-      .select('source_snippet, subject, predicate, object')
-      .eq('document_id', documentId)
-      .or(`subject.ilike.%${nodeId}%,object.ilike.%${nodeId}%`)
+      .select('id, source_snippet, source_anchor, is_stale, subject, predicate, object, document_id')
+      .or(UUID_PATTERN.test(nodeId)
+        ? `subject_entity_id.eq.${nodeId},object_entity_id.eq.${nodeId}`
+        : `subject.ilike.%${nodeId}%,object.ilike.%${nodeId}%`)
+
+    if (documentId) {
+      query = query.eq('document_id', documentId)
+    }
+
+    const { data, error } = await query
 
     if (error) {
       throw error
     }
 
-    // Filter and deduplicate snippets
-    const snippets = []
-    const seenSnippets = new Set()
+    // One mention per place in a document; triplets from the same sentence share it
+    const mentions = new Map()
 
     data?.forEach(triplet => {
-      if (triplet.source_snippet && !seenSnippets.has(triplet.source_snippet)) {
-        snippets.push({
-          snippet: triplet.source_snippet,
-          triplet: `${triplet.subject} → ${triplet.predicate} → ${triplet.object}`
-        })
-        seenSnippets.add(triplet.source_snippet)
-      }
+      if (!triplet.source_snippet) return
+
+      const key = [triplet.document_id, triplet.source_snippet, JSON.stringify(triplet.source_anchor)].join('|')
+      if (mentions.has(key)) return
+
+      mentions.set(key, {
+        snippet: triplet.source_snippet,
+        anchor: triplet.source_anchor || null,
+        stale: !!triplet.is_stale,
+        documentId: triplet.document_id,
+        triplet: `${triplet.subject} → ${triplet.predicate} → ${triplet.object}`
+      })
     })
 
-    return snippets
+    const position = (mention) => mention.anchor?.path ? [...mention.anchor.path, mention.anchor.offset] : [Infinity]
+    const comparePositions = (a, b) => {
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if ((a[i] ?? -1) !== (b[i] ?? -1)) return (a[i] ?? -1) - (b[i] ?? -1)
+      }
+      return 0
+    }
+
+    return [...mentions.values()].sort((a, b) =>
+      Number(a.stale) - Number(b.stale) ||
+      String(a.documentId).localeCompare(String(b.documentId)) ||
+      comparePositions(position(a), position(b)))
   } catch (error) {
     console.error('Error getting node source snippets:', error)
     return []
@@ -187,8 +550,8 @@ export const getNodeSourceSnippets = async (nodeId, documentId) => {
 }
 
 /**
- * Handle node click in knowledge graph - highlight in editor
- * @param {string} nodeId - The clicked node ID
+ * Handle node click in knowledge graph - select its first mention in the editor
+ * @param {string} nodeId - The clicked node's entity ID or name
  * @param {string} documentId - The document ID
  * @param {Object} editor - Tiptap editor instance
  * @returns {Promise<Object>} - Result with success status and snippets
@@ -202,8 +565,8 @@ export const handleKnowledgeNodeClick = async (nodeId, documentId, editor) => {
       return { success: false, error: 'No editor available' }
     }
 
-    // Get source snippets for this node
-    const snippets = await getNodeSourceSnippets(nodeId, documentId)
+    // Mentions whose evidence was deleted have nothing left to select
+    const snippets = (await getNodeSourceSnippets(nodeId, documentId)).filter(mention => !mention.stale)
 
     if (snippets.length === 0) {
       console.log('No source snippets found for node:', nodeId)
@@ -212,9 +575,8 @@ export const handleKnowledgeNodeClick = async (nodeId, documentId, editor) => {
 
     console.log(`Found ${snippets.length} source snippets for node:`, nodeId)
 
-    // Highlight the first snippet in the editor
-    const firstSnippet = snippets[0].snippet
-    const highlighted = await highlightTextInEditor(editor, firstSnippet, 3000)
+    const [first] = snippets
+    const highlighted = await highlightAnchorInEditor(editor, first.anchor, first.snippet)
 
     if (highlighted) {
       console.log('Successfully highlighted text in editor')
@@ -226,7 +588,7 @@ export const handleKnowledgeNodeClick = async (nodeId, documentId, editor) => {
       success: true,
       highlighted,
       snippets,
-      primarySnippet: firstSnippet
+      primarySnippet: first.snippet
     }
 
   } catch (error) {
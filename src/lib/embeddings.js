@@ -1,100 +1,44 @@
-import OpenAI from 'openai'
 import { supabase } from './supabase'
 
-// Initialize OpenAI client with error handling
-let openai = null
-try {
-  const apiKey = import.meta.env.VITE_OPENAI_API_KEY
-  if (apiKey) {
-    openai = new OpenAI({
-      apiKey: apiKey,
-      dangerouslyAllowBrowser: true // Note: In production, this should be done server-side
-    })
-  } else {
-    console.warn('OpenAI API key not found. Some features will be disabled.')
-  }
-} catch (error) {
-  console.warn('Failed to initialize OpenAI client:', error.message)
-}
-
 /**
- * Split text into chunks of approximately 200 tokens each
- * @param {string} text - The text to split
- * @returns {string[]} - Array of text chunks
+ * POST a JSON body to an embedding API route and return the parsed response
+ * @param {string} url - The API route
+ * @param {Object} body - JSON-serializable request body
+ * @returns {Promise<Object>} - The parsed JSON response
  */
-const splitIntoChunks = (text) => {
-  // Rough estimation: 1 token ≈ 4 characters for English text
-  const targetChunkSize = 800 // ~200 tokens * 4 chars/token
-  const chunks = []
-  
-  // First, split by paragraphs (double newlines)
-  const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 0)
-  
-  let currentChunk = ''
-  
-  for (const paragraph of paragraphs) {
-    // If adding this paragraph would exceed our target size
-    if (currentChunk.length + paragraph.length > targetChunkSize && currentChunk.length > 0) {
-      chunks.push(currentChunk.trim())
-      currentChunk = paragraph
-    } else {
-      currentChunk += (currentChunk ? '\n\n' : '') + paragraph
-    }
-  }
-  
-  // Add the last chunk if it exists
-  if (currentChunk.trim().length > 0) {
-    chunks.push(currentChunk.trim())
+const postJSON = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body)
+  })
+
+  // Check if response is actually JSON
+  const contentType = response.headers.get('content-type')
+  if (!contentType || !contentType.includes('application/json')) {
+    const textResponse = await response.text()
+    throw new Error(`Server returned non-JSON response: ${textResponse}`)
   }
-  
-  // If we still have chunks that are too large, split by sentences
-  const finalChunks = []
-  for (const chunk of chunks) {
-    if (chunk.length <= targetChunkSize) {
-      finalChunks.push(chunk)
-    } else {
-      // Split large chunks by sentences
-      const sentences = chunk.split(/[.!?]+/).filter(s => s.trim().length > 0)
-      let sentenceChunk = ''
-      
-      for (const sentence of sentences) {
-        const sentenceWithPunctuation = sentence.trim() + '.'
-        
-        if (sentenceChunk.length + sentenceWithPunctuation.length > targetChunkSize && sentenceChunk.length > 0) {
-          finalChunks.push(sentenceChunk.trim())
-          sentenceChunk = sentenceWithPunctuation
-        } else {
-          sentenceChunk += (sentenceChunk ? ' ' : '') + sentenceWithPunctuation
-        }
-      }
-      
-      if (sentenceChunk.trim().length > 0) {
-        finalChunks.push(sentenceChunk.trim())
-      }
-    }
+
+  const data = await response.json()
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`)
   }
-  
-  return finalChunks.filter(chunk => chunk.length > 0)
+
+  return data
 }
 
 /**
- * Get embedding for a text chunk using OpenAI API
- * @param {string} text - The text to embed
- * @returns {Promise<number[]>} - The embedding vector
+ * Embed a search query on the server
+ * @param {string} query - The text to embed
+ * @returns {Promise<Object>} - {embedding, model, dimensions, matchThreshold}
  */
-const getEmbedding = async (text) => {
-  if (!openai) {
-    throw new Error('OpenAI client not initialized. Please check your API key configuration.')
-  }
-
+export const embedQuery = async (query) => {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-large',
-      input: text,
-      encoding_format: 'float'
-    })
-
-    return response.data[0].embedding
+    return await postJSON('/api/embed-query', { query: query.trim() })
   } catch (error) {
     console.error('Error getting embedding:', error)
     throw new Error(`Failed to get embedding: ${error.message}`)
@@ -102,81 +46,72 @@ const getEmbedding = async (text) => {
 }
 
 /**
- * Embed a document by splitting it into chunks and storing embeddings in Supabase
+ * Grade search candidates against a query on the server (see /api/rerank)
+ * @param {string} query - The search query
+ * @param {string[]} passages - Candidate chunk texts, best first
+ * @returns {Promise<Object>} - {scores, model}; one score in [0, 1] per passage
+ */
+export const requestRerankScores = async (query, passages) => {
+  try {
+    return await postJSON('/api/rerank', { query: query.trim(), passages })
+  } catch (error) {
+    console.error('Error re-ranking results:', error)
+    throw new Error(`Failed to re-rank results: ${error.message}`)
+  }
+}
+
+/**
+ * Embed a document by splitting it into chunks and storing embeddings in Supabase.
+ * Chunking and embedding run in /api/embed-document so no API key ships to the browser.
  * @param {string} text - The document text to embed
  * @param {string} documentId - The UUID of the document
  * @returns {Promise<void>}
  */
 export const embedDocument = async (text, documentId) => {
   try {
-    console.log('🚨 MOCK MODE: OpenAI API quota exceeded, using mock embeddings...')
-    console.log('Document ID:', documentId)
-    console.log('Text length:', text.length)
-
-    // Step 1: Split document into chunks
-    const chunks = splitIntoChunks(text)
-    console.log(`Split document into ${chunks.length} chunks`)
-
-    if (chunks.length === 0) {
-      throw new Error('No chunks created from document text')
-    }
-
-    // Step 2: Create mock embeddings for each chunk
-    const embeddingData = []
+    console.log('Embedding document:', { documentId, textLength: text.length })
 
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i]
-      console.log(`Processing chunk ${i + 1}/${chunks.length} (${chunk.length} chars)`)
+    const data = await postJSON('/api/embed-document', {
+      text,
+      document_id: documentId
+    })
 
-      try {
-        // Create mock embedding (1536 random numbers between -1 and 1)
-        const mockEmbedding = Array.from({ length: 1536 }, () => (Math.random() - 0.5) * 2)
+    console.log('✅ Document embedding completed successfully!')
+    console.log(`Total chunks processed: ${data.count} (${data.model}, ${data.dimensions} dimensions)`)
 
-        // Prepare data for Supabase
-        embeddingData.push({
-          document_id: documentId,
-          chunk: chunk,
-          embedding: mockEmbedding
-        })
+  } catch (error) {
+    console.error('Error in embedDocument:', error)
+    throw error
+  }
+}
 
-        // Add a small delay to simulate processing
-        await new Promise(resolve => setTimeout(resolve, 50))
+/**
+ * Bring a saved document's embeddings and knowledge graph up to date.
+ * The server re-embeds only chunks whose content hash changed, deletes
+ * orphaned chunks and re-extracts knowledge for the changed paragraphs.
+ * @param {string} documentId - The UUID of the document
+ * @returns {Promise<Object>} - The reindex result with per-step counts
+ */
+export const reindexDocument = async (documentId) => {
+  try {
+    const data = await postJSON('/api/reindex-document', {
+      document_id: documentId
+    })
 
-      } catch (error) {
-        console.error(`Error processing chunk ${i + 1}:`, error)
-        // Continue with other chunks instead of failing completely
-      }
-    }
+    console.log('Document reindexed:', data)
 
-    if (embeddingData.length === 0) {
-      throw new Error('No embeddings were successfully created')
+    return {
+      success: true,
+      ...data
     }
 
-    console.log(`Successfully created ${embeddingData.length} mock embeddings`)
-
-    // Step 3: Insert embeddings into Supabase in batches
-    const batchSize = 10 // Insert in smaller batches to avoid timeouts
-
-    for (let i = 0; i < embeddingData.length; i += batchSize) {
-      const batch = embeddingData.slice(i, i + batchSize)
-      console.log(`Inserting batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(embeddingData.length / batchSize)}`)
-
-      const { error } = await supabase
-        .from('embeddings')
-        .insert(batch)
+  } catch (error) {
+    console.error('Error reindexing document:', error)
 
-      if (error) {
-        console.error('Supabase insert error:', error)
-        throw new Error(`Failed to insert embeddings: ${error.message}`)
-      }
+    return {
+      success: false,
+      error: error.message
     }
-
-    console.log('✅ Document embedding completed successfully (MOCK MODE)!')
-    console.log(`Total chunks processed: ${embeddingData.length}`)
-
-  } catch (error) {
-    console.error('Error in embedDocument:', error)
-    throw error
   }
 }
 
@@ -189,12 +124,13 @@ export const embedDocument = async (text, documentId) => {
 export const searchSimilarChunks = async (query, limit = 5) => {
   try {
     // Get embedding for the query
-    const queryEmbedding = await getEmbedding(query)
+    const { embedding, model, matchThreshold } = await embedQuery(query)
     
-    // Search for similar chunks using Supabase vector similarity
+    // Search for similar chunks embedded with the same model
     const { data, error } = await supabase.rpc('match_chunks', {
-      query_embedding: queryEmbedding,
-      match_threshold: 0.7,
+      query_embedding: embedding,
+      query_model: model,
+      match_threshold: matchThreshold,
       match_count: limit
     })
     
@@ -209,4 +145,3 @@ export const searchSimilarChunks = async (query, limit = 5) => {
     throw error
   }
 }
-
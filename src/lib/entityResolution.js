@@ -0,0 +1,567 @@
+/**
+ * Knowledge graph entity resolution for NeuraNotes
+ * Links each triplet mention to a row of the entities table through its aliases
+ */
+
+export const ENTITY_TYPES = ['person', 'org', 'concept', 'date']
+
+export const DEFAULT_ENTITY_TYPE = 'concept'
+
+/**
+ * Words that do not count towards an acronym
+ */
+const ACRONYM_SKIP_WORDS = new Set(['of', 'and', 'the', 'for', 'in', 'on', 'to', 'a', 'an', '&'])
+
+/**
+ * Last words that mark an organisation
+ */
+const ORG_SUFFIXES = new Set([
+  'inc', 'corp', 'corporation', 'ltd', 'llc', 'gmbh', 'company', 'co', 'university',
+  'institute', 'laboratory', 'laboratories', 'labs', 'foundation', 'association',
+  'agency', 'group', 'bank', 'college', 'school', 'society', 'organization',
+  'organisation', 'department', 'ministry', 'council', 'committee'
+])
+
+const PERSON_TITLES = /^(dr|mr|mrs|ms|prof|professor|sir|dame|lady|lord|saint|st)\.?\s/i
+
+/**
+ * Predicates whose subject is usually a person, and whose object is usually
+ * a person when they end in "by"
+ */
+const PERSON_PREDICATES = /\b(born|died|invented|founded|wrote|discovered|proposed|coined|married|graduated|authored)\b/i
+
+const MONTHS = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?'
+
+const DATE_PATTERNS = [
+  /^\d{3,4}s?$/,
+  /^\d{4}-\d{2}(-\d{2})?$/,
+  new RegExp(`^${MONTHS}\\s+\\d{1,2}(st|nd|rd|th)?,?\\s+\\d{4}$`, 'i'),
+  new RegExp(`^\\d{1,2}(st|nd|rd|th)?\\s+${MONTHS},?\\s+\\d{4}$`, 'i'),
+  new RegExp(`^${MONTHS}\\s+\\d{4}$`, 'i'),
+  /^(the\s+)?\d{1,2}(st|nd|rd|th)\s+century$/i
+]
+
+/**
+ * Words ending in s that are not plurals
+ */
+const SINGULAR_WORDS = new Set(['series', 'species', 'news', 'physics', 'mathematics', 'economics', 'ethics', 'analytics', 'robotics', 'linguistics', 'genetics', 'statistics'])
+
+/**
+ * Singular form of a lowercase word, for the common English plurals only
+ */
+const singularize = (word) => {
+  if (word.length <= 3 || SINGULAR_WORDS.has(word) || /(ss|us|is|ous)$/.test(word)) return word
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`
+  if (/(ches|shes|xes)$/.test(word)) return word.slice(0, -2)
+  if (word.endsWith('s')) return word.slice(0, -1)
+  return word
+}
+
+/**
+ * Lookup key of an entity name: case, accents, punctuation, a leading
+ * article and a plural last word are ignored
+ * @param {string} name - Entity name as written
+ * @returns {string} - Key, empty for names without letters or digits
+ */
+export const entityKey = (name) => {
+  const words = (name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+
+  if (words.length > 1 && ['the', 'a', 'an'].includes(words[0])) {
+    words.shift()
+  }
+
+  if (words.length > 0) {
+    words[words.length - 1] = singularize(words[words.length - 1])
+  }
+
+  return words.join(' ')
+}
+
+/**
+ * Whether a mention is written as an acronym, e.g. "AI", "NLP" or "LLMs"
+ * @param {string} name - Entity name as written
+ * @returns {boolean}
+ */
+export const isAcronym = (name) => /^[A-Z][A-Z0-9&]{1,5}s?$/.test((name || '').trim())
+
+/**
+ * Acronym of a multi-word name whose words are capitalised, e.g.
+ * "Artificial Intelligence" → "ai"; organisation suffixes do not count
+ * @param {string} name - Entity name as written
+ * @returns {string|null} - Lowercase acronym, or null
+ */
+export const entityAcronym = (name) => {
+  const words = (name || '').trim().split(/[\s-]+/).filter(Boolean)
+  const significant = words.filter((word, index) =>
+    !ACRONYM_SKIP_WORDS.has(word.toLowerCase()) &&
+    !(index === words.length - 1 && ORG_SUFFIXES.has(word.toLowerCase().replace(/\.$/, '')))
+  )
+
+  if (significant.length < 2 || !significant.every(word => /^\p{Lu}/u.test(word))) {
+    return null
+  }
+
+  return significant.map(word => word[0].toLowerCase()).join('')
+}
+
+/**
+ * Guess an entity's type from its name and the triplet it appears in
+ * @param {string} name - Entity name as written
+ * @param {Object} context - Triplet context
+ * @param {string} context.type - Type given by the extractor, used when valid
+ * @param {string} context.predicate - The triplet's predicate
+ * @param {string} context.role - 'subject' or 'object'
+ * @returns {string} - One of ENTITY_TYPES
+ */
+export const inferEntityType = (name, context = {}) => {
+  const { type, predicate = '', role = 'subject' } = context
+  const hint = (type || '').toLowerCase()
+  if (ENTITY_TYPES.includes(hint)) return hint
+  if (hint === 'organization' || hint === 'organisation') return 'org'
+
+  const text = (name || '').trim()
+  if (DATE_PATTERNS.some(pattern => pattern.test(text))) return 'date'
+
+  const lastWord = text.split(/\s+/).pop().toLowerCase().replace(/\.$/, '')
+  if (text.split(/\s+/).length > 1 && ORG_SUFFIXES.has(lastWord)) return 'org'
+
+  if (PERSON_TITLES.test(text)) return 'person'
+
+  // "Ada Lovelace wrote ...", "... was invented by Alan Turing"
+  const looksLikeName = /^(\p{Lu}[\p{Ll}'-]+\s){1,2}\p{Lu}[\p{Ll}'-]+$/u.test(text)
+  const byPredicate = /\bby$/i.test(predicate.trim())
+  if (looksLikeName && PERSON_PREDICATES.test(predicate) && (role === 'object') === byPredicate) {
+    return 'person'
+  }
+
+  return DEFAULT_ENTITY_TYPE
+}
+
+/**
+ * Pick the canonical name among the ways an entity is written: spelled-out
+ * names beat acronyms, then the most frequent form, then capitalised forms,
+ * then the longest
+ * @param {string[]} names - Names as written, repeats allowed
+ * @returns {string} - Canonical name
+ */
+export const chooseCanonicalName = (names) => {
+  const counts = new Map()
+  names.map(name => name.trim()).filter(Boolean).forEach(name => {
+    counts.set(name, (counts.get(name) || 0) + 1)
+  })
+
+  const rank = ([name, count]) => [
+    isAcronym(name) ? 0 : 1,
+    count,
+    /\p{Lu}/u.test(name) ? 1 : 0,
+    name.length
+  ]
+
+  return Array.from(counts.entries())
+    .sort((a, b) => {
+      const [rankA, rankB] = [rank(a), rank(b)]
+      const index = rankA.findIndex((value, position) => value !== rankB[position])
+      return index === -1 ? a[0].localeCompare(b[0]) : rankB[index] - rankA[index]
+    })[0]?.[0] || ''
+}
+
+/**
+ * Alias rows of an entity name: its name key, plus its acronym key for
+ * multi-word names
+ * @param {string} name - Entity name as written
+ * @returns {Array} - Array of {alias, alias_key, kind}
+ */
+export const aliasesForName = (name) => {
+  const alias = name.trim()
+  const rows = [{ alias, alias_key: entityKey(alias), kind: 'name' }]
+  const acronym = entityAcronym(alias)
+  if (acronym) {
+    rows.push({ alias, alias_key: acronym, kind: 'acronym' })
+  }
+  return rows.filter(row => row.alias_key)
+}
+
+/**
+ * Alias lookups that can resolve a mention, most specific first
+ * @param {string} name - Mention as written
+ * @returns {Array} - Array of {alias_key, kind}
+ */
+const lookupsForMention = (name) => {
+  const key = entityKey(name)
+  const lookups = [{ alias_key: key, kind: 'name' }]
+
+  // "AI" is the acronym of a known "Artificial Intelligence"
+  if (isAcronym(name)) {
+    lookups.push({ alias_key: key, kind: 'acronym' })
+  }
+
+  // "Artificial Intelligence" spells out a known entity named "AI"
+  const acronym = entityAcronym(name)
+  if (acronym) {
+    lookups.push({ alias_key: acronym, kind: 'name', acronymOnly: true })
+  }
+
+  return lookups
+}
+
+/**
+ * Plan how mentions resolve against known aliases
+ * @param {Array} mentions - Array of {name, type}; type as from inferEntityType
+ * @param {Array} aliases - Known entity_aliases rows {alias, alias_key, kind, entity_id}
+ * @param {Map} entities - Known entities by id {id, canonical_name, type}
+ * @returns {Object} - {assignments, newEntities, newAliases}
+ *   assignments: Map of mention key → {entityId} or {newEntity: index into newEntities}
+ *   newEntities: Array of {canonical_name, type, names}
+ *   newAliases: Array of {alias, alias_key, kind, entity_id} or {..., newEntity} for new ones
+ */
+export const planEntityResolution = (mentions, aliases, entities) => {
+  const aliasIndex = new Map(aliases.map(row => [`${row.kind}:${row.alias_key}`, row]))
+  const assignments = new Map()
+  const groups = []
+  const groupByKey = new Map()
+
+  const findKnown = (name) => {
+    for (const lookup of lookupsForMention(name)) {
+      const row = aliasIndex.get(`${lookup.kind}:${lookup.alias_key}`)
+      if (row && entities.has(row.entity_id) && (!lookup.acronymOnly || isAcronym(row.alias))) {
+        return row.entity_id
+      }
+    }
+    return null
+  }
+
+  mentions.forEach(mention => {
+    const key = entityKey(mention.name)
+    if (!key || assignments.has(key) || groupByKey.has(key)) {
+      groupByKey.get(key)?.mentions.push(mention)
+      return
+    }
+
+    const entityId = findKnown(mention.name)
+    if (entityId) {
+      assignments.set(key, { entityId })
+      return
+    }
+
+    const group = { keys: [key], mentions: [mention] }
+    groups.push(group)
+    groupByKey.set(key, group)
+  })
+
+  // Within the batch, fold an acronym group into the one name group it abbreviates
+  groups.forEach(group => {
+    const acronymMention = group.mentions.find(mention => isAcronym(mention.name))
+    if (!acronymMention || group.merged) return
+
+    const targets = groups.filter(other => other !== group && !other.merged &&
+      other.mentions.some(mention => entityAcronym(mention.name) === group.keys[0]))
+    if (targets.length !== 1) return
+
+    targets[0].keys.push(...group.keys)
+    targets[0].mentions.push(...group.mentions)
+    group.merged = true
+  })
+
+  const newEntities = []
+  const newAliases = []
+
+  groups.filter(group => !group.merged).forEach(group => {
+    const names = group.mentions.map(mention => mention.name)
+    const canonicalName = chooseCanonicalName(names)
+    const index = newEntities.length
+    const typed = group.mentions.find(mention => mention.type && mention.type !== DEFAULT_ENTITY_TYPE)
+
+    newEntities.push({
+      canonical_name: canonicalName,
+      type: typed?.type || DEFAULT_ENTITY_TYPE,
+      names
+    })
+    group.keys.forEach(key => assignments.set(key, { newEntity: index }))
+  })
+
+  // Every distinct way of writing an entity becomes an alias of it
+  const seen = new Set(aliases.map(row => `${row.kind}:${row.alias_key}`))
+  mentions.forEach(mention => {
+    const assignment = assignments.get(entityKey(mention.name))
+    if (!assignment) return
+
+    aliasesForName(mention.name).forEach(row => {
+      const id = `${row.kind}:${row.alias_key}`
+      if (seen.has(id)) return
+      // An acronym alias only comes from a spelled-out name
+      if (row.kind === 'acronym' && isAcronym(mention.name)) return
+      seen.add(id)
+      newAliases.push(assignment.entityId
+        ? { ...row, entity_id: assignment.entityId }
+        : { ...row, newEntity: assignment.newEntity })
+    })
+  })
+
+  return { assignments, newEntities, newAliases }
+}
+
+/**
+ * Settle the entities created for a plan once their aliases are stored. When
+ * two extractions create the same entity at once, the alias upsert keeps the
+ * aliases written first, so a created entity may own none of its aliases; its
+ * mentions then belong to the entity that does.
+ * @param {Object} plan - Plan from planEntityResolution
+ * @param {string[]} createdIds - Ids of plan.newEntities, in order
+ * @param {Array} storedAliases - Alias rows {alias_key, kind, entity_id} read back after the upsert
+ * @returns {Object} - {entityIds: the id to use for each new entity, orphans: created ids to delete}
+ */
+export const settleNewEntities = (plan, createdIds, storedAliases) => {
+  const owners = new Map(storedAliases.map(row => [`${row.kind}:${row.alias_key}`, row.entity_id]))
+
+  const entityIds = createdIds.map((id, index) => {
+    const owned = plan.newAliases
+      .filter(row => row.newEntity === index)
+      .map(row => owners.get(`${row.kind}:${row.alias_key}`))
+    return owned.includes(id) ? id : owned.find(Boolean) || id
+  })
+
+  return {
+    entityIds,
+    orphans: createdIds.filter((id, index) => entityIds[index] !== id)
+  }
+}
+
+/**
+ * Link triplets to entities, creating entities and aliases as needed
+ * @param {Object} client - Supabase client
+ * @param {Array} triplets - Rows for knowledge_graph {subject, predicate, object, ...};
+ *   optional subject_type/object_type hints from the extractor
+ * @returns {Promise<Array>} - The rows with subject_entity_id and object_entity_id
+ *   set and the type hints removed
+ */
+export const resolveTripletEntities = async (client, triplets) => {
+  if (triplets.length === 0) return []
+
+  const mentions = triplets.flatMap(triplet => ['subject', 'object'].map(role => ({
+    name: triplet[role],
+    type: inferEntityType(triplet[role], { type: triplet[`${role}_type`], predicate: triplet.predicate, role })
+  })))
+
+  // Load the aliases any mention could resolve through
+  const lookups = mentions.flatMap(mention => lookupsForMention(mention.name))
+  const keys = [...new Set(lookups.map(lookup => lookup.alias_key).filter(Boolean))]
+
+  const { data: aliases, error: aliasError } = await client
+    .from('entity_aliases')
+    .select('alias, alias_key, kind, entity_id')
+    .in('alias_key', keys)
+
+  if (aliasError) throw aliasError
+
+  const entityIds = [...new Set((aliases || []).map(row => row.entity_id))]
+  let entities = []
+  if (entityIds.length > 0) {
+    const { data, error } = await client
+      .from('entities')
+      .select('id, canonical_name, type')
+      .in('id', entityIds)
+
+    if (error) throw error
+    entities = data || []
+  }
+
+  const plan = planEntityResolution(mentions, aliases || [], new Map(entities.map(entity => [entity.id, entity])))
+
+  let createdIds = []
+  if (plan.newEntities.length > 0) {
+    const { data, error } = await client
+      .from('entities')
+      .insert(plan.newEntities.map(({ canonical_name, type }) => ({ canonical_name, type })))
+      .select('id')
+
+    if (error) throw error
+    createdIds = (data || []).map(entity => entity.id)
+  }
+
+  if (plan.newAliases.length > 0) {
+    const { error } = await client
+      .from('entity_aliases')
+      .upsert(plan.newAliases.map(({ newEntity, ...row }) => ({
+        ...row,
+        entity_id: row.entity_id || createdIds[newEntity]
+      })), { onConflict: 'alias_key,kind', ignoreDuplicates: true })
+
+    if (error) throw error
+  }
+
+  // Another extraction may have created the same entities meanwhile
+  let newEntityIds = createdIds
+  if (createdIds.length > 0) {
+    const newKeys = [...new Set(plan.newAliases
+      .filter(row => row.newEntity !== undefined)
+      .map(row => row.alias_key))]
+
+    const { data: stored, error } = await client
+      .from('entity_aliases')
+      .select('alias_key, kind, entity_id')
+      .in('alias_key', newKeys)
+
+    if (error) throw error
+
+    const settled = settleNewEntities(plan, createdIds, stored || [])
+    newEntityIds = settled.entityIds
+
+    if (settled.orphans.length > 0) {
+      const { error: deleteError } = await client
+        .from('entities')
+        .delete()
+        .in('id', settled.orphans)
+
+      if (deleteError) throw deleteError
+    }
+  }
+
+  const entityIdFor = (name) => {
+    const assignment = plan.assignments.get(entityKey(name))
+    if (!assignment) return null
+    return assignment.entityId || newEntityIds[assignment.newEntity] || null
+  }
+
+  return triplets.map(triplet => {
+    const row = {
+      ...triplet,
+      subject_entity_id: entityIdFor(triplet.subject),
+      object_entity_id: entityIdFor(triplet.object)
+    }
+    // The type hints live on the entities, not on knowledge_graph
+    delete row.subject_type
+    delete row.object_type
+    return row
+  })
+}
+
+/**
+ * Move one entity's aliases and triplets to another and delete it
+ * @param {Object} client - Supabase client
+ * @param {string} sourceId - Entity to merge away
+ * @param {string} targetId - Entity to keep
+ * @returns {Promise<void>}
+ */
+export const mergeEntities = async (client, sourceId, targetId) => {
+  if (sourceId === targetId) {
+    throw new Error('Cannot merge an entity into itself')
+  }
+
+  for (const column of ['subject_entity_id', 'object_entity_id']) {
+    const { error } = await client
+      .from('knowledge_graph')
+      .update({ [column]: targetId })
+      .eq(column, sourceId)
+
+    if (error) throw error
+  }
+
+  const { error: aliasError } = await client
+    .from('entity_aliases')
+    .update({ entity_id: targetId })
+    .eq('entity_id', sourceId)
+
+  if (aliasError) throw aliasError
+
+  const { error: deleteError } = await client
+    .from('entities')
+    .delete()
+    .eq('id', sourceId)
+
+  if (deleteError) throw deleteError
+}
+
+/**
+ * Split aliases off an entity into a new entity, moving the triplets that
+ * mention them
+ * @param {Object} client - Supabase client
+ * @param {string} entityId - Entity to split
+ * @param {string[]} aliasKeys - Name alias keys to move (see entityKey)
+ * @param {Object} details - The new entity
+ * @param {string} details.name - Canonical name
+ * @param {string} details.type - One of ENTITY_TYPES
+ * @returns {Promise<Object>} - The new entity {id, canonical_name, type}
+ */
+export const splitEntity = async (client, entityId, aliasKeys, details) => {
+  const { name, type = DEFAULT_ENTITY_TYPE } = details
+
+  if (!name || !name.trim()) {
+    throw new Error('The new entity needs a name')
+  }
+
+  if (!ENTITY_TYPES.includes(type)) {
+    throw new Error(`Type must be one of: ${ENTITY_TYPES.join(', ')}`)
+  }
+
+  const { data: aliases, error: aliasError } = await client
+    .from('entity_aliases')
+    .select('alias, alias_key, kind')
+    .eq('entity_id', entityId)
+
+  if (aliasError) throw aliasError
+
+  const moving = (aliases || []).filter(row => aliasKeys.includes(row.alias_key) && row.kind === 'name')
+  if (moving.length === 0) {
+    throw new Error('Choose at least one alias to split off')
+  }
+
+  if (moving.length === (aliases || []).filter(row => row.kind === 'name').length) {
+    throw new Error('An entity must keep at least one alias')
+  }
+
+  const { data: created, error: createError } = await client
+    .from('entities')
+    .insert({ canonical_name: name.trim(), type })
+    .select('id, canonical_name, type')
+    .single()
+
+  if (createError) throw createError
+
+  // Acronym aliases follow the spelled-out names they came from
+  const movingNames = new Set(moving.map(row => row.alias))
+  const movingRows = (aliases || []).filter(row =>
+    (row.kind === 'name' && aliasKeys.includes(row.alias_key)) ||
+    (row.kind === 'acronym' && movingNames.has(row.alias))
+  )
+
+  for (const row of movingRows) {
+    const { error } = await client
+      .from('entity_aliases')
+      .update({ entity_id: created.id })
+      .eq('alias_key', row.alias_key)
+      .eq('kind', row.kind)
+
+    if (error) throw error
+  }
+
+  // Triplets keep the mention as written; move those whose mention has a moved key
+  const keys = new Set(aliasKeys)
+  for (const role of ['subject', 'object']) {
+    const column = `${role}_entity_id`
+    const { data: triplets, error } = await client
+      .from('knowledge_graph')
+      .select(`id, ${role}`)
+      .eq(column, entityId)
+
+    if (error) throw error
+
+    const ids = (triplets || []).filter(triplet => keys.has(entityKey(triplet[role]))).map(triplet => triplet.id)
+    if (ids.length === 0) continue
+
+    const { error: updateError } = await client
+      .from('knowledge_graph')
+      .update({ [column]: created.id })
+      .in('id', ids)
+
+    if (updateError) throw updateError
+  }
+
+  return created
+}
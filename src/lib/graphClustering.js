@@ -0,0 +1,274 @@
+/**
+ * Community detection and level of detail for large knowledge graphs
+ */
+
+import { entityKey } from './entityResolution.js'
+
+/**
+ * Graphs with more nodes than this are clustered by default
+ */
+export const CLUSTER_THRESHOLD = 300
+
+/**
+ * Smallest community collapsed into a super-node
+ */
+export const MIN_CLUSTER_SIZE = 3
+
+/**
+ * Prefix of super-node ids
+ */
+export const CLUSTER_PREFIX = 'cluster:'
+
+/**
+ * Id of a link end, before or after a force simulation replaced it with the node
+ */
+export const endpointId = (end) => typeof end === 'object' && end !== null ? end.id : end
+
+/**
+ * One Louvain level: move nodes between communities until no move raises
+ * modularity
+ * @param {string[]} ids - Node ids, in visiting order
+ * @param {Map} weights - id → Map of neighbour id → link weight (symmetric)
+ * @param {number} maxPasses - Most sweeps over the nodes
+ * @returns {Map} - id → community id (one of the node ids)
+ */
+const moveNodes = (ids, weights, maxPasses) => {
+  const community = new Map(ids.map(id => [id, id]))
+  const degree = new Map()
+  const total = new Map()
+  let doubleWeight = 0
+
+  ids.forEach(id => {
+    let sum = 0
+    for (const weight of weights.get(id)?.values() || []) sum += weight
+    degree.set(id, sum)
+    total.set(id, sum)
+    doubleWeight += sum
+  })
+
+  if (doubleWeight === 0) return community
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let moved = false
+
+    ids.forEach(id => {
+      const current = community.get(id)
+      const nodeDegree = degree.get(id)
+
+      // Weight from this node into each neighbouring community
+      const into = new Map()
+      for (const [neighbor, weight] of weights.get(id) || []) {
+        if (neighbor === id) continue
+        const target = community.get(neighbor)
+        into.set(target, (into.get(target) || 0) + weight)
+      }
+
+      total.set(current, total.get(current) - nodeDegree)
+
+      const gain = (target) => (into.get(target) || 0) - total.get(target) * nodeDegree / doubleWeight
+      let best = current
+      let bestGain = gain(current)
+      for (const target of into.keys()) {
+        const targetGain = gain(target)
+        if (targetGain > bestGain + 1e-12) {
+          best = target
+          bestGain = targetGain
+        }
+      }
+
+      total.set(best, total.get(best) + nodeDegree)
+      if (best !== current) {
+        community.set(id, best)
+        moved = true
+      }
+    })
+
+    if (!moved) break
+  }
+
+  return community
+}
+
+/**
+ * Find communities of densely linked nodes
+ * @param {Array} nodes - Graph nodes {id}
+ * @param {Array} links - Graph links {source, target}; parallel links add weight
+ * @param {Object} options - {maxLevels, maxPasses}
+ * @returns {Map} - Node id → community id; ids are "c0", "c1", ... by first member
+ */
+export const detectCommunities = (nodes, links, { maxLevels = 10, maxPasses = 20 } = {}) => {
+  const addWeight = (weights, from, to, weight) => {
+    if (!weights.has(from)) weights.set(from, new Map())
+    weights.get(from).set(to, (weights.get(from).get(to) || 0) + weight)
+  }
+
+  let ids = nodes.map(node => node.id)
+  let weights = new Map(ids.map(id => [id, new Map()]))
+  links.forEach(link => {
+    const source = endpointId(link.source)
+    const target = endpointId(link.target)
+    if (!weights.has(source) || !weights.has(target)) return
+
+    addWeight(weights, source, target, 1)
+    if (source !== target) addWeight(weights, target, source, 1)
+  })
+
+  // Original node → node of the current level
+  const membership = new Map(ids.map(id => [id, id]))
+
+  for (let level = 0; level < maxLevels; level++) {
+    const community = moveNodes(ids, weights, maxPasses)
+    const communities = new Set(community.values())
+    if (communities.size === ids.length) break
+
+    for (const [id, node] of membership) membership.set(id, community.get(node))
+
+    // Each community becomes a node; links inside it become a self loop
+    const aggregated = new Map([...communities].map(id => [id, new Map()]))
+    for (const [from, neighbors] of weights) {
+      for (const [to, weight] of neighbors) {
+        addWeight(aggregated, community.get(from), community.get(to), weight)
+      }
+    }
+
+    ids = ids.filter(id => communities.has(id))
+    weights = aggregated
+  }
+
+  // Stable, readable ids in order of each community's first member
+  const names = new Map()
+  const result = new Map()
+  nodes.forEach(node => {
+    const root = membership.get(node.id)
+    if (!names.has(root)) names.set(root, `c${names.size}`)
+    result.set(node.id, names.get(root))
+  })
+
+  return result
+}
+
+/**
+ * Replace communities with super-nodes. Links inside a collapsed community
+ * are hidden and links between collapsed communities are merged.
+ * @param {Object} graph - {nodes, links} with node {id, label, connections}
+ * @param {Map} communities - Node id → community id, from detectCommunities
+ * @param {Object} options - {expanded: Set of community ids left open, minSize}
+ * @returns {Object} - {nodes, links}; super-nodes are {id, label, type: 'cluster', community, size, members, connections}, merged links {id, source, target, label, aggregated: true, count, linkIds}
+ */
+export const collapseCommunities = ({ nodes, links }, communities, { expanded = new Set(), minSize = MIN_CLUSTER_SIZE } = {}) => {
+  const members = new Map()
+  nodes.forEach(node => {
+    const community = communities.get(node.id)
+    if (!members.has(community)) members.set(community, [])
+    members.get(community).push(node)
+  })
+
+  const collapsed = (community) => !expanded.has(community) && (members.get(community)?.length || 0) >= minSize
+
+  // Where each original node is drawn
+  const drawnAs = new Map()
+  const viewNodes = []
+  const clusters = new Map()
+
+  nodes.forEach(node => {
+    const community = communities.get(node.id)
+    if (!collapsed(community)) {
+      drawnAs.set(node.id, node.id)
+      viewNodes.push({ ...node })
+      return
+    }
+
+    const id = `${CLUSTER_PREFIX}${community}`
+    drawnAs.set(node.id, id)
+    if (clusters.has(id)) return
+
+    const group = members.get(community)
+    const hub = group.reduce((best, member) => (member.connections || 0) > (best.connections || 0) ? member : best)
+    const cluster = {
+      id,
+      label: hub.label,
+      type: 'cluster',
+      community,
+      size: group.length,
+      members: group.map(member => member.id),
+      connections: 0
+    }
+    clusters.set(id, cluster)
+    viewNodes.push(cluster)
+  })
+
+  const viewLinks = []
+  const merged = new Map()
+  links.forEach(link => {
+    const source = drawnAs.get(endpointId(link.source))
+    const target = drawnAs.get(endpointId(link.target))
+    if (source === undefined || target === undefined) return
+
+    const touchesCluster = clusters.has(source) || clusters.has(target)
+    if (!touchesCluster) {
+      viewLinks.push({ ...link, source, target })
+      return
+    }
+
+    if (source === target) return
+
+    const key = `${source}\u0000${target}`
+    if (!merged.has(key)) {
+      merged.set(key, {
+        id: `cluster-link:${source}>${target}`,
+        source,
+        target,
+        label: '',
+        type: 'relationship',
+        aggregated: true,
+        count: 0,
+        linkIds: []
+      })
+    }
+    const mergedLink = merged.get(key)
+    mergedLink.count++
+    mergedLink.linkIds.push(link.id)
+  })
+
+  for (const link of merged.values()) {
+    link.label = link.count === 1 ? '1 relationship' : `${link.count} relationships`
+    viewLinks.push(link)
+  }
+
+  viewLinks.forEach(link => {
+    for (const id of [link.source, link.target]) {
+      const cluster = clusters.get(id)
+      if (cluster) cluster.connections += link.count || 1
+    }
+  })
+
+  return { nodes: viewNodes, links: viewLinks }
+}
+
+/**
+ * Nodes whose name matches a search: names starting with it first, then
+ * names with a word starting with it, then names containing it
+ * @param {Array} nodes - Graph nodes {id, label, connections}
+ * @param {string} query - What was typed
+ * @param {number} limit - Most matches returned
+ * @returns {Array} - Matching nodes, best first
+ */
+export const searchNodes = (nodes, query, limit = 8) => {
+  const key = entityKey(query)
+  if (!key) return []
+
+  const rank = (node) => {
+    const name = entityKey(node.label)
+    if (name === key) return 0
+    if (name.startsWith(key)) return 1
+    if (name.split(' ').some(word => word.startsWith(key))) return 2
+    return name.includes(key) ? 3 : -1
+  }
+
+  return nodes
+    .map(node => ({ node, rank: rank(node) }))
+    .filter(({ rank }) => rank >= 0)
+    .sort((a, b) => a.rank - b.rank || (b.node.connections || 0) - (a.node.connections || 0) || a.node.label.localeCompare(b.node.label))
+    .slice(0, limit)
+    .map(({ node }) => node)
+}
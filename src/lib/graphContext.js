@@ -0,0 +1,168 @@
+/**
+ * Knowledge graph context for GraphRAG answers in NeuraNotes
+ */
+
+import { entityKey, isAcronym } from './entityResolution.js'
+
+/**
+ * Longest entity name looked for in a question, in words
+ */
+const MAX_ENTITY_WORDS = 4
+
+/**
+ * Most entities taken from one question
+ */
+export const MAX_QUESTION_ENTITIES = 4
+
+/**
+ * Most graph facts added to one answer's context
+ */
+export const MAX_GRAPH_FACTS = 8
+
+/**
+ * Words that never start or end an entity name in a question
+ */
+const EDGE_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'between', 'by', 'can', 'connected', 'did', 'do', 'does', 'for',
+  'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'related', 'relate', 'the', 'to', 'was', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'with'
+])
+
+/**
+ * Word runs of a question that could name an entity, with their alias keys
+ * @param {string} question - The question text
+ * @returns {Array} - Array of {text, key, start, end} spans, end exclusive
+ */
+export const questionEntitySpans = (question) => {
+  const words = (question || '').match(/[\p{L}\p{N}][\p{L}\p{N}'’&.-]*/gu) || []
+  const spans = []
+
+  // "IT" written as an acronym can still name an entity
+  const isEdgeWord = (word) => EDGE_WORDS.has(word.toLowerCase().replace(/[.’']+$/, '')) && !isAcronym(word)
+
+  for (let start = 0; start < words.length; start++) {
+    for (let end = start + 1; end <= Math.min(words.length, start + MAX_ENTITY_WORDS); end++) {
+      if (isEdgeWord(words[start]) || isEdgeWord(words[end - 1])) continue
+
+      const text = words.slice(start, end).join(' ').replace(/[.]+$/, '')
+      const key = entityKey(text)
+      if (key) spans.push({ text, key, start, end })
+    }
+  }
+
+  return spans
+}
+
+/**
+ * Entities a question names, preferring the longest match where names
+ * overlap ("Turing Machine" over "Turing"). Acronym aliases only match
+ * words written as acronyms, so "it" does not find "Information Technology".
+ * @param {Array} spans - Spans from questionEntitySpans
+ * @param {Array} aliasRows - entity_aliases rows {alias_key, kind, entity_id} for the span keys
+ * @returns {string[]} - Entity ids, in question order
+ */
+export const pickQuestionEntities = (spans, aliasRows) => {
+  const matches = spans
+    .map(span => {
+      const row = aliasRows.find(alias => alias.alias_key === span.key &&
+        (alias.kind !== 'acronym' || isAcronym(span.text)))
+      return row ? { ...span, entityId: row.entity_id } : null
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+
+  const covered = new Set()
+  const picked = []
+
+  matches.forEach(match => {
+    const positions = Array.from({ length: match.end - match.start }, (_, offset) => match.start + offset)
+    if (positions.some(position => covered.has(position))) return
+    positions.forEach(position => covered.add(position))
+    picked.push(match)
+  })
+
+  const entityIds = picked
+    .sort((a, b) => a.start - b.start)
+    .map(match => match.entityId)
+
+  return [...new Set(entityIds)].slice(0, MAX_QUESTION_ENTITIES)
+}
+
+/**
+ * Rank the triplets around the question's entities. Facts that connect two
+ * of them come first, then facts that reach a neighbour shared by two of
+ * them (X - Z - Y), then the rest by confidence. This is what lets "how is
+ * X related to Y" be answered from the graph.
+ * @param {Array} triplets - Rows from search_knowledge_graph
+ * @param {string[]} entityIds - Entity ids found in the question
+ * @param {number} limit - Most facts to keep
+ * @returns {Array} - The chosen rows, best first
+ */
+export const rankGraphFacts = (triplets, entityIds, limit = MAX_GRAPH_FACTS) => {
+  const questionEntities = new Set(entityIds)
+  const unique = [...new Map(triplets.map(triplet => [triplet.id, triplet])).values()]
+  const ends = (triplet) => [triplet.subject_entity_id, triplet.object_entity_id]
+
+  // Which question entities each other entity is linked to
+  const linkedTo = new Map()
+  unique.forEach(triplet => {
+    const [subject, object] = ends(triplet)
+    for (const [entity, other] of [[subject, object], [object, subject]]) {
+      if (!entity || questionEntities.has(entity) || !questionEntities.has(other)) continue
+      if (!linkedTo.has(entity)) linkedTo.set(entity, new Set())
+      linkedTo.get(entity).add(other)
+    }
+  })
+
+  const score = (triplet) => {
+    const [subject, object] = ends(triplet)
+    const touching = [subject, object].filter(entity => questionEntities.has(entity))
+    if (touching.length === 2 && subject !== object) return 3
+
+    const other = questionEntities.has(subject) ? object : subject
+    if ((linkedTo.get(other)?.size || 0) > 1) return 2
+
+    return touching.length > 0 ? 1 : 0
+  }
+
+  return unique
+    .map((triplet, index) => ({ triplet, index, score: score(triplet) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      (b.triplet.confidence ?? 0.5) - (a.triplet.confidence ?? 0.5) ||
+      a.index - b.index)
+    .slice(0, limit)
+    .map(({ triplet }) => triplet)
+}
+
+/**
+ * A graph fact as one plain sentence, using entity names where resolved
+ * @param {Object} triplet - Knowledge graph row
+ * @returns {string} - e.g. "Alan Turing invented Turing Machine."
+ */
+export const formatGraphFact = (triplet) => {
+  const subject = triplet.subject_name || triplet.subject
+  const object = triplet.object_name || triplet.object
+  return `${subject} ${triplet.predicate} ${object}.`
+}
+
+/**
+ * Describe the graph facts returned alongside an answer.
+ * Each fact's `citation` ("G1", "G2", ...) is how the answer refers to it.
+ * @param {Array} triplets - The facts given to the model
+ * @returns {Array} - Graph fact metadata
+ */
+export const buildGraphFactsMetadata = (triplets) => {
+  return triplets.map((triplet, index) => ({
+    citation: `G${index + 1}`,
+    id: triplet.id,
+    documentId: triplet.document_id || null,
+    subject: triplet.subject_name || triplet.subject,
+    predicate: triplet.predicate,
+    object: triplet.object_name || triplet.object,
+    fact: formatGraphFact(triplet),
+    sourceSnippet: triplet.source_snippet || null,
+    confidence: triplet.confidence ?? null
+  }))
+}
@@ -0,0 +1,88 @@
+/**
+ * Hand curation of the NeuraNotes knowledge graph
+ */
+
+/**
+ * Who can create a triplet, matching the created_by column
+ */
+export const TRIPLET_CREATORS = ['extractor', 'user']
+
+/**
+ * Longest predicate accepted from the editor
+ */
+export const MAX_PREDICATE_LENGTH = 100
+
+/**
+ * Tidy a predicate typed by a user: single spaces, no surrounding whitespace
+ * @param {string} predicate - The predicate as typed
+ * @returns {string} - The predicate to store
+ */
+export const normalizePredicate = (predicate) => (predicate || '').replace(/\s+/g, ' ').trim()
+
+/**
+ * Check a predicate typed by a user
+ * @param {string} predicate - The predicate as typed
+ * @returns {string|null} - What is wrong with it, or null if it can be saved
+ */
+export const validatePredicate = (predicate) => {
+  const normalized = normalizePredicate(predicate)
+
+  if (!normalized) {
+    return 'A relationship needs a predicate'
+  }
+
+  if (normalized.length > MAX_PREDICATE_LENGTH) {
+    return `Predicates must be at most ${MAX_PREDICATE_LENGTH} characters`
+  }
+
+  return null
+}
+
+/**
+ * Whether a person vouched for a triplet
+ * @param {Object} triplet - Knowledge graph row
+ * @returns {boolean} - True for verified and user-created triplets
+ */
+export const isCuratedTriplet = (triplet) => !!triplet.is_verified || triplet.created_by === 'user'
+
+/**
+ * Build the row for a relationship drawn between two graph nodes
+ * @param {Object} subject - Graph node {id, label}; ids not starting with "mention:" are entity ids
+ * @param {Object} object - Graph node {id, label}
+ * @param {string} predicate - The predicate as typed
+ * @param {string} documentId - Document the relationship belongs to
+ * @returns {Object} - {row} ready to insert, or {error}
+ */
+export const buildUserTriplet = (subject, object, predicate, documentId) => {
+  const predicateError = validatePredicate(predicate)
+  if (predicateError) return { error: predicateError }
+
+  if (!subject?.label || !object?.label) {
+    return { error: 'Pick two entities to link' }
+  }
+
+  if (subject.id === object.id) {
+    return { error: 'An entity cannot be linked to itself' }
+  }
+
+  if (!documentId) {
+    return { error: 'Pick the document this relationship belongs to' }
+  }
+
+  const entityId = (node) => node.id && !node.id.startsWith('mention:') ? node.id : null
+
+  return {
+    row: {
+      subject: subject.label.trim(),
+      predicate: normalizePredicate(predicate),
+      object: object.label.trim(),
+      subject_entity_id: entityId(subject),
+      object_entity_id: entityId(object),
+      source_snippet: null,
+      confidence: null,
+      document_id: documentId,
+      created_by: 'user',
+      is_verified: true
+    }
+  }
+}
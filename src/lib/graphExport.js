@@ -0,0 +1,749 @@
+/**
+ * Knowledge graph export and import for NeuraNotes
+ * Reads only files in the shape written here, not general RDF or GraphML
+ */
+
+import { describeTripletEntity } from './graphQueries.js'
+
+/**
+ * Export formats and the files they produce
+ */
+export const EXPORT_FORMATS = {
+  turtle: { label: 'RDF/Turtle', extension: 'ttl', mimeType: 'text/turtle' },
+  jsonld: { label: 'JSON-LD', extension: 'jsonld', mimeType: 'application/ld+json' },
+  graphml: { label: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml' },
+  csv: { label: 'CSV (nodes and edges)', extension: 'csv', mimeType: 'text/csv' }
+}
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#'
+const XSD = 'http://www.w3.org/2001/XMLSchema#'
+const VOCAB = 'urn:neuranotes:vocab:'
+const PREDICATES = 'urn:neuranotes:predicate:'
+const ENTITY_IRI = 'urn:neuranotes:entity:'
+const TRIPLET_IRI = 'urn:neuranotes:triplet:'
+
+const PREFIXES = { rdf: RDF, rdfs: RDFS, xsd: XSD, nn: VOCAB, nnp: PREDICATES }
+
+/**
+ * Node properties: the row field, the exported name and how it is written
+ */
+const NODE_PROPERTIES = [
+  { field: 'name', name: 'label', type: 'string' },
+  { field: 'type', name: 'entityType', type: 'string' }
+]
+
+/**
+ * Edge properties. Labels are predicates, so Gephi shows them on edges.
+ */
+const EDGE_PROPERTIES = [
+  { field: 'predicate', name: 'label', type: 'string' },
+  { field: 'relation_type', name: 'relationType', type: 'string' },
+  { field: 'subject', name: 'subjectText', type: 'string' },
+  { field: 'object', name: 'objectText', type: 'string' },
+  { field: 'source_snippet', name: 'sourceSnippet', type: 'string' },
+  { field: 'source_anchor', name: 'sourceAnchor', type: 'json' },
+  { field: 'confidence', name: 'confidence', type: 'number' },
+  { field: 'document_id', name: 'documentId', type: 'string' },
+  { field: 'created_by', name: 'createdBy', type: 'string' },
+  { field: 'is_verified', name: 'isVerified', type: 'boolean' },
+  { field: 'is_stale', name: 'isStale', type: 'boolean' }
+]
+
+/**
+ * Property IRIs: labels are rdfs:label, the rest live in the nn: vocabulary
+ */
+const propertyIri = (name) => name === 'label' ? `${RDFS}label` : `${VOCAB}${name}`
+
+/**
+ * The nodes and edges exported for some triplets
+ * @param {Array} triplets - Knowledge graph rows, with their entities
+ * @returns {Object} - {nodes: [{id, name, type}], edges: [{id, source, target, ...edge fields}]}
+ */
+export const buildExportGraph = (triplets) => {
+  const nodes = new Map()
+  const edges = triplets.map(triplet => {
+    const subject = describeTripletEntity(triplet, 'subject')
+    const object = describeTripletEntity(triplet, 'object')
+
+    for (const entity of [subject, object]) {
+      if (!nodes.has(entity.id)) {
+        nodes.set(entity.id, { id: entity.id, name: entity.name, type: entity.type || null })
+      }
+    }
+
+    return {
+      id: triplet.id,
+      source: subject.id,
+      target: object.id,
+      predicate: triplet.predicate,
+      relation_type: triplet.relation_type || null,
+      subject: triplet.subject,
+      object: triplet.object,
+      source_snippet: triplet.source_snippet || null,
+      source_anchor: triplet.source_anchor || null,
+      confidence: typeof triplet.confidence === 'number' ? triplet.confidence : null,
+      document_id: triplet.document_id || null,
+      created_by: triplet.created_by || 'extractor',
+      is_verified: !!triplet.is_verified,
+      is_stale: !!triplet.is_stale
+    }
+  })
+
+  return { nodes: Array.from(nodes.values()), edges }
+}
+
+/**
+ * Write a property as text, for CSV cells and GraphML data
+ */
+const propertyText = (value, type) => {
+  if (value === null || value === undefined) return ''
+  return type === 'json' ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * Read a property written by propertyText
+ */
+const propertyValue = (text, type) => {
+  if (text === undefined || text === null || text === '') return null
+
+  if (type === 'number') {
+    const number = Number(text)
+    return Number.isFinite(number) ? number : null
+  }
+
+  if (type === 'boolean') return text === true || String(text).toLowerCase() === 'true'
+
+  if (type === 'json') {
+    if (typeof text !== 'string') return text
+    try {
+      return JSON.parse(text)
+    } catch {
+      return null
+    }
+  }
+
+  return String(text)
+}
+
+/**
+ * Fill a node or edge from properties read by exported name
+ */
+const readProperties = (target, properties, read) => {
+  properties.forEach(({ field, name, type }) => {
+    target[field] = propertyValue(read(name), type)
+  })
+  return target
+}
+
+// RDF/Turtle
+
+const entityIri = (id) => `${ENTITY_IRI}${encodeURIComponent(id)}`
+const tripletIri = (id) => `${TRIPLET_IRI}${encodeURIComponent(id)}`
+
+/**
+ * The IRI of the direct triple for an edge: its relation type, or its
+ * predicate made into a name when it has none
+ */
+const relationIri = (edge) => {
+  if (edge.relation_type) return `${VOCAB}${edge.relation_type}`
+  const words = (edge.predicate || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || ['related', 'to']
+  return `${PREDICATES}${words.join('_')}`
+}
+
+/**
+ * Shorten an IRI to a prefixed name when it is safe to
+ */
+const compactIri = (iri) => {
+  for (const [prefix, namespace] of Object.entries(PREFIXES)) {
+    const local = iri.startsWith(namespace) && iri.slice(namespace.length)
+    if (local && /^[\p{L}\p{N}_]+$/u.test(local)) return `${prefix}:${local}`
+  }
+  return `<${iri}>`
+}
+
+const turtleString = (text) => `"${String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r')
+  .replace(/\t/g, '\\t')}"`
+
+const turtleLiteral = (value, type) => {
+  if (type === 'boolean') return value ? 'true' : 'false'
+  if (type === 'number') return `${turtleString(value)}^^xsd:double`
+  if (type === 'json') return turtleString(JSON.stringify(value))
+  return turtleString(value)
+}
+
+/**
+ * One Turtle subject with its predicate-object pairs
+ */
+const turtleBlock = (subject, pairs) =>
+  `${compactIri(subject)} ${pairs.map(([predicate, object]) => `${predicate} ${object}`).join(' ;\n  ')} .`
+
+/**
+ * Serialize a graph as RDF/Turtle
+ * @param {Object} graph - Graph from buildExportGraph
+ * @returns {string} - Turtle document
+ */
+export const toTurtle = ({ nodes, edges }) => {
+  const lines = Object.entries(PREFIXES).map(([prefix, namespace]) => `@prefix ${prefix}: <${namespace}> .`)
+  lines.push('')
+
+  nodes.forEach(node => {
+    const pairs = [['a', 'nn:Entity']]
+    NODE_PROPERTIES.forEach(({ field, name, type }) => {
+      if (node[field] !== null) pairs.push([compactIri(propertyIri(name)), turtleLiteral(node[field], type)])
+    })
+    lines.push(turtleBlock(entityIri(node.id), pairs))
+  })
+
+  lines.push('')
+
+  edges.forEach(edge => {
+    lines.push(`${compactIri(entityIri(edge.source))} ${compactIri(relationIri(edge))} ${compactIri(entityIri(edge.target))} .`)
+
+    const pairs = [
+      ['a', 'rdf:Statement'],
+      ['rdf:subject', compactIri(entityIri(edge.source))],
+      ['rdf:predicate', compactIri(relationIri(edge))],
+      ['rdf:object', compactIri(entityIri(edge.target))]
+    ]
+    EDGE_PROPERTIES.forEach(({ field, name, type }) => {
+      if (edge[field] !== null) pairs.push([compactIri(propertyIri(name)), turtleLiteral(edge[field], type)])
+    })
+    lines.push(turtleBlock(tripletIri(edge.id), pairs))
+  })
+
+  return `${lines.join('\n')}\n`
+}
+
+const TURTLE_TOKEN = new RegExp([
+  /(?<space>\s+|#[^\n]*)/u,
+  /(?<prefix>@prefix)/u,
+  /<(?<iri>[^>\s]*)>/u,
+  /"(?<string>(?:[^"\\\n]|\\.)*)"/u,
+  /(?<datatype>\^\^)/u,
+  /@(?<language>[a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/u,
+  /(?<boolean>true|false)(?![\p{L}\p{N}_:])/u,
+  /(?<number>[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?![\p{L}\p{N}_:])/u,
+  /(?<a>a)(?=\s)/u,
+  /(?<pname>[\p{L}_][\p{L}\p{N}_-]*:|:)(?<local>[\p{L}\p{N}_%-]*(?:\.[\p{L}\p{N}_%-]+)*)/u,
+  /(?<punctuation>[.;,])/u
+].map(pattern => pattern.source).join('|'), 'uy')
+
+const TURTLE_ESCAPES = { t: '\t', n: '\n', r: '\r', b: '\b', f: '\f', '"': '"', "'": "'", '\\': '\\' }
+
+const unescapeTurtle = (text) => text.replace(/\\(?:u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|(.))/g,
+  (match, short, long, char) => short || long ? String.fromCodePoint(parseInt(short || long, 16)) : TURTLE_ESCAPES[char] ?? char)
+
+/**
+ * Read the triples of a Turtle document
+ * @param {string} text - Turtle document
+ * @returns {Array} - [subject, predicate, object]; IRIs are strings, literals {value, datatype}
+ */
+export const parseTurtle = (text) => {
+  const prefixes = {}
+  const tokens = []
+
+  TURTLE_TOKEN.lastIndex = 0
+  while (TURTLE_TOKEN.lastIndex < text.length) {
+    const at = TURTLE_TOKEN.lastIndex
+    const match = TURTLE_TOKEN.exec(text)
+    if (!match) {
+      throw new Error(`Unexpected Turtle near "${text.slice(at, at + 20)}"`)
+    }
+    if (match.groups.space === undefined) tokens.push(match.groups)
+  }
+
+  let position = 0
+  const next = () => tokens[position++]
+  const expect = (punctuation) => {
+    const token = next()
+    if (token?.punctuation !== punctuation) {
+      throw new Error(`Expected "${punctuation}" in Turtle`)
+    }
+  }
+
+  const term = (token) => {
+    if (!token) throw new Error('Unexpected end of Turtle')
+    if (token.iri !== undefined) return token.iri
+    if (token.a !== undefined) return `${RDF}type`
+    if (token.pname !== undefined) {
+      const namespace = prefixes[token.pname.slice(0, -1)]
+      if (namespace === undefined) throw new Error(`Unknown Turtle prefix "${token.pname}"`)
+      return namespace + token.local
+    }
+    if (token.boolean !== undefined) return { value: token.boolean, datatype: `${XSD}boolean` }
+    if (token.number !== undefined) return { value: token.number, datatype: `${XSD}double` }
+    if (token.string !== undefined) {
+      const literal = { value: unescapeTurtle(token.string), datatype: null }
+      if (tokens[position]?.datatype !== undefined) {
+        position++
+        literal.datatype = term(next())
+      } else if (tokens[position]?.language !== undefined) {
+        position++
+      }
+      return literal
+    }
+    throw new Error('Unsupported Turtle term')
+  }
+
+  const triples = []
+  while (position < tokens.length) {
+    if (tokens[position].prefix !== undefined) {
+      position++
+      const name = next()
+      const namespace = next()
+      if (name?.pname === undefined || namespace?.iri === undefined) {
+        throw new Error('Malformed @prefix in Turtle')
+      }
+      prefixes[name.pname.slice(0, -1)] = namespace.iri
+      expect('.')
+      continue
+    }
+
+    const subject = term(next())
+    for (;;) {
+      const predicate = term(next())
+      for (;;) {
+        triples.push([subject, predicate, term(next())])
+        if (tokens[position]?.punctuation !== ',') break
+        position++
+      }
+
+      const separator = next()?.punctuation
+      if (separator === '.') break
+      if (separator !== ';') throw new Error('Expected ";" or "." in Turtle')
+    }
+  }
+
+  return triples
+}
+
+/**
+ * The node or edge id in an exported IRI
+ */
+const idFromIri = (iri, base) => typeof iri === 'string' && iri.startsWith(base)
+  ? decodeURIComponent(iri.slice(base.length))
+  : null
+
+/**
+ * Read a graph written by toTurtle
+ * @param {string} text - Turtle document
+ * @returns {Object} - {nodes, edges} as from buildExportGraph
+ */
+export const fromTurtle = (text) => {
+  const resources = new Map()
+  parseTurtle(text).forEach(([subject, predicate, object]) => {
+    if (!resources.has(subject)) resources.set(subject, new Map())
+    resources.get(subject).set(predicate, object)
+  })
+
+  const nodes = []
+  const edges = []
+  for (const [iri, properties] of resources) {
+    const read = (name) => properties.get(propertyIri(name))?.value
+    const type = properties.get(`${RDF}type`)
+
+    if (type === `${VOCAB}Entity`) {
+      nodes.push(readProperties({ id: idFromIri(iri, ENTITY_IRI) }, NODE_PROPERTIES, read))
+    } else if (type === `${RDF}Statement`) {
+      edges.push(readProperties({
+        id: idFromIri(iri, TRIPLET_IRI),
+        source: idFromIri(properties.get(`${RDF}subject`), ENTITY_IRI),
+        target: idFromIri(properties.get(`${RDF}object`), ENTITY_IRI)
+      }, EDGE_PROPERTIES, read))
+    }
+  }
+
+  return { nodes, edges }
+}
+
+// JSON-LD
+
+const JSONLD_CONTEXT = {
+  '@version': 1.1,
+  ...PREFIXES,
+  Entity: 'nn:Entity',
+  Statement: 'rdf:Statement',
+  subject: { '@id': 'rdf:subject', '@type': '@id' },
+  relation: { '@id': 'rdf:predicate', '@type': '@id' },
+  object: { '@id': 'rdf:object', '@type': '@id' },
+  ...Object.fromEntries([...NODE_PROPERTIES, ...EDGE_PROPERTIES].map(({ name, type }) => [
+    name,
+    type === 'json' ? { '@id': propertyIri(name), '@type': '@json' } : propertyIri(name)
+  ]))
+}
+
+/**
+ * Serialize a graph as JSON-LD
+ * @param {Object} graph - Graph from buildExportGraph
+ * @returns {string} - JSON-LD document
+ */
+export const toJsonLd = ({ nodes, edges }) => {
+  const properties = (item, list) => Object.fromEntries(list
+    .filter(({ field }) => item[field] !== null)
+    .map(({ field, name }) => [name, item[field]]))
+
+  return JSON.stringify({
+    '@context': JSONLD_CONTEXT,
+    '@graph': [
+      ...nodes.map(node => ({ '@id': entityIri(node.id), '@type': 'Entity', ...properties(node, NODE_PROPERTIES) })),
+      ...edges.map(edge => ({
+        '@id': tripletIri(edge.id),
+        '@type': 'Statement',
+        subject: entityIri(edge.source),
+        relation: relationIri(edge),
+        object: entityIri(edge.target),
+        ...properties(edge, EDGE_PROPERTIES)
+      }))
+    ]
+  }, null, 2)
+}
+
+/**
+ * Read a graph written by toJsonLd
+ * @param {string} text - JSON-LD document
+ * @returns {Object} - {nodes, edges} as from buildExportGraph
+ */
+export const fromJsonLd = (text) => {
+  const document = JSON.parse(text)
+  const items = Array.isArray(document) ? document : document['@graph'] || []
+
+  const nodes = []
+  const edges = []
+  items.forEach(item => {
+    const types = [].concat(item['@type'] || [])
+    const read = (name) => item[name]
+
+    if (types.includes('Entity')) {
+      nodes.push(readProperties({ id: idFromIri(item['@id'], ENTITY_IRI) }, NODE_PROPERTIES, read))
+    } else if (types.includes('Statement')) {
+      edges.push(readProperties({
+        id: idFromIri(item['@id'], TRIPLET_IRI),
+        source: idFromIri(item.subject, ENTITY_IRI),
+        target: idFromIri(item.object, ENTITY_IRI)
+      }, EDGE_PROPERTIES, read))
+    }
+  })
+
+  return { nodes, edges }
+}
+
+// GraphML
+
+const GRAPHML_TYPES = { string: 'string', json: 'string', number: 'double', boolean: 'boolean' }
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const unescapeXml = (text) => text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(\w+));/g, (match, hex, decimal, name) => {
+  if (hex || decimal) return String.fromCodePoint(parseInt(hex || decimal, hex ? 16 : 10))
+  return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name] ?? match
+})
+
+const xmlAttributes = (text) => Object.fromEntries(
+  [...(text || '').matchAll(/([\w.:-]+)\s*=\s*"([^"]*)"/g)].map(([, name, value]) => [name, unescapeXml(value)]))
+
+const graphmlData = (item, properties, kind) => properties
+  .filter(({ field }) => item[field] !== null)
+  .map(({ field, name, type }) => `      <data key="${kind}_${name}">${escapeXml(propertyText(item[field], type))}</data>`)
+
+/**
+ * Serialize a graph as GraphML
+ * @param {Object} graph - Graph from buildExportGraph
+ * @returns {string} - GraphML document
+ */
+export const toGraphMl = ({ nodes, edges }) => {
+  const keys = [['node', NODE_PROPERTIES], ['edge', EDGE_PROPERTIES]].flatMap(([kind, properties]) =>
+    properties.map(({ name, type }) =>
+      `  <key id="${kind}_${name}" for="${kind}" attr.name="${name}" attr.type="${GRAPHML_TYPES[type]}"/>`))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys,
+    '  <graph id="knowledge-graph" edgedefault="directed">',
+    ...nodes.flatMap(node => [
+      `    <node id="${escapeXml(node.id)}">`,
+      ...graphmlData(node, NODE_PROPERTIES, 'node'),
+      '    </node>'
+    ]),
+    ...edges.flatMap(edge => [
+      `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+      ...graphmlData(edge, EDGE_PROPERTIES, 'edge'),
+      '    </edge>'
+    ]),
+    '  </graph>',
+    '</graphml>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Read a graph written by toGraphMl. Data keys are matched by attr.name, so
+ * files saved again by Gephi or yEd still read.
+ * @param {string} text - GraphML document
+ * @returns {Object} - {nodes, edges} as from buildExportGraph
+ */
+export const fromGraphMl = (text) => {
+  const keyNames = new Map()
+  for (const [, attributes] of text.matchAll(/<key\b([^>]*?)\/?>/g)) {
+    const { id, 'attr.name': name } = xmlAttributes(attributes)
+    if (id) keyNames.set(id, name || id)
+  }
+
+  const elements = (tag) => [...text.matchAll(new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g'))]
+    .map(([, attributes, body]) => {
+      const data = new Map()
+      for (const [, dataAttributes, value] of (body || '').matchAll(/<data\b([^>]*?)(?:\/>|>([\s\S]*?)<\/data>)/g)) {
+        const { key } = xmlAttributes(dataAttributes)
+        data.set(keyNames.get(key) || key, unescapeXml(value || ''))
+      }
+      return { attributes: xmlAttributes(attributes), data }
+    })
+
+  return {
+    nodes: elements('node').map(({ attributes, data }) =>
+      readProperties({ id: attributes.id }, NODE_PROPERTIES, name => data.get(name))),
+    edges: elements('edge').map(({ attributes, data }) =>
+      readProperties({ id: attributes.id || null, source: attributes.source, target: attributes.target }, EDGE_PROPERTIES, name => data.get(name)))
+  }
+}
+
+// CSV
+
+const csvCell = (text) => /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+
+const csvTable = (header, rows) => `${[header, ...rows].map(row => row.map(csvCell).join(',')).join('\n')}\n`
+
+/**
+ * Read CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+ * quotes and line breaks)
+ */
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''))
+}
+
+/**
+ * Serialize a graph as a nodes table and an edges table
+ * @param {Object} graph - Graph from buildExportGraph
+ * @returns {Object} - {nodes, edges} CSV texts
+ */
+export const toCsv = ({ nodes, edges }) => ({
+  nodes: csvTable(
+    ['Id', ...NODE_PROPERTIES.map(({ name }) => name === 'label' ? 'Label' : name)],
+    nodes.map(node => [node.id, ...NODE_PROPERTIES.map(({ field, type }) => propertyText(node[field], type))])
+  ),
+  edges: csvTable(
+    ['Id', 'Source', 'Target', 'Type', ...EDGE_PROPERTIES.map(({ name }) => name === 'label' ? 'Label' : name)],
+    edges.map(edge => [
+      edge.id, edge.source, edge.target, 'Directed',
+      ...EDGE_PROPERTIES.map(({ field, type }) => propertyText(edge[field], type))
+    ])
+  )
+})
+
+/**
+ * Read a nodes or edges table written by toCsv; headers are matched without
+ * regard to case
+ * @param {string} text - CSV text
+ * @returns {Object} - {nodes, edges}; one of them is empty
+ */
+export const fromCsv = (text) => {
+  const [header = [], ...rows] = parseCsv(text)
+  const columns = new Map(header.map((name, index) => [name.trim().toLowerCase(), index]))
+  const cell = (row, name) => row[columns.get(name.toLowerCase())]
+
+  if (columns.has('source') && columns.has('target')) {
+    return {
+      nodes: [],
+      edges: rows.map(row => readProperties({
+        id: cell(row, 'id') || null,
+        source: cell(row, 'source'),
+        target: cell(row, 'target')
+      }, EDGE_PROPERTIES, name => cell(row, name)))
+    }
+  }
+
+  if (!columns.has('id')) {
+    throw new Error('CSV files need an Id column (nodes) or Source and Target columns (edges)')
+  }
+
+  return {
+    nodes: rows.map(row => readProperties({ id: cell(row, 'id') }, NODE_PROPERTIES, name => cell(row, name))),
+    edges: []
+  }
+}
+
+/**
+ * File name for an export, without extension
+ * @param {string|null} title - Document title, or null for the whole graph
+ * @returns {string} - ASCII name, safe in a Content-Disposition header
+ */
+export const exportFileName = (title = null) => {
+  if (title === null) return 'knowledge-graph'
+  const slug = title.normalize('NFKD').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return `${slug || 'document'}-knowledge-graph`
+}
+
+/**
+ * Export triplets as files in one format
+ * @param {Array} triplets - Knowledge graph rows, with their entities
+ * @param {string} format - A key of EXPORT_FORMATS
+ * @param {string} name - File name without extension
+ * @returns {Array} - Files [{name, mimeType, content}], readable by parseGraphFiles; CSV gives nodes and edges files
+ */
+export const serializeGraph = (triplets, format, name = 'knowledge-graph') => {
+  const details = EXPORT_FORMATS[format]
+  if (!details) {
+    throw new Error(`Unknown export format "${format}"`)
+  }
+
+  const graph = buildExportGraph(triplets)
+  const file = (suffix, content) => ({
+    name: `${name}${suffix}.${details.extension}`,
+    mimeType: details.mimeType,
+    content
+  })
+
+  if (format === 'csv') {
+    const { nodes, edges } = toCsv(graph)
+    return [file('-nodes', nodes), file('-edges', edges)]
+  }
+
+  const serializers = { turtle: toTurtle, jsonld: toJsonLd, graphml: toGraphMl }
+  return [file('', serializers[format](graph))]
+}
+
+/**
+ * The format of an exported file, from its name
+ * @param {string} filename - File name
+ * @returns {string|null} - A key of EXPORT_FORMATS, or null
+ */
+export const formatOfFile = (filename) => {
+  const extension = (filename || '').toLowerCase().split('.').pop()
+  return {
+    ttl: 'turtle',
+    turtle: 'turtle',
+    jsonld: 'jsonld',
+    json: 'jsonld',
+    graphml: 'graphml',
+    xml: 'graphml',
+    csv: 'csv'
+  }[extension] || null
+}
+
+/**
+ * Read exported files back into one graph. CSV exports need the edges file;
+ * the nodes file adds entity names and types.
+ * @param {Array} files - [{name, content}]
+ * @returns {Object} - {nodes, edges}
+ */
+export const parseGraphFiles = (files) => {
+  const readers = { turtle: fromTurtle, jsonld: fromJsonLd, graphml: fromGraphMl, csv: fromCsv }
+  const graph = { nodes: [], edges: [] }
+
+  files.forEach(({ name, content }) => {
+    const format = formatOfFile(name)
+    if (!format) {
+      throw new Error(`Cannot tell the format of "${name}"; use .ttl, .jsonld, .graphml or .csv`)
+    }
+
+    try {
+      const { nodes, edges } = readers[format](content)
+      graph.nodes.push(...nodes)
+      graph.edges.push(...edges)
+    } catch (error) {
+      throw new Error(`Could not read ${name}: ${error.message}`)
+    }
+  })
+
+  return graph
+}
+
+/**
+ * Knowledge graph rows for an imported graph, ready for entity resolution
+ * @param {Object} graph - {nodes, edges}
+ * @returns {Object} - {triplets, skipped}; triplets carry subject_type/object_type hints, skipped counts edges without a predicate or ends
+ */
+export const graphToTriplets = ({ nodes, edges }) => {
+  const nodesById = new Map(nodes.map(node => [node.id, node]))
+  const mention = (id) => id && id.startsWith('mention:') ? id.slice('mention:'.length) : null
+
+  let skipped = 0
+  const triplets = []
+  edges.forEach(edge => {
+    const source = nodesById.get(edge.source)
+    const target = nodesById.get(edge.target)
+    const subject = (edge.subject || source?.name || mention(edge.source) || '').trim()
+    const object = (edge.object || target?.name || mention(edge.target) || '').trim()
+    const predicate = (edge.predicate || '').trim()
+
+    if (!subject || !object || !predicate) {
+      skipped++
+      return
+    }
+
+    triplets.push({
+      subject,
+      predicate,
+      object,
+      subject_type: source?.type || null,
+      object_type: target?.type || null,
+      relation_type: edge.relation_type,
+      source_snippet: edge.source_snippet,
+      source_anchor: edge.source_anchor,
+      confidence: edge.confidence,
+      document_id: edge.document_id,
+      created_by: edge.created_by === 'user' ? 'user' : 'extractor',
+      is_verified: !!edge.is_verified,
+      is_stale: !!edge.is_stale
+    })
+  })
+
+  return { triplets, skipped }
+}
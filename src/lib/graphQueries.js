@@ -0,0 +1,201 @@
+/**
+ * Knowledge graph queries for NeuraNotes
+ */
+
+import { entityKey } from './entityResolution.js'
+
+/**
+ * Default neighbourhood radius, in hops
+ */
+export const DEFAULT_NEIGHBORHOOD_HOPS = 1
+
+/**
+ * Longest path searched for, in hops
+ */
+export const MAX_PATH_HOPS = 6
+
+/**
+ * The entity a triplet's subject or object refers to. Works on rows from
+ * the knowledge graph RPCs (subject_name, subject_type) and on table rows
+ * that embed the entity (subject_entity: {canonical_name, type}); mentions
+ * that are not resolved yet are grouped by their entity key.
+ * @param {Object} triplet - Knowledge graph row
+ * @param {string} role - 'subject' or 'object'
+ * @returns {Object} - {id, name, type}
+ */
+export const describeTripletEntity = (triplet, role) => {
+  const raw = triplet[role]
+  const entityId = triplet[`${role}_entity_id`]
+  const embedded = triplet[`${role}_entity`]
+
+  return {
+    id: entityId || `mention:${entityKey(raw) || raw}`,
+    name: triplet[`${role}_name`] || embedded?.canonical_name || raw,
+    type: triplet[`${role}_type`] || embedded?.type || null
+  }
+}
+
+/**
+ * Keep the triplets whose predicate is one of the given ones
+ * @param {Array} triplets - Knowledge graph rows
+ * @param {string[]} predicates - Predicates to keep; empty or missing keeps all
+ * @returns {Array} - Matching rows
+ */
+export const filterByPredicates = (triplets, predicates) => {
+  if (!predicates || predicates.length === 0) return triplets
+  const wanted = new Set(predicates.map(predicate => predicate.toLowerCase()))
+  return triplets.filter(triplet => wanted.has(triplet.predicate.toLowerCase()))
+}
+
+/**
+ * Predicates used by some triplets, most frequent first
+ * @param {Array} triplets - Knowledge graph rows
+ * @returns {Array} - Array of {predicate, count}
+ */
+export const listPredicates = (triplets) => {
+  const counts = new Map()
+  triplets.forEach(triplet => {
+    const predicate = triplet.predicate.toLowerCase()
+    counts.set(predicate, (counts.get(predicate) || 0) + 1)
+  })
+
+  return [...counts.entries()]
+    .map(([predicate, count]) => ({ predicate, count }))
+    .sort((a, b) => b.count - a.count || a.predicate.localeCompare(b.predicate))
+}
+
+/**
+ * Index triplets as an undirected graph
+ * @param {Array} triplets - Knowledge graph rows
+ * @returns {Object} - {nodes: Map id → {id, name, type}, adjacency: Map id → [{triplet, neighbor}]}
+ */
+export const buildGraph = (triplets) => {
+  const nodes = new Map()
+  const adjacency = new Map()
+
+  const link = (from, to, triplet) => {
+    if (!adjacency.has(from)) adjacency.set(from, [])
+    adjacency.get(from).push({ triplet, neighbor: to })
+  }
+
+  triplets.forEach(triplet => {
+    const subject = describeTripletEntity(triplet, 'subject')
+    const object = describeTripletEntity(triplet, 'object')
+
+    if (!nodes.has(subject.id)) nodes.set(subject.id, subject)
+    if (!nodes.has(object.id)) nodes.set(object.id, object)
+
+    link(subject.id, object.id, triplet)
+    if (subject.id !== object.id) link(object.id, subject.id, triplet)
+  })
+
+  return { nodes, adjacency }
+}
+
+/**
+ * Node ids matching a name or id: the node itself, or nodes whose name
+ * has the same entity key
+ * @param {Object} graph - Graph from buildGraph
+ * @param {string} nameOrId - Node id or entity name
+ * @returns {string[]} - Matching node ids
+ */
+export const findNodes = (graph, nameOrId) => {
+  if (graph.nodes.has(nameOrId)) return [nameOrId]
+
+  const key = entityKey(nameOrId)
+  if (!key) return []
+
+  return [...graph.nodes.values()]
+    .filter(node => entityKey(node.name) === key || node.id === `mention:${key}`)
+    .map(node => node.id)
+}
+
+/**
+ * Entities within some hops of the start nodes, and the triplets between them
+ * @param {Object} graph - Graph from buildGraph
+ * @param {string[]} startIds - Node ids to start from
+ * @param {Object} options - Query options
+ * @param {number} options.hops - Radius in hops
+ * @returns {Object} - {nodes: [{id, name, type, hop}], triplets}
+ */
+export const getNeighborhood = (graph, startIds, options = {}) => {
+  const { hops = DEFAULT_NEIGHBORHOOD_HOPS } = options
+  const distance = new Map()
+  let frontier = startIds.filter(id => graph.nodes.has(id))
+
+  frontier.forEach(id => distance.set(id, 0))
+
+  for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+    const next = []
+    frontier.forEach(id => {
+      (graph.adjacency.get(id) || []).forEach(({ neighbor }) => {
+        if (!distance.has(neighbor)) {
+          distance.set(neighbor, hop)
+          next.push(neighbor)
+        }
+      })
+    })
+    frontier = next
+  }
+
+  // Every triplet that leaves a node inside the radius, once
+  const triplets = new Map()
+  distance.forEach((hop, id) => {
+    if (hop >= hops) return
+    const edges = graph.adjacency.get(id) || []
+    edges.forEach(({ triplet }) => triplets.set(triplet, triplet))
+  })
+
+  return {
+    nodes: [...distance.entries()].map(([id, hop]) => ({ ...graph.nodes.get(id), hop })),
+    triplets: [...triplets.values()]
+  }
+}
+
+/**
+ * Shortest path between two sets of nodes, breadth first. Among paths of
+ * the same length the one found first in triplet order wins, so results
+ * are stable.
+ * @param {Object} graph - Graph from buildGraph
+ * @param {string[]} fromIds - Node ids to start from
+ * @param {string[]} toIds - Node ids to reach
+ * @param {Object} options - Query options
+ * @param {number} options.maxHops - Longest path to look for
+ * @returns {Array|null} - Hops [{triplet, from, to, reversed}] in order, or null when
+ *   there is no path; reversed hops follow a triplet from its object to its subject
+ */
+export const findShortestPath = (graph, fromIds, toIds, options = {}) => {
+  const { maxHops = MAX_PATH_HOPS } = options
+  const targets = new Set(toIds)
+  const previous = new Map()
+  let frontier = fromIds.filter(id => graph.nodes.has(id))
+
+  frontier.forEach(id => previous.set(id, null))
+
+  const pathTo = (id) => {
+    const hops = []
+    for (let step = previous.get(id); step; step = previous.get(step.from)) {
+      hops.unshift(step)
+    }
+    return hops
+  }
+
+  if (frontier.some(id => targets.has(id))) return []
+
+  for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+    const next = []
+    for (const id of frontier) {
+      for (const { triplet, neighbor } of graph.adjacency.get(id) || []) {
+        if (previous.has(neighbor)) continue
+
+        const reversed = describeTripletEntity(triplet, 'subject').id !== id
+        previous.set(neighbor, { triplet, from: id, to: neighbor, reversed })
+        if (targets.has(neighbor)) return pathTo(neighbor)
+        next.push(neighbor)
+      }
+    }
+    frontier = next
+  }
+
+  return null
+}
@@ -0,0 +1,57 @@
+/**
+ * Paged loading of NeuraNotes knowledge graph triplets
+ */
+
+/**
+ * Triplets read per request
+ */
+export const GRAPH_PAGE_SIZE = 1000
+
+/**
+ * Columns read for a triplet, with its entities
+ */
+export const TRIPLET_COLUMNS = `
+  id, subject, predicate, object, source_snippet, confidence, document_id,
+  source_anchor, is_stale, created_by, is_verified, relation_type,
+  subject_entity_id, object_entity_id,
+  subject_entity:entities!subject_entity_id(canonical_name, type),
+  object_entity:entities!object_entity_id(canonical_name, type)
+`
+
+/**
+ * Load the triplets of one document, or of the whole graph, oldest first
+ * @param {Object} client - Supabase client
+ * @param {Object} options - {documentId, limit}; without a limit every triplet is read
+ * @returns {Promise<Object>} - {triplets, truncated}; truncated when more than limit triplets exist
+ */
+export const loadGraphTriplets = async (client, { documentId = null, limit = Infinity } = {}) => {
+  const triplets = []
+
+  // Read one row past the limit, so a graph of exactly limit triplets is not truncated
+  while (triplets.length <= limit) {
+    let query = client
+      .from('knowledge_graph')
+      .select(TRIPLET_COLUMNS)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(triplets.length, triplets.length + GRAPH_PAGE_SIZE - 1)
+
+    if (documentId) {
+      query = query.eq('document_id', documentId)
+    }
+
+    const { data, error } = await query
+
+    if (error) {
+      throw new Error(`Failed to load knowledge graph: ${error.message}`)
+    }
+
+    triplets.push(...(data || []))
+    if (!data || data.length < GRAPH_PAGE_SIZE) break
+  }
+
+  return {
+    triplets: triplets.slice(0, limit),
+    truncated: triplets.length > limit
+  }
+}
@@ -3,67 +3,35 @@
  * Combines Full Text Search with Vector Similarity
  */
 
+import { supabase } from './supabase'
+import { embedQuery, requestRerankScores } from './embeddings'
+import { createSearchCore, createSupabaseSearchBackend } from './searchCore'
+import { SEARCH_MODE_WEIGHTS } from './searchFusion'
+import { rankSuggestions, MIN_SUGGESTION_PREFIX } from './searchSuggestions'
+import { loadRecentSearches } from './recentSearches'
+
+const searchCore = createSearchCore({
+  backend: createSupabaseSearchBackend(supabase),
+  embedQuery,
+  rerank: requestRerankScores
+})
+
 /**
- * Perform hybrid search using the API endpoint
+ * Perform hybrid search
+ * Runs the shared search core (searchCore.js) against Supabase from the
+ * browser; query embedding and re-ranking go through the API routes so no
+ * API key ships to the browser. The query may use the syntax in
+ * searchQuery.js: "phrases", -exclusions, OR and title:/in:/after:/before:
+ * filters.
  * @param {string} query - The search query
- * @param {Object} options - Search options
- * @returns {Promise<Object>} - Search results
+ * @param {Object} options - Search options (see SEARCH_DEFAULTS in searchCore.js)
+ * @returns {Promise<Object>} - {success, query, results, total, method, fusion,
+ *   reranked, diversified, filters, timings, candidates}; results are already
+ *   formatted (see formatSearchResult)
  */
 export const hybridSearch = async (query, options = {}) => {
-  try {
-    const {
-      documentId = null,
-      limit = 10,
-      ftsWeight = 0.5,
-      vectorWeight = 0.5,
-      useSupabaseFunction = true
-    } = options
-
-    console.log('Performing hybrid search:', { query, options })
-
-    const response = await fetch('/api/hybrid-search', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query: query.trim(),
-        documentId,
-        limit,
-        ftsWeight,
-        vectorWeight,
-        useSupabaseFunction
-      })
-    })
-
-    if (!response.ok) {
-      const errorData = await response.json()
-      throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
-    }
-
-    const data = await response.json()
-    
-    if (!data.success) {
-      throw new Error(data.error || 'Search failed')
-    }
-
-    return {
-      success: true,
-      query: data.query,
-      results: data.results,
-      total: data.total,
-      method: data.method
-    }
-
-  } catch (error) {
-    console.error('Hybrid search error:', error)
-    return {
-      success: false,
-      error: error.message,
-      results: [],
-      total: 0
-    }
-  }
+  console.log('Performing hybrid search:', { query, options })
+  return searchCore.search((query || '').trim(), options)
 }
 
 /**
@@ -117,42 +85,23 @@ export const weightedSearch = async (query, ftsWeight, vectorWeight, options = {
 }
 
 /**
- * Keyword-focused search (higher FTS weight)
+ * Keyword search (full text search only)
  * @param {string} query - The search query
  * @param {Object} options - Search options
  * @returns {Promise<Object>} - Search results
  */
 export const keywordSearch = async (query, options = {}) => {
-  return weightedSearch(query, 0.8, 0.2, options)
+  return weightedSearch(query, SEARCH_MODE_WEIGHTS.keyword.ftsWeight, SEARCH_MODE_WEIGHTS.keyword.vectorWeight, options)
 }
 
 /**
- * Semantic-focused search (higher vector weight)
+ * Semantic search (vector similarity only)
  * @param {string} query - The search query
  * @param {Object} options - Search options
  * @returns {Promise<Object>} - Search results
  */
 export const semanticSearch = async (query, options = {}) => {
-  return weightedSearch(query, 0.2, 0.8, options)
-}
-
-/**
- * Format search results for display
- * @param {Array} results - Raw search results
- * @returns {Array} - Formatted results
- */
-export const formatSearchResults = (results) => {
-  return results.map(result => ({
-    id: result.id,
-    documentId: result.document_id,
-    text: result.chunk,
-    score: result.hybrid_score || result.similarity || 0,
-    ftsScore: result.fts_score || 0,
-    vectorScore: result.vector_score || result.similarity || 0,
-    preview: result.chunk.length > 200 
-      ? result.chunk.substring(0, 200) + '...'
-      : result.chunk
-  }))
+  return weightedSearch(query, SEARCH_MODE_WEIGHTS.semantic.ftsWeight, SEARCH_MODE_WEIGHTS.semantic.vectorWeight, options)
 }
 
 /**
@@ -176,22 +125,50 @@ export const highlightSearchTerms = (text, query) => {
 }
 
 /**
- * Get search suggestions based on existing chunks
+ * Get search suggestions for a partial query: matching document titles and
+ * knowledge graph entities from /api/search-suggestions, plus the user's
+ * recent searches. Recent searches still show if the request fails.
  * @param {string} partialQuery - Partial search query
  * @param {number} limit - Number of suggestions
- * @returns {Promise<Array>} - Search suggestions
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array>} - Array of {text, source, count, documentId}, best first
  */
-export const getSearchSuggestions = async (partialQuery, limit = 5) => {
+export const getSearchSuggestions = async (partialQuery, limit = 5, options = {}) => {
+  const prefix = (partialQuery || '').trim()
+  if (prefix.length < MIN_SUGGESTION_PREFIX) {
+    return []
+  }
+
+  // More recent searches count as more frequent
+  const recent = loadRecentSearches().map((text, index, all) => ({
+    text,
+    source: 'recent',
+    count: all.length - index
+  }))
+
+  let remote = []
   try {
-    if (!partialQuery || partialQuery.length < 2) {
-      return []
+    const response = await fetch('/api/search-suggestions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ prefix, limit }),
+      signal: options.signal
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json()
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
     }
 
-    // This would need a separate endpoint or function
-    // For now, return empty array
-    return []
+    const data = await response.json()
+    remote = data.suggestions || []
   } catch (error) {
+    if (error.name === 'AbortError') throw error
     console.error('Error getting search suggestions:', error)
-    return []
   }
+
+  return rankSuggestions(prefix, [...recent, ...remote], limit)
 }
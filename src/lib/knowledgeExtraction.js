@@ -0,0 +1,86 @@
+/**
+ * Knowledge triplet extraction for NeuraNotes
+ */
+
+import { getProvider } from './providers/index.js'
+
+/**
+ * Extract knowledge triplets from text using the configured provider
+ * @param {string} text - The text to extract knowledge from
+ * @returns {Promise<Array>} - Array of triplets {subject, predicate, object, source_snippet},
+ *   with subject_type/object_type hints when the model gives them (see entityResolution.js)
+ *   and a confidence score from the local provider (see tripletExtraction.js)
+ */
+export async function extractKnowledgeTriplets(text) {
+  try {
+    const prompt = `Extract knowledge triplets from the following text. A triplet consists of (subject, predicate, object).
+
+Rules:
+1. Extract factual relationships only
+2. Use clear, concise subjects and objects
+3. Use descriptive predicates (verbs or relationships)
+4. Return ONLY a JSON array of objects with "subject", "predicate", "object", "subject_type", "object_type", "source_snippet" fields
+5. Maximum 20 triplets per text
+6. Include the original sentence/paragraph where each triplet was found in "source_snippet"
+7. "subject_type" and "object_type" are one of: person, org, concept, date
+8. Name an entity the same way every time it appears, spelled out rather than abbreviated
+
+Example format:
+[
+  {"subject": "Alan Turing", "predicate": "invented", "object": "Turing Machine", "subject_type": "person", "object_type": "concept", "source_snippet": "Alan Turing invented the Turing Machine in 1936 as a theoretical model of computation."},
+  {"subject": "GPT-4", "predicate": "is developed by", "object": "OpenAI", "subject_type": "concept", "object_type": "org", "source_snippet": "GPT-4 is developed by OpenAI and represents a significant advancement in language models."},
+  {"subject": "Machine Learning", "predicate": "is a subset of", "object": "Artificial Intelligence", "subject_type": "concept", "object_type": "concept", "source_snippet": "Machine Learning is a subset of Artificial Intelligence that focuses on algorithms."}
+]
+
+Text to analyze:
+${text}
+
+JSON triplets:`
+
+    const response = await getProvider().complete({
+      messages: [
+        {
+          role: 'system',
+          content: 'You are an expert knowledge extraction system. Extract factual relationships as JSON triplets. Return only valid JSON array, no additional text.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      maxTokens: 1500,
+      temperature: 0.1, // Low temperature for consistent extraction
+      task: { type: 'triplets', text }
+    })
+
+    const content = response.trim()
+    
+    // Parse JSON response
+    try {
+      const triplets = JSON.parse(content)
+      
+      // Validate triplets format
+      if (!Array.isArray(triplets)) {
+        throw new Error('Response is not an array')
+      }
+      
+      const validTriplets = triplets.filter(triplet =>
+        triplet.subject && triplet.predicate && triplet.object &&
+        typeof triplet.subject === 'string' &&
+        typeof triplet.predicate === 'string' &&
+        typeof triplet.object === 'string' &&
+        typeof triplet.source_snippet === 'string'
+      )
+      
+      return validTriplets
+      
+    } catch (parseError) {
+      console.error('Failed to parse model response as JSON:', parseError.message, content)
+      throw new Error('Invalid JSON response from the model')
+    }
+    
+  } catch (error) {
+    console.error('Error extracting knowledge triplets:', error)
+    throw new Error(`Failed to extract knowledge: ${error.message}`)
+  }
+}
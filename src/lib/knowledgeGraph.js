@@ -1,117 +1,62 @@
-// Mock knowledge extraction function (replaces OpenAI API call)
-function extractMockKnowledgeTriplets(text) {
-  const triplets = []
-
-  // Split text into sentences for source snippets
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 10)
-
-  // Look for common patterns in text
-  const patterns = [
-    {
-      regex: /(\w+(?:\s+\w+)*)\s+(?:is|are)\s+(?:a|an|the)?\s*(\w+(?:\s+\w+)*)/gi,
-      predicate: 'is a type of'
-    },
-    {
-      regex: /(\w+(?:\s+\w+)*)\s+(?:developed|created|invented|built)\s+(?:by|at)?\s*(\w+(?:\s+\w+)*)/gi,
-      predicate: 'developed by'
-    },
-    {
-      regex: /(\w+(?:\s+\w+)*)\s+(?:uses|utilizes|employs)\s+(\w+(?:\s+\w+)*)/gi,
-      predicate: 'uses'
-    },
-    {
-      regex: /(\w+(?:\s+\w+)*)\s+(?:includes|contains|has)\s+(\w+(?:\s+\w+)*)/gi,
-      predicate: 'includes'
-    }
-  ]
-
-  // Extract based on patterns
-  patterns.forEach(pattern => {
-    let match
-    while ((match = pattern.regex.exec(text)) !== null) {
-      const subject = match[1].trim()
-      const object = match[2].trim()
-
-      if (subject.length > 2 && object.length > 2 && subject !== object) {
-        // Find the sentence containing this match
-        const matchText = match[0]
-        const sourceSnippet = sentences.find(sentence =>
-          sentence.toLowerCase().includes(matchText.toLowerCase())
-        ) || matchText
-
-        triplets.push({
-          subject: subject,
-          predicate: pattern.predicate,
-          object: object,
-          source_snippet: sourceSnippet.trim()
-        })
-      }
-    }
-  })
-
-  // Add some general knowledge triplets based on content
-  if (text.toLowerCase().includes('artificial intelligence') || text.toLowerCase().includes('ai')) {
-    const aiSnippet = sentences.find(s => s.toLowerCase().includes('artificial intelligence')) ||
-                     sentences.find(s => s.toLowerCase().includes('ai')) ||
-                     'Artificial Intelligence is a transformative technology.'
-
-    triplets.push(
-      { subject: 'Artificial Intelligence', predicate: 'is a field of', object: 'Computer Science', source_snippet: aiSnippet },
-      { subject: 'Machine Learning', predicate: 'is a subset of', object: 'Artificial Intelligence', source_snippet: aiSnippet },
-      { subject: 'AI', predicate: 'has applications in', object: 'Healthcare', source_snippet: aiSnippet }
-    )
-  }
-
-  if (text.toLowerCase().includes('machine learning') || text.toLowerCase().includes('ml')) {
-    const mlSnippet = sentences.find(s => s.toLowerCase().includes('machine learning')) ||
-                     'Machine Learning enables computers to learn from data.'
-
-    triplets.push(
-      { subject: 'Machine Learning', predicate: 'uses', object: 'Algorithms', source_snippet: mlSnippet },
-      { subject: 'Deep Learning', predicate: 'is a type of', object: 'Machine Learning', source_snippet: mlSnippet }
-    )
-  }
-
-  if (text.toLowerCase().includes('technology') || text.toLowerCase().includes('software')) {
-    const techSnippet = sentences.find(s => s.toLowerCase().includes('technology')) ||
-                       'Technology transforms how we work and live.'
+import { resolveTripletEntities, mergeEntities, splitEntity } from './entityResolution'
+import { extractLocalTriplets } from './tripletExtraction'
+import { extractBlocks } from './documentText'
+import { anchorTriplets } from './provenance'
+import { buildUserTriplet, normalizePredicate, validatePredicate } from './graphCuration'
+import { typeTriplets, mapPredicate, filterByRelationTypes, DEFAULT_ONTOLOGY } from './ontology'
+import { serializeGraph, exportFileName, parseGraphFiles, graphToTriplets } from './graphExport'
+import { loadGraphTriplets, TRIPLET_COLUMNS } from './graphTriplets'
+import {
+  buildGraph,
+  filterByPredicates,
+  findNodes,
+  getNeighborhood,
+  findShortestPath,
+  DEFAULT_NEIGHBORHOOD_HOPS,
+  MAX_PATH_HOPS
+} from './graphQueries'
 
-    triplets.push(
-      { subject: 'Technology', predicate: 'transforms', object: 'Society', source_snippet: techSnippet },
-      { subject: 'Software', predicate: 'is built with', object: 'Programming Languages', source_snippet: techSnippet }
-    )
-  }
+/**
+ * Most triplets loaded for one graph view or query
+ */
+export const MAX_GRAPH_TRIPLETS = 10000
 
-  // Remove duplicates and limit to 10 triplets
-  const uniqueTriplets = triplets.filter((triplet, index, self) =>
-    index === self.findIndex(t =>
-      t.subject === triplet.subject &&
-      t.predicate === triplet.predicate &&
-      t.object === triplet.object
-    )
-  ).slice(0, 10)
+/**
+ * Document ids are UUIDs; imported files may name documents that are not
+ */
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
 
-  return uniqueTriplets
-}
+/**
+ * Postgres error code for a unique constraint violation
+ */
+const UNIQUE_VIOLATION = '23505'
 
 /**
- * Save triplets directly to Supabase (bypassing API)
+ * Save triplets directly to Supabase (bypassing API), resolving their entities,
+ * typing their predicates and anchoring them to their evidence in the saved document
  */
 async function saveTripletsDirect(triplets, documentId) {
   try {
     const { supabase } = await import('./supabase')
 
-    const tripletsToInsert = triplets.map(triplet => ({
+    const { data: document } = await supabase
+      .from('documents')
+      .select('content')
+      .eq('id', documentId)
+      .maybeSingle()
+
+    const tripletsToInsert = await resolveTripletEntities(supabase, anchorTriplets(extractBlocks(document?.content), typeTriplets(triplets.map(triplet => ({
       subject: triplet.subject.trim(),
       predicate: triplet.predicate.trim(),
       object: triplet.object.trim(),
       source_snippet: triplet.source_snippet ? triplet.source_snippet.trim() : null,
+      confidence: typeof triplet.confidence === 'number' ? triplet.confidence : null,
       document_id: documentId
-    }))
+    })))))
 
     const { data, error } = await supabase
       .from('knowledge_graph')
-      .insert(tripletsToInsert)
+      .upsert(tripletsToInsert, { onConflict: 'document_id,subject,predicate,object', ignoreDuplicates: true })
       .select()
 
     if (error) {
@@ -172,9 +117,9 @@ export const extractKnowledgeGraph = async (text, documentId) => {
       console.log('API error, using local extraction:', apiError.message)
     }
 
-    // Local extraction fallback
-    console.log('Using local mock extraction...')
-    const triplets = extractMockKnowledgeTriplets(text)
+    // Local extraction fallback: rule-based, only facts stated in the text
+    console.log('Using local extraction...')
+    const triplets = extractLocalTriplets(text)
 
     if (triplets.length === 0) {
       return {
@@ -317,26 +262,162 @@ export const getRelatedEntities = async (entityName, documentId = null) => {
 }
 
 /**
- * Delete knowledge graph entries for a document
+ * Load every triplet of the graph, or of one document, with its entities.
+ * Reads page by page up to MAX_GRAPH_TRIPLETS.
+ * @param {string} documentId - Optional document ID to limit the graph
+ * @returns {Promise<Object>} - {success, triplets, truncated}
+ */
+export const getKnowledgeGraphTriplets = async (documentId = null) => {
+  try {
+    const { supabase } = await import('./supabase')
+    const { triplets, truncated } = await loadGraphTriplets(supabase, { documentId, limit: MAX_GRAPH_TRIPLETS })
+
+    return { success: true, triplets, truncated }
+
+  } catch (error) {
+    console.error('Error loading knowledge graph:', error)
+
+    return {
+      success: false,
+      error: error.message,
+      triplets: [],
+      truncated: false
+    }
+  }
+}
+
+/**
+ * Load the graph a query runs over, keeping only some predicates and
+ * relation types
+ * @param {Object} options - {documentId, predicates, relationTypes}
+ * @returns {Promise<Object>} - Graph from buildGraph
+ */
+const loadQueryGraph = async ({ documentId = null, predicates = [], relationTypes = [] }) => {
+  const result = await getKnowledgeGraphTriplets(documentId)
+  if (!result.success) {
+    throw new Error(result.error)
+  }
+
+  return buildGraph(filterByRelationTypes(filterByPredicates(result.triplets, predicates), relationTypes))
+}
+
+/**
+ * Get the entities within some hops of an entity, and the triplets that
+ * connect them. Unlike getRelatedEntities this follows relations past the
+ * direct neighbours.
+ * @param {string} entity - Entity id, or a name matched through its entity key
+ * @param {Object} options - Query options
+ * @param {number} options.hops - Radius in hops
+ * @param {string[]} options.predicates - Only follow these predicates
+ * @param {string[]} options.relationTypes - Only follow these relation types and their inverses
+ * @param {string} options.documentId - Optional document ID to limit the graph
+ * @returns {Promise<Object>} - {success, nodes: [{id, name, type, hop}], triplets}
+ */
+export const getEntityNeighborhood = async (entity, options = {}) => {
+  const { hops = DEFAULT_NEIGHBORHOOD_HOPS, predicates = [], relationTypes = [], documentId = null } = options
+
+  try {
+    const graph = await loadQueryGraph({ documentId, predicates, relationTypes })
+    const startIds = findNodes(graph, entity)
+
+    if (startIds.length === 0) {
+      throw new Error(`No entity named "${entity}" in the knowledge graph`)
+    }
+
+    return {
+      success: true,
+      ...getNeighborhood(graph, startIds, { hops })
+    }
+
+  } catch (error) {
+    console.error('Error getting entity neighborhood:', error)
+
+    return {
+      success: false,
+      error: error.message,
+      nodes: [],
+      triplets: []
+    }
+  }
+}
+
+/**
+ * Find the shortest chain of triplets connecting two entities. Relations are
+ * followed in either direction; each hop says whether it was read backwards.
+ * @param {string} fromEntity - Entity id or name to start from
+ * @param {string} toEntity - Entity id or name to reach
+ * @param {Object} options - Query options
+ * @param {number} options.maxHops - Longest path to look for
+ * @param {string[]} options.predicates - Only follow these predicates
+ * @param {string[]} options.relationTypes - Only follow these relation types and their inverses
+ * @param {string} options.documentId - Optional document ID to limit the graph
+ * @returns {Promise<Object>} - {success, found, path: [{triplet, from, to, reversed}]}
+ */
+export const findEntityPath = async (fromEntity, toEntity, options = {}) => {
+  const { maxHops = MAX_PATH_HOPS, predicates = [], relationTypes = [], documentId = null } = options
+
+  try {
+    const graph = await loadQueryGraph({ documentId, predicates, relationTypes })
+    const fromIds = findNodes(graph, fromEntity)
+    const toIds = findNodes(graph, toEntity)
+
+    for (const [name, ids] of [[fromEntity, fromIds], [toEntity, toIds]]) {
+      if (ids.length === 0) {
+        throw new Error(`No entity named "${name}" in the knowledge graph`)
+      }
+    }
+
+    const path = findShortestPath(graph, fromIds, toIds, { maxHops })
+
+    return {
+      success: true,
+      found: path !== null,
+      path: path || []
+    }
+
+  } catch (error) {
+    console.error('Error finding entity path:', error)
+
+    return {
+      success: false,
+      error: error.message,
+      found: false,
+      path: []
+    }
+  }
+}
+
+/**
+ * Delete knowledge graph entries for a document, e.g. before re-extracting it.
+ * Verified and user-created triplets are kept unless keepCurated is false.
  * @param {string} documentId - The UUID of the document
+ * @param {Object} options - {keepCurated}
  * @returns {Promise<Object>} - The deletion result
  */
-export const deleteDocumentKnowledgeGraph = async (documentId) => {
+export const deleteDocumentKnowledgeGraph = async (documentId, { keepCurated = true } = {}) => {
   try {
     const { supabase } = await import('./supabase')
     
-    const { error } = await supabase
+    let query = supabase
       .from('knowledge_graph')
       .delete()
       .eq('document_id', documentId)
 
+    if (keepCurated) {
+      query = query.eq('is_verified', false).eq('created_by', 'extractor')
+    }
+
+    const { error } = await query
+
     if (error) {
       throw error
     }
 
     return {
       success: true,
-      message: 'Knowledge graph deleted successfully'
+      message: keepCurated
+        ? 'Extracted knowledge graph deleted; verified and hand-made triplets were kept'
+        : 'Knowledge graph deleted successfully'
     }
 
   } catch (error) {
@@ -349,6 +430,274 @@ export const deleteDocumentKnowledgeGraph = async (documentId) => {
   }
 }
 
+/**
+ * Add a relationship drawn between two graph nodes. It is recorded as
+ * created by the user and verified.
+ * @param {Object} subject - Graph node {id, label}
+ * @param {Object} object - Graph node {id, label}
+ * @param {string} predicate - The predicate
+ * @param {string} documentId - Document the relationship belongs to
+ * @returns {Promise<Object>} - {success, triplet}
+ */
+export const createKnowledgeTriplet = async (subject, object, predicate, documentId) => {
+  try {
+    const { supabase } = await import('./supabase')
+
+    const { row, error: invalid } = buildUserTriplet(subject, object, predicate, documentId)
+    if (invalid) {
+      return { success: false, error: invalid }
+    }
+
+    // Nodes that are not entities yet get one, like extracted mentions
+    const [resolved] = await resolveTripletEntities(supabase, typeTriplets([row]))
+
+    const { data, error } = await supabase
+      .from('knowledge_graph')
+      .insert({
+        ...resolved,
+        subject_entity_id: row.subject_entity_id || resolved.subject_entity_id,
+        object_entity_id: row.object_entity_id || resolved.object_entity_id
+      })
+      .select(TRIPLET_COLUMNS)
+      .single()
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { success: false, error: 'This relationship already exists in the document' }
+      }
+      throw error
+    }
+
+    return { success: true, triplet: data }
+
+  } catch (error) {
+    console.error('Error creating triplet:', error)
+
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Update one triplet and return it as the graph shows it
+ * @param {string} tripletId - The triplet UUID
+ * @param {Object} changes - Columns to set
+ * @returns {Promise<Object>} - {success, triplet}
+ */
+async function updateTriplet(tripletId, changes) {
+  try {
+    const { supabase } = await import('./supabase')
+
+    const { data, error } = await supabase
+      .from('knowledge_graph')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', tripletId)
+      .select(TRIPLET_COLUMNS)
+      .single()
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { success: false, error: 'The document already has this relationship' }
+      }
+      throw error
+    }
+
+    return { success: true, triplet: data }
+
+  } catch (error) {
+    console.error('Error updating triplet:', error)
+
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Rename a triplet's predicate and type it again. A corrected triplet counts
+ * as verified.
+ * @param {string} tripletId - The triplet UUID
+ * @param {string} predicate - The new predicate
+ * @param {Object} types - {subjectType, objectType} of the triplet's entities, if known
+ * @returns {Promise<Object>} - {success, triplet}
+ */
+export const updateTripletPredicate = async (tripletId, predicate, types = {}) => {
+  const invalid = validatePredicate(predicate)
+  if (invalid) {
+    return { success: false, error: invalid }
+  }
+
+  return updateTriplet(tripletId, {
+    predicate: normalizePredicate(predicate),
+    relation_type: mapPredicate(predicate, types),
+    is_verified: true
+  })
+}
+
+/**
+ * Set a triplet's relation type by hand, for predicates the ontology does
+ * not map or maps wrongly. A corrected triplet counts as verified.
+ * @param {string} tripletId - The triplet UUID
+ * @param {string|null} relationType - Relation type id, or null for untyped
+ * @returns {Promise<Object>} - {success, triplet}
+ */
+export const setTripletRelationType = async (tripletId, relationType) => {
+  if (relationType && !DEFAULT_ONTOLOGY.byId.has(relationType)) {
+    return { success: false, error: `Unknown relation type "${relationType}"` }
+  }
+
+  return updateTriplet(tripletId, { relation_type: relationType || null, is_verified: true })
+}
+
+/**
+ * Mark a triplet as verified, or take the mark back. Verifying a stale
+ * triplet keeps it in the graph as a current fact.
+ * @param {string} tripletId - The triplet UUID
+ * @param {boolean} verified - Whether the triplet is verified
+ * @returns {Promise<Object>} - {success, triplet}
+ */
+export const setTripletVerified = async (tripletId, verified) => {
+  return updateTriplet(tripletId, verified ? { is_verified: true, is_stale: false } : { is_verified: false })
+}
+
+/**
+ * Delete one triplet
+ * @param {string} tripletId - The triplet UUID
+ * @returns {Promise<Object>} - The deletion result
+ */
+export const deleteKnowledgeTriplet = async (tripletId) => {
+  try {
+    const { supabase } = await import('./supabase')
+
+    const { error } = await supabase
+      .from('knowledge_graph')
+      .delete()
+      .eq('id', tripletId)
+
+    if (error) {
+      throw error
+    }
+
+    return { success: true }
+
+  } catch (error) {
+    console.error('Error deleting triplet:', error)
+
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Export the graph of one document, or the whole graph, as files to download.
+ * Every triplet is exported, even past the MAX_GRAPH_TRIPLETS the page shows.
+ * @param {string} format - A key of EXPORT_FORMATS in graphExport.js
+ * @param {Object|null} document - Document {id, title}, or null for the whole graph
+ * @returns {Promise<Object>} - {success, files: [{name, mimeType, content}], count}
+ */
+export const exportKnowledgeGraph = async (format, document = null) => {
+  try {
+    const { supabase } = await import('./supabase')
+    const { triplets } = await loadGraphTriplets(supabase, { documentId: document?.id || null })
+
+    return {
+      success: true,
+      files: serializeGraph(triplets, format, exportFileName(document ? document.title || '' : null)),
+      count: triplets.length
+    }
+
+  } catch (error) {
+    console.error('Error exporting knowledge graph:', error)
+
+    return {
+      success: false,
+      error: error.message,
+      files: []
+    }
+  }
+}
+
+/**
+ * Import exported files into the knowledge graph. Triplets keep their
+ * document unless documentId moves them all into one; triplets of documents
+ * that do not exist here are skipped, as are ones already in the graph.
+ * Entities are resolved by name, like extracted mentions.
+ * @param {Array} files - [{name, content}] in a format from graphExport.js
+ * @param {Object} options - {documentId}
+ * @returns {Promise<Object>} - {success, imported, duplicates, skipped, message}
+ */
+export const importKnowledgeGraph = async (files, { documentId = null } = {}) => {
+  try {
+    const { supabase } = await import('./supabase')
+
+    const { triplets, skipped: incomplete } = graphToTriplets(parseGraphFiles(files))
+    if (triplets.length === 0) {
+      return { success: false, error: 'No relationships found in the imported files' }
+    }
+
+    // Anchors point into the original document, so they are dropped when moving
+    const rows = documentId
+      ? triplets.map(triplet => triplet.document_id === documentId
+        ? triplet
+        : { ...triplet, document_id: documentId, source_anchor: null })
+      : triplets
+
+    const documentIds = [...new Set(rows.map(row => row.document_id).filter(id => UUID_PATTERN.test(id || '')))]
+    const { data: documents, error: documentError } = documentIds.length > 0
+      ? await supabase.from('documents').select('id').in('id', documentIds)
+      : { data: [], error: null }
+
+    if (documentError) {
+      throw documentError
+    }
+
+    const known = new Set((documents || []).map(document => document.id))
+    const importable = rows
+      .filter(row => known.has(row.document_id))
+      .map(row => DEFAULT_ONTOLOGY.byId.has(row.relation_type) ? row : typeTriplets([row])[0])
+
+    const resolved = await resolveTripletEntities(supabase, importable)
+
+    const { data, error } = resolved.length > 0
+      ? await supabase
+        .from('knowledge_graph')
+        .upsert(resolved, { onConflict: 'document_id,subject,predicate,object', ignoreDuplicates: true })
+        .select('id')
+      : { data: [], error: null }
+
+    if (error) {
+      throw error
+    }
+
+    const imported = (data || []).length
+    const duplicates = importable.length - imported
+    const skipped = incomplete + rows.length - importable.length
+
+    return {
+      success: true,
+      imported,
+      duplicates,
+      skipped,
+      message: `Imported ${imported} relationships` +
+        (duplicates > 0 ? `, ${duplicates} already in the graph` : '') +
+        (skipped > 0 ? `, ${skipped} skipped (unknown document or incomplete)` : '')
+    }
+
+  } catch (error) {
+    console.error('Error importing knowledge graph:', error)
+
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
 /**
  * Get knowledge graph statistics for a document
  * @param {string} documentId - The UUID of the document
@@ -416,3 +765,117 @@ export const getKnowledgeGraphStats = async (documentId) => {
     }
   }
 }
+
+/**
+ * Get all entities with their aliases and how many triplets mention them
+ * @returns {Promise<Object>} - {success, entities: [{id, canonical_name, type, aliases, tripletCount}]}
+ */
+export const getEntities = async () => {
+  try {
+    const { supabase } = await import('./supabase')
+
+    const { data: entities, error } = await supabase
+      .from('entities')
+      .select('id, canonical_name, type, entity_aliases(alias, alias_key, kind)')
+      .order('canonical_name', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    const { data: triplets, error: tripletError } = await supabase
+      .from('knowledge_graph')
+      .select('subject_entity_id, object_entity_id')
+
+    if (tripletError) {
+      throw tripletError
+    }
+
+    const counts = new Map()
+    for (const triplet of triplets || []) {
+      for (const id of [triplet.subject_entity_id, triplet.object_entity_id]) {
+        if (id) counts.set(id, (counts.get(id) || 0) + 1)
+      }
+    }
+
+    return {
+      success: true,
+      entities: (entities || []).map(entity => ({
+        id: entity.id,
+        canonical_name: entity.canonical_name,
+        type: entity.type,
+        aliases: (entity.entity_aliases || []).filter(alias => alias.kind === 'name'),
+        tripletCount: counts.get(entity.id) || 0
+      }))
+    }
+
+  } catch (error) {
+    console.error('Error getting entities:', error)
+
+    return {
+      success: false,
+      error: error.message,
+      entities: []
+    }
+  }
+}
+
+/**
+ * Merge entities into one, keeping the target's canonical name and type
+ * @param {string[]} sourceIds - Entities to merge away
+ * @param {string} targetId - Entity to keep
+ * @returns {Promise<Object>} - The merge result
+ */
+export const mergeKnowledgeEntities = async (sourceIds, targetId) => {
+  try {
+    const { supabase } = await import('./supabase')
+
+    for (const sourceId of sourceIds) {
+      if (sourceId !== targetId) {
+        await mergeEntities(supabase, sourceId, targetId)
+      }
+    }
+
+    return {
+      success: true,
+      message: 'Entities merged successfully'
+    }
+
+  } catch (error) {
+    console.error('Error merging entities:', error)
+
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
+
+/**
+ * Split aliases off an entity into a new entity
+ * @param {string} entityId - Entity to split
+ * @param {string[]} aliasKeys - Alias keys to move to the new entity
+ * @param {Object} details - {name, type} of the new entity
+ * @returns {Promise<Object>} - The split result with the new entity
+ */
+export const splitKnowledgeEntity = async (entityId, aliasKeys, details) => {
+  try {
+    const { supabase } = await import('./supabase')
+
+    const entity = await splitEntity(supabase, entityId, aliasKeys, details)
+
+    return {
+      success: true,
+      entity,
+      message: `Split off ${entity.canonical_name}`
+    }
+
+  } catch (error) {
+    console.error('Error splitting entity:', error)
+
+    return {
+      success: false,
+      error: error.message
+    }
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * Relation type ontology for the NeuraNotes knowledge graph
+ */
+
+import { RELATION_TYPES } from '../data/relationTypes.js'
+import { ENTITY_TYPES, DEFAULT_ENTITY_TYPE, inferEntityType } from './entityResolution.js'
+import { describeTripletEntity } from './graphQueries.js'
+
+/**
+ * Filter value for triplets no relation type matched
+ */
+export const UNTYPED_RELATION = 'untyped'
+
+/**
+ * Most facts inferred from transitive relations in one call
+ */
+export const MAX_INFERRED_FACTS = 200
+
+const ARTICLES = new Set(['a', 'an', 'the'])
+
+const BE_FORMS = new Set(['is', 'are', 'was', 'were', 'be', 'been', 'being', 'am'])
+const HAVE_FORMS = new Set(['has', 'have', 'had', 'having'])
+
+const ADVERBS = new Set([
+  'also', 'often', 'later', 'still', 'now', 'first', 'originally', 'primarily', 'mainly', 'jointly',
+  'independently', 'widely', 'commonly', 'largely', 'mostly', 'famously', 'eventually', 'subsequently',
+  'recently', 'previously', 'formally', 'usually', 'generally', 'sometimes', 'initially', 'then', 'once'
+])
+
+/**
+ * Words ending in -ly that are not adverbs
+ */
+const LY_WORDS = new Set(['rely', 'apply', 'supply', 'reply', 'family', 'italy', 'july', 'assembly', 'early'])
+
+/**
+ * Irregular verb forms, by the base form they stem to
+ */
+const IRREGULAR_FORMS = {
+  wrote: 'write', written: 'write', built: 'build', made: 'make', led: 'lead', taught: 'teach',
+  began: 'begin', begun: 'begin', drew: 'draw', drawn: 'draw', won: 'win', held: 'hold', sold: 'sell',
+  bought: 'buy', took: 'take', taken: 'take', gave: 'give', given: 'give', known: 'know', knew: 'know',
+  grew: 'grow', grown: 'grow', shown: 'show', born: 'bear', ran: 'run', found: 'find', spoke: 'speak',
+  chose: 'choose', chosen: 'choose'
+}
+
+/**
+ * Reduce a word to a crude stem so tenses and plurals compare equal
+ */
+const stem = (word) => {
+  if (IRREGULAR_FORMS[word]) return IRREGULAR_FORMS[word]
+  if (word.length <= 3) return word
+
+  return word
+    .replace(/ies$/, 'y')
+    .replace(/ied$/, 'y')
+    .replace(/(?:ing|ed|es|s)$/, '')
+    .replace(/e$/, '')
+}
+
+/**
+ * Whether a word is a past participle, so "has invented" reads as "invented"
+ */
+const isParticiple = (word) => /(?:ed|en|wn)$/.test(word) || !!IRREGULAR_FORMS[word]
+
+/**
+ * The key a raw predicate is matched on
+ * @param {string} predicate - Predicate as written
+ * @returns {string} - e.g. "be subset of" for "were also subsets of"
+ */
+export const predicateKey = (predicate) => {
+  const words = (predicate || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+
+  const kept = words.filter(word =>
+    !ARTICLES.has(word) &&
+    !ADVERBS.has(word) &&
+    !(word.length > 4 && word.endsWith('ly') && !LY_WORDS.has(word)))
+
+  const tokens = []
+  kept.forEach((word, index) => {
+    if (BE_FORMS.has(word)) {
+      if (tokens[tokens.length - 1] !== 'be') tokens.push('be')
+      return
+    }
+
+    // "has been developed by" and "has developed" lose their auxiliary
+    if (HAVE_FORMS.has(word) && index < kept.length - 1 &&
+      (BE_FORMS.has(kept[index + 1]) || isParticiple(kept[index + 1]))) {
+      return
+    }
+
+    tokens.push(HAVE_FORMS.has(word) ? 'have' : stem(word))
+  })
+
+  return tokens.join(' ')
+}
+
+/**
+ * Check a list of relation types for mistakes
+ * @param {Array} relationTypes - Definitions as in src/data/relationTypes.js
+ * @returns {string[]} - Problems found; empty when the list is usable
+ */
+export const validateRelationTypes = (relationTypes) => {
+  const problems = []
+  const byId = new Map()
+
+  relationTypes.forEach(type => {
+    if (!type.id || !type.label) problems.push('Every relation type needs an id and a label')
+    if (byId.has(type.id)) problems.push(`Relation type "${type.id}" is defined twice`)
+    byId.set(type.id, type)
+  })
+
+  relationTypes.forEach(type => {
+    if (type.inverse) {
+      const inverse = byId.get(type.inverse)
+      if (!inverse) {
+        problems.push(`Relation type "${type.id}" has an unknown inverse "${type.inverse}"`)
+      } else if (inverse.inverse !== type.id) {
+        problems.push(`Relation types "${type.id}" and "${type.inverse}" are not each other's inverse`)
+      }
+    }
+
+    if (type.symmetric && type.inverse) {
+      problems.push(`Relation type "${type.id}" is symmetric, so it cannot have a separate inverse`)
+    }
+
+    for (const field of ['subjectTypes', 'objectTypes']) {
+      (type[field] || []).forEach(entityType => {
+        if (!ENTITY_TYPES.includes(entityType)) {
+          problems.push(`Relation type "${type.id}" allows unknown entity type "${entityType}"`)
+        }
+      })
+    }
+  })
+
+  return problems
+}
+
+/**
+ * Build an ontology from relation type definitions
+ * @param {Array} relationTypes - Definitions as in src/data/relationTypes.js
+ * @returns {Object} - {relationTypes, byId: Map, byKey: Map of predicate key → relation types}
+ */
+export const createOntology = (relationTypes = RELATION_TYPES) => {
+  const problems = validateRelationTypes(relationTypes)
+  if (problems.length > 0) {
+    throw new Error(`Invalid relation types: ${problems.join('; ')}`)
+  }
+
+  const byId = new Map(relationTypes.map(type => [type.id, type]))
+  const byKey = new Map()
+
+  relationTypes.forEach(type => {
+    (type.predicates || []).forEach(predicate => {
+      const key = predicateKey(predicate)
+      if (!byKey.has(key)) byKey.set(key, [])
+      if (!byKey.get(key).includes(type)) byKey.get(key).push(type)
+    })
+  })
+
+  return { relationTypes, byId, byKey }
+}
+
+/**
+ * The ontology built from src/data/relationTypes.js
+ */
+export const DEFAULT_ONTOLOGY = createOntology()
+
+/**
+ * Whether an entity type fits a relation's allowed types. Loosely, a
+ * concept also fits people and organisations, since concept is what the type
+ * guesser falls back to; dates are recognised by their form, so a concept
+ * never passes for one.
+ */
+const typeFits = (allowed, type, loose) => {
+  if (!allowed || !type) return true
+  if (allowed.includes(type)) return true
+  return loose && type === DEFAULT_ENTITY_TYPE && allowed.some(allowedType => allowedType !== 'date')
+}
+
+/**
+ * Map a raw predicate onto a relation type
+ * @param {string} predicate - Predicate as written
+ * @param {Object} types - {subjectType, objectType} of the triplet's entities, if known
+ * @param {Object} ontology - Ontology from createOntology
+ * @returns {string|null} - Relation type id, or null when none matches
+ */
+export const mapPredicate = (predicate, types = {}, ontology = DEFAULT_ONTOLOGY) => {
+  const candidates = ontology.byKey.get(predicateKey(predicate)) || []
+  const { subjectType, objectType } = types
+
+  for (const loose of [false, true]) {
+    const match = candidates.find(type =>
+      typeFits(type.subjectTypes, subjectType, loose) && typeFits(type.objectTypes, objectType, loose))
+    if (match) return match.id
+  }
+
+  return null
+}
+
+/**
+ * Add a relation_type to triplet rows, using the model's type hints or
+ * guessing entity types from the names
+ * @param {Array} triplets - Rows with subject, predicate, object and optional subject_type/object_type
+ * @param {Object} ontology - Ontology from createOntology
+ * @returns {Array} - The rows with relation_type set
+ */
+export const typeTriplets = (triplets, ontology = DEFAULT_ONTOLOGY) => {
+  return triplets.map(triplet => ({
+    ...triplet,
+    relation_type: mapPredicate(triplet.predicate, {
+      subjectType: inferEntityType(triplet.subject, { type: triplet.subject_type, predicate: triplet.predicate, role: 'subject' }),
+      objectType: inferEntityType(triplet.object, { type: triplet.object_type, predicate: triplet.predicate, role: 'object' })
+    }, ontology)
+  }))
+}
+
+/**
+ * How the graph shows a relation type
+ * @param {string|null} relationType - Relation type id
+ * @param {Object} ontology - Ontology from createOntology
+ * @returns {Object} - {id, label, color}; untyped relations have id UNTYPED_RELATION and no colour
+ */
+export const describeRelationType = (relationType, ontology = DEFAULT_ONTOLOGY) => {
+  const type = relationType && ontology.byId.get(relationType)
+  return type
+    ? { id: type.id, label: type.label, color: type.color }
+    : { id: UNTYPED_RELATION, label: 'untyped', color: null }
+}
+
+/**
+ * Relation types used by some triplets, most frequent first
+ * @param {Array} triplets - Knowledge graph rows
+ * @param {Object} ontology - Ontology from createOntology
+ * @returns {Array} - Array of {id, label, color, count}
+ */
+export const listRelationTypes = (triplets, ontology = DEFAULT_ONTOLOGY) => {
+  const counts = new Map()
+  triplets.forEach(triplet => {
+    const { id } = describeRelationType(triplet.relation_type, ontology)
+    counts.set(id, (counts.get(id) || 0) + 1)
+  })
+
+  return [...counts.entries()]
+    .map(([id, count]) => ({ ...describeRelationType(id, ontology), count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+}
+
+/**
+ * Keep the triplets of some relation types. A relation type also keeps its
+ * inverse, which is the same relation read the other way.
+ * @param {Array} triplets - Knowledge graph rows
+ * @param {string[]} relationTypes - Relation type ids, or UNTYPED_RELATION; empty keeps all
+ * @param {Object} ontology - Ontology from createOntology
+ * @returns {Array} - Matching rows
+ */
+export const filterByRelationTypes = (triplets, relationTypes, ontology = DEFAULT_ONTOLOGY) => {
+  if (!relationTypes || relationTypes.length === 0) return triplets
+
+  const wanted = new Set(relationTypes)
+  relationTypes.forEach(id => {
+    const inverse = ontology.byId.get(id)?.inverse
+    if (inverse) wanted.add(inverse)
+  })
+
+  return triplets.filter(triplet => wanted.has(describeRelationType(triplet.relation_type, ontology).id))
+}
+
+/**
+ * Facts implied by transitive relations that no triplet states: A part of B
+ * and B part of C give A part of C. Inverse triplets are read in the type's
+ * own direction and symmetric ones both ways, so "C has part B" counts as
+ * "B part of C".
+ * @param {Array} triplets - Knowledge graph rows with relation_type
+ * @param {Object} options - {maxHops, limit}
+ * @param {Object} ontology - Ontology from createOntology
+ * @returns {Array} - Inferred rows {id, subject, predicate, object, relation_type, inferred: true, via}, via listing the triplet ids
+ */
+export const inferRelationFacts = (triplets, { maxHops = 3, limit = MAX_INFERRED_FACTS } = {}, ontology = DEFAULT_ONTOLOGY) => {
+  const inferred = []
+  const walked = new Set()
+
+  ontology.relationTypes.filter(type => type.transitive).forEach(type => {
+    // An inverse pair is one relation, so it is walked once
+    if (walked.has(type.inverse)) return
+    walked.add(type.id)
+
+    // Edges of this relation in its own direction
+    const edges = new Map()
+    const nodes = new Map()
+    const stated = new Set()
+
+    const addEdge = (from, to, triplet) => {
+      nodes.set(from.id, from)
+      nodes.set(to.id, to)
+      if (!edges.has(from.id)) edges.set(from.id, [])
+      edges.get(from.id).push({ to: to.id, triplet })
+      stated.add(`${from.id}\u0000${to.id}`)
+    }
+
+    triplets.forEach(triplet => {
+      const subject = describeTripletEntity(triplet, 'subject')
+      const object = describeTripletEntity(triplet, 'object')
+
+      if (triplet.relation_type === type.id) {
+        addEdge(subject, object, triplet)
+        if (type.symmetric) addEdge(object, subject, triplet)
+      } else if (type.inverse && triplet.relation_type === type.inverse) {
+        addEdge(object, subject, triplet)
+      }
+    })
+
+    // Walk out from every node, keeping what is reached in two or more hops
+    for (const start of nodes.keys()) {
+      const seen = new Set([start])
+      let frontier = [{ id: start, via: [] }]
+
+      for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+        const next = []
+
+        frontier.forEach(({ id, via }) => {
+          (edges.get(id) || []).forEach(edge => {
+            if (seen.has(edge.to)) return
+            seen.add(edge.to)
+
+            const path = [...via, edge.triplet.id]
+            next.push({ id: edge.to, via: path })
+
+            if (hop > 1 && !stated.has(`${start}\u0000${edge.to}`) && inferred.length < limit) {
+              const subject = nodes.get(start)
+              const object = nodes.get(edge.to)
+              inferred.push({
+                id: `inferred:${type.id}:${start}:${edge.to}`,
+                subject: subject.name,
+                subject_entity_id: start.startsWith('mention:') ? null : start,
+                predicate: type.label,
+                object: object.name,
+                object_entity_id: edge.to.startsWith('mention:') ? null : edge.to,
+                relation_type: type.id,
+                inferred: true,
+                via: path
+              })
+            }
+          })
+        })
+
+        frontier = next
+      }
+    }
+  })
+
+  return inferred
+}
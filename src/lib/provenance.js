@@ -0,0 +1,122 @@
+/**
+ * Knowledge graph provenance for NeuraNotes
+ */
+
+import { isCuratedTriplet } from './graphCuration.js'
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Every occurrence of a snippet in a text, ignoring case and how the
+ * whitespace between its words is laid out
+ * @param {string} text - The text to search
+ * @param {string} snippet - The evidence sentence
+ * @returns {Array} - Array of [start, end) ranges
+ */
+export const findSnippetRanges = (text, snippet) => {
+  const words = (snippet || '').trim().split(/\s+/).filter(Boolean)
+  if (words.length === 0) return []
+
+  const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'giu')
+  return [...(text || '').matchAll(pattern)].map(match => [match.index, match.index + match[0].length])
+}
+
+/**
+ * Every place a snippet occurs in a document, in reading order. Blocks
+ * without a Tiptap node (plain text, uploaded files) still count as a place
+ * the evidence is, but cannot be anchored.
+ * @param {Array} blocks - Blocks from extractBlocks() in documentText.js
+ * @param {string} snippet - The evidence sentence
+ * @returns {Array} - Array of {blockIndex, anchor} occurrences; anchor is null for blocks without a path
+ */
+export const locateSnippet = (blocks, snippet) => {
+  return blocks.flatMap((block, blockIndex) =>
+    findSnippetRanges(block.text, snippet).map(([start, end]) => ({
+      blockIndex,
+      anchor: block.path
+        ? { path: block.path, offset: start, endPath: block.path, endOffset: end }
+        : null
+    }))
+  )
+}
+
+/**
+ * Top-level position of an occurrence, for measuring how far it moved
+ */
+const occurrencePosition = (occurrence) => occurrence.anchor ? occurrence.anchor.path[0] : occurrence.blockIndex
+
+/**
+ * The occurrence closest to where the evidence was expected: exactly at the
+ * previous anchor if it is still there, else the nearest block, else the first
+ * @param {Array} occurrences - Occurrences from locateSnippet
+ * @param {Object|null} expected - Previous anchor, or the anchor of the chunk it was extracted from
+ * @returns {Object|null} - The chosen occurrence, or null when there is none
+ */
+const closestOccurrence = (occurrences, expected) => {
+  if (occurrences.length === 0) return null
+  if (!expected?.path) return occurrences[0]
+
+  const samePlace = occurrences.find(({ anchor }) => anchor &&
+    anchor.path.join('.') === expected.path.join('.') &&
+    anchor.offset === expected.offset)
+
+  if (samePlace) return samePlace
+
+  const distance = (occurrence) => Math.abs(occurrencePosition(occurrence) - expected.path[0])
+  return occurrences.reduce((best, occurrence) => distance(occurrence) < distance(best) ? occurrence : best)
+}
+
+/**
+ * Anchor newly extracted triplets to their evidence. A sentence that appears
+ * more than once is anchored to the copy nearest the extracted text.
+ * @param {Array} blocks - Blocks of the saved document
+ * @param {Array} triplets - Rows with a source_snippet
+ * @param {Object|null} expected - Anchor of the chunk they were extracted from, if any
+ * @returns {Array} - The rows with source_anchor and is_stale set
+ */
+export const anchorTriplets = (blocks, triplets, expected = null) => {
+  return triplets.map(triplet => ({
+    ...triplet,
+    source_anchor: closestOccurrence(locateSnippet(blocks, triplet.source_snippet), expected)?.anchor || null,
+    is_stale: false
+  }))
+}
+
+/**
+ * Check stored triplets against the edited document. Evidence that is still
+ * there keeps or updates its anchor. Evidence that is gone flags the triplet
+ * stale if the sentence was known to be in the document: it had an anchor,
+ * or it was in one of the removed chunks. Snippets that never matched the
+ * text (a model may paraphrase) are left alone rather than flagged, and so
+ * are curated triplets, which a person vouched for whatever the text says.
+ * @param {Array} blocks - Blocks of the saved document
+ * @param {Array} triplets - Stored {id, source_snippet, source_anchor, is_stale, is_verified, created_by} rows
+ * @param {string[]} removedTexts - Text of the chunks the edit removed
+ * @returns {Array} - Array of {id, source_anchor, is_stale} for the rows that changed
+ */
+export const verifyEvidence = (blocks, triplets, removedTexts = []) => {
+  const changes = []
+
+  triplets.forEach(triplet => {
+    if (!triplet.source_snippet) return
+
+    const occurrence = closestOccurrence(locateSnippet(blocks, triplet.source_snippet), triplet.source_anchor)
+    const wasInDocument = !!triplet.source_anchor ||
+      removedTexts.some(text => findSnippetRanges(text, triplet.source_snippet).length > 0)
+
+    if (!occurrence && (!wasInDocument || isCuratedTriplet(triplet))) return
+
+    // Stale triplets keep their last known anchor
+    const isStale = !occurrence
+    const anchor = occurrence ? occurrence.anchor : triplet.source_anchor || null
+
+    if (isStale !== !!triplet.is_stale || JSON.stringify(anchor) !== JSON.stringify(triplet.source_anchor || null)) {
+      changes.push({ id: triplet.id, source_anchor: anchor, is_stale: isStale })
+    }
+  })
+
+  return changes
+}
@@ -0,0 +1,71 @@
+/**
+ * Embedding model registry for NeuraNotes
+ */
+
+export const EMBEDDING_MODELS = {
+  'text-embedding-3-large': {
+    provider: 'openai',
+    maxDimensions: 3072,
+    // Shortened from the native 3072 so the default fits pgvector indexes (max 2000)
+    defaultDimensions: 1536,
+    configurableDimensions: true
+  },
+  'text-embedding-3-small': {
+    provider: 'openai',
+    maxDimensions: 1536,
+    defaultDimensions: 1536,
+    configurableDimensions: true
+  },
+  'text-embedding-ada-002': {
+    provider: 'openai',
+    maxDimensions: 1536,
+    defaultDimensions: 1536,
+    configurableDimensions: false
+  },
+  'local-hashed-bow-v1': {
+    provider: 'local',
+    maxDimensions: 4096,
+    defaultDimensions: 1536,
+    configurableDimensions: true
+  }
+}
+
+/**
+ * Model recorded for rows embedded before models were tracked
+ */
+export const LEGACY_EMBEDDING_MODEL = 'legacy-unknown'
+
+/**
+ * Validate an embedding model and settle its dimension
+ * @param {string} provider - Provider name ('openai' or 'local')
+ * @param {string} model - Registry model id
+ * @param {number} [dimensions] - Requested dimension (model default if unset)
+ * @returns {Object} - {model, dimensions, configurableDimensions}
+ */
+export const resolveEmbeddingModel = (provider, model, dimensions) => {
+  const entry = EMBEDDING_MODELS[model]
+
+  if (!entry) {
+    throw new Error(`Unknown embedding model: ${model}`)
+  }
+
+  if (entry.provider !== provider) {
+    throw new Error(`Embedding model ${model} belongs to the ${entry.provider} provider, not ${provider}`)
+  }
+
+  const resolved = dimensions || entry.defaultDimensions
+
+  if (!entry.configurableDimensions && resolved !== entry.defaultDimensions) {
+    throw new Error(`Embedding model ${model} only produces ${entry.defaultDimensions} dimensions`)
+  }
+
+  if (resolved < 1 || resolved > entry.maxDimensions) {
+    throw new Error(`Embedding model ${model} supports at most ${entry.maxDimensions} dimensions`)
+  }
+
+  return {
+    model,
+    dimensions: resolved,
+    configurableDimensions: entry.configurableDimensions
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * LLM/embedding provider selection for NeuraNotes
+ */
+
+import { createOpenAIProvider } from './openaiProvider.js'
+import { createLocalProvider } from './localProvider.js'
+import { resolveEmbeddingModel } from './embeddingModels.js'
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider
+}
+
+/**
+ * Embedding model used when none is configured, per provider
+ */
+const DEFAULT_EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-large',
+  local: 'local-hashed-bow-v1'
+}
+
+/**
+ * Read a setting from the server environment
+ * @param {string} name - Setting name
+ * @returns {string|undefined} - The value, if set
+ */
+const readEnv = (name) => globalThis.process?.env?.[name] || undefined
+
+/**
+ * Resolve the provider configuration from LLM_PROVIDER, OPENAI_API_KEY,
+ * OPENAI_CHAT_MODEL, OPENAI_EMBEDDING_MODEL and EMBEDDING_DIMENSIONS
+ * @returns {Object} - The provider configuration
+ */
+export const getProviderConfig = () => {
+  const apiKey = readEnv('OPENAI_API_KEY')
+  const provider = (readEnv('LLM_PROVIDER') || (apiKey ? 'openai' : 'local')).toLowerCase()
+  const dimensions = parseInt(readEnv('EMBEDDING_DIMENSIONS'), 10)
+
+  return {
+    provider,
+    apiKey,
+    chatModel: readEnv('OPENAI_CHAT_MODEL') || 'gpt-4',
+    embeddingModel: provider === 'openai' ? readEnv('OPENAI_EMBEDDING_MODEL') : undefined,
+    embeddingDimensions: Number.isNaN(dimensions) ? undefined : dimensions
+  }
+}
+
+/**
+ * Create a provider from an explicit configuration, e.g. the target model
+ * of a re-embedding job
+ * @param {Object} config - Configuration shaped like getProviderConfig()
+ * @returns {Object} - Provider with embed, embedMany, complete and stream
+ */
+export const createProvider = (config) => {
+  const factory = PROVIDER_FACTORIES[config.provider]
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${config.provider}`)
+  }
+
+  const embedding = resolveEmbeddingModel(
+    config.provider,
+    config.embeddingModel || DEFAULT_EMBEDDING_MODELS[config.provider],
+    config.embeddingDimensions
+  )
+
+  return factory({
+    ...config,
+    embeddingModel: embedding.model,
+    embeddingDimensions: embedding.dimensions,
+    configurableDimensions: embedding.configurableDimensions
+  })
+}
+
+let cachedProvider = null
+
+/**
+ * Get the configured provider, creating it on first use
+ * @returns {Object} - Provider with embed, embedMany, complete and stream
+ */
+export const getProvider = () => {
+  if (cachedProvider) {
+    return cachedProvider
+  }
+
+  cachedProvider = createProvider(getProviderConfig())
+  return cachedProvider
+}
@@ -0,0 +1,278 @@
+/**
+ * Local (offline) LLM/embedding provider for NeuraNotes
+ */
+
+import { extractLocalTriplets } from '../tripletExtraction.js'
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'such', 'than',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'who', 'whom', 'why', 'will', 'with', 'would',
+  'you', 'your', 'about', 'also', 'any', 'all', 'some', 'more', 'most', 'other', 'tell', 'mentioned',
+  'document', 'text'
+])
+
+/**
+ * Split text into lowercase word tokens, dropping stopwords
+ * @param {string} text - The text to tokenize
+ * @returns {string[]} - Tokens
+ */
+export const tokenize = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g)
+    ?.filter(token => token.length > 1 && !STOPWORDS.has(token)) || []
+}
+
+/**
+ * Split text into sentences, keeping their punctuation
+ * @param {string} text - The text to split
+ * @returns {string[]} - Sentences
+ */
+export const splitSentences = (text) => {
+  return (text || '')
+    .split(/\n+/)
+    .flatMap(line => line.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0)
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - The string to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Hashed bag-of-words embedding: each token (and each adjacent token pair)
+ * is hashed into a bucket with a hashed sign, weighted by log term frequency
+ * and L2-normalized so cosine similarity behaves like the OpenAI vectors.
+ * @param {string} text - The text to embed
+ * @param {number} dimensions - Vector length
+ * @returns {number[]} - The embedding vector
+ */
+export const hashedEmbedding = (text, dimensions) => {
+  const vector = new Array(dimensions).fill(0)
+  const tokens = tokenize(text)
+  const features = [...tokens]
+
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]}_${tokens[i + 1]}`)
+  }
+
+  const counts = new Map()
+  features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1))
+
+  counts.forEach((count, feature) => {
+    const hash = hashString(feature)
+    const index = hash % dimensions
+    const sign = (hash & 0x80000000) ? -1 : 1
+    // Bigrams count for half as much as single words
+    const weight = (feature.includes('_') ? 0.5 : 1) * (1 + Math.log(count))
+    vector[index] += sign * weight
+  })
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))
+  return norm > 0 ? vector.map(value => value / norm) : vector
+}
+
+/**
+ * Score sentences against a set of query terms, weighting rare terms higher
+ * @param {Array} sentences - Array of {text, tokens} objects
+ * @param {string[]} queryTerms - Terms to match
+ * @returns {number[]} - One score per sentence
+ */
+const scoreSentences = (sentences, queryTerms) => {
+  const documentFrequency = new Map()
+  sentences.forEach(sentence => {
+    new Set(sentence.tokens).forEach(token => {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1)
+    })
+  })
+
+  const uniqueTerms = [...new Set(queryTerms)]
+
+  return sentences.map(sentence => {
+    if (sentence.tokens.length === 0) return 0
+    const tokenSet = new Set(sentence.tokens)
+    const overlap = uniqueTerms.reduce((sum, term) => {
+      if (!tokenSet.has(term)) return sum
+      return sum + Math.log(1 + sentences.length / documentFrequency.get(term))
+    }, 0)
+    return overlap / Math.sqrt(sentence.tokens.length)
+  })
+}
+
+/**
+ * Break passages into scored sentence candidates
+ * @param {string[]} passages - Passages to draw from
+ * @returns {Array} - Array of {text, tokens, passage, position} objects
+ */
+const collectSentences = (passages) => {
+  const sentences = []
+  passages.forEach((passage, passageIndex) => {
+    splitSentences(passage).forEach(text => {
+      sentences.push({ text, tokens: tokenize(text), passage: passageIndex, position: sentences.length })
+    })
+  })
+  return sentences
+}
+
+/**
+ * Pick the best sentences and restore their original order
+ * @param {Array} sentences - Sentence candidates
+ * @param {number[]} scores - One score per candidate
+ * @param {number} count - Maximum number of sentences
+ * @returns {Array} - Selected candidates in reading order
+ */
+const pickTopSentences = (sentences, scores, count) => {
+  return sentences
+    .map((sentence, index) => ({ ...sentence, score: scores[index] }))
+    .filter(sentence => sentence.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .sort((a, b) => a.position - b.position)
+}
+
+/**
+ * Extractive answer: the passage sentences that best match the question,
+ * each followed by its passage citation ([1], [2], ...). Knowledge graph
+ * facts compete with the sentences and are cited as [G1], [G2], ...
+ */
+const answerExtractively = ({ question, passages = [], facts = [], citePassages = true }) => {
+  const sentences = collectSentences(passages)
+  facts.forEach((fact, index) => {
+    sentences.push({ text: fact, tokens: tokenize(fact), fact: index, position: sentences.length })
+  })
+
+  const scores = scoreSentences(sentences, tokenize(question))
+  const selected = pickTopSentences(sentences, scores, 3)
+
+  if (selected.length === 0) {
+    return 'The provided context does not contain enough information to answer this question.'
+  }
+
+  const citation = (sentence) => sentence.fact !== undefined ? `[G${sentence.fact + 1}]` : `[${sentence.passage + 1}]`
+
+  return selected
+    .map(sentence => citePassages ? `${sentence.text} ${citation(sentence)}` : sentence.text)
+    .join(' ')
+}
+
+/**
+ * Extractive summary: the sentences most central to the text as a whole
+ */
+const summarizeExtractively = ({ passages = [] }) => {
+  const sentences = collectSentences(passages)
+  const allTokens = sentences.flatMap(sentence => sentence.tokens)
+  const scores = scoreSentences(sentences, allTokens)
+  const count = Math.min(5, Math.max(1, Math.ceil(sentences.length / 5)))
+  const selected = pickTopSentences(sentences, scores, count)
+
+  return selected.length > 0
+    ? selected.map(sentence => sentence.text).join(' ')
+    : (passages[0] || '').substring(0, 300)
+}
+
+/**
+ * Follow-up rewrite: carry the previous question's terms into the new one
+ * so the bag-of-words retrieval query keeps the conversation topic
+ */
+const rewriteExtractively = ({ question, history = [] }) => {
+  const previous = history[history.length - 1]
+  return previous ? `${question} ${previous.question}` : question
+}
+
+/**
+ * Lexical re-ranking: score each passage 0-10 by how many query terms it
+ * contains, with a bonus for query word pairs that appear side by side.
+ * Returned as a JSON array, the same shape the chat models are asked for.
+ */
+const rerankLexically = ({ query, passages = [] }) => {
+  const queryTokens = tokenize(query)
+  const queryTerms = [...new Set(queryTokens)]
+  const queryPairs = queryTokens.slice(1).map((token, index) => `${queryTokens[index]} ${token}`)
+
+  const scores = passages.map(passage => {
+    if (queryTerms.length === 0) return 0
+    const tokens = tokenize(passage)
+    const tokenSet = new Set(tokens)
+    const pairs = new Set(tokens.slice(1).map((token, index) => `${tokens[index]} ${token}`))
+
+    const coverage = queryTerms.filter(term => tokenSet.has(term)).length / queryTerms.length
+    const adjacency = queryPairs.length > 0
+      ? queryPairs.filter(pair => pairs.has(pair)).length / queryPairs.length
+      : coverage
+
+    return Math.round((7 * coverage + 3 * adjacency) * 10) / 10
+  })
+
+  return JSON.stringify(scores)
+}
+
+const TASK_HANDLERS = {
+  answer: answerExtractively,
+  summary: summarizeExtractively,
+  rewrite: rewriteExtractively,
+  rerank: rerankLexically,
+  // Rule-based extraction, returned as the JSON array the chat models are asked for
+  triplets: ({ text }) => JSON.stringify(extractLocalTriplets(text))
+}
+
+/**
+ * Create the local provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.embeddingModel - Embedding model from the registry
+ * @param {number} config.embeddingDimensions - Embedding vector length
+ * @returns {Object} - Provider implementing embed/complete/stream
+ */
+export const createLocalProvider = (config = {}) => {
+  const dimensions = config.embeddingDimensions || 1536
+
+  const complete = async ({ task } = {}) => {
+    const handler = task && TASK_HANDLERS[task.type]
+    if (!handler) {
+      throw new Error(`Local provider cannot handle task: ${task?.type || 'unknown'}`)
+    }
+    return handler(task)
+  }
+
+  return {
+    name: 'local',
+    chatModel: 'local-extractive',
+    embeddingModel: config.embeddingModel || 'local-hashed-bow-v1',
+    embeddingDimensions: dimensions,
+    // Bag-of-words vectors of a short question and a long chunk overlap far less
+    matchThreshold: 0.1,
+
+    embed: async (text) => hashedEmbedding(text, dimensions),
+
+    embedMany: async (texts) => texts.map(text => hashedEmbedding(text, dimensions)),
+
+    complete,
+
+    stream: async ({ onToken, signal, ...options } = {}) => {
+      const text = await complete(options)
+      // Emit word by word so streaming UIs behave the same offline
+      for (const token of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) {
+          const abortError = new Error('The operation was aborted')
+          abortError.name = 'AbortError'
+          throw abortError
+        }
+        if (onToken) onToken(token)
+      }
+      return text
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * OpenAI LLM/embedding provider for NeuraNotes
+ */
+
+import OpenAI from 'openai'
+
+/**
+ * Create the OpenAI provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - OpenAI API key
+ * @param {string} config.chatModel - Chat completion model
+ * @param {string} config.embeddingModel - Embedding model from the registry
+ * @param {number} config.embeddingDimensions - Embedding vector length
+ * @param {boolean} config.configurableDimensions - Whether the model accepts a dimensions parameter
+ * @returns {Object} - Provider implementing embed/complete/stream
+ */
+export const createOpenAIProvider = (config) => {
+  if (!config.apiKey) {
+    throw new Error('OpenAI API key not configured')
+  }
+
+  const openai = new OpenAI({
+    apiKey: config.apiKey
+  })
+
+  const chatParams = ({ messages, maxTokens = 500, temperature = 0.7 }) => ({
+    model: config.chatModel,
+    messages,
+    max_tokens: maxTokens,
+    temperature
+  })
+
+  const embedMany = async (texts) => {
+    const response = await openai.embeddings.create({
+      model: config.embeddingModel,
+      input: texts,
+      // Always pin the dimension so stored vectors match embeddings.embedding_dimensions
+      ...(config.configurableDimensions ? { dimensions: config.embeddingDimensions } : {})
+    })
+    return response.data.map(item => item.embedding)
+  }
+
+  return {
+    name: 'openai',
+    chatModel: config.chatModel,
+    embeddingModel: config.embeddingModel,
+    embeddingDimensions: config.embeddingDimensions,
+    // Cosine similarity a relevant chunk typically clears
+    matchThreshold: 0.5,
+
+    embed: async (text) => {
+      const [embedding] = await embedMany([text])
+      return embedding
+    },
+
+    embedMany,
+
+    complete: async (options) => {
+      const completion = await openai.chat.completions.create(chatParams(options))
+      return completion.choices[0]?.message?.content?.trim() || ''
+    },
+
+    stream: async ({ onToken, signal, ...options }) => {
+      const completion = await openai.chat.completions.create(
+        { ...chatParams(options), stream: true },
+        { signal }
+      )
+
+      let text = ''
+      for await (const part of completion) {
+        const token = part.choices[0]?.delta?.content
+        if (token) {
+          text += token
+          if (onToken) onToken(token)
+        }
+      }
+      return text
+    }
+  }
+}
@@ -42,7 +42,8 @@ export const askDocumentQuestion = async (question, documentId) => {
       success: true,
       answer: data.answer,
       chunksUsed: data.chunksUsed,
-      context: data.context
+      context: data.context,
+      sources: data.sources
     }
 
   } catch (error) {
@@ -88,7 +89,8 @@ export const askGlobalQuestion = async (question) => {
       success: true,
       answer: data.answer,
       chunksUsed: data.chunksUsed,
-      context: data.context
+      context: data.context,
+      sources: data.sources
     }
 
   } catch (error) {
@@ -101,3 +103,131 @@ export const askGlobalQuestion = async (question) => {
     }
   }
 }
+
+/**
+ * Parse a Server-Sent Events body into { event, data } objects
+ * @param {ReadableStream} body - The fetch response body
+ * @returns {AsyncGenerator<Object>} - Parsed events with JSON data
+ */
+async function* readServerSentEvents(body) {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+
+    // Events are separated by a blank line
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      let event = 'message'
+      let data = ''
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim()
+        } else if (line.startsWith('data:')) {
+          data += line.slice(5).trim()
+        }
+      })
+
+      if (data) {
+        yield { event, data: JSON.parse(data) }
+      }
+    }
+  }
+}
+
+/**
+ * Ask a question and stream the answer as it is generated
+ * @param {string} question - The user's question
+ * @param {string|null} documentId - The UUID of the document to search, or null for all documents
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onToken - Called with each token and the answer so far
+ * @param {AbortSignal} options.signal - Signal used to cancel the request
+ * @param {Array} options.history - Prior {question, answer} turns, oldest first
+ * @param {boolean} options.graphMode - Also answer from knowledge graph facts (GraphRAG)
+ * @returns {Promise<Object>} - The final answer with chunksUsed/context/sources/graphFacts metadata
+ */
+export const streamDocumentQuestion = async (question, documentId, { onToken, signal, history = [], graphMode = false } = {}) => {
+  let partialAnswer = ''
+
+  try {
+    console.log('Streaming question about document:', { question, documentId })
+
+    const response = await fetch('/api/ask-rag', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify({
+        question: question.trim(),
+        documentId: documentId,
+        stream: true,
+        history: history.map(turn => ({ question: turn.question, answer: turn.answer })),
+        graphMode
+      }),
+      signal
+    })
+
+    const contentType = response.headers.get('content-type') || ''
+
+    // Validation and retrieval errors are still returned as JSON
+    if (!response.ok || !contentType.includes('text/event-stream')) {
+      if (contentType.includes('application/json')) {
+        const errorData = await response.json()
+        throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
+      }
+      const textResponse = await response.text()
+      throw new Error(`Server returned non-JSON response: ${textResponse}`)
+    }
+
+    for await (const { event, data } of readServerSentEvents(response.body)) {
+      if (event === 'token') {
+        partialAnswer += data.token
+        if (onToken) {
+          onToken(data.token, partialAnswer)
+        }
+      } else if (event === 'done') {
+        return {
+          success: true,
+          answer: data.answer,
+          chunksUsed: data.chunksUsed,
+          context: data.context,
+          sources: data.sources,
+          graphFacts: data.graphFacts || [],
+          retrievalQuery: data.retrievalQuery
+        }
+      } else if (event === 'error') {
+        throw new Error(data.error || 'Streaming failed')
+      }
+    }
+
+    throw new Error('Stream ended before the answer was complete')
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log('Streaming question cancelled')
+      return {
+        success: false,
+        aborted: true,
+        error: 'Request cancelled',
+        answer: partialAnswer || null
+      }
+    }
+
+    console.error('Error streaming document question:', error)
+
+    return {
+      success: false,
+      error: error.message,
+      answer: null
+    }
+  }
+}
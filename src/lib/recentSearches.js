@@ -0,0 +1,37 @@
+/**
+ * Recent searches for NeuraNotes, kept in localStorage
+ */
+
+const STORAGE_KEY = 'neuranotes.recentSearches'
+
+export const MAX_RECENT_SEARCHES = 20
+
+/**
+ * Load recent searches, most recent first
+ * @returns {string[]} - Recent queries
+ */
+export const loadRecentSearches = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(stored) ? stored.filter(entry => typeof entry === 'string') : []
+  } catch (error) {
+    console.warn('Could not read recent searches:', error.message)
+    return []
+  }
+}
+
+/**
+ * Record a search the user ran, moving repeats to the front
+ * @param {string} query - The search query
+ */
+export const saveRecentSearch = (query) => {
+  const trimmed = (query || '').trim()
+  if (!trimmed) return
+
+  try {
+    const recent = loadRecentSearches().filter(entry => entry.toLowerCase() !== trimmed.toLowerCase())
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([trimmed, ...recent].slice(0, MAX_RECENT_SEARCHES)))
+  } catch (error) {
+    console.warn('Could not save recent search:', error.message)
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Search result re-ranking for NeuraNotes
+ */
+
+import { getProvider } from './providers/index.js'
+
+/**
+ * Maximum number of passages graded in one request
+ */
+export const MAX_RERANK_PASSAGES = 50
+
+/**
+ * Passages are cut to this many characters before grading
+ */
+const MAX_PASSAGE_LENGTH = 1000
+
+/**
+ * Grade passages for relevance to a query
+ * @param {string} query - The search query
+ * @param {string[]} passages - Candidate passages, best first
+ * @returns {Promise<Object>} - {scores, model}; one score in [0, 1] per passage
+ */
+export async function rerankPassages(query, passages) {
+  if (passages.length === 0) {
+    return { scores: [], model: getProvider().chatModel }
+  }
+
+  const candidates = passages
+    .slice(0, MAX_RERANK_PASSAGES)
+    .map(passage => passage.length > MAX_PASSAGE_LENGTH ? passage.substring(0, MAX_PASSAGE_LENGTH) + '...' : passage)
+
+  const numbered = candidates
+    .map((passage, index) => `[${index + 1}]\n${passage}`)
+    .join('\n\n')
+
+  const provider = getProvider()
+  const response = await provider.complete({
+    messages: [
+      {
+        role: 'system',
+        content: 'You grade search results. For each numbered passage, rate how well it answers or matches the query from 0 (irrelevant) to 10 (directly relevant). Return only a JSON array of numbers, one per passage, in order.'
+      },
+      {
+        role: 'user',
+        content: `Query: ${query}\n\nPassages:\n${numbered}\n\nJSON scores:`
+      }
+    ],
+    maxTokens: 10 + candidates.length * 6,
+    temperature: 0,
+    task: { type: 'rerank', query, passages: candidates }
+  })
+
+  let grades
+  try {
+    grades = JSON.parse(response.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''))
+  } catch (parseError) {
+    console.error('Failed to parse re-ranking response as JSON:', response)
+    throw new Error(`Invalid JSON response from the model: ${parseError.message}`)
+  }
+
+  if (!Array.isArray(grades)) {
+    throw new Error('Re-ranking response is not an array')
+  }
+
+  // Missing or malformed grades count as irrelevant
+  const scores = candidates.map((_, index) => {
+    const grade = Number(grades[index])
+    return Number.isFinite(grade) ? Math.min(10, Math.max(0, grade)) / 10 : 0
+  })
+
+  return { scores, model: provider.chatModel }
+}
@@ -0,0 +1,410 @@
+/**
+ * Hybrid search core for NeuraNotes
+ */
+
+import { fuseResults, applyRerankScores, timeStage, FUSION_STRATEGIES, DEFAULT_FUSION, DEFAULT_RERANK_TOP_N } from './searchFusion.js'
+import { parseSearchQuery, resolveDocumentFilters, containsExcludedTerm } from './searchQuery.js'
+import { diversifyResults } from './searchResultGroups.js'
+
+export const MAX_QUERY_LENGTH = 1000
+
+/**
+ * Most candidates that can be re-ranked; matches MAX_RERANK_PASSAGES in
+ * reranking.js, which is server-only
+ */
+export const MAX_RERANK_CANDIDATES = 50
+
+/**
+ * Defaults for every search option
+ */
+export const SEARCH_DEFAULTS = {
+  documentId: null,
+  limit: 10,
+  ftsWeight: 0.5,
+  vectorWeight: 0.5,
+  fusion: DEFAULT_FUSION,
+  rerank: false,
+  rerankTopN: DEFAULT_RERANK_TOP_N,
+  diversity: null,
+  useSupabaseFunction: false,
+  fallbackToFTSOnly: true
+}
+
+/**
+ * Options merged over SEARCH_DEFAULTS; undefined values keep the default
+ */
+const withDefaults = (options) => {
+  const settings = { ...SEARCH_DEFAULTS }
+  Object.entries(options).forEach(([name, value]) => {
+    if (value !== undefined) settings[name] = value
+  })
+  return settings
+}
+
+/**
+ * Check a query and its options before searching
+ * @param {string} query - The search query
+ * @param {Object} options - Search options (see SEARCH_DEFAULTS)
+ * @returns {Object} - {valid, error}
+ */
+export const validateSearchRequest = (query, options = {}) => {
+  const settings = withDefaults(options)
+
+  if (!query || typeof query !== 'string' || query.trim().length === 0) {
+    return { valid: false, error: 'Query is required and must be a non-empty string' }
+  }
+
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { valid: false, error: `Query must be less than ${MAX_QUERY_LENGTH} characters` }
+  }
+
+  if (!Number.isInteger(settings.limit) || settings.limit < 1 || settings.limit > 100) {
+    return { valid: false, error: 'Limit must be an integer between 1 and 100' }
+  }
+
+  if (typeof settings.ftsWeight !== 'number' || typeof settings.vectorWeight !== 'number' ||
+      settings.ftsWeight < 0 || settings.vectorWeight < 0) {
+    return { valid: false, error: 'Weights must be non-negative numbers' }
+  }
+
+  if (!FUSION_STRATEGIES.includes(settings.fusion)) {
+    return { valid: false, error: `Fusion must be one of: ${FUSION_STRATEGIES.join(', ')}` }
+  }
+
+  if (!Number.isInteger(settings.rerankTopN) || settings.rerankTopN < 1 || settings.rerankTopN > MAX_RERANK_CANDIDATES) {
+    return { valid: false, error: `rerankTopN must be an integer between 1 and ${MAX_RERANK_CANDIDATES}` }
+  }
+
+  if (settings.diversity !== null && (typeof settings.diversity !== 'number' || settings.diversity < 0 || settings.diversity > 1)) {
+    return { valid: false, error: 'Diversity must be a number between 0 and 1' }
+  }
+
+  const parsedQuery = parseSearchQuery(query)
+
+  if (parsedQuery.errors.length > 0) {
+    return { valid: false, error: parsedQuery.errors[0] }
+  }
+
+  if (!parsedQuery.text) {
+    return { valid: false, error: 'Query needs search terms besides filters and exclusions' }
+  }
+
+  return { valid: true }
+}
+
+/**
+ * Turn a pipeline row into the search result schema
+ * @param {Object} row - Row with chunk, document_id and the scores set by fusion
+ * @returns {Object} - {id, documentId, documentTitle, text, headingPath, anchor,
+ *   score, hybridScore, rerankScore, ftsScore, ftsRank, vectorScore, vectorRank, preview}
+ */
+export const formatSearchResult = (row) => {
+  const text = row.chunk || ''
+
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    documentTitle: row.document_title || null,
+    text,
+    headingPath: row.heading_path || [],
+    anchor: row.anchor || null,
+    score: row.rerank_score ?? row.hybrid_score ?? row.similarity ?? 0,
+    hybridScore: row.hybrid_score ?? 0,
+    rerankScore: row.rerank_score ?? null,
+    ftsScore: row.fts_score || 0,
+    ftsRank: row.fts_rank || null,
+    vectorScore: row.vector_score || row.similarity || 0,
+    vectorRank: row.vector_rank || null,
+    preview: text.length > 200 ? text.substring(0, 200) + '...' : text
+  }
+}
+
+/**
+ * Drop rows that repeat a chunk, e.g. one row per embedding model while a
+ * corpus is being re-embedded
+ */
+const uniqueChunks = (rows) => {
+  const seen = new Set()
+  return rows.filter(row => {
+    const key = `${row.document_id}\u0000${row.chunk}`
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * Create a search core. A backend implements resolveFilters(filters),
+ * keywordSearch({websearch, model, documentId, documentIds, limit}),
+ * vectorSearch({queryEmbedding, documentId, documentIds, limit}) and
+ * optionally hybridSearch({queryEmbedding, websearch, documentId, documentIds, limit})
+ * for SQL fusion; documentIds limits candidates before the limit is applied.
+ * @param {Object} dependencies - How to reach data and models
+ * @param {Object} dependencies.backend - Search backend, e.g. createSupabaseSearchBackend()
+ * @param {Function} dependencies.embedQuery - text → Promise<{embedding, model, matchThreshold}>
+ * @param {Function} dependencies.rerank - (query, passages) → Promise<{scores}>; optional
+ * @returns {Object} - {search}
+ */
+export const createSearchCore = ({ backend, embedQuery, rerank: rerankPassages = null }) => {
+  /**
+   * Run a hybrid search
+   * @param {string} query - The search query, in the syntax of searchQuery.js
+   * @param {Object} options - Overrides for SEARCH_DEFAULTS
+   * @returns {Promise<Object>} - {success, query, results, total, method, fusion,
+   *   reranked, diversified, filters, timings, candidates}, or
+   *   {success: false, error, status, query, results: [], total: 0}
+   */
+  const search = async (query, options = {}) => {
+    const validation = validateSearchRequest(query, options)
+    if (!validation.valid) {
+      return { success: false, error: validation.error, status: 400, query, results: [], total: 0 }
+    }
+
+    const {
+      documentId,
+      limit,
+      ftsWeight,
+      vectorWeight,
+      fusion,
+      rerank,
+      rerankTopN,
+      diversity,
+      useSupabaseFunction,
+      fallbackToFTSOnly
+    } = withDefaults(options)
+
+    const parsedQuery = parseSearchQuery(query)
+    const timings = {}
+    const searchStart = Date.now()
+
+    try {
+      const documentIds = await timeStage(timings, 'filters', () => backend.resolveFilters(parsedQuery.filters))
+
+      if (documentIds && documentIds.length === 0) {
+        timings.total = Date.now() - searchStart
+        return {
+          success: true,
+          query,
+          results: [],
+          total: 0,
+          method: 'no_matching_documents',
+          fusion,
+          reranked: false,
+          diversified: false,
+          filters: parsedQuery.filters,
+          timings,
+          candidates: {}
+        }
+      }
+
+      // Keep rows of the selected document that pass the query's filters and
+      // exclusions; vector and SQL fusion candidates ignore exclusions
+      const allowedIds = documentIds ? new Set(documentIds) : null
+      const isAllowed = (row) =>
+        (!documentId || row.document_id === documentId) &&
+        (!allowedIds || allowedIds.has(row.document_id)) &&
+        !containsExcludedTerm(row.chunk, parsedQuery.excluded)
+
+      // A list weighted zero is not searched, unless both are
+      const useKeywords = ftsWeight > 0 || vectorWeight === 0
+      const useVectors = vectorWeight > 0 || ftsWeight === 0
+
+      // Embed the free text only; without an embedding, search by keywords
+      let queryEmbedding = null
+      if (useVectors) {
+        try {
+          queryEmbedding = await timeStage(timings, 'embedding', () => embedQuery(parsedQuery.text))
+        } catch (embeddingError) {
+          if (!fallbackToFTSOnly) throw embeddingError
+          console.warn('⚠️ Query embedding failed, searching by keywords only:', embeddingError.message)
+        }
+      }
+
+      // Re-ranking and diversification both pick from a deeper candidate list
+      const candidateLimit = Math.max(
+        limit,
+        rerank ? rerankTopN : 0,
+        diversity !== null ? limit * 3 : 0
+      )
+
+      let rows = null
+      let candidates = {}
+      let method = !queryEmbedding ? 'fts_only' : useKeywords ? 'javascript_merge' : 'vector_only'
+
+      if (queryEmbedding && useKeywords && useSupabaseFunction && backend.hybridSearch) {
+        try {
+          rows = (await timeStage(timings, 'sql', () => backend.hybridSearch({
+            queryEmbedding,
+            websearch: parsedQuery.websearch,
+            documentId,
+            documentIds,
+            limit: candidateLimit
+          }))).filter(isAllowed)
+          candidates = { sql: rows.length }
+          method = 'sql_function'
+        } catch (error) {
+          console.warn('SQL hybrid search failed, fusing in JavaScript:', error.message)
+        }
+      }
+
+      if (!rows) {
+        const [ftsRows, vectorRows] = await Promise.all([
+          useKeywords || !queryEmbedding
+            ? timeStage(timings, 'fts', () => backend.keywordSearch({
+                websearch: parsedQuery.websearch,
+                model: queryEmbedding?.model || null,
+                documentId,
+                documentIds,
+                limit: candidateLimit * 2
+              }))
+            : [],
+          queryEmbedding
+            ? timeStage(timings, 'vector', () => backend.vectorSearch({
+                queryEmbedding,
+                documentId,
+                documentIds,
+                limit: candidateLimit * 2
+              }))
+            : []
+        ])
+
+        const ftsResults = (queryEmbedding ? ftsRows : uniqueChunks(ftsRows)).filter(isAllowed)
+        const vectorResults = vectorRows.filter(isAllowed)
+
+        rows = await timeStage(timings, 'fusion', async () =>
+          fuseResults(parsedQuery.text, ftsResults, vectorResults, { strategy: fusion, ftsWeight, vectorWeight })
+        )
+        candidates = { fts: ftsResults.length, vector: vectorResults.length, fused: rows.length }
+      }
+
+      // Let the chat model grade the top candidates; keep the fused order if it fails
+      let reranked = false
+      if (rerank && rerankPassages && rows.length > 0) {
+        try {
+          const head = rows.slice(0, rerankTopN)
+          const { scores } = await timeStage(timings, 'rerank', () =>
+            rerankPassages(parsedQuery.text, head.map(row => row.chunk || ''))
+          )
+          rows = applyRerankScores(rows, scores)
+          reranked = true
+        } catch (error) {
+          console.warn('⚠️ Re-ranking failed, keeping fused order:', error.message)
+        }
+      }
+
+      // Spread the final slots across documents
+      rows = diversity !== null
+        ? await timeStage(timings, 'diversity', async () => diversifyResults(rows, { lambda: diversity, limit }))
+        : rows.slice(0, limit)
+
+      const results = rows.map(formatSearchResult)
+      timings.total = Date.now() - searchStart
+
+      return {
+        success: true,
+        query,
+        results,
+        total: results.length,
+        method,
+        fusion: method === 'sql_function' ? 'sql' : fusion,
+        reranked,
+        diversified: diversity !== null,
+        filters: parsedQuery.filters,
+        timings,
+        candidates
+      }
+
+    } catch (error) {
+      console.error('Hybrid search error:', error)
+      return {
+        success: false,
+        error: error.message,
+        status: error.status || 500,
+        query,
+        results: [],
+        total: 0
+      }
+    }
+  }
+
+  return { search }
+}
+
+/**
+ * Search backend over the Supabase embeddings table and search RPCs
+ * @param {Object} client - Supabase client
+ * @returns {Object} - Backend for createSearchCore
+ */
+export const createSupabaseSearchBackend = (client) => ({
+  resolveFilters: (filters) => resolveDocumentFilters(client, filters),
+
+  keywordSearch: async ({ websearch, model, documentId, documentIds, limit }) => {
+    let query = client
+      .from('embeddings')
+      .select('id, document_id, chunk, heading_path, anchor')
+      .textSearch('chunk', websearch, {
+        type: 'websearch',
+        config: 'english'
+      })
+
+    // Rows of other embedding models repeat the same chunks
+    if (model) {
+      query = query.eq('embedding_model', model)
+    }
+
+    if (documentId) {
+      query = query.eq('document_id', documentId)
+    }
+
+    if (documentIds) {
+      query = query.in('document_id', documentIds)
+    }
+
+    const { data, error } = await query.limit(limit)
+    if (error) throw error
+    return data || []
+  },
+
+  vectorSearch: async ({ queryEmbedding, documentId, documentIds, limit }) => {
+    const { data, error } = documentId
+      ? await client.rpc('match_document_chunks', {
+          query_embedding: queryEmbedding.embedding,
+          query_model: queryEmbedding.model,
+          target_document_id: documentId,
+          match_threshold: queryEmbedding.matchThreshold,
+          match_count: limit
+        })
+      : await client.rpc('match_chunks', {
+          query_embedding: queryEmbedding.embedding,
+          query_model: queryEmbedding.model,
+          match_threshold: queryEmbedding.matchThreshold,
+          match_count: limit,
+          filter_document_ids: documentIds || null
+        })
+
+    if (error) throw error
+    return data || []
+  },
+
+  hybridSearch: async ({ queryEmbedding, websearch, documentId, documentIds, limit }) => {
+    const { data, error } = documentId
+      ? await client.rpc('hybrid_search_document', {
+          query_embedding: queryEmbedding.embedding,
+          query_model: queryEmbedding.model,
+          query_text: websearch,
+          target_document_id: documentId,
+          match_count: limit
+        })
+      : await client.rpc('simple_hybrid_search', {
+          query_embedding: queryEmbedding.embedding,
+          query_model: queryEmbedding.model,
+          query_text: websearch,
+          match_count: limit,
+          filter_document_ids: documentIds || null
+        })
+
+    if (error) throw error
+    // hybrid_search_document rows carry no document_id; they are all in documentId
+    return (data || []).map(row => ({ document_id: documentId, ...row }))
+  }
+})
@@ -0,0 +1,365 @@
+/**
+ * Search relevance evaluation for NeuraNotes
+ */
+
+import { chunkDocument } from './chunking.js'
+import { keywordTokens, SEARCH_MODE_WEIGHTS, DEFAULT_FUSION } from './searchFusion.js'
+import { createSearchCore } from './searchCore.js'
+
+export const SEARCH_MODES = ['keyword', 'semantic', 'hybrid']
+
+export const DEFAULT_EVALUATION_K = 5
+
+/**
+ * Crude English stemmer standing in for the Postgres 'english' configuration,
+ * enough for plurals and common verb forms to match
+ * @param {string} token - Lowercase token
+ * @returns {string} - Stem
+ */
+const stem = (token) => {
+  const suffixes = ['ational', 'ization', 'ness', 'ment', 'ing', 'ied', 'ies', 'ed', 'ly', 'es', 's']
+  const suffix = suffixes.find(ending => token.endsWith(ending) && token.length - ending.length >= 3)
+  return suffix ? token.slice(0, -suffix.length) : token
+}
+
+/**
+ * Stemmed tokens of a text, in order
+ */
+const stemTokens = (text) => keywordTokens(text).map(stem)
+
+/**
+ * Collapse whitespace and case so passages match across chunk boundaries
+ */
+const normalizeText = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim()
+
+/**
+ * Cosine similarity of two vectors
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+/**
+ * Chunk and embed a corpus into an in-memory search index
+ * @param {Array} documents - Array of {title, content}, content as stored in documents.content
+ * @param {Object} provider - Embedding provider (embedMany, embeddingModel, matchThreshold)
+ * @param {Object} chunkOptions - Overrides for DEFAULT_CHUNK_OPTIONS
+ * @returns {Promise<Object>} - {rows, documents, provider}; documents are {id, title, created_at}
+ */
+export const buildSearchIndex = async (documents, provider, chunkOptions = {}) => {
+  const rows = []
+
+  documents.forEach((document, documentIndex) => {
+    chunkDocument(document.content, chunkOptions).forEach(chunk => {
+      rows.push({
+        id: `${documentIndex}:${chunk.index}`,
+        document_id: String(documentIndex),
+        document_title: document.title,
+        chunk: chunk.text,
+        heading_path: chunk.headingPath,
+        anchor: chunk.anchor,
+        tokens: stemTokens(chunk.text)
+      })
+    })
+  })
+
+  const embeddings = await provider.embedMany(rows.map(row => row.chunk))
+  rows.forEach((row, index) => {
+    row.embedding = embeddings[index]
+  })
+
+  return {
+    rows,
+    documents: documents.map((document, documentIndex) => ({
+      id: String(documentIndex),
+      title: document.title,
+      created_at: document.created_at || null
+    })),
+    provider
+  }
+}
+
+/**
+ * Whether a stemmed token sequence contains a phrase's tokens side by side
+ */
+const containsSequence = (tokens, phrase) => {
+  if (phrase.length === 0) return false
+  for (let start = 0; start + phrase.length <= tokens.length; start++) {
+    if (phrase.every((token, offset) => tokens[start + offset] === token)) return true
+  }
+  return false
+}
+
+/**
+ * Compile a websearch_to_tsquery string into a row predicate: every clause
+ * must match, "or" joins neighbouring terms into one clause and a leading
+ * "-" excludes a word or phrase
+ */
+const compileWebsearch = (websearch) => {
+  const clauses = []
+  const excluded = []
+  let joinNext = false
+
+  for (const [, negated, phrase, word] of websearch.matchAll(/(-?)(?:"([^"]*)"|(\S+))/g)) {
+    if (phrase === undefined && word.toLowerCase() === 'or') {
+      joinNext = clauses.length > 0
+      continue
+    }
+
+    const tokens = stemTokens(phrase ?? word)
+    if (tokens.length === 0) continue
+
+    if (negated) {
+      excluded.push(tokens)
+    } else if (joinNext) {
+      clauses[clauses.length - 1].push(tokens)
+    } else {
+      clauses.push([tokens])
+    }
+    joinNext = false
+  }
+
+  return (row) =>
+    clauses.length > 0 &&
+    clauses.every(alternatives => alternatives.some(tokens => containsSequence(row.tokens, tokens))) &&
+    !excluded.some(tokens => containsSequence(row.tokens, tokens))
+}
+
+/**
+ * Search backend over an index from buildSearchIndex, standing in for the
+ * Supabase backend of searchCore.js: full text search follows websearch
+ * syntax, vector search keeps chunks above the provider's match threshold
+ * and filters match document titles and creation dates
+ * @param {Object} index - Index from buildSearchIndex
+ * @returns {Object} - Backend for createSearchCore
+ */
+export const createMemorySearchBackend = (index) => ({
+  resolveFilters: async (filters) => {
+    if (!filters || filters.length === 0) return null
+
+    const lower = (value) => (value || '').toLowerCase()
+    const scopes = filters.filter(filter => filter.field === 'in')
+
+    return index.documents
+      .filter(document => scopes.length === 0 || scopes.some(scope =>
+        scope.value === document.id || lower(scope.value) === lower(document.title)
+      ))
+      .filter(document => filters.every(filter => {
+        if (filter.field === 'title') return lower(document.title).includes(lower(filter.value))
+        if (filter.field === 'after') return Boolean(document.created_at) && document.created_at >= filter.value
+        if (filter.field === 'before') return Boolean(document.created_at) && document.created_at < filter.value
+        return true
+      }))
+      .map(document => document.id)
+  },
+
+  keywordSearch: async ({ websearch, documentId, documentIds, limit }) => {
+    const matches = compileWebsearch(websearch)
+    return index.rows
+      .filter(row => (!documentId || row.document_id === documentId) &&
+        (!documentIds || documentIds.includes(row.document_id)) &&
+        matches(row))
+      .slice(0, limit)
+  },
+
+  vectorSearch: async ({ queryEmbedding, documentId, documentIds, limit }) => {
+    return index.rows
+      .filter(row => (!documentId || row.document_id === documentId) &&
+        (!documentIds || documentIds.includes(row.document_id)))
+      .map(row => ({ ...row, similarity: cosineSimilarity(queryEmbedding.embedding, row.embedding) }))
+      .filter(row => row.similarity > queryEmbedding.matchThreshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit)
+  }
+})
+
+/**
+ * Search core over an index, embedding queries with the index's provider
+ * @param {Object} index - Index from buildSearchIndex
+ * @returns {Object} - Core from createSearchCore
+ */
+export const createIndexSearchCore = (index) => createSearchCore({
+  backend: createMemorySearchBackend(index),
+  embedQuery: async (text) => {
+    const [embedding] = await index.provider.embedMany([text])
+    return {
+      embedding,
+      model: index.provider.embeddingModel,
+      matchThreshold: index.provider.matchThreshold
+    }
+  }
+})
+
+/**
+ * Run one query against the index through the search core
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - The search query
+ * @param {Object} options - Search options
+ * @param {string} options.mode - One of SEARCH_MODES (default: hybrid)
+ * @param {string} options.fusion - Fusion strategy (default: rrf)
+ * @param {Object} options.weights - Overrides for the mode's {ftsWeight, vectorWeight}
+ * @param {number} options.limit - Number of results (default: 10)
+ * @returns {Promise<Array>} - Results in the searchCore.js schema, best first
+ */
+export const searchIndex = async (index, query, options = {}) => {
+  const {
+    mode = 'hybrid',
+    fusion = DEFAULT_FUSION,
+    weights = {},
+    limit = 10
+  } = options
+
+  if (!SEARCH_MODE_WEIGHTS[mode]) {
+    throw new Error(`Unknown search mode: ${mode}`)
+  }
+
+  const response = await createIndexSearchCore(index).search(query, {
+    fusion,
+    limit,
+    ...SEARCH_MODE_WEIGHTS[mode],
+    ...weights
+  })
+
+  if (!response.success) {
+    throw new Error(`Search for "${query}" failed: ${response.error}`)
+  }
+
+  return response.results
+}
+
+/**
+ * Whether a search result satisfies a judgment
+ * @param {Object} result - Result with documentTitle and text
+ * @param {Object} judgment - {document, passage}
+ * @returns {boolean}
+ */
+const matchesJudgment = (result, judgment) => {
+  if (judgment.document && result.documentTitle !== judgment.document) return false
+  if (judgment.passage && !normalizeText(result.text).includes(normalizeText(judgment.passage))) return false
+  return true
+}
+
+/**
+ * Score a ranking against a query's judgments. Every judgment is credited
+ * once, at the first result that satisfies it.
+ * @param {Array} results - Results, best first
+ * @param {Array} judgments - Array of {document, passage, grade}
+ * @param {number} k - Cutoff
+ * @returns {Object} - {recall, reciprocalRank, ndcg, firstRelevantRank}
+ */
+export const scoreRanking = (results, judgments, k = DEFAULT_EVALUATION_K) => {
+  const credited = new Set()
+  const gains = []
+  let firstRelevantRank = null
+
+  results.slice(0, k).forEach((result, position) => {
+    const match = judgments.findIndex((judgment, index) => !credited.has(index) && matchesJudgment(result, judgment))
+
+    if (match === -1) {
+      gains.push(0)
+      return
+    }
+
+    credited.add(match)
+    gains.push(judgments[match].grade ?? 1)
+    if (firstRelevantRank === null) firstRelevantRank = position + 1
+  })
+
+  const discountedGain = (grades) => grades.reduce(
+    (sum, grade, position) => sum + (2 ** grade - 1) / Math.log2(position + 2),
+    0
+  )
+
+  const idealGrades = judgments.map(judgment => judgment.grade ?? 1).sort((a, b) => b - a).slice(0, k)
+  const idealGain = discountedGain(idealGrades)
+
+  return {
+    recall: judgments.length > 0 ? credited.size / judgments.length : 0,
+    reciprocalRank: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcg: idealGain > 0 ? discountedGain(gains) / idealGain : 0,
+    firstRelevantRank
+  }
+}
+
+/**
+ * Validate a golden query set
+ * @param {Object} golden - Parsed golden file: {queries: [{query, relevant: [{document, passage, grade}]}]}
+ * @returns {Object} - {valid, error}
+ */
+export const validateGoldenSet = (golden) => {
+  if (!golden || !Array.isArray(golden.queries) || golden.queries.length === 0) {
+    return { valid: false, error: 'Golden set must have a non-empty queries array' }
+  }
+
+  for (const [index, entry] of golden.queries.entries()) {
+    if (!entry.query || typeof entry.query !== 'string') {
+      return { valid: false, error: `Query ${index + 1} has no query string` }
+    }
+
+    if (!Array.isArray(entry.relevant) || entry.relevant.length === 0) {
+      return { valid: false, error: `Query "${entry.query}" has no relevant judgments` }
+    }
+
+    if (entry.relevant.some(judgment => !judgment.document && !judgment.passage)) {
+      return { valid: false, error: `Query "${entry.query}" has a judgment without document or passage` }
+    }
+  }
+
+  return { valid: true }
+}
+
+/**
+ * Evaluate every query of a golden set in every mode
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {Array} queries - Golden queries {query, relevant}
+ * @param {Object} options - Evaluation options
+ * @param {number} options.k - Metric cutoff (default: 5)
+ * @param {string} options.fusion - Fusion strategy (default: rrf)
+ * @param {Object} options.weights - Per-mode weight overrides, e.g. {hybrid: {ftsWeight: 0.3}}
+ * @param {Array} options.modes - Modes to run (default: all)
+ * @returns {Promise<Object>} - {modes: {[mode]: {recall, mrr, ndcg, queries}}}
+ */
+export const evaluateSearch = async (index, queries, options = {}) => {
+  const {
+    k = DEFAULT_EVALUATION_K,
+    fusion = DEFAULT_FUSION,
+    weights = {},
+    modes = SEARCH_MODES
+  } = options
+
+  const report = { k, fusion, modes: {} }
+
+  for (const mode of modes) {
+    const perQuery = []
+
+    for (const entry of queries) {
+      const results = await searchIndex(index, entry.query, { mode, fusion, weights: weights[mode], limit: k })
+      perQuery.push({
+        query: entry.query,
+        ...scoreRanking(results, entry.relevant, k),
+        top: results.map(result => ({ document: result.documentTitle, chunk: result.text }))
+      })
+    }
+
+    const mean = (metric) => perQuery.reduce((sum, entry) => sum + entry[metric], 0) / perQuery.length
+
+    report.modes[mode] = {
+      recall: mean('recall'),
+      mrr: mean('reciprocalRank'),
+      ndcg: mean('ndcg'),
+      queries: perQuery
+    }
+  }
+
+  return report
+}
@@ -0,0 +1,254 @@
+/**
+ * Result fusion for NeuraNotes hybrid search
+ */
+
+export const FUSION_STRATEGIES = ['linear', 'rrf', 'zscore']
+
+export const DEFAULT_FUSION = 'rrf'
+
+/**
+ * Keyword/vector weights behind hybridSearch, keywordSearch and semanticSearch;
+ * a list weighted zero is not searched
+ */
+export const SEARCH_MODE_WEIGHTS = {
+  hybrid: { ftsWeight: 0.5, vectorWeight: 0.5 },
+  keyword: { ftsWeight: 1, vectorWeight: 0 },
+  semantic: { ftsWeight: 0, vectorWeight: 1 }
+}
+
+/**
+ * RRF rank constant; 60 is the value from the original paper
+ */
+export const RRF_K = 60
+
+/**
+ * Number of fused candidates sent to the re-ranking stage by default
+ */
+export const DEFAULT_RERANK_TOP_N = 20
+
+const KEYWORD_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what',
+  'when', 'where', 'which', 'who', 'why', 'with'
+])
+
+/**
+ * Lowercase word tokens without stopwords
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Tokens
+ */
+export const keywordTokens = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !KEYWORD_STOPWORDS.has(token))
+}
+
+/**
+ * Score FTS candidates with BM25 against the query, using the candidate set
+ * as the corpus. PostgREST text search filters but does not rank, so this
+ * gives keyword hits a real relevance score instead of their row order.
+ * @param {string} query - The search query
+ * @param {Array} rows - FTS rows with a chunk field
+ * @returns {number[]} - One score per row
+ */
+export const scoreKeywordMatches = (query, rows) => {
+  const queryTerms = [...new Set(keywordTokens(query))]
+  if (queryTerms.length === 0 || rows.length === 0) {
+    return rows.map(() => 0)
+  }
+
+  const k1 = 1.2
+  const b = 0.75
+  const documents = rows.map(row => keywordTokens(row.chunk))
+  const averageLength = documents.reduce((sum, tokens) => sum + tokens.length, 0) / documents.length || 1
+
+  const documentFrequency = new Map(queryTerms.map(term => [
+    term,
+    documents.filter(tokens => tokens.includes(term)).length
+  ]))
+
+  return documents.map(tokens => {
+    const termFrequency = new Map()
+    tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1))
+
+    return queryTerms.reduce((score, term) => {
+      const frequency = termFrequency.get(term) || 0
+      if (frequency === 0) return score
+
+      const df = documentFrequency.get(term)
+      const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5))
+      return score + idf * (frequency * (k1 + 1)) /
+        (frequency + k1 * (1 - b + b * tokens.length / averageLength))
+    }, 0)
+  })
+}
+
+/**
+ * Min-max normalise scores into [0, 1]; a single score maps to 1
+ */
+const minMax = (scores) => {
+  const min = Math.min(...scores)
+  const max = Math.max(...scores)
+  return scores.map(score => max === min ? 1 : (score - min) / (max - min))
+}
+
+/**
+ * Standard scores; a list without spread maps to 0
+ */
+const standardize = (scores) => {
+  const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length
+  const deviation = Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length)
+  return scores.map(score => deviation === 0 ? 0 : (score - mean) / deviation)
+}
+
+/**
+ * Fusion strategies. Each receives the candidates with their per-list rank
+ * (1-based, null when absent) and raw score, and returns one fused score each.
+ */
+const FUSERS = {
+  linear: (candidates, { ftsWeight, vectorWeight }) => {
+    const fts = normalizeList(candidates, 'fts', minMax, 0)
+    const vector = normalizeList(candidates, 'vector', minMax, 0)
+    const total = ftsWeight + vectorWeight || 1
+    return candidates.map((_, index) => (ftsWeight * fts[index] + vectorWeight * vector[index]) / total)
+  },
+
+  rrf: (candidates, { ftsWeight, vectorWeight, rrfK }) => {
+    // Scaled so a result ranked first in both lists scores 1
+    const best = (ftsWeight + vectorWeight) / (rrfK + 1) || 1
+    return candidates.map(candidate => {
+      const fts = candidate.fts_rank ? ftsWeight / (rrfK + candidate.fts_rank) : 0
+      const vector = candidate.vector_rank ? vectorWeight / (rrfK + candidate.vector_rank) : 0
+      return (fts + vector) / best
+    })
+  },
+
+  zscore: (candidates, { ftsWeight, vectorWeight }) => {
+    // Results missing from a list get that list's lowest standard score
+    const fts = normalizeList(candidates, 'fts', standardize, 'min')
+    const vector = normalizeList(candidates, 'vector', standardize, 'min')
+    const total = ftsWeight + vectorWeight || 1
+    return candidates.map((_, index) => {
+      const z = (ftsWeight * fts[index] + vectorWeight * vector[index]) / total
+      return 1 / (1 + Math.exp(-z))
+    })
+  }
+}
+
+/**
+ * Normalise one list's raw scores across all candidates
+ * @param {Array} candidates - Fused candidates
+ * @param {string} list - 'fts' or 'vector'
+ * @param {Function} normalize - minMax or standardize
+ * @param {number|string} missing - Value for candidates absent from the list, or 'min'
+ * @returns {number[]} - One normalised score per candidate
+ */
+const normalizeList = (candidates, list, normalize, missing) => {
+  const present = candidates.filter(candidate => candidate[`${list}_rank`])
+  if (present.length === 0) {
+    return candidates.map(() => 0)
+  }
+
+  const normalized = new Map()
+  const values = normalize(present.map(candidate => candidate[`${list}_score`]))
+  present.forEach((candidate, index) => normalized.set(candidate.id, values[index]))
+
+  const fallback = missing === 'min' ? Math.min(...values) : missing
+  return candidates.map(candidate => normalized.has(candidate.id) ? normalized.get(candidate.id) : fallback)
+}
+
+/**
+ * Fuse full text and vector results into one ranking
+ * @param {string} query - The search query, used to score keyword matches
+ * @param {Array} ftsResults - FTS rows {id, document_id, chunk, ...}
+ * @param {Array} vectorResults - Vector rows with a similarity field
+ * @param {Object} options - Fusion options
+ * @param {string} options.strategy - One of FUSION_STRATEGIES (default: rrf)
+ * @param {number} options.ftsWeight - Weight of the keyword list (default: 0.5)
+ * @param {number} options.vectorWeight - Weight of the vector list (default: 0.5)
+ * @param {number} options.rrfK - RRF rank constant (default: 60)
+ * @returns {Array} - Results sorted by hybrid_score, with fts_score,
+ *   vector_score, fts_rank and vector_rank
+ */
+export const fuseResults = (query, ftsResults, vectorResults, options = {}) => {
+  const {
+    strategy = DEFAULT_FUSION,
+    ftsWeight = 0.5,
+    vectorWeight = 0.5,
+    rrfK = RRF_K
+  } = options
+
+  const fuse = FUSERS[strategy]
+  if (!fuse) {
+    throw new Error(`Unknown fusion strategy: ${strategy}`)
+  }
+
+  const candidates = new Map()
+
+  // Keyword hits ranked by BM25
+  const keywordScores = scoreKeywordMatches(query, ftsResults)
+  ftsResults
+    .map((result, index) => ({ result, score: keywordScores[index] }))
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ result, score }, index) => {
+      candidates.set(result.id, {
+        ...result,
+        fts_score: score,
+        fts_rank: index + 1,
+        vector_score: 0,
+        vector_rank: null
+      })
+    })
+
+  // Vector hits ranked by cosine similarity
+  ;[...vectorResults]
+    .sort((a, b) => (b.similarity || 0) - (a.similarity || 0))
+    .forEach((result, index) => {
+      const existing = candidates.get(result.id)
+      const vectorFields = { vector_score: result.similarity || 0, vector_rank: index + 1 }
+
+      if (existing) {
+        Object.assign(existing, vectorFields)
+      } else {
+        candidates.set(result.id, { ...result, fts_score: 0, fts_rank: null, ...vectorFields })
+      }
+    })
+
+  const list = Array.from(candidates.values())
+  const scores = fuse(list, { ftsWeight, vectorWeight, rrfK })
+
+  return list
+    .map((candidate, index) => ({ ...candidate, hybrid_score: scores[index] }))
+    .sort((a, b) => b.hybrid_score - a.hybrid_score)
+}
+
+/**
+ * Reorder the top candidates by their re-ranking scores
+ * @param {Array} results - Fused results, best first
+ * @param {number[]} scores - Re-ranking scores in [0, 1] for results.slice(0, scores.length)
+ * @returns {Array} - Results with rerank_score on the re-ranked head
+ */
+export const applyRerankScores = (results, scores) => {
+  const head = results.slice(0, scores.length)
+    .map((result, index) => ({ ...result, rerank_score: scores[index] }))
+    .sort((a, b) => b.rerank_score - a.rerank_score || b.hybrid_score - a.hybrid_score)
+
+  return [...head, ...results.slice(scores.length)]
+}
+
+/**
+ * Run one search stage and record how long it took
+ * @param {Object} timings - Receives {[stage]: milliseconds}
+ * @param {string} stage - Stage name
+ * @param {Function} fn - The stage
+ * @returns {Promise<*>} - The stage's result
+ */
+export const timeStage = async (timings, stage, fn) => {
+  const start = Date.now()
+  try {
+    return await fn()
+  } finally {
+    timings[stage] = Date.now() - start
+  }
+}
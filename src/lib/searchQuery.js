@@ -0,0 +1,202 @@
+/**
+ * Search query syntax for NeuraNotes
+ */
+
+export const FILTER_FIELDS = ['title', 'in', 'after', 'before']
+
+const TOKEN_PATTERN = /(-?)(?:(title|in|after|before):(?=\S))?(?:"([^"]*)"?|([^\s"]+))/gi
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Whether a YYYY-MM-DD string is a real calendar date
+ */
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+/**
+ * Parse a search query into full text, free text and document filters.
+ * Supports "phrases", -word and -"phrase" exclusions, OR, and the
+ * title:, in:, after: and before: filters.
+ * @param {string} input - The query as typed
+ * @returns {Object} - {text, websearch, excluded, filters, errors}
+ *   text: free text for embeddings and keyword scoring
+ *   websearch: query for websearch_to_tsquery
+ *   excluded: words and phrases that results must not contain
+ *   filters: Array of {field, value, start, end}; start/end locate the token in input
+ *   errors: Array of messages for tokens that could not be used
+ */
+export const parseSearchQuery = (input) => {
+  const source = input || ''
+  const words = []
+  const websearch = []
+  const excluded = []
+  const filters = []
+  const errors = []
+
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const [token, negated, field, phrase, word] = match
+    const value = (phrase ?? word ?? '').trim()
+    if (!value) continue
+
+    if (field) {
+      const name = field.toLowerCase()
+
+      if (negated) {
+        errors.push(`Filters cannot be excluded: ${token}`)
+      } else if ((name === 'after' || name === 'before') && !isValidDate(value)) {
+        errors.push(`${name}: needs a date like 2025-01-01`)
+      } else {
+        filters.push({ field: name, value, start: match.index, end: match.index + token.length })
+      }
+      continue
+    }
+
+    if (phrase !== undefined) {
+      // Quotes inside a phrase would end it early in websearch_to_tsquery
+      websearch.push(`${negated}"${value.replace(/"/g, ' ')}"`)
+      if (negated) excluded.push(value)
+      else words.push(value)
+      continue
+    }
+
+    if (!negated && value.toUpperCase() === 'OR') {
+      websearch.push('or')
+      continue
+    }
+
+    websearch.push(`${negated}${value}`)
+    if (negated) excluded.push(value)
+    else words.push(value)
+  }
+
+  return {
+    text: words.join(' '),
+    websearch: websearch.join(' '),
+    excluded,
+    filters,
+    errors
+  }
+}
+
+/**
+ * Whether a text contains a word or phrase as whole words, ignoring case
+ * and the punctuation between words
+ * @param {string} text - Text to look in
+ * @param {string} phrase - Word or phrase
+ * @returns {boolean}
+ */
+export const containsPhrase = (text, phrase) => {
+  // Split into letters and digits only, so the words need no escaping
+  const words = (phrase || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+  if (words.length === 0) return false
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[^\\p{L}\\p{N}]+')}(?![\\p{L}\\p{N}])`, 'iu').test(text || '')
+}
+
+/**
+ * Whether a text contains any of the excluded words or phrases. Full text
+ * search applies exclusions through websearch; this applies them to vector
+ * and SQL fusion candidates too.
+ * @param {string} text - Chunk text
+ * @param {Array} excluded - Excluded words and phrases from parseSearchQuery
+ * @returns {boolean}
+ */
+export const containsExcludedTerm = (text, excluded) => {
+  return excluded.some(term => containsPhrase(text, term))
+}
+
+/**
+ * Remove one filter from a query, e.g. when its chip is dismissed
+ * @param {string} input - The query as typed
+ * @param {Object} filter - A filter from parseSearchQuery(input)
+ * @returns {string} - The query without the filter
+ */
+export const removeSearchFilter = (input, filter) => {
+  return `${input.slice(0, filter.start)} ${input.slice(filter.end)}`.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Human-readable label of a filter
+ * @param {Object} filter - A filter from parseSearchQuery
+ * @returns {string} - Label
+ */
+export const describeSearchFilter = (filter) => {
+  switch (filter.field) {
+    case 'title':
+      return `Title contains "${filter.value}"`
+    case 'in':
+      return `In "${filter.value}"`
+    case 'after':
+      return `After ${filter.value}`
+    case 'before':
+      return `Before ${filter.value}`
+    default:
+      return `${filter.field}:${filter.value}`
+  }
+}
+
+/**
+ * Escape LIKE wildcards so a value matches literally
+ * @param {string} value - Text to match
+ * @returns {string} - The text with backslashes, % and _ escaped
+ */
+export const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`)
+
+/**
+ * Resolve field filters to the ids of the documents they allow
+ * @param {Object} client - Supabase client
+ * @param {Array} filters - Filters from parseSearchQuery
+ * @returns {Promise<string[]|null>} - Allowed document ids, or null when there are no filters
+ */
+export const resolveDocumentFilters = async (client, filters) => {
+  if (!filters || filters.length === 0) return null
+
+  let allowedIds = null
+
+  // in: filters name alternatives, so they are resolved first and OR-ed
+  const scopes = filters.filter(filter => filter.field === 'in')
+  if (scopes.length > 0) {
+    const matches = await Promise.all(scopes.map(async scope => {
+      const query = client.from('documents').select('id')
+      const { data, error } = UUID_PATTERN.test(scope.value)
+        ? await query.eq('id', scope.value)
+        : await query.ilike('title', escapeLike(scope.value))
+
+      if (error) throw error
+      return (data || []).map(document => document.id)
+    }))
+
+    allowedIds = [...new Set(matches.flat())]
+    if (allowedIds.length === 0) return []
+  }
+
+  const conditions = filters.filter(filter => filter.field !== 'in')
+  if (conditions.length === 0) return allowedIds
+
+  let query = client.from('documents').select('id')
+
+  conditions.forEach(filter => {
+    if (filter.field === 'title') {
+      query = query.ilike('title', `%${escapeLike(filter.value)}%`)
+    } else if (filter.field === 'after') {
+      query = query.gte('created_at', filter.value)
+    } else if (filter.field === 'before') {
+      query = query.lt('created_at', filter.value)
+    }
+  })
+
+  if (allowedIds) {
+    query = query.in('id', allowedIds)
+  }
+
+  const { data, error } = await query
+  if (error) throw error
+
+  return (data || []).map(document => document.id)
+}
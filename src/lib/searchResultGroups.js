@@ -0,0 +1,231 @@
+/**
+ * Result diversity, grouping and facets for NeuraNotes search
+ */
+
+import { keywordTokens } from './searchFusion.js'
+import { containsPhrase } from './searchQuery.js'
+
+/**
+ * Default MMR trade-off: 1 ranks by relevance only, 0 by novelty only
+ */
+export const DEFAULT_DIVERSITY = 0.7
+
+/**
+ * Facet types in display order
+ */
+export const FACET_TYPES = ['document', 'date', 'entity']
+
+/**
+ * Creation date buckets, newest first: [key, label, maximum age in days]
+ */
+const DATE_BUCKETS = [
+  ['week', 'This week', 7],
+  ['month', 'This month', 31],
+  ['year', 'This year', 365],
+  ['older', 'Older', Infinity]
+]
+
+const MAX_ENTITY_FACETS = 10
+
+/**
+ * Jaccard overlap of two token sets
+ */
+const overlap = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0
+  let shared = 0
+  a.forEach(token => {
+    if (b.has(token)) shared++
+  })
+  return shared / (a.size + b.size - shared)
+}
+
+/**
+ * Reorder search rows with Maximal Marginal Relevance. Each pick maximises
+ * lambda * relevance - (1 - lambda) * redundancy, where redundancy with an
+ * already picked row is half "same document" and half word overlap.
+ * @param {Array} results - Rows with document_id, chunk and hybrid_score (or rerank_score), best first
+ * @param {Object} options - MMR options
+ * @param {number} options.lambda - Relevance/novelty trade-off in [0, 1] (default: 0.7)
+ * @param {number} options.limit - Number of rows to pick (default: all)
+ * @returns {Array} - Picked rows in MMR order
+ */
+export const diversifyResults = (results, options = {}) => {
+  const { lambda = DEFAULT_DIVERSITY, limit = results.length } = options
+
+  const relevance = results.map(result => result.rerank_score ?? result.hybrid_score ?? result.similarity ?? 0)
+  const maxRelevance = Math.max(...relevance, 0) || 1
+  const tokens = results.map(result => new Set(keywordTokens(result.chunk)))
+
+  const remaining = results.map((_, index) => index)
+  const picked = []
+
+  while (picked.length < limit && remaining.length > 0) {
+    let bestPosition = 0
+    let bestScore = -Infinity
+
+    remaining.forEach((candidate, position) => {
+      const redundancy = picked.reduce((max, chosen) => Math.max(
+        max,
+        0.5 * (results[candidate].document_id === results[chosen].document_id ? 1 : 0) +
+          0.5 * overlap(tokens[candidate], tokens[chosen])
+      ), 0)
+
+      const score = lambda * relevance[candidate] / maxRelevance - (1 - lambda) * redundancy
+      if (score > bestScore) {
+        bestScore = score
+        bestPosition = position
+      }
+    })
+
+    picked.push(remaining.splice(bestPosition, 1)[0])
+  }
+
+  return picked.map(index => results[index])
+}
+
+/**
+ * Group formatted results by document, keeping result order
+ * @param {Array} results - Rows from the search core, best first
+ * @returns {Array} - Array of {documentId, best, more, total}; best is the
+ *   document's top chunk, more the rest in rank order
+ */
+export const groupResultsByDocument = (results) => {
+  const groups = new Map()
+
+  results.forEach(result => {
+    const group = groups.get(result.documentId)
+    if (group) {
+      group.more.push(result)
+      group.total++
+    } else {
+      groups.set(result.documentId, { documentId: result.documentId, best: result, more: [], total: 1 })
+    }
+  })
+
+  return Array.from(groups.values())
+}
+
+/**
+ * Creation date bucket of a document
+ * @param {string} createdAt - ISO timestamp
+ * @param {Date} now - Reference time
+ * @returns {Object} - {key, label}
+ */
+export const dateBucket = (createdAt, now = new Date()) => {
+  const ageDays = (now.getTime() - new Date(createdAt).getTime()) / 86400000
+  const [key, label] = DATE_BUCKETS.find(([, , maxDays]) => ageDays <= maxDays) || DATE_BUCKETS[DATE_BUCKETS.length - 1]
+  return { key, label }
+}
+
+/**
+ * Knowledge graph entities mentioned in each result
+ * @param {Array} results - Rows from the search core
+ * @param {Array} triplets - knowledge_graph rows {subject, object, document_id} of the results' documents
+ * @returns {Map} - Result id → array of entity names found in its text as whole words
+ */
+export const findEntityMentions = (results, triplets) => {
+  const entitiesByDocument = new Map()
+
+  triplets.forEach(triplet => {
+    const names = entitiesByDocument.get(triplet.document_id) || new Map()
+    ;[triplet.subject, triplet.object].forEach(name => {
+      if (name) names.set(name.toLowerCase(), name)
+    })
+    entitiesByDocument.set(triplet.document_id, names)
+  })
+
+  const mentions = new Map()
+  results.forEach(result => {
+    const names = entitiesByDocument.get(result.documentId)
+    mentions.set(result.id, names
+      ? Array.from(names.values()).filter(name => containsPhrase(result.text, name))
+      : [])
+  })
+
+  return mentions
+}
+
+/**
+ * Facet values of one result
+ * @param {Object} result - Row from the search core
+ * @param {Object} context - {documents: Map of id → {title, created_at}, mentions: Map from findEntityMentions, now}
+ * @returns {Object} - {document: [{value, label}], date: [...], entity: [...]}
+ */
+const resultFacets = (result, context) => {
+  const document = context.documents.get(result.documentId)
+  const facets = {
+    document: [{ value: result.documentId, label: document?.title || 'Untitled document' }],
+    date: [],
+    entity: (context.mentions?.get(result.id) || []).map(name => ({ value: name.toLowerCase(), label: name }))
+  }
+
+  if (document?.created_at) {
+    const bucket = dateBucket(document.created_at, context.now)
+    facets.date.push({ value: bucket.key, label: bucket.label })
+  }
+
+  return facets
+}
+
+/**
+ * Whether a result passes the selected facet values
+ * @param {Object} result - Row from the search core
+ * @param {Object} selected - {[facetType]: value}; missing types do not filter
+ * @param {Object} context - As for computeFacets
+ * @returns {boolean}
+ */
+const matchesFacets = (result, selected, context) => {
+  const facets = resultFacets(result, context)
+  return FACET_TYPES.every(type => !selected[type] || facets[type].some(facet => facet.value === selected[type]))
+}
+
+/**
+ * Keep the results that pass the selected facet values
+ * @param {Array} results - Rows from the search core
+ * @param {Object} selected - {[facetType]: value}
+ * @param {Object} context - As for computeFacets
+ * @returns {Array} - Matching results
+ */
+export const filterByFacets = (results, selected, context) => {
+  return results.filter(result => matchesFacets(result, selected, context))
+}
+
+/**
+ * Count results per facet value. Each facet type is counted over the results
+ * that pass the other types' selections, so counts show what picking a value
+ * would leave.
+ * @param {Array} results - Rows from the search core
+ * @param {Object} selected - {[facetType]: value}
+ * @param {Object} context - {documents: Map of id → {title, created_at}, mentions: Map from findEntityMentions, now}
+ * @returns {Object} - {[facetType]: Array of {value, label, count}}, most frequent first
+ */
+export const computeFacets = (results, selected, context) => {
+  const facets = {}
+
+  FACET_TYPES.forEach(type => {
+    const others = { ...selected, [type]: null }
+    const counts = new Map()
+
+    results
+      .filter(result => matchesFacets(result, others, context))
+      .forEach(result => {
+        resultFacets(result, context)[type].forEach(facet => {
+          const entry = counts.get(facet.value) || { ...facet, count: 0 }
+          entry.count++
+          counts.set(facet.value, entry)
+        })
+      })
+
+    let values = Array.from(counts.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+
+    if (type === 'date') {
+      // Buckets read better in time order
+      const order = DATE_BUCKETS.map(([key]) => key)
+      values = values.sort((a, b) => order.indexOf(a.value) - order.indexOf(b.value))
+    }
+
+    facets[type] = type === 'entity' ? values.slice(0, MAX_ENTITY_FACETS) : values
+  })
+
+  return facets
+}
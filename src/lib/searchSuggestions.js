@@ -0,0 +1,87 @@
+/**
+ * Search-as-you-type suggestions for NeuraNotes
+ */
+
+export const SUGGESTION_SOURCES = ['recent', 'title', 'entity']
+
+export const MIN_SUGGESTION_PREFIX = 2
+
+export const MAX_SUGGESTIONS = 10
+
+/**
+ * Weight of each source; a whole-text match always beats a word match
+ */
+const SOURCE_WEIGHTS = {
+  recent: 3,
+  title: 2,
+  entity: 1
+}
+
+/**
+ * Lowercase and collapse whitespace for comparisons
+ */
+const normalize = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim()
+
+/**
+ * How a candidate matches a prefix
+ * @param {string} text - Normalised candidate text
+ * @param {string} prefix - Normalised prefix
+ * @returns {number} - 2 for a whole-text prefix, 1 for a word prefix, 0 for no match
+ */
+const matchStrength = (text, prefix) => {
+  if (text.startsWith(prefix)) return 2
+
+  // Word match: the prefix starts right after a non-word character
+  let index = text.indexOf(prefix, 1)
+  while (index !== -1) {
+    if (!/[\p{L}\p{N}]/u.test(text[index - 1])) return 1
+    index = text.indexOf(prefix, index + 1)
+  }
+
+  return 0
+}
+
+/**
+ * Rank suggestion candidates for a prefix
+ * @param {string} prefix - What the user has typed
+ * @param {Array} candidates - Array of {text, source, count, documentId}
+ * @param {number} limit - Maximum suggestions (default: 5)
+ * @returns {Array} - Array of {text, source, count, documentId}, best first,
+ *   one per distinct text
+ */
+export const rankSuggestions = (prefix, candidates, limit = 5) => {
+  const query = normalize(prefix)
+  if (query.length < MIN_SUGGESTION_PREFIX) return []
+
+  const best = new Map()
+
+  candidates.forEach(candidate => {
+    const text = normalize(candidate.text)
+    // Nothing to complete when the candidate is what was typed
+    if (!text || text === query) return
+
+    const strength = matchStrength(text, query)
+    if (strength === 0) return
+
+    const scored = {
+      ...candidate,
+      count: candidate.count || 1,
+      score: strength * 10 + (SOURCE_WEIGHTS[candidate.source] || 0)
+    }
+
+    const existing = best.get(text)
+    if (!existing || scored.score > existing.score) {
+      best.set(text, scored)
+    }
+  })
+
+  return Array.from(best.values())
+    .sort((a, b) =>
+      b.score - a.score ||
+      b.count - a.count ||
+      a.text.length - b.text.length ||
+      a.text.localeCompare(b.text)
+    )
+    .slice(0, Math.min(limit, MAX_SUGGESTIONS))
+    .map(({ text, source, count, documentId }) => ({ text, source, count, documentId: documentId || null }))
+}
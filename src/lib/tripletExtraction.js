@@ -0,0 +1,880 @@
+/**
+ * Deterministic local knowledge triplet extraction for NeuraNotes
+ */
+
+/**
+ * Triplets below this confidence are dropped
+ */
+export const DEFAULT_MIN_CONFIDENCE = 0.3
+
+/**
+ * At most this many triplets per text, matching the model prompt
+ */
+export const DEFAULT_MAX_TRIPLETS = 20
+
+/**
+ * Sentences longer than this many tokens are skipped as too noisy
+ */
+const MAX_SENTENCE_TOKENS = 60
+
+/**
+ * Entities longer than this many words are not kept
+ */
+const MAX_ENTITY_WORDS = 8
+
+/**
+ * Words ending in a period that do not end a sentence
+ */
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc', 'inc', 'ltd', 'co', 'corp',
+  'e.g', 'i.e', 'cf', 'al', 'fig', 'no', 'vol', 'approx', 'dept', 'est', 'jan', 'feb', 'mar', 'apr',
+  'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'u.s', 'u.k', 'ph.d'
+])
+
+const DETERMINERS = new Set([
+  'a', 'an', 'the', 'this', 'these', 'those', 'its', 'his', 'her', 'their', 'our', 'my', 'your',
+  'each', 'every', 'some', 'many', 'several', 'any', 'both', 'few', 'most', 'much', 'more',
+  'another', 'such', 'all', 'certain', 'various'
+])
+
+const PREPOSITIONS = new Set([
+  'of', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'to', 'into', 'onto', 'about', 'as', 'over',
+  'under', 'between', 'through', 'during', 'after', 'before', 'since', 'until', 'within', 'without',
+  'across', 'against', 'among', 'around', 'behind', 'beyond', 'like', 'near', 'per', 'via', 'upon',
+  'towards', 'toward', 'including', 'than', 'throughout', 'despite', 'beside', 'besides', 'inside',
+  'outside', 'along', 'alongside', 'amid', 'unlike'
+])
+
+const COORDINATORS = new Set(['and', 'or'])
+
+/**
+ * Conjunctions that start a new clause
+ */
+const CLAUSE_CONJUNCTIONS = new Set([
+  'but', 'nor', 'yet', 'so', 'while', 'whereas', 'although', 'though', 'because', 'if', 'when',
+  'where', 'unless', 'whether', 'once', 'however', 'therefore', 'thus', 'whilst'
+])
+
+const PRONOUNS = new Set([
+  'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'us', 'them', 'itself', 'himself',
+  'herself', 'themselves', 'ourselves', 'yourself', 'one', 'someone', 'something', 'everyone',
+  'everything', 'anyone', 'anything', 'nobody', 'nothing', 'there', 'here', 'what', 'how', 'why'
+])
+
+const RELATIVES = new Set(['which', 'who', 'whom', 'whose'])
+
+const BE_FORMS = new Set(['is', 'are', 'was', 'were', 'be', 'been', 'being', 'am'])
+const HAVE_FORMS = new Set(['has', 'have', 'had', 'having'])
+const DO_FORMS = new Set(['do', 'does', 'did'])
+const MODALS = new Set(['will', 'would', 'can', 'could', 'may', 'might', 'must', 'shall', 'should'])
+
+/**
+ * Modals that make a statement a possibility rather than a fact
+ */
+const HEDGING_MODALS = new Set(['would', 'could', 'may', 'might', 'should'])
+
+const NEGATIONS = new Set(['not', 'never', "n't", 'no', 'neither', 'cannot'])
+
+const ADVERBS = new Set([
+  'also', 'often', 'usually', 'later', 'still', 'now', 'already', 'only', 'just', 'then',
+  'soon', 'again', 'even', 'once', 'well', 'together', 'further', 'almost', 'very', 'too', 'quite',
+  'rather', 'ever', 'always', 'sometimes', 'mainly', 'primarily', 'originally', 'largely', 'mostly',
+  'jointly', 'formally', 'famously', 'eventually', 'subsequently', 'recently', 'previously',
+  'somehow', 'perhaps', 'instead', 'nevertheless', 'meanwhile'
+])
+
+/**
+ * Words ending in -ly that are not adverbs
+ */
+const LY_NOUNS = new Set([
+  'family', 'supply', 'apply', 'reply', 'assembly', 'anomaly', 'monopoly', 'ally', 'rally', 'belly',
+  'jelly', 'holly', 'lily', 'italy', 'july', 'fly', 'rely', 'early', 'only', 'friendly', 'likely',
+  'daily', 'weekly', 'monthly', 'yearly', 'costly', 'elderly'
+])
+
+/**
+ * Words ending in -ed that are not verbs
+ */
+const ED_NOUNS = new Set([
+  'need', 'seed', 'speed', 'breed', 'bed', 'red', 'shed', 'hundred', 'sacred', 'naked', 'wicked',
+  'kindred', 'creed', 'greed', 'weed', 'reed', 'deed', 'steed', 'embed', 'feed', 'ted', 'ned', 'fred',
+  'alfred', 'mohammed', 'ahmed', 'bed', 'sled', 'led'
+])
+
+/**
+ * Plural nouns that do not end in s
+ */
+const IRREGULAR_PLURALS = new Set(['people', 'children', 'men', 'women', 'data', 'media', 'mice', 'feet', 'teeth'])
+
+/**
+ * Verbs that link a subject to a description; with a bare adjective
+ * ("became central") they state no relation
+ */
+const LINKING_VERBS = new Set(['become', 'remain', 'seem', 'appear', 'stay', 'grow', 'prove'])
+
+/**
+ * Relation verbs by base form. Regular inflections are generated; listed
+ * forms are irregular past tenses and participles.
+ */
+const VERBS = {
+  accelerate: [], accept: [], achieve: [], acquire: [], adapt: [], adopt: [], advise: [], affect: [], allow: [],
+  analyse: [], analyze: [], announce: [], apply: [], argue: [], attend: [], author: [], award: [],
+  base: [], bear: ['bore', 'born', 'borne'], become: ['became'], begin: ['began', 'begun'],
+  belong: [], build: ['built'], buy: ['bought'], call: [], cause: [], chair: [], change: [],
+  choose: ['chose', 'chosen'], classify: [], coin: [], collaborate: [], combine: [], compete: [],
+  compose: [], compute: [], connect: [], consist: [], construct: [], contain: [], contribute: [],
+  control: ['controlled', 'controlling'], convert: [], create: [], date: [], define: [], deliver: [],
+  demonstrate: [], depend: [], deploy: [], derive: [], describe: [], design: [], detect: [],
+  develop: [], devise: [], die: ['died', 'dying'], direct: [], discover: [], distribute: [],
+  draw: ['drew', 'drawn'], drive: ['drove', 'driven'], earn: [], emerge: [], employ: [], enable: [],
+  enter: [], establish: [], evolve: [], expand: [], explain: [], extend: [], feature: [],
+  feed: ['fed'], fight: ['fought'], find: ['found'], focus: [], form: [], found: [], fund: [],
+  generate: [], give: ['gave', 'given'], govern: [], graduate: [], grow: ['grew', 'grown'],
+  head: [], help: [], hire: [], hold: ['held'], host: [], identify: [], implement: [], improve: [],
+  include: [], influence: [], inherit: [], inspire: [], integrate: [], introduce: [], invent: [],
+  invest: [], involve: [], join: [], keep: ['kept'], know: ['knew', 'known'], launch: [],
+  lead: ['led'], learn: ['learnt'], leave: ['left'], license: [], live: [], locate: [], lose: ['lost'],
+  make: ['made'], manage: [], manufacture: [], marry: [], measure: [], meet: ['met'], merge: [],
+  mention: [], name: [], operate: [], orbit: [], organize: [], organise: [], originate: [], own: [],
+  partner: [], perform: [], pioneer: [], play: [], popularize: [], popularise: [], power: [],
+  predict: [], prefer: ['preferred', 'preferring'], prevent: [], process: [], produce: [],
+  program: ['programmed', 'programming'], promote: [], propose: [], prove: ['proven'], provide: [],
+  publish: [], purchase: [], raise: [], reach: [], receive: [], recognize: [], recognise: [],
+  record: [], reduce: [], refer: ['referred', 'referring'], regulate: [], reject: [], release: [],
+  rely: [], remain: [], rename: [], replace: [], represent: [], require: [], research: [],
+  resign: [], resemble: [], return: [], reveal: [], revolutionize: [], revolutionise: [],
+  rule: [], run: ['ran', 'running'], save: [], serve: [], sell: ['sold'], share: [], show: ['shown'],
+  sign: [], solve: [], speak: ['spoke', 'spoken'], specialize: [], sponsor: [], start: [],
+  store: [], study: [], submit: ['submitted', 'submitting'], succeed: [], supervise: [],
+  support: [], surpass: [], take: ['took', 'taken'], teach: ['taught'], test: [], train: [],
+  transform: [], translate: [], treat: [], unveil: [], use: [], utilize: [], utilise: [],
+  visit: [], win: ['won', 'winning'], work: [], write: ['wrote', 'written']
+}
+
+/**
+ * Verbs whose object is folded into the predicate when a preposition
+ * follows it: "has applications in", "played a role in"
+ */
+const LIGHT_VERBS = new Set(['have', 'play', 'make', 'take', 'give'])
+
+/**
+ * Prepositions that continue a copula into a relation: "is a subset of",
+ * "is similar to", "was the capital of"
+ */
+const COPULA_PREPOSITIONS = new Set(['of', 'for', 'in', 'to', 'at', 'on', 'from', 'with', 'by', 'between'])
+
+/**
+ * Inflected forms of a regular verb
+ */
+const regularForms = (base) => {
+  const third = /(s|sh|ch|x|z|o)$/.test(base)
+    ? `${base}es`
+    : /[^aeiou]y$/.test(base) ? `${base.slice(0, -1)}ies` : `${base}s`
+  const past = base.endsWith('e')
+    ? `${base}d`
+    : /[^aeiou]y$/.test(base) ? `${base.slice(0, -1)}ied` : `${base}ed`
+  const gerund = /[^e]e$/.test(base) ? `${base.slice(0, -1)}ing` : `${base}ing`
+  return { third, past, gerund }
+}
+
+/**
+ * Verb form lookup: form → {lemma, form: 'base'|'third'|'past'|'gerund'}
+ */
+const VERB_FORMS = (() => {
+  const forms = new Map()
+  Object.entries(VERBS).forEach(([base, irregular]) => {
+    const { third, past, gerund } = regularForms(base)
+    forms.set(base, { lemma: base, form: 'base' })
+    forms.set(third, { lemma: base, form: 'third' })
+    if (!irregular.some(form => form.endsWith('ed') && form !== past)) {
+      forms.set(past, { lemma: base, form: 'past' })
+    }
+    if (!irregular.some(form => form.endsWith('ing'))) {
+      forms.set(gerund, { lemma: base, form: 'gerund' })
+    }
+    irregular.forEach(form => {
+      if (!forms.has(form) || forms.get(form).form !== 'base') {
+        forms.set(form, { lemma: base, form: form.endsWith('ing') ? 'gerund' : 'past' })
+      }
+    })
+  })
+  return forms
+})()
+
+/**
+ * Remove Markdown markers that are not part of the prose
+ */
+const stripMarkdown = (line) => {
+  return line
+    .replace(/^\s*(?:#{1,6}\s+|>\s*|[-*+•]\s+|\d+[.)]\s+)/, '')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+}
+
+/**
+ * Split text into sentences. Lines are kept apart; within a line a sentence
+ * ends at . ! or ? followed by a space and a capital, digit or quote, unless
+ * the period belongs to an abbreviation, an initial or a number.
+ * @param {string} text - The text to split
+ * @returns {string[]} - Sentences, trimmed
+ */
+export const segmentSentences = (text) => {
+  const sentences = []
+  const lines = (text || '').split(/\n+/)
+
+  lines.forEach(rawLine => {
+    const line = stripMarkdown(rawLine).trim()
+    if (!line) return
+
+    let start = 0
+    const boundary = /([.!?]+)["')\]]*\s+(?=["'([]?[A-Z0-9])/g
+    let match
+
+    while ((match = boundary.exec(line)) !== null) {
+      const end = match.index + match[0].length
+      if (match[1] === '.') {
+        const previousWord = line.slice(start, match.index).match(/([A-Za-z][A-Za-z.]*)$/)?.[1] || ''
+        // "Dr." and "e.g." are abbreviations; "A." is an initial
+        if (ABBREVIATIONS.has(previousWord.toLowerCase()) || /^[A-Z]$/.test(previousWord)) {
+          continue
+        }
+      }
+      sentences.push(line.slice(start, end).trim())
+      start = end
+    }
+
+    const rest = line.slice(start).trim()
+    if (rest) sentences.push(rest)
+  })
+
+  return sentences.filter(sentence => /[A-Za-z]/.test(sentence))
+}
+
+/**
+ * Split a sentence into word and punctuation tokens with their offsets.
+ * Contractions are split so "isn't" becomes "is" + "n't".
+ */
+const tokenizeSentence = (sentence) => {
+  const tokens = []
+  // Dotted abbreviations ("U.S.") keep their final period
+  const pattern = /(?:\p{L}\.){2,}|[\p{L}\p{N}]+(?:[-'’&.][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}]/gu
+  let match
+
+  while ((match = pattern.exec(sentence)) !== null) {
+    const text = match[0]
+    const start = match.index
+    const contraction = text.match(/^(.+?)(n['’]t|['’](?:ve|re|ll|d|m))$/i)
+
+    if (contraction && /^n/i.test(contraction[2]) &&
+      /^(is|are|was|were|do|does|did|has|have|had|ca|wo|could|would|should|must|need)$/i.test(contraction[1])) {
+      const base = { ca: 'can', wo: 'will' }[contraction[1].toLowerCase()] || contraction[1]
+      tokens.push({ text: base, start, end: start + contraction[1].length })
+      tokens.push({ text: "n't", start: start + contraction[1].length, end: start + text.length })
+    } else if (contraction && !/^n/i.test(contraction[2])) {
+      // "You've" → "You" + "have"
+      const expanded = { ve: 'have', re: 'are', ll: 'will', d: 'would', m: 'am' }[contraction[2].slice(1).toLowerCase()]
+      tokens.push({ text: contraction[1], start, end: start + contraction[1].length })
+      tokens.push({ text: expanded, start: start + contraction[1].length, end: start + text.length })
+    } else {
+      tokens.push({ text, start, end: start + text.length })
+    }
+  }
+
+  return tokens.map((token, index) => ({
+    ...token,
+    index,
+    lower: token.text.toLowerCase().replace(/’/g, "'"),
+    capitalized: /^\p{Lu}/u.test(token.text)
+  }))
+}
+
+const isWordToken = (token) => /[\p{L}\p{N}]/u.test(token.text)
+
+/**
+ * Tag tokens with a coarse part of speech:
+ *   DET PREP COORD CLAUSE PRON REL COMP BE HAVE DO MODAL NEG ADV VERB INF PUNCT WORD
+ * VERB tokens also carry {lemma, form, known}; WORD is any content word.
+ */
+const tagTokens = (tokens) => {
+  tokens.forEach((token, index) => {
+    const { lower } = token
+    token.tag = 'WORD'
+
+    if (!isWordToken(token)) {
+      token.tag = 'PUNCT'
+    } else if (NEGATIONS.has(lower)) {
+      token.tag = 'NEG'
+    } else if (BE_FORMS.has(lower)) {
+      token.tag = 'BE'
+    } else if (HAVE_FORMS.has(lower)) {
+      token.tag = 'HAVE'
+    } else if (DO_FORMS.has(lower)) {
+      token.tag = 'DO'
+    } else if (MODALS.has(lower)) {
+      token.tag = 'MODAL'
+    } else if (RELATIVES.has(lower)) {
+      token.tag = 'REL'
+    } else if (lower === 'that') {
+      token.tag = 'THAT' // resolved below, once the neighbours are tagged
+    } else if (DETERMINERS.has(lower) && !(token.capitalized && index > 0)) {
+      token.tag = 'DET'
+    } else if (PREPOSITIONS.has(lower) && !(token.capitalized && index > 0)) {
+      token.tag = 'PREP'
+    } else if (COORDINATORS.has(lower)) {
+      token.tag = 'COORD'
+    } else if (CLAUSE_CONJUNCTIONS.has(lower)) {
+      token.tag = 'CLAUSE'
+    } else if (PRONOUNS.has(lower) && !(token.capitalized && index > 0 && lower.length > 2)) {
+      token.tag = 'PRON'
+    } else if (ADVERBS.has(lower) || (/^[a-z]{3,}ly$/.test(token.text) && !LY_NOUNS.has(lower))) {
+      token.tag = 'ADV'
+    } else if (!token.capitalized || index === 0) {
+      const verb = VERB_FORMS.get(lower)
+      if (verb) {
+        token.tag = 'VERB'
+        token.verb = { ...verb, known: true }
+      } else if (/^[a-z]{3,}ed$/.test(token.text) && !ED_NOUNS.has(lower)) {
+        token.tag = 'VERB'
+        token.verb = { lemma: lower.replace(/e?d$/, ''), form: 'past', known: false }
+      }
+    }
+  })
+
+  const previousTag = (index) => {
+    let position = index - 1
+    while (position >= 0 && tokens[position].tag === 'ADV') position--
+    return position >= 0 ? tokens[position].tag : null
+  }
+
+  const looksPlural = (token) => token && (/[^s]s$/.test(token.lower) || IRREGULAR_PLURALS.has(token.lower))
+
+  tokens.forEach((token, index) => {
+    if (['BE', 'HAVE', 'DO'].includes(token.tag) && tokens[index - 1]?.lower === 'to') {
+      token.tag = 'INF' // "the courage to have"
+    }
+    if (token.tag !== 'VERB') return
+    const before = previousTag(index)
+    const previous = tokens[index - 1]
+    const next = tokens[index + 1]
+    const { form, known } = token.verb
+
+    // Sentence-initial verbs are imperatives or nouns, never a relation
+    if (index === 0) {
+      token.tag = 'WORD'
+    // "to train" is an infinitive, not a relation of its own
+    } else if (form === 'base' && previous.lower === 'to') {
+      token.tag = 'INF'
+    // After a determiner or preposition it is a noun or adjective: "the uses", "of trained models"
+    } else if (before === 'DET' || before === 'PREP') {
+      token.tag = 'WORD'
+    // Gerunds are verbs only in progressives: "is developing"
+    } else if (form === 'gerund' && before !== 'BE') {
+      token.tag = 'WORD'
+    // Unknown -ed words are adjectives unless they follow an auxiliary or a
+    // pronoun, or an object or agent follows: "advanced retrieval"
+    } else if (!known && !['BE', 'HAVE', 'PRON'].includes(before) &&
+      !(next && (next.tag === 'DET' || next.tag === 'PREP' || next.capitalized))) {
+      token.tag = 'WORD'
+    // Right after a verb a base or -s form is its object: "urged graduates"
+    } else if ((form === 'base' || form === 'third') && before === 'VERB') {
+      token.tag = 'WORD'
+    // A base or -s form right before another verb is a noun: "AI research focuses on"
+    } else if ((form === 'base' || form === 'third') && next &&
+      ((next.tag === 'VERB' && next.verb.form !== 'base') || next.tag === 'BE' || next.tag === 'HAVE' || next.tag === 'MODAL')) {
+      token.tag = 'WORD'
+    // Base forms follow modals, "do", "have" (participles like "had become"),
+    // pronouns or a plural subject: "its practical focus" is a noun
+    } else if (form === 'base' && !['MODAL', 'DO', 'HAVE', 'NEG', 'REL', 'THAT', 'PRON'].includes(before) &&
+      !(before === 'WORD' && looksPlural(previous))) {
+      token.tag = 'WORD'
+    }
+  })
+
+  tokens.forEach((token, index) => {
+    if (token.tag !== 'THAT') return
+    const before = previousTag(index)
+    const next = tokens[index + 1]
+    const nextIsVerb = next && ['VERB', 'BE', 'HAVE', 'MODAL', 'ADV', 'DO'].includes(next.tag)
+
+    if (before === 'VERB' || before === 'BE' || before === 'HAVE') {
+      token.tag = 'COMP' // "showed that machines can think"
+    } else if (before === 'WORD' && nextIsVerb) {
+      token.tag = 'REL' // "the machine that changed computing"
+    } else if (next && (next.tag === 'WORD' || next.tag === 'DET')) {
+      token.tag = 'DET'
+    } else {
+      token.tag = 'PRON'
+    }
+  })
+
+  return tokens
+}
+
+/**
+ * Whether two adjacent content words belong to different noun phrases: a
+ * year next to a name ("In 1936 Turing")
+ */
+const breaksNounPhrase = (left, right) => {
+  const isNumber = (token) => /^\d+$/.test(token.text)
+  return (isNumber(left) && right.capitalized) || (left.capitalized && isNumber(right))
+}
+
+/**
+ * Read a noun phrase starting at a position: optional determiners, then a
+ * run of content words, then optionally "of" and another run
+ * @returns {Object|null} - {start, end, det, from} with end exclusive;
+ *   from is where the phrase started including determiners
+ */
+const readNounPhrase = (tokens, position, { attachOf = true } = {}) => {
+  let index = position
+  let det = null
+
+  while (tokens[index]?.tag === 'DET') {
+    det = det || tokens[index].lower
+    index++
+  }
+
+  const readRun = (from) => {
+    let end = from
+    while (tokens[end]?.tag === 'WORD' && (end === from || !breaksNounPhrase(tokens[end - 1], tokens[end]))) {
+      end++
+    }
+    return end
+  }
+
+  const start = index
+  let end = readRun(start)
+  if (end === start) return null
+
+  if (attachOf && tokens[end]?.lower === 'of') {
+    let next = end + 1
+    while (tokens[next]?.tag === 'DET') next++
+    const ofEnd = readRun(next)
+    if (ofEnd > next) end = ofEnd
+  }
+
+  return { start, end, det, from: position }
+}
+
+/**
+ * Find the noun phrase that ends at a position, walking back over its words
+ * (and an "X of" in front of it)
+ */
+const nounPhraseEndingAt = (tokens, last) => {
+  if (tokens[last]?.tag !== 'WORD') return null
+
+  let start = last
+  while (tokens[start - 1]?.tag === 'WORD' && !breaksNounPhrase(tokens[start - 1], tokens[start])) {
+    start--
+  }
+
+  let from = start
+  while (tokens[from - 1]?.tag === 'DET') from--
+
+  // "theory of relativity": attach the head in front of "of"
+  if (tokens[from - 1]?.lower === 'of' && tokens[from - 2]?.tag === 'WORD') {
+    const head = nounPhraseEndingAt(tokens, from - 2)
+    if (head) return { start: head.start, end: last + 1, from: head.from }
+  }
+
+  return { start, end: last + 1, from }
+}
+
+/**
+ * Coordinated noun phrases that come before a phrase: "Alice, Bob and Carol"
+ * Only accepted when the list opens the clause, so "studied at Cambridge
+ * and Jobs founded Apple" does not make Cambridge a founder.
+ */
+const coordinatedBefore = (tokens, phrase) => {
+  const before = []
+  let cursor = phrase.from - 1
+
+  if (tokens[cursor]?.tag !== 'COORD') return []
+  cursor--
+  if (tokens[cursor]?.text === ',') cursor--
+
+  for (;;) {
+    const previous = nounPhraseEndingAt(tokens, cursor)
+    if (!previous) return []
+    before.unshift(previous)
+    cursor = previous.from - 1
+    if (tokens[cursor]?.text !== ',') break
+    // A comma either continues the list or closes an introductory phrase
+    const further = nounPhraseEndingAt(tokens, cursor - 1)
+    if (!further || tokens[further.from - 1]?.tag === 'PREP') break
+    cursor--
+  }
+
+  const opener = tokens[cursor]
+  const opensClause = !opener || opener.text === ',' || opener.tag === 'CLAUSE' || opener.tag === 'PUNCT'
+  // Names coordinate with names: "the mathematician and computer scientist Alan Turing" is one person
+  const specific = isSpecific(tokens, phrase)
+  const sameKind = before.every(item => isSpecific(tokens, item) === specific)
+  return opensClause && sameKind ? before : []
+}
+
+/**
+ * Coordinated noun phrases that follow a phrase: "phones, tablets and computers"
+ * A phrase followed by a verb starts a new clause and is not part of the list.
+ */
+const coordinatedAfter = (tokens, phrase) => {
+  const after = []
+  let cursor = phrase.end
+  let closed = false
+
+  while (!closed) {
+    let next = cursor
+    if (tokens[next]?.text === ',') next++
+    if (tokens[next]?.tag === 'COORD') {
+      next++
+      closed = true
+    }
+    if (next === cursor) break
+
+    const item = readNounPhrase(tokens, next)
+    if (!item) return []
+    const following = tokens[item.end]
+    if (following && ['VERB', 'BE', 'HAVE', 'MODAL', 'DO'].includes(following.tag)) return []
+    after.push(item)
+    cursor = item.end
+  }
+
+  // A list needs its "and"/"or": "Apple, a company" is an appositive
+  return closed ? after : []
+}
+
+/**
+ * Find the subject of a verb group starting at a position
+ * @param {Array} tokens - Tagged tokens of the sentence
+ * @param {number} verbStart - First token of the verb group
+ * @param {Object|null} previousSubject - Subject of the sentence's previous verb group
+ * @returns {Object|null} - {phrase, via: 'direct'|'relative'|'apposition'|'shared'}
+ */
+const findSubject = (tokens, verbStart, previousSubject) => {
+  let cursor = verbStart - 1
+  while (tokens[cursor]?.tag === 'ADV') cursor--
+
+  const token = tokens[cursor]
+  if (!token) return null
+
+  // "Turing invented the machine and designed the ACE" → the same subject
+  if (token.tag === 'COORD') {
+    return previousSubject ? { phrase: previousSubject, via: 'shared' } : null
+  }
+
+  // "Turing, who was born in London," → the antecedent
+  if (token.tag === 'REL') {
+    let antecedent = cursor - 1
+    if (tokens[antecedent]?.text === ',') antecedent--
+    const phrase = nounPhraseEndingAt(tokens, antecedent)
+    if (!phrase) return null
+    // "ML is a subset of AI that enables ..." describes the copula's subject
+    if (tokens[phrase.from - 1]?.tag === 'BE' && previousSubject) {
+      return { phrase: previousSubject, via: 'relative' }
+    }
+    return { phrase, via: 'relative' }
+  }
+
+  // Skip a parenthetical between the subject and the verb:
+  // "Alan Turing, a British mathematician, invented" / "Python, which ..., is"
+  if (token.text === ',') {
+    for (let open = cursor - 1; open > 0; open--) {
+      const candidate = tokens[open]
+      if (candidate.text === ';' || candidate.tag === 'CLAUSE') return null
+      if (candidate.text !== ',') continue
+      const inner = tokens[open + 1]
+      if (inner?.tag !== 'REL' && inner?.tag !== 'DET' && inner?.tag !== 'WORD') return null
+      const phrase = nounPhraseEndingAt(tokens, open - 1)
+      return phrase ? { phrase, via: 'apposition' } : null
+    }
+    return null
+  }
+
+  let phrase = nounPhraseEndingAt(tokens, cursor)
+  if (!phrase) return null
+
+  // "being successful was replaced": the phrase completes another verb
+  if (['BE', 'HAVE', 'VERB', 'DO', 'MODAL'].includes(tokens[phrase.from - 1]?.tag)) return null
+
+  // "Research at MIT produced": the subject is the head before the preposition
+  while (tokens[phrase.from - 1]?.tag === 'PREP') {
+    const head = nounPhraseEndingAt(tokens, phrase.from - 2)
+    if (!head) break
+    phrase = head
+  }
+
+  return { phrase, via: 'direct' }
+}
+
+/**
+ * Read the verb group that starts at a position
+ * @returns {Object} - {end, words, verbs, be, have, negated, modal}
+ */
+const readVerbGroup = (tokens, position) => {
+  const group = { end: position, words: [], verbs: [], be: null, have: null, negated: false, modal: null }
+
+  for (let index = position; index < tokens.length; index++) {
+    const token = tokens[index]
+    if (token.tag === 'ADV') {
+      group.end = index + 1
+      continue
+    }
+    if (token.tag === 'NEG') {
+      group.negated = true
+    } else if (token.tag === 'MODAL') {
+      group.modal = token.lower
+      group.words.push(token)
+    } else if (group.verbs.length > 0 && token.tag !== 'VERB') {
+      // "Getting started is simple": a second finite verb starts another group
+      break
+    } else if (token.tag === 'DO') {
+      group.words.push(token)
+    } else if (token.tag === 'BE') {
+      group.be = token
+      group.words.push(token)
+    } else if (token.tag === 'HAVE') {
+      group.have = token
+      group.words.push(token)
+    } else if (token.tag === 'VERB') {
+      group.verbs.push(token)
+      group.words.push(token)
+    } else {
+      break
+    }
+    group.end = index + 1
+  }
+
+  // Trailing adverbs belong to what follows: "is also widely" → "is"
+  while (group.end > position && tokens[group.end - 1].tag === 'ADV') group.end--
+  return group
+}
+
+/**
+ * Surface text of a phrase, as written in the sentence
+ */
+const phraseText = (sentence, tokens, phrase) => {
+  return sentence.slice(tokens[phrase.start].start, tokens[phrase.end - 1].end)
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N})]+$/gu, '')
+    .trim()
+}
+
+/**
+ * Whether a phrase names something specific: a capitalised word past the
+ * start of the sentence, an acronym or a number
+ */
+const isSpecific = (tokens, phrase) => {
+  return tokens.slice(phrase.start, phrase.end).some(token =>
+    (token.capitalized && token.index > 0) || /^[A-Z0-9]{2,}/.test(token.text) || /^\d/.test(token.text)
+  )
+}
+
+const wordCount = (tokens, phrase) => phrase.end - phrase.start
+
+/**
+ * Score a candidate triplet between 0 and 1
+ */
+const scoreTriplet = ({ tokens, subject, object, via, verb, modal, pattern, coordinated }) => {
+  let confidence = 0.55
+
+  if (isSpecific(tokens, subject)) confidence += 0.1
+  if (isSpecific(tokens, object)) confidence += 0.05
+  if (verb) confidence += verb.verb.known ? 0.1 : -0.1
+  if (pattern === 'copula-relation') confidence += 0.1
+  if (pattern === 'light-verb') confidence -= 0.05
+  if (pattern === 'appositive') confidence -= 0.1
+  if (modal && HEDGING_MODALS.has(modal)) confidence -= 0.2
+  if (via === 'relative') confidence -= 0.05
+  if (via === 'apposition' || via === 'shared') confidence -= 0.05
+  if (coordinated) confidence -= 0.05
+  if (wordCount(tokens, subject) > 4) confidence -= 0.1
+  if (wordCount(tokens, object) > 4) confidence -= 0.1
+  if (tokens.length > 35) confidence -= 0.1
+
+  return Math.round(Math.min(0.95, Math.max(0.05, confidence)) * 100) / 100
+}
+
+/**
+ * Work out the predicate and object after a verb group
+ * @returns {Object|null} - {predicate, object, pattern, verb}
+ */
+const readRelation = (tokens, group) => {
+  const at = group.end
+  const verb = group.verbs[group.verbs.length - 1] || null
+  const groupText = group.words.map(token => token.lower).join(' ')
+
+  if (verb || (group.have && !group.be)) {
+    const lemma = verb ? verb.verb.lemma : 'have'
+
+    // "relies on X", "was developed by X"
+    if (tokens[at]?.tag === 'PREP') {
+      const object = readNounPhrase(tokens, at + 1)
+      return object ? { predicate: `${groupText} ${tokens[at].lower}`, object, pattern: 'verb', verb: verb || null } : null
+    }
+
+    const object = readNounPhrase(tokens, at)
+    if (!object) return null
+    if (LINKING_VERBS.has(lemma) && !object.det && !isSpecific(tokens, object)) return null
+
+    // "has applications in healthcare", "played a key role in"
+    if (LIGHT_VERBS.has(lemma) && wordCount(tokens, object) <= 3 && !isSpecific(tokens, object) &&
+      tokens[object.end]?.tag === 'PREP' && tokens[object.end].lower !== 'of') {
+      const target = readNounPhrase(tokens, object.end + 1)
+      if (target) {
+        const folded = tokens.slice(object.from, object.end).map(token => token.lower).join(' ')
+        return { predicate: `${groupText} ${folded} ${tokens[object.end].lower}`, object: target, pattern: 'light-verb', verb }
+      }
+    }
+
+    return { predicate: groupText, object, pattern: 'verb', verb }
+  }
+
+  if (!group.be) return null
+
+  // Copula: "is a subset of", "is similar to", "is a", "is Paris"
+  const complement = readNounPhrase(tokens, at, { attachOf: false })
+  if (!complement) return null
+
+  const preposition = tokens[complement.end]
+  if (preposition?.tag === 'PREP' && COPULA_PREPOSITIONS.has(preposition.lower) &&
+    wordCount(tokens, complement) <= 3 && !isSpecific(tokens, complement)) {
+    const object = readNounPhrase(tokens, complement.end + 1)
+    if (object) {
+      const folded = tokens.slice(complement.from, complement.end).map(token => token.lower).join(' ')
+      return { predicate: `${groupText} ${folded} ${preposition.lower}`, object, pattern: 'copula-relation', verb: null }
+    }
+  }
+
+  const object = readNounPhrase(tokens, at)
+  if (complement.det === 'a' || complement.det === 'an') {
+    return { predicate: `${groupText} ${complement.det}`, object, pattern: 'copula', verb: null }
+  }
+  if (!complement.det && isSpecific(tokens, complement)) {
+    return { predicate: groupText, object, pattern: 'copula', verb: null }
+  }
+  return null
+}
+
+/**
+ * Whether an extracted phrase is a usable entity
+ */
+const isEntity = (tokens, phrase) => {
+  const count = wordCount(tokens, phrase)
+  if (count === 0 || count > MAX_ENTITY_WORDS) return false
+  // A phrase of only numbers is a usable entity (a year), a single letter is not
+  const words = tokens.slice(phrase.start, phrase.end)
+  return words.some(token => /[\p{L}]{2,}|\d/u.test(token.text))
+}
+
+/**
+ * Extract triplets from one sentence
+ * @returns {Array} - Array of {subject, predicate, object, source_snippet, confidence}
+ */
+const extractFromSentence = (sentence) => {
+  // Questions and conditionals do not state facts
+  if (/\?\s*["')\]]*$/.test(sentence)) return []
+
+  const tokens = tagTokens(tokenizeSentence(sentence))
+  if (tokens.length < 3 || tokens.length > MAX_SENTENCE_TOKENS) return []
+  if (tokens[0].tag === 'CLAUSE' && ['if', 'unless', 'whether'].includes(tokens[0].lower)) return []
+
+  const triplets = []
+  const emit = (subject, predicate, object, details) => {
+    if (!isEntity(tokens, subject) || !isEntity(tokens, object)) return
+    const subjectText = phraseText(sentence, tokens, subject)
+    const objectText = phraseText(sentence, tokens, object)
+    if (!subjectText || !objectText || subjectText.toLowerCase() === objectText.toLowerCase()) return
+    if (predicate.split(' ').length > 7) return
+
+    triplets.push({
+      subject: subjectText,
+      predicate,
+      object: objectText,
+      source_snippet: sentence,
+      confidence: scoreTriplet({ tokens, subject, object, ...details })
+    })
+  }
+
+  // Appositives: "Alan Turing, a British mathematician, ..."
+  tokens.forEach((token, index) => {
+    if (token.text !== ',' || tokens[index + 1]?.tag !== 'DET' || !['a', 'an'].includes(tokens[index + 1].lower)) return
+    const subject = nounPhraseEndingAt(tokens, index - 1)
+    const object = readNounPhrase(tokens, index + 1)
+    if (subject && object && tokens[object.end]?.text === ',' && isSpecific(tokens, subject)) {
+      emit(subject, `is ${tokens[index + 1].lower}`, object, { pattern: 'appositive', via: 'direct' })
+    }
+  })
+
+  let previousSubject = null
+
+  for (let index = 0; index < tokens.length; index++) {
+    const tag = tokens[index].tag
+    if (!['VERB', 'BE', 'HAVE', 'MODAL', 'DO'].includes(tag)) continue
+
+    const start = index
+    const group = readVerbGroup(tokens, start)
+    index = Math.max(index, group.end - 1)
+    if (group.negated || group.words.length === 0) continue
+
+    const subject = findSubject(tokens, start, previousSubject)
+    if (!subject) continue
+    previousSubject = subject.phrase
+
+    const relation = readRelation(tokens, group)
+    if (!relation) continue
+
+    const subjects = [subject.phrase, ...coordinatedBefore(tokens, subject.phrase)]
+    const objects = [relation.object, ...coordinatedAfter(tokens, relation.object)]
+    const coordinated = subjects.length > 1 || objects.length > 1
+
+    subjects.forEach(subjectPhrase => {
+      objects.forEach(objectPhrase => {
+        emit(subjectPhrase, relation.predicate, objectPhrase, {
+          via: subject.via,
+          verb: relation.verb,
+          modal: group.modal,
+          pattern: relation.pattern,
+          coordinated
+        })
+      })
+    })
+  }
+
+  return triplets
+}
+
+/**
+ * Extract knowledge triplets from text without a language model. Every
+ * subject, predicate and object is taken from the sentence it is returned
+ * with; nothing is added from outside the text.
+ * @param {string} text - The text to extract knowledge from
+ * @param {Object} options - Extraction options
+ * @param {number} options.maxTriplets - Most triplets to return, highest confidence first
+ * @param {number} options.minConfidence - Drop triplets scored below this
+ * @returns {Array} - Array of triplets {subject, predicate, object, source_snippet, confidence}
+ *   in reading order
+ */
+export const extractLocalTriplets = (text, options = {}) => {
+  const { maxTriplets = DEFAULT_MAX_TRIPLETS, minConfidence = DEFAULT_MIN_CONFIDENCE } = options
+  const best = new Map()
+  let position = 0
+
+  segmentSentences(text).forEach(sentence => {
+    extractFromSentence(sentence).forEach(triplet => {
+      const key = [triplet.subject, triplet.predicate, triplet.object].map(value => value.toLowerCase()).join('\u0000')
+      const existing = best.get(key)
+      if (!existing || triplet.confidence > existing.confidence) {
+        best.set(key, { ...triplet, position: existing ? existing.position : position++ })
+      }
+    })
+  })
+
+  return [...best.values()]
+    .filter(triplet => triplet.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence || a.position - b.position)
+    .slice(0, maxTriplets)
+    .sort((a, b) => a.position - b.position)
+    .map(triplet => {
+      const { subject, predicate, object, source_snippet, confidence } = triplet
+      return { subject, predicate, object, source_snippet, confidence }
+    })
+}
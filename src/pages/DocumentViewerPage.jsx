@@ -5,6 +5,9 @@ const DocumentViewerPage = () => {
   const location = useLocation()
   const navigate = useNavigate()
   const document = location.state?.document
+  const highlight = location.state?.highlight
+  const anchor = location.state?.anchor
+  const mentions = location.state?.mentions
 
   // If no document is provided, redirect to documents list
   if (!document) {
@@ -17,7 +20,7 @@ const DocumentViewerPage = () => {
   }
 
   const handleEdit = () => {
-    navigate('/editor', { state: { document } })
+    navigate('/editor', { state: { document, highlight, anchor } })
   }
 
   return (
@@ -25,6 +28,9 @@ const DocumentViewerPage = () => {
       document={document}
       onBack={handleBack}
       onEdit={handleEdit}
+      highlightText={highlight}
+      highlightAnchor={anchor}
+      highlightMentions={mentions}
     />
   )
 }
@@ -5,6 +5,8 @@ export default function EditorPage() {
   const location = useLocation()
   const navigate = useNavigate()
   const selectedDocument = location.state?.document
+  const highlight = location.state?.highlight
+  const anchor = location.state?.anchor
 
   const handleShowDocuments = () => {
     navigate('/documents')
@@ -13,6 +15,8 @@ export default function EditorPage() {
   return (
     <Editor
       selectedDocument={selectedDocument}
+      highlightText={highlight}
+      highlightAnchor={anchor}
       onShowDocuments={handleShowDocuments}
     />
   )
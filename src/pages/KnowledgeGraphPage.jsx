@@ -1,18 +1,168 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { supabase } from '../lib/supabase'
-import { getDocumentKnowledgeGraph, searchKnowledgeGraph } from '../lib/knowledgeGraph'
+import {
+  getDocumentKnowledgeGraph,
+  searchKnowledgeGraph,
+  getKnowledgeGraphTriplets,
+  getEntityNeighborhood,
+  findEntityPath,
+  getEntities,
+  mergeKnowledgeEntities,
+  splitKnowledgeEntity,
+  createKnowledgeTriplet,
+  updateTripletPredicate,
+  setTripletVerified,
+  setTripletRelationType,
+  deleteKnowledgeTriplet,
+  exportKnowledgeGraph,
+  importKnowledgeGraph,
+  MAX_GRAPH_TRIPLETS
+} from '../lib/knowledgeGraph'
+import { describeTripletEntity, filterByPredicates, listPredicates } from '../lib/graphQueries'
+import { ENTITY_TYPES, DEFAULT_ENTITY_TYPE } from '../lib/entityResolution'
+import {
+  describeRelationType,
+  listRelationTypes,
+  filterByRelationTypes,
+  inferRelationFacts,
+  DEFAULT_ONTOLOGY
+} from '../lib/ontology'
+import { getNodeSourceSnippets } from '../lib/editorHighlight'
+import { EXPORT_FORMATS } from '../lib/graphExport'
 import KnowledgeGraphVisualization from '../components/KnowledgeGraphVisualization'
 
+// One node per entity, so every way of writing it shares a node
+const convertTripletsToGraph = (triplets) => {
+  const nodes = new Map()
+  const links = []
+
+  triplets.forEach(triplet => {
+    const subject = describeTripletEntity(triplet, 'subject')
+    const object = describeTripletEntity(triplet, 'object')
+
+    // Add subject and object nodes
+    for (const entity of [subject, object]) {
+      if (!nodes.has(entity.id)) {
+        nodes.set(entity.id, {
+          id: entity.id,
+          label: entity.name,
+          type: 'entity',
+          entityType: entity.type,
+          connections: 0
+        })
+      }
+    }
+
+    // Add link, keyed by triplet so paths can be highlighted, and coloured
+    // by relation type
+    const relationType = describeRelationType(triplet.relation_type)
+    links.push({
+      id: triplet.id,
+      source: subject.id,
+      target: object.id,
+      label: triplet.predicate,
+      type: 'relationship',
+      relationType: relationType.id,
+      relationLabel: relationType.label,
+      color: relationType.color,
+      stale: !!triplet.is_stale,
+      verified: !!triplet.is_verified,
+      inferred: !!triplet.inferred
+    })
+
+    // Update connection counts
+    nodes.get(subject.id).connections++
+    nodes.get(object.id).connections++
+  })
+
+  return {
+    nodes: Array.from(nodes.values()),
+    links: links
+  }
+}
+
+// Save a file from memory through a temporary link
+const downloadFile = ({ name, mimeType, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Read a picked file as text
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+
+  reader.onload = (e) => resolve({ name: file.name, content: e.target.result })
+  reader.onerror = () => reject(new Error(`Error reading ${file.name}`))
+
+  reader.readAsText(file)
+})
+
+// Entity ids are looked up directly; unresolved mentions by their name
+const queryEntity = (node) => node.id.startsWith('mention:') ? node.label : node.id
+
 const KnowledgeGraphPage = () => {
   const navigate = useNavigate()
   const [documents, setDocuments] = useState([])
   const [selectedDocument, setSelectedDocument] = useState(null)
-  const [knowledgeData, setKnowledgeData] = useState({ nodes: [], links: [] })
+  const [triplets, setTriplets] = useState([])
+  const [isTruncated, setIsTruncated] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
   const [searchTerm, setSearchTerm] = useState('')
-  const [viewMode, setViewMode] = useState('document') // 'document' or 'global'
+  const [viewMode, setViewMode] = useState('document') // 'document', 'global' or 'entities'
   const [stats, setStats] = useState({ totalTriplets: 0, uniqueEntities: 0, documents: 0 })
+  const [entities, setEntities] = useState([])
+  const [entityFilter, setEntityFilter] = useState('')
+  const [selectedEntityIds, setSelectedEntityIds] = useState([])
+  const [mergeTargetId, setMergeTargetId] = useState(null)
+  const [splitState, setSplitState] = useState(null) // {entityId, aliasKeys, name, type}
+  const [entityMessage, setEntityMessage] = useState(null)
+  const [predicateFilter, setPredicateFilter] = useState([])
+  const [relationTypeFilter, setRelationTypeFilter] = useState([])
+  const [showInferred, setShowInferred] = useState(false)
+  const [hops, setHops] = useState(2)
+  const [pickedNodes, setPickedNodes] = useState([]) // Up to two {id, label}
+  const [focusEntity, setFocusEntity] = useState(null) // Node whose neighbourhood is shown
+  const [pathResult, setPathResult] = useState(null) // {from, to, found, path}
+  const [exploreMessage, setExploreMessage] = useState(null)
+  const [mentions, setMentions] = useState(null) // Evidence of the one picked node
+  const [selectedTripletId, setSelectedTripletId] = useState(null)
+  const [predicateDraft, setPredicateDraft] = useState('')
+  const [newLink, setNewLink] = useState(null) // {from, to, predicate, documentId} while drawing a relationship
+  const [editMessage, setEditMessage] = useState(null)
+  const [exportFormat, setExportFormat] = useState('turtle')
+  const [transferMessage, setTransferMessage] = useState(null)
+  const importInputRef = useRef(null)
+
+  const knowledgeData = useMemo(() => {
+    const shown = filterByRelationTypes(filterByPredicates(triplets, predicateFilter), relationTypeFilter)
+    return convertTripletsToGraph(showInferred ? [...shown, ...inferRelationFacts(shown)] : shown)
+  }, [triplets, predicateFilter, relationTypeFilter, showInferred])
+  const predicates = useMemo(() => listPredicates(triplets), [triplets])
+  const relationTypes = useMemo(() => listRelationTypes(triplets), [triplets])
+  const selectedTriplet = useMemo(
+    () => triplets.find(triplet => triplet.id === selectedTripletId) || null,
+    [triplets, selectedTripletId]
+  )
+  const pickedNodeIds = useMemo(() => pickedNodes.map(node => node.id), [pickedNodes])
+  const mentionGroups = useMemo(() => {
+    const groups = new Map()
+    mentions?.forEach(mention => {
+      if (!groups.has(mention.documentId)) groups.set(mention.documentId, [])
+      groups.get(mention.documentId).push(mention)
+    })
+    return Array.from(groups.entries())
+  }, [mentions])
+  const highlightedPath = useMemo(() => pathResult?.path.length > 0
+    ? {
+        nodeIds: [pathResult.path[0].from, ...pathResult.path.map(hop => hop.to)],
+        linkIds: pathResult.path.map(hop => hop.triplet.id)
+      }
+    : null, [pathResult])
 
   // Load documents on component mount
   useEffect(() => {
@@ -20,6 +170,21 @@ const KnowledgeGraphPage = () => {
     loadGlobalStats()
   }, [])
 
+  // Where the one picked entity is mentioned, in the shown document or everywhere
+  useEffect(() => {
+    if (pickedNodes.length !== 1) {
+      setMentions(null)
+      return
+    }
+
+    let cancelled = false
+    getNodeSourceSnippets(queryEntity(pickedNodes[0]), selectedDocument?.id).then(result => {
+      if (!cancelled) setMentions(result)
+    })
+
+    return () => { cancelled = true }
+  }, [pickedNodes, selectedDocument])
+
   const loadDocuments = async () => {
     try {
       const { data, error } = await supabase
@@ -43,10 +208,10 @@ const KnowledgeGraphPage = () => {
 
       if (countError) throw countError
 
-      // Get unique entities (subjects + objects) and document IDs
+      // Get unique entities (resolved subjects + objects) and document IDs
       const { data: allTriplets, error: tripletsError } = await supabase
         .from('knowledge_graph')
-        .select('subject, object, document_id')
+        .select('subject, object, subject_entity_id, object_entity_id, document_id')
 
       if (tripletsError) throw tripletsError
 
@@ -54,8 +219,8 @@ const KnowledgeGraphPage = () => {
       const documentIds = new Set()
 
       allTriplets?.forEach(triplet => {
-        entities.add(triplet.subject)
-        entities.add(triplet.object)
+        entities.add(describeTripletEntity(triplet, 'subject').id)
+        entities.add(describeTripletEntity(triplet, 'object').id)
         documentIds.add(triplet.document_id)
       })
 
@@ -76,8 +241,7 @@ const KnowledgeGraphPage = () => {
     try {
       const result = await getDocumentKnowledgeGraph(doc.id)
       if (result.success) {
-        const graphData = convertTripletsToGraph(result.triplets)
-        setKnowledgeData(graphData)
+        showTriplets(result.triplets)
       }
     } catch (err) {
       console.error('Error loading knowledge graph:', err)
@@ -89,85 +253,404 @@ const KnowledgeGraphPage = () => {
   const handleGlobalView = async () => {
     setViewMode('global')
     setSelectedDocument(null)
+    await loadGlobalGraph()
+  }
+
+  const loadGlobalGraph = async () => {
     setIsLoading(true)
-    
-    try {
-      const { data: allTriplets, error } = await supabase
-        .from('knowledge_graph')
-        .select('subject, predicate, object, document_id')
-        .limit(100) // Limit for performance
 
-      if (error) throw error
+    const result = await getKnowledgeGraphTriplets()
+    if (result.success) {
+      showTriplets(result.triplets, result.truncated)
+    }
 
-      const graphData = convertTripletsToGraph(allTriplets || [])
-      setKnowledgeData(graphData)
-    } catch (err) {
-      console.error('Error loading global knowledge graph:', err)
-    } finally {
-      setIsLoading(false)
+    setIsLoading(false)
+  }
+
+  // Show a new set of triplets, dropping picks and paths from the old one
+  const showTriplets = (rows, truncated = false) => {
+    setTriplets(rows)
+    setIsTruncated(truncated)
+    setPickedNodes([])
+    setFocusEntity(null)
+    setPathResult(null)
+    setExploreMessage(null)
+    setSelectedTripletId(null)
+    setNewLink(null)
+    setEditMessage(null)
+  }
+
+  const togglePredicate = (predicate) => {
+    setPredicateFilter(current => current.includes(predicate)
+      ? current.filter(item => item !== predicate)
+      : [...current, predicate])
+    setPathResult(null)
+  }
+
+  const toggleRelationType = (relationType) => {
+    setRelationTypeFilter(current => current.includes(relationType)
+      ? current.filter(item => item !== relationType)
+      : [...current, relationType])
+    setPathResult(null)
+  }
+
+  // Clicking picks a node; a third pick replaces the second
+  const handleNodeClick = (node) => {
+    setPickedNodes(current => {
+      if (current.some(picked => picked.id === node.id)) {
+        return current.filter(picked => picked.id !== node.id)
+      }
+      const picked = { id: node.id, label: node.label }
+      return current.length < 2 ? [...current, picked] : [current[0], picked]
+    })
+    setPathResult(null)
+    setExploreMessage(null)
+  }
+
+  const handleShowNeighborhood = async () => {
+    const [entity] = pickedNodes
+    if (!entity) return
+
+    setIsLoading(true)
+    const result = await getEntityNeighborhood(queryEntity(entity), {
+      hops,
+      predicates: predicateFilter,
+      relationTypes: relationTypeFilter,
+      documentId: selectedDocument?.id
+    })
+    setIsLoading(false)
+
+    if (result.success) {
+      showTriplets(result.triplets)
+      setFocusEntity(entity)
+      setPickedNodes([entity])
+    } else {
+      setExploreMessage({ type: 'error', text: result.error })
     }
   }
 
-  const handleSearch = async () => {
-    if (!searchTerm.trim()) return
+  const handleFindPath = async () => {
+    if (pickedNodes.length < 2) return
+    const [from, to] = pickedNodes
+
+    setIsLoading(true)
+    const result = await findEntityPath(queryEntity(from), queryEntity(to), {
+      predicates: predicateFilter,
+      relationTypes: relationTypeFilter,
+      documentId: selectedDocument?.id
+    })
+    setIsLoading(false)
+
+    if (!result.success) {
+      setExploreMessage({ type: 'error', text: result.error })
+      return
+    }
+
+    if (!result.found) {
+      setPathResult(null)
+      setExploreMessage({ type: 'error', text: `No path between ${from.label} and ${to.label}` })
+      return
+    }
+
+    // The path may run through triplets the current view does not show
+    setTriplets(current => {
+      const shown = new Set(current.map(triplet => triplet.id))
+      const missing = result.path.map(hop => hop.triplet).filter(triplet => !shown.has(triplet.id))
+      return missing.length > 0 ? [...current, ...missing] : current
+    })
+    setPathResult({ from, to, found: true, path: result.path })
+    setExploreMessage(null)
+  }
+
+  // Open a document in the viewer at one mention, or at all of them
+  const handleOpenMentions = async (documentId, selected) => {
+    const { data: document, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('id', documentId)
+      .single()
+
+    if (error || !document) {
+      setExploreMessage({ type: 'error', text: 'Could not open the document' })
+      return
+    }
+
+    const [first] = selected
+    navigate(`/view/${document.id}`, {
+      state: { document, highlight: first.snippet, anchor: first.anchor, mentions: selected }
+    })
+  }
+
+  const documentTitle = (documentId) => documents.find(doc => doc.id === documentId)?.title || 'Untitled document'
+
+  const handleLinkClick = (link) => {
+    const triplet = triplets.find(row => row.id === link.id)
+    if (!triplet) return
+
+    setSelectedTripletId(triplet.id)
+    setPredicateDraft(triplet.predicate)
+    setNewLink(null)
+    setEditMessage(null)
+  }
+
+  // Shift-dragging between two nodes starts a new relationship; it goes in
+  // the shown document, else one the first entity already appears in
+  const handleCreateLink = (from, to) => {
+    const fromDocument = triplets.find(triplet =>
+      [describeTripletEntity(triplet, 'subject').id, describeTripletEntity(triplet, 'object').id].includes(from.id))
+
+    setNewLink({
+      from: { id: from.id, label: from.label },
+      to: { id: to.id, label: to.label },
+      predicate: '',
+      documentId: selectedDocument?.id || fromDocument?.document_id || documents[0]?.id || ''
+    })
+    setSelectedTripletId(null)
+    setEditMessage(null)
+  }
+
+  const replaceTriplet = (updated) => {
+    setTriplets(current => current.map(triplet => triplet.id === updated.id ? updated : triplet))
+  }
+
+  const handleCreateTriplet = async () => {
+    if (!newLink) return
+
+    setIsLoading(true)
+    const result = await createKnowledgeTriplet(newLink.from, newLink.to, newLink.predicate, newLink.documentId)
+    setIsLoading(false)
+
+    if (result.success) {
+      setTriplets(current => [...current, result.triplet])
+      setNewLink(null)
+      setSelectedTripletId(result.triplet.id)
+      setPredicateDraft(result.triplet.predicate)
+      setEditMessage({ type: 'success', text: 'Relationship added' })
+      loadGlobalStats()
+    } else {
+      setEditMessage({ type: 'error', text: result.error })
+    }
+  }
+
+  const handleSavePredicate = async () => {
+    if (!selectedTriplet) return
+
+    setIsLoading(true)
+    const result = await updateTripletPredicate(selectedTriplet.id, predicateDraft, {
+      subjectType: describeTripletEntity(selectedTriplet, 'subject').type,
+      objectType: describeTripletEntity(selectedTriplet, 'object').type
+    })
+    setIsLoading(false)
+
+    if (result.success) {
+      replaceTriplet(result.triplet)
+      setPredicateDraft(result.triplet.predicate)
+      setEditMessage({ type: 'success', text: 'Relationship renamed and verified' })
+    } else {
+      setEditMessage({ type: 'error', text: result.error })
+    }
+  }
+
+  const handleChangeRelationType = async (relationType) => {
+    if (!selectedTriplet) return
+
+    setIsLoading(true)
+    const result = await setTripletRelationType(selectedTriplet.id, relationType)
+    setIsLoading(false)
+
+    if (result.success) {
+      replaceTriplet(result.triplet)
+      setEditMessage({ type: 'success', text: 'Relation type changed and verified' })
+    } else {
+      setEditMessage({ type: 'error', text: result.error })
+    }
+  }
+
+  const handleToggleVerified = async () => {
+    if (!selectedTriplet) return
+
+    setIsLoading(true)
+    const result = await setTripletVerified(selectedTriplet.id, !selectedTriplet.is_verified)
+    setIsLoading(false)
+
+    if (result.success) {
+      replaceTriplet(result.triplet)
+      setEditMessage(null)
+    } else {
+      setEditMessage({ type: 'error', text: result.error })
+    }
+  }
+
+  const handleDeleteTriplet = async () => {
+    if (!selectedTriplet) return
+
+    const { subject, predicate, object } = selectedTriplet
+    if (!confirm(`Delete "${subject} ${predicate} ${object}"?`)) {
+      return
+    }
+
+    setIsLoading(true)
+    const result = await deleteKnowledgeTriplet(selectedTriplet.id)
+    setIsLoading(false)
+
+    if (result.success) {
+      setTriplets(current => current.filter(triplet => triplet.id !== selectedTriplet.id))
+      setSelectedTripletId(null)
+      setEditMessage({ type: 'success', text: 'Relationship deleted' })
+      loadGlobalStats()
+    } else {
+      setEditMessage({ type: 'error', text: result.error })
+    }
+  }
+
+  // Exports the shown document, or everything in the global view
+  const handleExport = async () => {
+    setIsLoading(true)
+    const result = await exportKnowledgeGraph(exportFormat, viewMode === 'global' ? null : selectedDocument)
+    setIsLoading(false)
+
+    if (!result.success) {
+      setTransferMessage({ type: 'error', text: result.error })
+      return
+    }
+
+    result.files.forEach(downloadFile)
+    setTransferMessage({
+      type: 'success',
+      text: `Exported ${result.count} relationships`
+    })
+  }
+
+  // Imports into the shown document, or into the documents named in the
+  // files in the global view
+  const handleImport = async (e) => {
+    const picked = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (picked.length === 0) return
 
     setIsLoading(true)
     try {
-      const result = await searchKnowledgeGraph(searchTerm, selectedDocument?.id)
-      if (result.success) {
-        const graphData = convertTripletsToGraph(result.results)
-        setKnowledgeData(graphData)
+      const files = await Promise.all(picked.map(readFile))
+      const result = await importKnowledgeGraph(files, {
+        documentId: viewMode === 'global' ? null : selectedDocument?.id
+      })
+
+      if (!result.success) {
+        setTransferMessage({ type: 'error', text: result.error })
+        return
+      }
+
+      setTransferMessage({ type: 'success', text: result.message })
+      loadGlobalStats()
+      if (viewMode === 'global') {
+        await loadGlobalGraph()
+      } else if (selectedDocument) {
+        await handleDocumentSelect(selectedDocument)
       }
     } catch (err) {
-      console.error('Error searching knowledge graph:', err)
+      setTransferMessage({ type: 'error', text: err.message })
     } finally {
       setIsLoading(false)
     }
   }
 
+  const loadEntities = async () => {
+    const result = await getEntities()
+    if (result.success) {
+      setEntities(result.entities)
+    } else {
+      setEntityMessage({ type: 'error', text: result.error })
+    }
+  }
 
+  const handleEntitiesView = async () => {
+    setViewMode('entities')
+    setSelectedDocument(null)
+    setEntityMessage(null)
+    await Promise.all([loadEntities(), loadGlobalGraph()])
+  }
 
-  const convertTripletsToGraph = (triplets) => {
-    const nodes = new Map()
-    const links = []
+  const toggleEntitySelection = (entityId) => {
+    setSelectedEntityIds(ids => {
+      const next = ids.includes(entityId) ? ids.filter(id => id !== entityId) : [...ids, entityId]
+      if (!next.includes(mergeTargetId)) setMergeTargetId(next[0] || null)
+      return next
+    })
+  }
 
-    triplets.forEach(triplet => {
-      // Add subject node
-      if (!nodes.has(triplet.subject)) {
-        nodes.set(triplet.subject, {
-          id: triplet.subject,
-          label: triplet.subject,
-          type: 'entity',
-          connections: 0
-        })
-      }
+  // Refresh everything that shows entity names after a merge or split
+  const refreshAfterEntityChange = async () => {
+    await Promise.all([loadEntities(), loadGlobalStats(), loadGlobalGraph()])
+  }
 
-      // Add object node
-      if (!nodes.has(triplet.object)) {
-        nodes.set(triplet.object, {
-          id: triplet.object,
-          label: triplet.object,
-          type: 'entity',
-          connections: 0
-        })
-      }
+  const handleMergeEntities = async () => {
+    if (selectedEntityIds.length < 2 || !mergeTargetId) return
 
-      // Add link
-      links.push({
-        source: triplet.subject,
-        target: triplet.object,
-        label: triplet.predicate,
-        type: 'relationship'
-      })
+    setIsLoading(true)
+    const target = entities.find(entity => entity.id === mergeTargetId)
+    const result = await mergeKnowledgeEntities(selectedEntityIds, mergeTargetId)
+
+    setIsLoading(false)
+
+    if (result.success) {
+      setEntityMessage({ type: 'success', text: `Merged ${selectedEntityIds.length} entities into ${target?.canonical_name}` })
+      setSelectedEntityIds([])
+      setMergeTargetId(null)
+      await refreshAfterEntityChange()
+    } else {
+      setEntityMessage({ type: 'error', text: result.error })
+    }
+  }
+
+  const startSplit = (entity) => {
+    setEntityMessage(null)
+    setSplitState({ entityId: entity.id, aliasKeys: [], name: '', type: entity.type || DEFAULT_ENTITY_TYPE })
+  }
+
+  const toggleSplitAlias = (alias) => {
+    setSplitState(state => {
+      const selected = state.aliasKeys.includes(alias.alias_key)
+      const aliasKeys = selected
+        ? state.aliasKeys.filter(key => key !== alias.alias_key)
+        : [...state.aliasKeys, alias.alias_key]
+      // Name the new entity after the first alias picked unless it was typed in
+      const name = state.name || (selected ? '' : alias.alias)
+      return { ...state, aliasKeys, name }
+    })
+  }
+
+  const handleSplitEntity = async () => {
+    if (!splitState) return
 
-      // Update connection counts
-      nodes.get(triplet.subject).connections++
-      nodes.get(triplet.object).connections++
+    setIsLoading(true)
+    const result = await splitKnowledgeEntity(splitState.entityId, splitState.aliasKeys, {
+      name: splitState.name,
+      type: splitState.type
     })
+    setIsLoading(false)
+
+    if (result.success) {
+      setEntityMessage({ type: 'success', text: result.message })
+      setSplitState(null)
+      await refreshAfterEntityChange()
+    } else {
+      setEntityMessage({ type: 'error', text: result.error })
+    }
+  }
 
-    return {
-      nodes: Array.from(nodes.values()),
-      links: links
+  const handleSearch = async () => {
+    if (!searchTerm.trim()) return
+
+    setIsLoading(true)
+    try {
+      const result = await searchKnowledgeGraph(searchTerm, selectedDocument?.id)
+      if (result.success) {
+        showTriplets(result.results)
+      }
+    } catch (err) {
+      console.error('Error searching knowledge graph:', err)
+    } finally {
+      setIsLoading(false)
     }
   }
 
@@ -235,30 +718,440 @@ const KnowledgeGraphPage = () => {
               >
                 Global
               </button>
+              <button
+                onClick={handleEntitiesView}
+                className={`flex-1 py-2 px-3 rounded-md text-sm font-medium transition-colors ${
+                  viewMode === 'entities'
+                    ? 'bg-white/20 text-white'
+                    : 'text-white/70 hover:text-white'
+                }`}
+              >
+                Entities
+              </button>
             </div>
           </div>
 
           {/* Search */}
-          <div className="mb-4">
-            <div className="flex gap-2">
+          {viewMode !== 'entities' && (
+            <div className="mb-4">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  placeholder="Search entities..."
+                  className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                  onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
+                />
+                <button
+                  onClick={handleSearch}
+                  className="bg-emerald-500/30 text-white border border-emerald-400/50 px-3 py-2 rounded-lg hover:bg-emerald-500/50 transition-colors"
+                >
+                  <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                  </svg>
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Explore: predicate filter, neighbourhoods and paths */}
+          {viewMode !== 'entities' && triplets.length > 0 && (
+            <div className="mb-4 p-3 bg-white/10 border border-white/20 rounded-lg">
+              <h2 className="text-sm font-medium text-white mb-2">Explore</h2>
+
+              {relationTypes.length > 0 && (
+                <div className="mb-3">
+                  <div className="text-xs text-white/70 mb-1">Relation types</div>
+                  <div className="flex flex-wrap gap-1">
+                    {relationTypes.map(({ id, label, color, count }) => (
+                      <button
+                        key={id}
+                        onClick={() => toggleRelationType(id)}
+                        className={`flex items-center gap-1 text-xs px-2 py-0.5 rounded-full border transition-colors ${
+                          relationTypeFilter.includes(id)
+                            ? 'bg-emerald-500/30 border-emerald-400/50 text-white'
+                            : 'bg-white/5 border-white/20 text-white/70 hover:text-white'
+                        }`}
+                      >
+                        <span
+                          className="w-2 h-2 rounded-full border border-white/30"
+                          style={{ backgroundColor: color || 'transparent' }}
+                        />
+                        {label} ({count})
+                      </button>
+                    ))}
+                  </div>
+                  <label className="flex items-center gap-2 mt-2 text-xs text-white/70">
+                    <input
+                      type="checkbox"
+                      checked={showInferred}
+                      onChange={(e) => setShowInferred(e.target.checked)}
+                    />
+                    Show relations implied by transitive types
+                  </label>
+                </div>
+              )}
+
+              {predicates.length > 1 && (
+                <div className="mb-3">
+                  <div className="text-xs text-white/70 mb-1">Relationships</div>
+                  <div className="flex flex-wrap gap-1">
+                    {predicates.map(({ predicate, count }) => (
+                      <button
+                        key={predicate}
+                        onClick={() => togglePredicate(predicate)}
+                        className={`text-xs px-2 py-0.5 rounded-full border transition-colors ${
+                          predicateFilter.includes(predicate)
+                            ? 'bg-emerald-500/30 border-emerald-400/50 text-white'
+                            : 'bg-white/5 border-white/20 text-white/70 hover:text-white'
+                        }`}
+                      >
+                        {predicate} ({count})
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {pickedNodes.length === 0 ? (
+                <p className="text-xs text-white/70">
+                  Click an entity in the graph to explore around it, or two entities to find how they connect.
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  <div className="flex flex-wrap items-center gap-1 text-sm">
+                    {pickedNodes.map((node, index) => (
+                      <span key={node.id} className="flex items-center gap-1">
+                        {index > 0 && <span className="text-white/50">→</span>}
+                        <span className="px-2 py-0.5 rounded bg-emerald-500/20 text-emerald-200">{node.label}</span>
+                      </span>
+                    ))}
+                  </div>
+
+                  {pickedNodes.length === 1 && (
+                    <div className="flex gap-2">
+                      <select
+                        value={hops}
+                        onChange={(e) => setHops(parseInt(e.target.value, 10))}
+                        className="px-2 py-1 bg-slate-800 border border-white/20 rounded text-white text-sm"
+                      >
+                        {[1, 2, 3].map(count => (
+                          <option key={count} value={count}>{count} {count === 1 ? 'hop' : 'hops'}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={handleShowNeighborhood}
+                        disabled={isLoading}
+                        className="flex-1 bg-emerald-500/30 text-white border border-emerald-400/50 px-2 py-1 rounded text-sm hover:bg-emerald-500/50 transition-colors disabled:opacity-50"
+                      >
+                        Show neighbourhood
+                      </button>
+                    </div>
+                  )}
+
+                  {pickedNodes.length === 2 && (
+                    <button
+                      onClick={handleFindPath}
+                      disabled={isLoading}
+                      className="w-full bg-emerald-500/30 text-white border border-emerald-400/50 px-2 py-1 rounded text-sm hover:bg-emerald-500/50 transition-colors disabled:opacity-50"
+                    >
+                      Find path
+                    </button>
+                  )}
+
+                  <button
+                    onClick={() => { setPickedNodes([]); setPathResult(null); setExploreMessage(null) }}
+                    className="text-xs text-white/60 hover:text-white"
+                  >
+                    Clear selection
+                  </button>
+                </div>
+              )}
+
+              {focusEntity && (
+                <div className="mt-2 text-xs text-white/70">
+                  Showing {hops} {hops === 1 ? 'hop' : 'hops'} around <span className="text-white">{focusEntity.label}</span>
+                </div>
+              )}
+
+              {exploreMessage && (
+                <div className="mt-2 p-2 rounded-lg text-sm bg-red-500/20 border border-red-400/50 text-red-200">
+                  {exploreMessage.text}
+                </div>
+              )}
+
+              {mentions && (
+                <div className="mt-3">
+                  <div className="text-xs text-white/70 mb-1">
+                    {mentions.length === 0
+                      ? 'No mentions with evidence'
+                      : `${mentions.length} ${mentions.length === 1 ? 'mention' : 'mentions'}`}
+                  </div>
+                  {mentionGroups.map(([documentId, group]) => {
+                    const current = group.filter(mention => !mention.stale)
+                    return (
+                      <div key={documentId} className="mb-2">
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="text-sm text-emerald-300 truncate">{documentTitle(documentId)}</span>
+                          {current.length > 1 && (
+                            <button
+                              onClick={() => handleOpenMentions(documentId, current)}
+                              className="text-xs text-white/60 hover:text-white whitespace-nowrap"
+                            >
+                              Show all {current.length}
+                            </button>
+                          )}
+                        </div>
+                        <ul className="space-y-1 mt-1">
+                          {group.map(mention => (
+                            <li key={`${mention.snippet}|${JSON.stringify(mention.anchor)}`}>
+                              {mention.stale ? (
+                                <div
+                                  className="pl-2 border-l-2 border-white/20 text-xs text-white/50 italic"
+                                  title="This sentence was deleted from the document"
+                                >
+                                  <span className="not-italic mr-1 px-1 rounded bg-red-500/20 text-red-200">stale</span>
+                                  {mention.snippet}
+                                </div>
+                              ) : (
+                                <button
+                                  onClick={() => handleOpenMentions(documentId, [mention])}
+                                  className="w-full text-left pl-2 border-l-2 border-amber-400/50 text-xs text-white/70 italic hover:text-white"
+                                  title={mention.triplet}
+                                >
+                                  {mention.snippet}
+                                </button>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+
+              {pathResult?.found && (
+                <div className="mt-3">
+                  <div className="text-xs text-white/70 mb-1">
+                    {pathResult.path.length} {pathResult.path.length === 1 ? 'hop' : 'hops'} from {pathResult.from.label} to {pathResult.to.label}
+                  </div>
+                  <ol className="space-y-2">
+                    {pathResult.path.map((hop, index) => {
+                      const subject = describeTripletEntity(hop.triplet, 'subject')
+                      const object = describeTripletEntity(hop.triplet, 'object')
+                      return (
+                        <li key={hop.triplet.id} className="text-sm">
+                          <div className="text-white">
+                            <span className="text-white/50">{index + 1}.</span>{' '}
+                            {subject.name} <span className="text-amber-300">{hop.triplet.predicate}</span> {object.name}
+                          </div>
+                          {hop.triplet.source_snippet && (
+                            <blockquote className="mt-1 pl-2 border-l-2 border-amber-400/50 text-xs text-white/70 italic">
+                              {hop.triplet.source_snippet}
+                            </blockquote>
+                          )}
+                        </li>
+                      )
+                    })}
+                  </ol>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Edit: the clicked relationship, or one being drawn */}
+          {viewMode !== 'entities' && (selectedTriplet || newLink || editMessage) && (
+            <div className="mb-4 p-3 bg-white/10 border border-white/20 rounded-lg">
+              <h2 className="text-sm font-medium text-white mb-2">{newLink ? 'New relationship' : 'Relationship'}</h2>
+
+              {newLink && (
+                <div className="space-y-2">
+                  <div className="text-sm text-white">
+                    {newLink.from.label} <span className="text-white/50">→</span> {newLink.to.label}
+                  </div>
+                  <input
+                    type="text"
+                    value={newLink.predicate}
+                    onChange={(e) => setNewLink(link => ({ ...link, predicate: e.target.value }))}
+                    onKeyPress={(e) => e.key === 'Enter' && handleCreateTriplet()}
+                    placeholder="Predicate, e.g. works at"
+                    autoFocus
+                    className="w-full px-2 py-1 bg-white/10 border border-white/20 rounded text-white text-sm placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                  />
+                  {!selectedDocument && (
+                    <select
+                      value={newLink.documentId}
+                      onChange={(e) => setNewLink(link => ({ ...link, documentId: e.target.value }))}
+                      className="w-full px-2 py-1 bg-slate-800 border border-white/20 rounded text-white text-sm"
+                    >
+                      {documents.map(doc => (
+                        <option key={doc.id} value={doc.id}>{doc.title}</option>
+                      ))}
+                    </select>
+                  )}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={handleCreateTriplet}
+                      disabled={isLoading || !newLink.predicate.trim()}
+                      className="flex-1 bg-emerald-500/30 text-white border border-emerald-400/50 px-2 py-1 rounded text-sm hover:bg-emerald-500/50 transition-colors disabled:opacity-50"
+                    >
+                      Add relationship
+                    </button>
+                    <button
+                      onClick={() => setNewLink(null)}
+                      className="px-2 py-1 text-sm text-white/70 hover:text-white"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {!newLink && selectedTriplet && (
+                <div className="space-y-2">
+                  <div className="text-sm text-white">
+                    {describeTripletEntity(selectedTriplet, 'subject').name}{' '}
+                    <span className="text-white/50">→</span>{' '}
+                    {describeTripletEntity(selectedTriplet, 'object').name}
+                  </div>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={predicateDraft}
+                      onChange={(e) => setPredicateDraft(e.target.value)}
+                      onKeyPress={(e) => e.key === 'Enter' && handleSavePredicate()}
+                      className="flex-1 px-2 py-1 bg-white/10 border border-white/20 rounded text-white text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                    />
+                    <button
+                      onClick={handleSavePredicate}
+                      disabled={isLoading || predicateDraft.trim() === selectedTriplet.predicate}
+                      className="bg-emerald-500/30 text-white border border-emerald-400/50 px-2 py-1 rounded text-sm hover:bg-emerald-500/50 transition-colors disabled:opacity-50"
+                    >
+                      Rename
+                    </button>
+                  </div>
+                  <select
+                    value={selectedTriplet.relation_type || ''}
+                    onChange={(e) => handleChangeRelationType(e.target.value || null)}
+                    disabled={isLoading}
+                    className="w-full px-2 py-1 bg-white/10 border border-white/20 rounded text-white text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                  >
+                    <option value="">Untyped relation</option>
+                    {DEFAULT_ONTOLOGY.relationTypes.map(type => (
+                      <option key={type.id} value={type.id}>{type.label}</option>
+                    ))}
+                  </select>
+                  <div className="flex flex-wrap gap-1 text-xs">
+                    <span className="px-1.5 py-0.5 rounded bg-white/10 text-white/70">
+                      {selectedTriplet.created_by === 'user' ? 'Added by hand' : 'Extracted'}
+                    </span>
+                    {selectedTriplet.is_verified && (
+                      <span className="px-1.5 py-0.5 rounded bg-emerald-500/20 text-emerald-200">Verified</span>
+                    )}
+                    {selectedTriplet.is_stale && (
+                      <span className="px-1.5 py-0.5 rounded bg-red-500/20 text-red-200">Evidence deleted</span>
+                    )}
+                  </div>
+                  {selectedTriplet.source_snippet && (
+                    <blockquote className="pl-2 border-l-2 border-amber-400/50 text-xs text-white/70 italic">
+                      {selectedTriplet.source_snippet}
+                    </blockquote>
+                  )}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={handleToggleVerified}
+                      disabled={isLoading}
+                      className="flex-1 bg-white/10 text-white border border-white/20 px-2 py-1 rounded text-sm hover:bg-white/20 transition-colors disabled:opacity-50"
+                    >
+                      {selectedTriplet.is_verified ? 'Unverify' : 'Verify'}
+                    </button>
+                    <button
+                      onClick={handleDeleteTriplet}
+                      disabled={isLoading}
+                      className="flex-1 bg-red-500/20 text-red-200 border border-red-400/50 px-2 py-1 rounded text-sm hover:bg-red-500/30 transition-colors disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                  <button
+                    onClick={() => { setSelectedTripletId(null); setEditMessage(null) }}
+                    className="text-xs text-white/60 hover:text-white"
+                  >
+                    Close
+                  </button>
+                </div>
+              )}
+
+              {editMessage && (
+                <div className={`mt-2 p-2 rounded-lg text-sm ${
+                  editMessage.type === 'success'
+                    ? 'bg-emerald-500/20 border border-emerald-400/50 text-emerald-200'
+                    : 'bg-red-500/20 border border-red-400/50 text-red-200'
+                }`}>
+                  {editMessage.text}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Export and import */}
+          {viewMode !== 'entities' && (viewMode === 'global' || selectedDocument) && (
+            <div className="mb-4 p-3 bg-white/10 border border-white/20 rounded-lg">
+              <h2 className="text-sm font-medium text-white mb-2">
+                {viewMode === 'global' ? 'Export or import the whole graph' : 'Export or import this graph'}
+              </h2>
+              <div className="flex gap-2 mb-2">
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  className="flex-1 px-2 py-1 bg-white/10 border border-white/20 rounded text-white text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                >
+                  {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                    <option key={format} value={format}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleExport}
+                  disabled={isLoading}
+                  className="bg-emerald-500/30 text-white border border-emerald-400/50 px-2 py-1 rounded text-sm hover:bg-emerald-500/50 transition-colors disabled:opacity-50"
+                >
+                  Export
+                </button>
+              </div>
               <input
-                type="text"
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                placeholder="Search entities..."
-                className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-emerald-500"
-                onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
+                ref={importInputRef}
+                type="file"
+                accept=".ttl,.jsonld,.json,.graphml,.xml,.csv"
+                multiple
+                onChange={handleImport}
+                className="hidden"
               />
               <button
-                onClick={handleSearch}
-                className="bg-emerald-500/30 text-white border border-emerald-400/50 px-3 py-2 rounded-lg hover:bg-emerald-500/50 transition-colors"
+                onClick={() => importInputRef.current?.click()}
+                disabled={isLoading}
+                className="w-full bg-white/10 text-white border border-white/20 px-2 py-1 rounded text-sm hover:bg-white/20 transition-colors disabled:opacity-50"
               >
-                <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                </svg>
+                Import files…
               </button>
+              <p className="text-xs text-white/60 mt-2">
+                {viewMode === 'global'
+                  ? 'Imported relationships go back to the documents they were exported from.'
+                  : 'Imported relationships are added to this document.'}
+                {' '}For CSV, pick the nodes and edges files together.
+              </p>
+              {transferMessage && (
+                <div className={`mt-2 p-2 rounded-lg text-sm ${
+                  transferMessage.type === 'success'
+                    ? 'bg-emerald-500/20 border border-emerald-400/50 text-emerald-200'
+                    : 'bg-red-500/20 border border-red-400/50 text-red-200'
+                }`}>
+                  {transferMessage.text}
+                </div>
+              )}
             </div>
-          </div>
+          )}
 
           {/* Document List */}
           {viewMode === 'document' && (
@@ -323,6 +1216,150 @@ const KnowledgeGraphPage = () => {
                   </div>
                 </div>
               </div>
+              {isTruncated && (
+                <p className="text-xs mt-3">
+                  Only the first {MAX_GRAPH_TRIPLETS} triplets are shown. Pick an entity to explore its neighbourhood.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Entity List */}
+          {viewMode === 'entities' && (
+            <div>
+              <h2 className="text-lg font-medium text-white mb-2">Entities</h2>
+              <p className="text-sm text-white/70 mb-4">
+                Select entities to merge them, or split aliases off an entity that mixes two things.
+              </p>
+
+              <input
+                type="text"
+                value={entityFilter}
+                onChange={(e) => setEntityFilter(e.target.value)}
+                placeholder="Filter entities..."
+                className="w-full mb-3 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              />
+
+              {entityMessage && (
+                <div className={`mb-3 p-2 rounded-lg text-sm ${
+                  entityMessage.type === 'error'
+                    ? 'bg-red-500/20 border border-red-400/50 text-red-200'
+                    : 'bg-emerald-500/20 border border-emerald-400/50 text-emerald-200'
+                }`}>
+                  {entityMessage.text}
+                </div>
+              )}
+
+              {selectedEntityIds.length >= 2 && (
+                <div className="mb-3 p-3 bg-white/10 border border-white/20 rounded-lg">
+                  <label className="block text-sm text-white/80 mb-1">Keep as</label>
+                  <select
+                    value={mergeTargetId || ''}
+                    onChange={(e) => setMergeTargetId(e.target.value)}
+                    className="w-full mb-2 px-2 py-1 bg-slate-800 border border-white/20 rounded text-white text-sm"
+                  >
+                    {selectedEntityIds.map(id => {
+                      const entity = entities.find(item => item.id === id)
+                      return entity && <option key={id} value={id}>{entity.canonical_name}</option>
+                    })}
+                  </select>
+                  <button
+                    onClick={handleMergeEntities}
+                    disabled={isLoading}
+                    className="w-full bg-emerald-500/30 text-white border border-emerald-400/50 px-3 py-1.5 rounded-lg text-sm hover:bg-emerald-500/50 transition-colors disabled:opacity-50"
+                  >
+                    Merge {selectedEntityIds.length} entities
+                  </button>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                {entities
+                  .filter(entity => {
+                    const filter = entityFilter.trim().toLowerCase()
+                    return !filter ||
+                      entity.canonical_name.toLowerCase().includes(filter) ||
+                      entity.aliases.some(alias => alias.alias.toLowerCase().includes(filter))
+                  })
+                  .map(entity => (
+                    <div
+                      key={entity.id}
+                      className={`p-3 rounded-lg border ${
+                        selectedEntityIds.includes(entity.id)
+                          ? 'bg-emerald-500/20 border-emerald-400/50'
+                          : 'bg-white/10 border-white/20'
+                      }`}
+                    >
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedEntityIds.includes(entity.id)}
+                          onChange={() => toggleEntitySelection(entity.id)}
+                        />
+                        <span className="flex-1 font-medium text-emerald-300 truncate">{entity.canonical_name}</span>
+                        <span className="text-xs px-1.5 py-0.5 rounded bg-white/10 text-white/70">{entity.type}</span>
+                      </div>
+                      <div className="mt-1 text-xs text-white/60">
+                        {entity.tripletCount} triplets
+                        {entity.aliases.length > 1 && ` • ${entity.aliases.map(alias => alias.alias).join(', ')}`}
+                      </div>
+
+                      {entity.aliases.length > 1 && splitState?.entityId !== entity.id && (
+                        <button
+                          onClick={() => startSplit(entity)}
+                          className="mt-1 text-xs text-emerald-300 hover:text-emerald-200"
+                        >
+                          Split...
+                        </button>
+                      )}
+
+                      {splitState?.entityId === entity.id && (
+                        <div className="mt-2 space-y-2">
+                          <div className="text-xs text-white/70">Move these aliases to a new entity:</div>
+                          {entity.aliases.map(alias => (
+                            <label key={alias.alias_key} className="flex items-center gap-2 text-sm text-white/80">
+                              <input
+                                type="checkbox"
+                                checked={splitState.aliasKeys.includes(alias.alias_key)}
+                                onChange={() => toggleSplitAlias(alias)}
+                              />
+                              {alias.alias}
+                            </label>
+                          ))}
+                          <input
+                            type="text"
+                            value={splitState.name}
+                            onChange={(e) => setSplitState({ ...splitState, name: e.target.value })}
+                            placeholder="New entity name"
+                            className="w-full px-2 py-1 bg-white/10 border border-white/20 rounded text-white text-sm placeholder-white/60"
+                          />
+                          <select
+                            value={splitState.type}
+                            onChange={(e) => setSplitState({ ...splitState, type: e.target.value })}
+                            className="w-full px-2 py-1 bg-slate-800 border border-white/20 rounded text-white text-sm"
+                          >
+                            {ENTITY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                          </select>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={handleSplitEntity}
+                              disabled={isLoading || splitState.aliasKeys.length === 0}
+                              className="flex-1 bg-emerald-500/30 text-white border border-emerald-400/50 px-2 py-1 rounded text-sm hover:bg-emerald-500/50 transition-colors disabled:opacity-50"
+                            >
+                              Split off
+                            </button>
+                            <button
+                              onClick={() => setSplitState(null)}
+                              className="flex-1 bg-white/10 text-white/80 border border-white/20 px-2 py-1 rounded text-sm hover:bg-white/20 transition-colors"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+              </div>
             </div>
           )}
         </div>
@@ -333,7 +1370,7 @@ const KnowledgeGraphPage = () => {
           <div className="bg-white/5 border-b border-white/20 p-4">
             <div className="flex items-center justify-between">
               <h2 className="text-lg font-medium text-white">
-                {viewMode === 'global'
+                {viewMode === 'global' || viewMode === 'entities'
                   ? 'Global Knowledge Graph'
                   : selectedDocument
                     ? `Knowledge Graph: ${selectedDocument.title}`
@@ -369,7 +1406,7 @@ const KnowledgeGraphPage = () => {
                   </svg>
                   <h3 className="text-lg font-medium mb-2">No Knowledge Graph Data</h3>
                   <p className="mb-4">
-                    {viewMode === 'global' 
+                    {viewMode !== 'document'
                       ? 'No knowledge triplets found across all documents.'
                       : selectedDocument 
                         ? 'This document has no knowledge triplets yet.'
@@ -387,7 +1424,15 @@ const KnowledgeGraphPage = () => {
                 </div>
               </div>
             ) : (
-              <KnowledgeGraphVisualization data={knowledgeData} />
+              <KnowledgeGraphVisualization
+                data={knowledgeData}
+                onNodeClick={viewMode !== 'entities' ? handleNodeClick : undefined}
+                onLinkClick={viewMode !== 'entities' ? handleLinkClick : undefined}
+                onCreateLink={viewMode !== 'entities' ? handleCreateLink : undefined}
+                selectedNodeIds={pickedNodeIds}
+                selectedLinkId={selectedTripletId}
+                highlightedPath={highlightedPath}
+              />
             )}
           </div>
         </div>
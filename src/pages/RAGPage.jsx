@@ -1,8 +1,14 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { supabase } from '../lib/supabase'
-import { askDocumentQuestion } from '../lib/rag'
+import { streamDocumentQuestion } from '../lib/rag'
+import { createConversation, saveConversationTurns, listConversations, deleteConversation } from '../lib/conversations'
 import { getDemoAnswer, hasDemoAnswers } from '../data/demoAnswers'
+import { getPassageSnippet } from '../lib/editorHighlight'
+import CitedAnswer from '../components/CitedAnswer'
+
+// Pseudo-document used to ask across every document (documentId: null)
+const ALL_DOCUMENTS = { id: null, title: 'All documents' }
 
 const RAGPage = () => {
   const navigate = useNavigate()
@@ -13,12 +19,22 @@ const RAGPage = () => {
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState('')
   const [conversationHistory, setConversationHistory] = useState([])
+  const [isStreaming, setIsStreaming] = useState(false)
+  const [graphMode, setGraphMode] = useState(false)
+  const [conversationId, setConversationId] = useState(null)
+  const [savedConversations, setSavedConversations] = useState([])
+  const abortControllerRef = useRef(null)
 
   // Load documents on component mount
   useEffect(() => {
     loadDocuments()
   }, [])
 
+  // Cancel any in-flight answer stream when leaving the page
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort()
+  }, [])
+
   const loadDocuments = async () => {
     try {
       const { data, error } = await supabase
@@ -35,11 +51,76 @@ const RAGPage = () => {
   }
 
   const handleDocumentSelect = (doc) => {
+    handleCancel()
     setSelectedDocument(doc)
     setConversationHistory([])
+    setConversationId(null)
     setAnswer('')
     setError('')
     setQuestion('')
+    loadConversations(doc)
+  }
+
+  const loadConversations = async (doc) => {
+    const result = await listConversations(doc.id)
+    setSavedConversations(result.conversations)
+  }
+
+  // Persist the thread so it can be reopened later; failures only log
+  const persistConversation = async (turns) => {
+    if (conversationId) {
+      await saveConversationTurns(conversationId, turns)
+      return
+    }
+
+    const result = await createConversation(selectedDocument.id, turns[0])
+    if (result.success) {
+      setConversationId(result.conversation.id)
+      setSavedConversations(prev => [result.conversation, ...prev])
+
+      // Any turns answered before the row existed
+      if (turns.length > 1) {
+        await saveConversationTurns(result.conversation.id, turns)
+      }
+    }
+  }
+
+  const recordTurn = (entry) => {
+    const turns = [...conversationHistory, entry]
+    setConversationHistory(turns)
+    persistConversation(turns)
+  }
+
+  const handleNewConversation = () => {
+    handleCancel()
+    setConversationHistory([])
+    setConversationId(null)
+    setAnswer('')
+    setError('')
+  }
+
+  const handleOpenConversation = (conversation) => {
+    handleCancel()
+    setConversationHistory(conversation.messages || [])
+    setConversationId(conversation.id)
+    setAnswer('')
+    setError('')
+  }
+
+  const handleDeleteConversation = async (conversation) => {
+    const result = await deleteConversation(conversation.id)
+    if (result.success) {
+      setSavedConversations(prev => prev.filter(c => c.id !== conversation.id))
+      if (conversation.id === conversationId) {
+        handleNewConversation()
+      }
+    }
+  }
+
+  const handleCancel = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort()
+    }
   }
 
   const handleSubmit = async (e) => {
@@ -73,7 +154,7 @@ const RAGPage = () => {
           isDemo: true
         }
 
-        setConversationHistory(prev => [...prev, newEntry])
+        recordTurn(newEntry)
         setAnswer('') // Clear current answer since it's now in history
         setQuestion('')
         setIsLoading(false)
@@ -81,20 +162,51 @@ const RAGPage = () => {
       return
     }
 
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+    setAnswer('')
+    setIsStreaming(true)
+
     try {
-      const result = await askDocumentQuestion(question.trim(), selectedDocument.id)
+      // selectedDocument.id is null for the "All documents" option
+      const result = await streamDocumentQuestion(question.trim(), selectedDocument.id, {
+        signal: abortController.signal,
+        history: conversationHistory,
+        graphMode,
+        onToken: (token, answerSoFar) => setAnswer(answerSoFar)
+      })
 
       if (result.success) {
         const newEntry = {
           question: question.trim(),
           answer: result.answer,
+          chunksUsed: result.chunksUsed,
+          context: result.context,
+          sources: result.sources,
+          graphFacts: result.graphFacts,
+          isGlobal: selectedDocument.id === null,
           timestamp: new Date().toLocaleTimeString()
         }
 
-        setConversationHistory(prev => [...prev, newEntry])
+        recordTurn(newEntry)
         setAnswer('') // Clear current answer since it's now in history
         setQuestion('')
+      } else if (result.aborted) {
+        // Keep whatever was generated before the user stopped it
+        if (result.answer) {
+          const newEntry = {
+            question: question.trim(),
+            answer: result.answer,
+            timestamp: new Date().toLocaleTimeString(),
+            isCancelled: true
+          }
+
+          recordTurn(newEntry)
+          setQuestion('')
+        }
+        setAnswer('')
       } else {
+        setAnswer('')
         // Improved error message
         if (result.error && result.error.includes('non-JSON response')) {
           setError('OpenAI API is not available. This demo works with the default documents above, or you can set up your OpenAI API key to use this feature with your own documents.')
@@ -112,10 +224,52 @@ const RAGPage = () => {
         setError('Unable to process your question at this time. Please try selecting one of the default documents for a demo experience.')
       }
     } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null
+      }
+      setIsStreaming(false)
       setIsLoading(false)
     }
   }
 
+  // Open the cited document in the viewer, scrolled to the cited passage
+  const handleCitationClick = async (source) => {
+    try {
+      const { data: document, error } = await supabase
+        .from('documents')
+        .select('*')
+        .eq('id', source.documentId)
+        .single()
+
+      if (error) throw error
+
+      navigate(`/view/${document.id}`, {
+        state: { document, highlight: getPassageSnippet(source.chunk), anchor: source.anchor || null }
+      })
+    } catch (err) {
+      console.error('Error opening cited document:', err)
+      setError('Could not open the cited document')
+    }
+  }
+
+  // Group an answer's supporting chunks by the document they came from
+  const getSourceDocuments = (sources = []) => {
+    const byDocument = new Map()
+    sources.forEach(source => {
+      const existing = byDocument.get(source.documentId)
+      if (existing) {
+        existing.count++
+      } else {
+        byDocument.set(source.documentId, {
+          documentId: source.documentId,
+          title: source.documentTitle || 'Untitled document',
+          count: 1
+        })
+      }
+    })
+    return Array.from(byDocument.values())
+  }
+
   const sampleQuestions = [
     "What is the main topic of this document?",
     "Can you summarize the key points?",
@@ -148,6 +302,25 @@ const RAGPage = () => {
         {/* Document Sidebar */}
         <div className="w-80 bg-white/5 border-r border-white/20 p-4 overflow-y-auto">
           <h2 className="text-lg font-medium text-white mb-4">Select Document</h2>
+
+          {/* Global Ask Option */}
+          <button
+            onClick={() => handleDocumentSelect(ALL_DOCUMENTS)}
+            className={`w-full text-left p-3 rounded-lg transition-colors mb-3 ${
+              selectedDocument === ALL_DOCUMENTS
+                ? 'bg-blue-500/30 border border-blue-400/50'
+                : 'bg-white/10 border border-white/20 hover:bg-white/20'
+            }`}
+          >
+            <div className={`font-medium ${
+              selectedDocument === ALL_DOCUMENTS ? 'text-white' : 'text-sky-300'
+            }`}>
+              All documents
+            </div>
+            <div className="text-sm text-white/60">
+              Ask across all your notes
+            </div>
+          </button>
           
           {documents.length === 0 ? (
             <div className="text-white/70 text-center py-8">
@@ -185,6 +358,44 @@ const RAGPage = () => {
               ))}
             </div>
           )}
+
+          {/* Saved Conversations */}
+          {selectedDocument && savedConversations.length > 0 && (
+            <div className="mt-6">
+              <h2 className="text-lg font-medium text-white mb-3">Previous Conversations</h2>
+              <div className="space-y-2">
+                {savedConversations.map((conversation) => (
+                  <div
+                    key={conversation.id}
+                    className={`flex items-start gap-2 p-3 rounded-lg transition-colors ${
+                      conversation.id === conversationId
+                        ? 'bg-blue-500/30 border border-blue-400/50'
+                        : 'bg-white/10 border border-white/20 hover:bg-white/20'
+                    }`}
+                  >
+                    <button
+                      onClick={() => handleOpenConversation(conversation)}
+                      className="flex-1 text-left min-w-0"
+                    >
+                      <div className="text-sm text-white truncate">{conversation.title}</div>
+                      <div className="text-xs text-white/60">
+                        {(conversation.messages || []).length} messages • {new Date(conversation.updated_at).toLocaleDateString()}
+                      </div>
+                    </button>
+                    <button
+                      onClick={() => handleDeleteConversation(conversation)}
+                      className="text-white/40 hover:text-red-300 transition-colors"
+                      title="Delete conversation"
+                    >
+                      <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Main Chat Area */}
@@ -192,10 +403,19 @@ const RAGPage = () => {
           {selectedDocument ? (
             <>
               {/* Document Header */}
-              <div className="bg-white/5 border-b border-white/20 p-4">
+              <div className="bg-white/5 border-b border-white/20 p-4 flex items-center justify-between">
                 <h2 className="text-lg font-medium text-white">
                   Asking about: {selectedDocument.title}
                 </h2>
+                {conversationHistory.length > 0 && (
+                  <button
+                    onClick={handleNewConversation}
+                    disabled={isLoading}
+                    className="text-sm text-sky-300 hover:text-sky-200 disabled:opacity-50 transition-colors"
+                  >
+                    New conversation
+                  </button>
+                )}
               </div>
 
               {/* Conversation Area */}
@@ -203,7 +423,11 @@ const RAGPage = () => {
                 {conversationHistory.length === 0 ? (
                   <div className="text-center py-12">
                     <div className="text-white/70 mb-6">
-                      <h3 className="text-lg font-medium mb-2">Ask questions about this document</h3>
+                      <h3 className="text-lg font-medium mb-2">
+                        {selectedDocument === ALL_DOCUMENTS
+                          ? 'Ask questions across all your documents'
+                          : 'Ask questions about this document'}
+                      </h3>
                       <p>Use AI to get insights, summaries, and answers from your document content.</p>
                     </div>
                     
@@ -237,7 +461,50 @@ const RAGPage = () => {
                         {/* Answer */}
                         <div className="flex justify-start">
                           <div className="bg-white/10 border border-white/20 rounded-lg p-3 max-w-2xl">
-                            <p className="text-white/90 whitespace-pre-wrap">{entry.answer}</p>
+                            <CitedAnswer
+                              answer={entry.answer}
+                              sources={entry.sources}
+                              graphFacts={entry.graphFacts}
+                              onCitationClick={handleCitationClick}
+                              className="text-white/90"
+                            />
+                            {entry.graphFacts?.length > 0 && (
+                              <div className="mt-3 pt-2 border-t border-white/10">
+                                <p className="text-white/50 text-xs mb-1">From the knowledge graph:</p>
+                                <ul className="space-y-1">
+                                  {entry.graphFacts.map(fact => (
+                                    <li key={fact.citation} className="text-xs text-white/70" title={fact.sourceSnippet || undefined}>
+                                      <span className="text-emerald-300 font-semibold mr-1">{fact.citation}</span>
+                                      {fact.subject} <span className="text-emerald-200">{fact.predicate}</span> {fact.object}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+                            {entry.isCancelled && (
+                              <p className="text-white/50 text-xs mt-2 italic">Answer stopped early</p>
+                            )}
+                            {entry.isGlobal && entry.sources?.length > 0 ? (
+                              <div className="mt-3 pt-2 border-t border-white/10">
+                                <p className="text-white/50 text-xs mb-1">Sources:</p>
+                                <div className="flex flex-wrap gap-2">
+                                  {getSourceDocuments(entry.sources).map(source => (
+                                    <button
+                                      key={source.documentId}
+                                      onClick={() => handleDocumentSelect(documents.find(doc => doc.id === source.documentId) || ALL_DOCUMENTS)}
+                                      className="text-xs text-sky-300 hover:text-sky-200 bg-white/10 border border-white/20 rounded px-2 py-1 transition-colors"
+                                      title="Ask about this document only"
+                                    >
+                                      {source.title} ({source.count})
+                                    </button>
+                                  ))}
+                                </div>
+                              </div>
+                            ) : entry.chunksUsed > 0 && (
+                              <p className="text-white/50 text-xs mt-2">
+                                Based on {entry.chunksUsed} passage{entry.chunksUsed === 1 ? '' : 's'} from this document
+                              </p>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -258,7 +525,7 @@ const RAGPage = () => {
                     
                     <div className="flex justify-start">
                       <div className="bg-white/10 border border-white/20 rounded-lg p-3 max-w-2xl">
-                        {isLoading ? (
+                        {isLoading && !answer ? (
                           <div className="flex items-center text-white/70">
                             <svg className="animate-spin h-4 w-4 mr-2" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
@@ -267,7 +534,10 @@ const RAGPage = () => {
                             Thinking...
                           </div>
                         ) : (
-                          <p className="text-white/90 whitespace-pre-wrap">{answer}</p>
+                          <p className="text-white/90 whitespace-pre-wrap">
+                            {answer}
+                            {isLoading && <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-white/70 animate-pulse"></span>}
+                          </p>
                         )}
                       </div>
                     </div>
@@ -288,18 +558,37 @@ const RAGPage = () => {
                     type="text"
                     value={question}
                     onChange={(e) => setQuestion(e.target.value)}
-                    placeholder="Ask a question about this document..."
+                    placeholder={selectedDocument === ALL_DOCUMENTS ? 'Ask a question about all your documents...' : 'Ask a question about this document...'}
                     className="flex-1 px-4 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/60 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     disabled={isLoading}
                   />
-                  <button
-                    type="submit"
-                    disabled={isLoading || !question.trim()}
-                    className="bg-blue-500/30 text-white border border-blue-400/50 px-6 py-2 rounded-lg hover:bg-blue-500/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                  >
-                    {isLoading ? 'Asking...' : 'Ask'}
-                  </button>
+                  {isStreaming ? (
+                    <button
+                      type="button"
+                      onClick={handleCancel}
+                      className="bg-red-500/30 text-white border border-red-400/50 px-6 py-2 rounded-lg hover:bg-red-500/50 transition-colors"
+                    >
+                      Stop
+                    </button>
+                  ) : (
+                    <button
+                      type="submit"
+                      disabled={isLoading || !question.trim()}
+                      className="bg-blue-500/30 text-white border border-blue-400/50 px-6 py-2 rounded-lg hover:bg-blue-500/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      {isLoading ? 'Asking...' : 'Ask'}
+                    </button>
+                  )}
                 </form>
+                <label className="flex items-center gap-2 mt-2 text-sm text-white/70">
+                  <input
+                    type="checkbox"
+                    checked={graphMode}
+                    onChange={(e) => setGraphMode(e.target.checked)}
+                    className="accent-emerald-500"
+                  />
+                  Use knowledge graph facts (good for how things are related)
+                </label>
               </div>
             </>
           ) : (
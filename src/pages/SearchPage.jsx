@@ -1,7 +1,51 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { supabase } from '../lib/supabase'
-import { hybridSearch, keywordSearch, semanticSearch } from '../lib/hybridSearchVite'
+import { hybridSearch, keywordSearch, semanticSearch } from '../lib/hybridSearch'
+import { getPassageSnippet } from '../lib/editorHighlight'
+import { FUSION_STRATEGIES, DEFAULT_FUSION } from '../lib/searchFusion'
+import { parseSearchQuery, removeSearchFilter, describeSearchFilter } from '../lib/searchQuery'
+import { saveRecentSearch } from '../lib/recentSearches'
+import {
+  groupResultsByDocument,
+  findEntityMentions,
+  computeFacets,
+  filterByFacets,
+  FACET_TYPES,
+  DEFAULT_DIVERSITY
+} from '../lib/searchResultGroups'
+
+/**
+ * Labels for the fusion strategy selector
+ */
+const FUSION_LABELS = {
+  linear: 'Weighted linear',
+  rrf: 'Reciprocal rank',
+  zscore: 'Z-score'
+}
+
+/**
+ * Order and labels of the per-stage timings shown under the search box
+ */
+const STAGE_LABELS = [
+  ['filters', 'Filters'],
+  ['embedding', 'Embedding'],
+  ['fts', 'Keyword'],
+  ['vector', 'Vector'],
+  ['sql', 'SQL'],
+  ['fusion', 'Fusion'],
+  ['rerank', 'Re-rank'],
+  ['diversity', 'Diversity']
+]
+
+/**
+ * Headings of the facet groups above the results
+ */
+const FACET_LABELS = {
+  document: 'Documents',
+  date: 'Created',
+  entity: 'Entities'
+}
 
 const SearchPage = () => {
   const navigate = useNavigate()
@@ -13,6 +57,35 @@ const SearchPage = () => {
   const [error, setError] = useState('')
   const [searchStats, setSearchStats] = useState(null)
   const [searchMode, setSearchMode] = useState('hybrid')
+  const [fusion, setFusion] = useState(DEFAULT_FUSION)
+  const [rerank, setRerank] = useState(false)
+  const [diversify, setDiversify] = useState(false)
+  const [groupByDocument, setGroupByDocument] = useState(true)
+  const [selectedFacets, setSelectedFacets] = useState({})
+  const [expandedGroups, setExpandedGroups] = useState(new Set())
+  const [resultTriplets, setResultTriplets] = useState([])
+
+  // Filters and syntax errors shown as chips under the search box
+  const parsedQuery = useMemo(() => parseSearchQuery(query), [query])
+
+  // Facets are counted over all results; the list shows those that pass the selection
+  const facetContext = useMemo(() => ({
+    documents: new Map(documents.map(doc => [doc.id, doc])),
+    mentions: findEntityMentions(results, resultTriplets),
+    now: new Date()
+  }), [documents, results, resultTriplets])
+
+  const facets = useMemo(
+    () => computeFacets(results, selectedFacets, facetContext),
+    [results, selectedFacets, facetContext]
+  )
+
+  const visibleResults = useMemo(
+    () => filterByFacets(results, selectedFacets, facetContext),
+    [results, selectedFacets, facetContext]
+  )
+
+  const resultGroups = useMemo(() => groupResultsByDocument(visibleResults), [visibleResults])
 
   // Load documents on component mount
   useEffect(() => {
@@ -34,6 +107,46 @@ const SearchPage = () => {
     }
   }
 
+  // Knowledge graph entities of the result documents, for the entity facet
+  const loadResultEntities = async (documentIds) => {
+    if (documentIds.length === 0) {
+      setResultTriplets([])
+      return
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('knowledge_graph')
+        .select('subject, object, document_id')
+        .in('document_id', documentIds)
+
+      if (error) throw error
+      setResultTriplets(data || [])
+    } catch (err) {
+      console.error('Error loading result entities:', err)
+      setResultTriplets([])
+    }
+  }
+
+  const toggleFacet = (type, value) => {
+    setSelectedFacets(current => ({
+      ...current,
+      [type]: current[type] === value ? null : value
+    }))
+  }
+
+  const toggleGroup = (documentId) => {
+    setExpandedGroups(current => {
+      const next = new Set(current)
+      if (next.has(documentId)) {
+        next.delete(documentId)
+      } else {
+        next.add(documentId)
+      }
+      return next
+    })
+  }
+
   const handleDocumentSelect = (doc) => {
     setSelectedDocument(doc)
     setResults([])
@@ -44,7 +157,7 @@ const SearchPage = () => {
   const handleResultClick = async (result) => {
     try {
       // Get the document ID from the result
-      const documentId = result.document_id || result.documentId
+      const documentId = result.documentId
       if (!documentId) {
         console.error('No document ID found in result:', result)
         return
@@ -69,36 +182,54 @@ const SearchPage = () => {
         return
       }
 
-      // Navigate to the document viewer
-      navigate(`/view/${document.id}`, { state: { document } })
+      // Open the document viewer at the matching passage
+      navigate(`/view/${document.id}`, {
+        state: {
+          document,
+          highlight: getPassageSnippet(result.text),
+          anchor: result.anchor || null
+        }
+      })
     } catch (error) {
       console.error('Error opening document:', error)
       alert('Error opening document')
     }
   }
 
-  const handleSearch = async (searchFunction, mode) => {
-    if (!query.trim()) return
+  const handleSearch = async (searchFunction, mode, searchQuery) => {
+    if (!searchQuery.trim()) return
 
     setIsSearching(true)
     setError('')
     setResults([])
+    setSelectedFacets({})
+    setExpandedGroups(new Set())
 
     try {
       const startTime = Date.now()
       const searchOptions = {
         limit: 10,
-        documentId: selectedDocument?.id || null
+        documentId: selectedDocument?.id || null,
+        fusion,
+        rerank,
+        diversity: diversify ? DEFAULT_DIVERSITY : null
       }
       
-      const result = await searchFunction(query, searchOptions)
+      const result = await searchFunction(searchQuery, searchOptions)
       const duration = Date.now() - startTime
 
       if (result.success) {
+        saveRecentSearch(searchQuery)
         setResults(result.results)
+        loadResultEntities([...new Set(result.results.map(item => item.documentId))])
         setSearchStats({
           total: result.total,
           method: result.method,
+          fusion: result.fusion,
+          reranked: result.reranked,
+          diversified: result.diversified,
+          timings: result.timings || {},
+          candidates: result.candidates || {},
           duration,
           mode
         })
@@ -112,19 +243,71 @@ const SearchPage = () => {
     }
   }
 
-  const performSearch = () => {
+  const performSearch = (searchQuery = query) => {
     switch (searchMode) {
       case 'keyword':
-        handleSearch(keywordSearch, 'keyword')
+        handleSearch(keywordSearch, 'keyword', searchQuery)
         break
       case 'semantic':
-        handleSearch(semanticSearch, 'semantic')
+        handleSearch(semanticSearch, 'semantic', searchQuery)
         break
       default:
-        handleSearch(hybridSearch, 'hybrid')
+        handleSearch(hybridSearch, 'hybrid', searchQuery)
     }
   }
 
+  const handleRemoveFilter = (filter) => {
+    const nextQuery = removeSearchFilter(query, filter)
+    setQuery(nextQuery)
+
+    // Refresh the results that the filter was narrowing
+    if (searchStats && nextQuery) {
+      performSearch(nextQuery)
+    }
+  }
+
+  const renderResult = (result) => (
+    <div
+      key={result.id}
+      onClick={() => handleResultClick(result)}
+      className="p-4 bg-white/10 border border-white/20 rounded-lg hover:bg-white/15 transition-colors cursor-pointer group"
+    >
+      {result.headingPath.length > 0 && (
+        <div className="text-xs text-yellow-300/80 mb-1 truncate">
+          {result.headingPath.join(' › ')}
+        </div>
+      )}
+      <div className="text-white mb-3 group-hover:text-yellow-100 transition-colors">
+        {result.text || result.documentTitle || 'No content'}
+      </div>
+      <div className="flex justify-between items-center text-sm">
+        <div className="text-white/60">
+          Score: {(result.score * 100).toFixed(1)}%
+          {(result.ftsRank || result.vectorRank) ? (
+            <span className="ml-4">
+              Keyword: {result.ftsRank ? `#${result.ftsRank} (${result.ftsScore.toFixed(2)})` : '—'} |
+              Vector: {result.vectorRank ? `#${result.vectorRank} (${(result.vectorScore * 100).toFixed(0)}%)` : '—'}
+            </span>
+          ) : result.ftsScore > 0 && result.vectorScore > 0 && (
+            <span className="ml-4">
+              FTS: {(result.ftsScore * 100).toFixed(0)}% |
+              Vector: {(result.vectorScore * 100).toFixed(0)}%
+            </span>
+          )}
+          {result.rerankScore !== null && (
+            <span className="ml-4">
+              Re-rank: {(result.rerankScore * 100).toFixed(0)}%
+            </span>
+          )}
+        </div>
+        <div className="text-yellow-300 group-hover:text-yellow-200 transition-colors">
+          {(result.documentId || 'unknown').substring(0, 8)}...
+          <span className="ml-2 text-xs opacity-70">Click to open</span>
+        </div>
+      </div>
+    </div>
+  )
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 text-white">
       {/* Header */}
@@ -248,6 +431,51 @@ const SearchPage = () => {
                 </button>
               </div>
 
+              {/* Ranking Options */}
+              <div className="flex items-center gap-4 mb-4 text-sm text-white/70">
+                <label className="flex items-center gap-2">
+                  Fusion
+                  <select
+                    value={fusion}
+                    onChange={(e) => setFusion(e.target.value)}
+                    className="px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                  >
+                    {FUSION_STRATEGIES.map(strategy => (
+                      <option key={strategy} value={strategy} className="bg-gray-800">
+                        {FUSION_LABELS[strategy]}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={rerank}
+                    onChange={(e) => setRerank(e.target.checked)}
+                    className="accent-yellow-500"
+                  />
+                  Re-rank top results
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={diversify}
+                    onChange={(e) => setDiversify(e.target.checked)}
+                    className="accent-yellow-500"
+                  />
+                  Diversify across documents
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={groupByDocument}
+                    onChange={(e) => setGroupByDocument(e.target.checked)}
+                    className="accent-yellow-500"
+                  />
+                  Group by document
+                </label>
+              </div>
+
               {/* Search Input */}
               <div className="flex gap-4">
                 <input
@@ -259,7 +487,7 @@ const SearchPage = () => {
                   className="flex-1 px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-white/50 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent"
                 />
                 <button
-                  onClick={performSearch}
+                  onClick={() => performSearch()}
                   disabled={isSearching || !query.trim()}
                   className="px-6 py-3 bg-yellow-600 hover:bg-yellow-700 disabled:bg-gray-600 text-white rounded-lg transition-colors font-medium"
                 >
@@ -267,11 +495,53 @@ const SearchPage = () => {
                 </button>
               </div>
 
+              {/* Query Filters */}
+              {(parsedQuery.filters.length > 0 || parsedQuery.errors.length > 0) && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {parsedQuery.filters.map(filter => (
+                    <span
+                      key={`${filter.field}-${filter.start}`}
+                      className="inline-flex items-center gap-1 px-3 py-1 text-xs rounded-full bg-yellow-500/20 border border-yellow-400/40 text-yellow-100"
+                    >
+                      {describeSearchFilter(filter)}
+                      <button
+                        onClick={() => handleRemoveFilter(filter)}
+                        className="ml-1 text-yellow-200/70 hover:text-white"
+                        aria-label={`Remove filter: ${describeSearchFilter(filter)}`}
+                      >
+                        ×
+                      </button>
+                    </span>
+                  ))}
+                  {parsedQuery.errors.map(message => (
+                    <span
+                      key={message}
+                      className="px-3 py-1 text-xs rounded-full bg-red-500/20 border border-red-400/50 text-red-300"
+                    >
+                      {message}
+                    </span>
+                  ))}
+                </div>
+              )}
+
               {/* Search Stats */}
               {searchStats && (
                 <div className="mt-4 text-sm text-white/70">
                   Found {searchStats.total} results in {searchStats.duration}ms using {searchStats.mode} search
                   {searchStats.method && ` (${searchStats.method})`}
+                  {searchStats.fusion && searchStats.fusion !== 'sql' && ` · ${FUSION_LABELS[searchStats.fusion]} fusion`}
+                  {searchStats.reranked && ' · re-ranked'}
+                  {searchStats.diversified && ' · diversified'}
+                  {searchStats.timings && (
+                    <div className="mt-1 text-xs text-white/50">
+                      {STAGE_LABELS
+                        .filter(([stage]) => searchStats.timings[stage] !== undefined)
+                        .map(([stage, label]) => `${label} ${searchStats.timings[stage]}ms`)
+                        .join(' · ')}
+                      {searchStats.candidates?.fused !== undefined &&
+                        ` — ${searchStats.candidates.fts} keyword + ${searchStats.candidates.vector} vector candidates`}
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -294,32 +564,62 @@ const SearchPage = () => {
                   <h3 className="text-lg font-medium text-white mb-4">
                     Search Results for "{query}"
                   </h3>
-                  {results.map((result, index) => (
-                    <div
-                      key={result.id || index}
-                      onClick={() => handleResultClick(result)}
-                      className="p-4 bg-white/10 border border-white/20 rounded-lg hover:bg-white/15 transition-colors cursor-pointer group"
-                    >
-                      <div className="text-white mb-3 group-hover:text-yellow-100 transition-colors">
-                        {result.chunk || result.document_title || result.text || 'No content'}
+
+                  {/* Facets */}
+                  <div className="space-y-2 mb-4">
+                    {FACET_TYPES.filter(type => facets[type].length > 0).map(type => (
+                      <div key={type} className="flex flex-wrap items-center gap-2 text-xs">
+                        <span className="w-20 text-white/50">{FACET_LABELS[type]}</span>
+                        {facets[type].map(facet => (
+                          <button
+                            key={facet.value}
+                            onClick={() => toggleFacet(type, facet.value)}
+                            className={`px-3 py-1 rounded-full border transition-colors ${
+                              selectedFacets[type] === facet.value
+                                ? 'bg-yellow-500/30 border-yellow-400/50 text-white'
+                                : 'bg-white/10 border-white/20 text-white/70 hover:bg-white/20'
+                            }`}
+                          >
+                            {facet.label} ({facet.count})
+                          </button>
+                        ))}
                       </div>
-                      <div className="flex justify-between items-center text-sm">
-                        <div className="text-white/60">
-                          Score: {((result.hybrid_score || result.score || 0) * 100).toFixed(1)}%
-                          {result.fts_score > 0 && result.vector_score > 0 && (
-                            <span className="ml-4">
-                              FTS: {(result.fts_score * 100).toFixed(0)}% |
-                              Vector: {(result.vector_score * 100).toFixed(0)}%
-                            </span>
-                          )}
-                        </div>
-                        <div className="text-yellow-300 group-hover:text-yellow-200 transition-colors">
-                          {(result.document_id || result.documentId || 'unknown').substring(0, 8)}...
-                          <span className="ml-2 text-xs opacity-70">Click to open</span>
+                    ))}
+                  </div>
+
+                  {visibleResults.length === 0 ? (
+                    <div className="text-center text-white/60 py-8 text-sm">
+                      No results match the selected facets
+                    </div>
+                  ) : groupByDocument ? (
+                    resultGroups.map(group => (
+                      <div key={group.documentId} className="space-y-2">
+                        <div className="text-sm font-medium text-yellow-300">
+                          {facetContext.documents.get(group.documentId)?.title || group.best.documentTitle || 'Untitled document'}
                         </div>
+                        {renderResult(group.best)}
+                        {group.more.length > 0 && (
+                          <>
+                            <button
+                              onClick={() => toggleGroup(group.documentId)}
+                              className="text-xs text-white/60 hover:text-yellow-200 transition-colors"
+                            >
+                              {expandedGroups.has(group.documentId)
+                                ? 'Hide other matches'
+                                : `${group.more.length} more ${group.more.length === 1 ? 'match' : 'matches'} in this document`}
+                            </button>
+                            {expandedGroups.has(group.documentId) && (
+                              <div className="ml-4 pl-4 border-l border-white/20 space-y-2">
+                                {group.more.map(result => renderResult(result))}
+                              </div>
+                            )}
+                          </>
+                        )}
                       </div>
-                    </div>
-                  ))}
+                    ))
+                  ) : (
+                    visibleResults.map(result => renderResult(result))
+                  )}
                 </div>
               ) : query && !isSearching && !error ? (
                 <div className="text-center text-white/60 py-12">
@@ -332,6 +632,9 @@ const SearchPage = () => {
                   <div className="text-sm">
                     Choose between Hybrid (balanced), Keyword (exact matches), or Semantic (meaning-based) search
                   </div>
+                  <div className="text-xs text-white/50 mt-2">
+                    Use "quotes" for phrases, -word to exclude, OR for alternatives, and title:, in:, after:2025-01-01 or before: to filter documents
+                  </div>
                 </div>
               ) : null}
 
@@ -1,6 +1,7 @@
 import { supabase } from '../lib/supabase'
 import { defaultDocuments } from '../data/defaultDocuments'
 import { defaultKnowledgeGraphs } from '../data/defaultKnowledgeGraphs'
+import { resolveTripletEntities } from '../lib/entityResolution'
 
 /**
  * Check if default documents already exist in the database
@@ -51,12 +52,12 @@ const insertDefaultKnowledgeGraphs = async (documents) => {
       if (knowledgeData.length === 0) continue
 
       // Prepare triplets for insertion
-      const tripletsToInsert = knowledgeData.map(triplet => ({
+      const tripletsToInsert = await resolveTripletEntities(supabase, knowledgeData.map(triplet => ({
         document_id: doc.id,
         subject: triplet.subject,
         predicate: triplet.predicate,
         object: triplet.object
-      }))
+      })))
 
       // Insert knowledge graph triplets
       const { error: kgError } = await supabase
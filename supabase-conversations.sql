@@ -0,0 +1,50 @@
+-- Conversations Table Setup for NeuraNotes
+-- Stores Ask AI (RAG) threads so they can be reopened later
+-- Run this AFTER creating the documents table
+-- Run this in your Supabase SQL Editor
+
+-- Create conversations table
+-- document_id is NULL for "All documents" conversations
+-- messages is an array of {question, answer, sources, timestamp} turns
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  messages JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_conversations_document_id ON conversations(document_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_updated_at ON conversations(updated_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+
+-- Drop existing policies if they exist and recreate them
+DROP POLICY IF EXISTS "Users can view conversations" ON conversations;
+DROP POLICY IF EXISTS "Users can insert conversations" ON conversations;
+DROP POLICY IF EXISTS "Users can update conversations" ON conversations;
+DROP POLICY IF EXISTS "Users can delete conversations" ON conversations;
+
+-- Create RLS policies for open access
+CREATE POLICY "Users can view conversations" ON conversations
+  FOR SELECT USING (true);
+
+CREATE POLICY "Users can insert conversations" ON conversations
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Users can update conversations" ON conversations
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Users can delete conversations" ON conversations
+  FOR DELETE USING (true);
+
+-- Grant permissions
+GRANT ALL ON conversations TO anon;
+GRANT ALL ON conversations TO authenticated;
+GRANT ALL ON conversations TO service_role;
+
+-- Success message
+SELECT 'Conversations table setup completed successfully!' as message;
@@ -0,0 +1,47 @@
+-- Embedding Model Tracking Migration for NeuraNotes
+-- Records the model and dimension of every embedding row so vectors from
+-- different models (e.g. text-embedding-3-large at 1536 vs 3072 dimensions)
+-- are never compared with each other
+-- Run this ONCE on databases created before embedding models were tracked,
+-- then re-run supabase-embeddings-only.sql, supabase-hybrid-search.sql and
+-- supabase-rag-functions.sql to install the model-aware search functions
+-- Run this in your Supabase SQL Editor
+
+-- Drop the dimension from the column type so rows of any model fit
+ALTER TABLE embeddings ALTER COLUMN embedding TYPE vector;
+
+-- Record model and dimension per row
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS embedding_dimensions INT;
+
+-- Existing rows were produced by an unknown model (often mock vectors);
+-- re-embed them with reembed-corpus.js --from legacy-unknown
+UPDATE embeddings
+SET
+  embedding_model = COALESCE(embedding_model, 'legacy-unknown'),
+  embedding_dimensions = COALESCE(embedding_dimensions, vector_dims(embedding))
+WHERE embedding_model IS NULL OR embedding_dimensions IS NULL;
+
+ALTER TABLE embeddings ALTER COLUMN embedding_model SET NOT NULL;
+ALTER TABLE embeddings ALTER COLUMN embedding_dimensions SET NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'embeddings_dimensions_match'
+        AND table_name = 'embeddings'
+    ) THEN
+        ALTER TABLE embeddings
+        ADD CONSTRAINT embeddings_dimensions_match
+        CHECK (vector_dims(embedding) = embedding_dimensions);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_model ON embeddings(embedding_model, embedding_dimensions);
+
+-- The old ivfflat index assumed vector(1536); per-model partial indexes replace it
+DROP INDEX IF EXISTS idx_embeddings_embedding;
+
+-- Success message
+SELECT 'Embedding model tracking migration completed successfully!' as message;
@@ -10,10 +10,32 @@ CREATE TABLE IF NOT EXISTS embeddings (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   document_id UUID NOT NULL,
   chunk TEXT NOT NULL,
-  embedding vector(1536) NOT NULL, -- For text-embedding-3-large
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  -- SHA-256 of chunk; lets re-indexing after an edit skip unchanged chunks
+  content_hash TEXT,
+  -- Where the chunk sits in its document: enclosing headings (outermost first),
+  -- [start_offset, end_offset) in the extracted document text, and its size
+  heading_path TEXT[] DEFAULT '{}',
+  start_offset INT,
+  end_offset INT,
+  token_count INT,
+  -- Position in the Tiptap tree: {path, offset, endPath, endOffset}, see src/lib/chunking.js
+  anchor JSONB,
+  -- Dimension varies by model; see src/lib/providers/embeddingModels.js
+  embedding vector NOT NULL,
+  embedding_model TEXT NOT NULL,
+  embedding_dimensions INT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT embeddings_dimensions_match CHECK (vector_dims(embedding) = embedding_dimensions)
 );
 
+-- Add columns introduced after the first release to existing tables
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS heading_path TEXT[] DEFAULT '{}';
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS start_offset INT;
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS end_offset INT;
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS token_count INT;
+ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS anchor JSONB;
+
 -- Add foreign key constraint to documents table
 DO $$
 BEGIN
@@ -31,11 +53,16 @@ END $$;
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_embeddings_document_id ON embeddings(document_id);
 CREATE INDEX IF NOT EXISTS idx_embeddings_created_at ON embeddings(created_at);
+CREATE INDEX IF NOT EXISTS idx_embeddings_model ON embeddings(embedding_model, embedding_dimensions);
+CREATE INDEX IF NOT EXISTS idx_embeddings_content_hash ON embeddings(document_id, content_hash);
 
--- Create vector similarity index (commented out to avoid memory issues during setup)
--- Uncomment and run this after you have some embeddings data:
--- CREATE INDEX IF NOT EXISTS idx_embeddings_embedding ON embeddings 
--- USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+-- Vector similarity indexes need a fixed dimension, so they are partial per model
+-- and built on the embedding::vector(<dimensions>) cast that match_chunks and
+-- the hybrid search functions order by (commented out to avoid memory issues
+-- during setup). Run after you have data, once per model in use:
+-- CREATE INDEX IF NOT EXISTS idx_embeddings_embedding_3_large_1536 ON embeddings
+-- USING ivfflat ((embedding::vector(1536)) vector_cosine_ops) WITH (lists = 100)
+-- WHERE embedding_model = 'text-embedding-3-large' AND embedding_dimensions = 1536;
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE embeddings ENABLE ROW LEVEL SECURITY;
@@ -65,33 +92,63 @@ GRANT ALL ON embeddings TO authenticated;
 GRANT ALL ON embeddings TO service_role;
 
 -- Function for global vector similarity search
+-- Only rows embedded with query_model at the query's dimension are compared,
+-- since <=> raises an error on vectors of different dimensions. The model and
+-- dimension are written into the query, so the planner can use the model's
+-- partial vector index above; the threshold is applied to the nearest chunks.
+-- filter_document_ids, when given, limits the search to those documents
+DROP FUNCTION IF EXISTS match_chunks(vector, float, int);
+DROP FUNCTION IF EXISTS match_chunks(vector, text, float, int);
+
 CREATE OR REPLACE FUNCTION match_chunks(
-  query_embedding vector(1536),
+  query_embedding vector,
+  query_model text,
   match_threshold float DEFAULT 0.7,
-  match_count int DEFAULT 5
+  match_count int DEFAULT 5,
+  filter_document_ids uuid[] DEFAULT NULL
 )
 RETURNS TABLE (
   id uuid,
   document_id uuid,
   chunk text,
+  heading_path text[],
+  anchor jsonb,
   similarity float
 )
-LANGUAGE sql STABLE
+LANGUAGE plpgsql STABLE
 AS $$
-  SELECT
-    embeddings.id,
-    embeddings.document_id,
-    embeddings.chunk,
-    1 - (embeddings.embedding <=> query_embedding) AS similarity
-  FROM embeddings
-  WHERE 1 - (embeddings.embedding <=> query_embedding) > match_threshold
-  ORDER BY embeddings.embedding <=> query_embedding
-  LIMIT match_count;
+BEGIN
+  RETURN QUERY EXECUTE format($query$
+    SELECT nearest.id, nearest.document_id, nearest.chunk, nearest.heading_path, nearest.anchor, nearest.similarity
+    FROM (
+      SELECT
+        e.id,
+        e.document_id,
+        e.chunk,
+        e.heading_path,
+        e.anchor,
+        1 - (e.embedding::vector(%1$s) <=> $1::vector(%1$s)) AS similarity
+      FROM embeddings e
+      WHERE e.embedding_model = %2$L
+        AND e.embedding_dimensions = %1$s
+        AND ($4::uuid[] IS NULL OR e.document_id = ANY($4))
+      ORDER BY e.embedding::vector(%1$s) <=> $1::vector(%1$s)
+      LIMIT $3
+    ) nearest
+    WHERE nearest.similarity > $2
+    ORDER BY nearest.similarity DESC
+  $query$, vector_dims(query_embedding), query_model)
+  USING query_embedding, match_threshold, match_count, filter_document_ids;
+END;
 $$;
 
 -- Function for document-specific vector similarity search
+DROP FUNCTION IF EXISTS match_document_chunks(vector, uuid, float, int);
+DROP FUNCTION IF EXISTS match_document_chunks(vector, text, uuid, float, int);
+
 CREATE OR REPLACE FUNCTION match_document_chunks(
-  query_embedding vector(1536),
+  query_embedding vector,
+  query_model text,
   target_document_id uuid,
   match_threshold float DEFAULT 0.5,
   match_count int DEFAULT 3
@@ -100,21 +157,30 @@ RETURNS TABLE (
   id uuid,
   document_id uuid,
   chunk text,
+  heading_path text[],
+  anchor jsonb,
   similarity float
 )
 LANGUAGE sql STABLE
 AS $$
-  SELECT
-    embeddings.id,
-    embeddings.document_id,
-    embeddings.chunk,
-    1 - (embeddings.embedding <=> query_embedding) AS similarity
-  FROM embeddings
-  WHERE
-    embeddings.document_id = target_document_id
-    AND 1 - (embeddings.embedding <=> query_embedding) > match_threshold
-  ORDER BY embeddings.embedding <=> query_embedding
-  LIMIT match_count;
+  SELECT nearest.id, nearest.document_id, nearest.chunk, nearest.heading_path, nearest.anchor, nearest.similarity
+  FROM (
+    SELECT
+      e.id,
+      e.document_id,
+      e.chunk,
+      e.heading_path,
+      e.anchor,
+      1 - (e.embedding <=> query_embedding) AS similarity
+    FROM embeddings e
+    WHERE e.document_id = target_document_id
+      AND e.embedding_model = query_model
+      AND e.embedding_dimensions = vector_dims(query_embedding)
+    ORDER BY e.embedding <=> query_embedding
+    LIMIT match_count
+  ) nearest
+  WHERE nearest.similarity > match_threshold
+  ORDER BY nearest.similarity DESC;
 $$;
 
 -- Function to get embeddings for a document
@@ -178,6 +244,26 @@ AS $$
   FROM embeddings;
 $$;
 
+-- Function to count embeddings per model, used to follow a re-embedding job
+CREATE OR REPLACE FUNCTION get_embedding_model_stats()
+RETURNS TABLE (
+  embedding_model text,
+  embedding_dimensions int,
+  total_embeddings bigint,
+  total_documents bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    e.embedding_model,
+    e.embedding_dimensions,
+    COUNT(*) as total_embeddings,
+    COUNT(DISTINCT e.document_id) as total_documents
+  FROM embeddings e
+  GROUP BY e.embedding_model, e.embedding_dimensions
+  ORDER BY e.embedding_model, e.embedding_dimensions;
+$$;
+
 -- Grant execute permissions on functions
 GRANT EXECUTE ON FUNCTION match_chunks TO anon;
 GRANT EXECUTE ON FUNCTION match_chunks TO authenticated;
@@ -199,5 +285,9 @@ GRANT EXECUTE ON FUNCTION get_embedding_stats TO anon;
 GRANT EXECUTE ON FUNCTION get_embedding_stats TO authenticated;
 GRANT EXECUTE ON FUNCTION get_embedding_stats TO service_role;
 
+GRANT EXECUTE ON FUNCTION get_embedding_model_stats TO anon;
+GRANT EXECUTE ON FUNCTION get_embedding_model_stats TO authenticated;
+GRANT EXECUTE ON FUNCTION get_embedding_model_stats TO service_role;
+
 -- Success message
 SELECT 'Embeddings table setup completed successfully!' as message;
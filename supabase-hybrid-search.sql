@@ -7,100 +7,174 @@ CREATE INDEX IF NOT EXISTS idx_embeddings_fts ON embeddings
 USING GIN (to_tsvector('english', chunk));
 
 -- Hybrid search function that combines FTS and vector similarity
+-- Both halves only look at rows embedded with query_model, so a corpus that is
+-- being re-embedded does not return every chunk twice. Distances are only
+-- computed for rows that passed that filter, since <=> raises an error on
+-- vectors of different dimensions. The model and dimension are written into
+-- the query, so the planner can use the FTS index above and the model's
+-- partial vector index (see supabase-embeddings-only.sql)
+-- query_text uses websearch_to_tsquery syntax: "phrases", -exclusions and OR;
+-- filter_document_ids, when given, limits both halves to those documents
+DROP FUNCTION IF EXISTS hybrid_search(vector, text, int, float, float);
+DROP FUNCTION IF EXISTS hybrid_search(vector, text, text, int, float, float);
+
 CREATE OR REPLACE FUNCTION hybrid_search(
-  query_embedding vector(1536),
+  query_embedding vector,
+  query_model TEXT,
   query_text TEXT,
   match_count int DEFAULT 10,
   fts_weight float DEFAULT 0.5,
-  vector_weight float DEFAULT 0.5
+  vector_weight float DEFAULT 0.5,
+  filter_document_ids uuid[] DEFAULT NULL
 )
 RETURNS TABLE (
   id uuid,
   document_id uuid,
   chunk text,
+  heading_path text[],
+  anchor jsonb,
   fts_score float,
   vector_score float,
   hybrid_score float
 )
-LANGUAGE sql STABLE
+LANGUAGE plpgsql STABLE
 AS $$
-  WITH fts_results AS (
-    SELECT 
-      e.id,
-      e.document_id,
-      e.chunk,
-      e.embedding,
-      ts_rank(to_tsvector('english', e.chunk), plainto_tsquery('english', query_text)) as fts_rank
-    FROM embeddings e
-    WHERE to_tsvector('english', e.chunk) @@ plainto_tsquery('english', query_text)
-  ),
-  vector_results AS (
-    SELECT 
-      e.id,
-      e.document_id,
-      e.chunk,
-      e.embedding,
-      1 - (e.embedding <=> query_embedding) as vector_similarity
-    FROM embeddings e
-    ORDER BY e.embedding <=> query_embedding
-    LIMIT match_count * 2  -- Get more candidates for better hybrid results
-  ),
-  combined_results AS (
-    SELECT 
-      COALESCE(f.id, v.id) as id,
-      COALESCE(f.document_id, v.document_id) as document_id,
-      COALESCE(f.chunk, v.chunk) as chunk,
-      COALESCE(f.fts_rank, 0.0) as fts_score,
-      COALESCE(v.vector_similarity, 0.0) as vector_score
-    FROM fts_results f
-    FULL OUTER JOIN vector_results v ON f.id = v.id
-  )
-  SELECT 
-    cr.id,
-    cr.document_id,
-    cr.chunk,
-    cr.fts_score,
-    cr.vector_score,
-    (fts_weight * cr.fts_score + vector_weight * cr.vector_score) as hybrid_score
-  FROM combined_results cr
-  WHERE cr.fts_score > 0 OR cr.vector_score > 0.7  -- Filter low-quality matches
-  ORDER BY hybrid_score DESC
-  LIMIT match_count;
+BEGIN
+  RETURN QUERY EXECUTE format($query$
+    WITH fts_results AS (
+      SELECT
+        e.id,
+        e.document_id,
+        e.chunk,
+        e.heading_path,
+        e.anchor,
+        ts_rank(to_tsvector('english', e.chunk), websearch_to_tsquery('english', $2)) as fts_rank
+      FROM embeddings e
+      WHERE e.embedding_model = %2$L
+        AND e.embedding_dimensions = %1$s
+        AND ($6::uuid[] IS NULL OR e.document_id = ANY($6))
+        AND to_tsvector('english', e.chunk) @@ websearch_to_tsquery('english', $2)
+    ),
+    vector_results AS (
+      SELECT
+        e.id,
+        e.document_id,
+        e.chunk,
+        e.heading_path,
+        e.anchor,
+        1 - (e.embedding::vector(%1$s) <=> $1::vector(%1$s)) as vector_similarity
+      FROM embeddings e
+      WHERE e.embedding_model = %2$L
+        AND e.embedding_dimensions = %1$s
+        AND ($6::uuid[] IS NULL OR e.document_id = ANY($6))
+      ORDER BY e.embedding::vector(%1$s) <=> $1::vector(%1$s)
+      LIMIT $3 * 2  -- Get more candidates for better hybrid results
+    ),
+    combined_results AS (
+      SELECT
+        COALESCE(f.id, v.id) as id,
+        COALESCE(f.document_id, v.document_id) as document_id,
+        COALESCE(f.chunk, v.chunk) as chunk,
+        COALESCE(f.heading_path, v.heading_path) as heading_path,
+        COALESCE(f.anchor, v.anchor) as anchor,
+        COALESCE(f.fts_rank, 0.0)::float as fts_score,
+        COALESCE(v.vector_similarity, 0.0)::float as vector_score
+      FROM fts_results f
+      FULL OUTER JOIN vector_results v ON f.id = v.id
+    )
+    SELECT
+      cr.id,
+      cr.document_id,
+      cr.chunk,
+      cr.heading_path,
+      cr.anchor,
+      cr.fts_score,
+      cr.vector_score,
+      ($4 * cr.fts_score + $5 * cr.vector_score) as hybrid_score
+    FROM combined_results cr
+    WHERE cr.fts_score > 0 OR cr.vector_score > 0.7  -- Filter low-quality matches
+    ORDER BY hybrid_score DESC
+    LIMIT $3
+  $query$, vector_dims(query_embedding), query_model)
+  USING query_embedding, query_text, match_count, fts_weight, vector_weight, filter_document_ids;
+END;
 $$;
 
 -- Alternative simpler hybrid search function
+-- Candidates are the FTS matches plus the match_count nearest chunks within
+-- the similarity threshold; no chunk outside those could rank higher
+DROP FUNCTION IF EXISTS simple_hybrid_search(vector, text, int);
+DROP FUNCTION IF EXISTS simple_hybrid_search(vector, text, text, int);
+
 CREATE OR REPLACE FUNCTION simple_hybrid_search(
-  query_embedding vector(1536),
+  query_embedding vector,
+  query_model TEXT,
   query_text TEXT,
-  match_count int DEFAULT 10
+  match_count int DEFAULT 10,
+  filter_document_ids uuid[] DEFAULT NULL
 )
 RETURNS TABLE (
   id uuid,
   document_id uuid,
   chunk text,
+  heading_path text[],
+  anchor jsonb,
   hybrid_score float
 )
-LANGUAGE sql STABLE
+LANGUAGE plpgsql STABLE
 AS $$
-  SELECT 
-    e.id,
-    e.document_id,
-    e.chunk,
-    (
-      0.5 * ts_rank(to_tsvector('english', e.chunk), plainto_tsquery('english', query_text)) +
-      0.5 * (1 - (e.embedding <=> query_embedding))
-    ) as hybrid_score
-  FROM embeddings e
-  WHERE 
-    to_tsvector('english', e.chunk) @@ plainto_tsquery('english', query_text)
-    OR (e.embedding <=> query_embedding) < 0.3  -- Vector similarity threshold
-  ORDER BY hybrid_score DESC
-  LIMIT match_count;
+BEGIN
+  RETURN QUERY EXECUTE format($query$
+    WITH fts_matches AS (
+      SELECT e.id
+      FROM embeddings e
+      WHERE e.embedding_model = %2$L
+        AND e.embedding_dimensions = %1$s
+        AND ($4::uuid[] IS NULL OR e.document_id = ANY($4))
+        AND to_tsvector('english', e.chunk) @@ websearch_to_tsquery('english', $2)
+    ),
+    nearest AS (
+      SELECT e.id, e.embedding::vector(%1$s) <=> $1::vector(%1$s) as distance
+      FROM embeddings e
+      WHERE e.embedding_model = %2$L
+        AND e.embedding_dimensions = %1$s
+        AND ($4::uuid[] IS NULL OR e.document_id = ANY($4))
+      ORDER BY e.embedding::vector(%1$s) <=> $1::vector(%1$s)
+      LIMIT $3
+    ),
+    candidates AS (
+      SELECT f.id FROM fts_matches f
+      UNION
+      SELECT n.id FROM nearest n WHERE n.distance < 0.3  -- Vector similarity threshold
+    )
+    SELECT
+      e.id,
+      e.document_id,
+      e.chunk,
+      e.heading_path,
+      e.anchor,
+      (
+        0.5 * ts_rank(to_tsvector('english', e.chunk), websearch_to_tsquery('english', $2)) +
+        0.5 * (1 - (e.embedding::vector(%1$s) <=> $1::vector(%1$s)))
+      )::float as hybrid_score
+    FROM candidates c
+    JOIN embeddings e ON e.id = c.id
+    ORDER BY hybrid_score DESC
+    LIMIT $3
+  $query$, vector_dims(query_embedding), query_model)
+  USING query_embedding, query_text, match_count, filter_document_ids;
+END;
 $$;
 
 -- Function for document-specific hybrid search
+-- A document has few chunks, so this stays plain SQL; distances are still
+-- only computed for rows of query_model
+DROP FUNCTION IF EXISTS hybrid_search_document(vector, text, uuid, int);
+DROP FUNCTION IF EXISTS hybrid_search_document(vector, text, text, uuid, int);
+
 CREATE OR REPLACE FUNCTION hybrid_search_document(
-  query_embedding vector(1536),
+  query_embedding vector,
+  query_model TEXT,
   query_text TEXT,
   target_document_id uuid,
   match_count int DEFAULT 5
@@ -108,24 +182,43 @@ CREATE OR REPLACE FUNCTION hybrid_search_document(
 RETURNS TABLE (
   id uuid,
   chunk text,
+  heading_path text[],
+  anchor jsonb,
   hybrid_score float
 )
 LANGUAGE sql STABLE
 AS $$
+  WITH model_embeddings AS (
+    SELECT e.id, e.chunk, e.heading_path, e.anchor, e.embedding
+    FROM embeddings e
+    WHERE e.document_id = target_document_id
+      AND e.embedding_model = query_model
+      AND e.embedding_dimensions = vector_dims(query_embedding)
+  ),
+  nearest AS (
+    SELECT e.id, e.embedding <=> query_embedding as distance
+    FROM model_embeddings e
+    ORDER BY e.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  candidates AS (
+    SELECT e.id
+    FROM model_embeddings e
+    WHERE to_tsvector('english', e.chunk) @@ websearch_to_tsquery('english', query_text)
+    UNION
+    SELECT n.id FROM nearest n WHERE n.distance < 0.3
+  )
   SELECT 
     e.id,
     e.chunk,
+    e.heading_path,
+    e.anchor,
     (
-      0.5 * ts_rank(to_tsvector('english', e.chunk), plainto_tsquery('english', query_text)) +
+      0.5 * ts_rank(to_tsvector('english', e.chunk), websearch_to_tsquery('english', query_text)) +
       0.5 * (1 - (e.embedding <=> query_embedding))
     ) as hybrid_score
-  FROM embeddings e
-  WHERE 
-    e.document_id = target_document_id
-    AND (
-      to_tsvector('english', e.chunk) @@ plainto_tsquery('english', query_text)
-      OR (e.embedding <=> query_embedding) < 0.3
-    )
+  FROM candidates c
+  JOIN model_embeddings e ON e.id = c.id
   ORDER BY hybrid_score DESC
   LIMIT match_count;
 $$;
@@ -13,17 +13,94 @@ CREATE TABLE IF NOT EXISTS knowledge_graph (
 -- Add source_snippet column if it doesn't exist (for existing tables)
 ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS source_snippet TEXT;
 
+-- Extraction confidence between 0 and 1; set by the local extractor
+-- (src/lib/tripletExtraction.js), NULL for model-extracted triplets
+ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS confidence REAL;
+
+-- Where source_snippet is in the document: {path, offset, endPath, endOffset},
+-- the same shape as embeddings.anchor (see src/lib/provenance.js). NULL for
+-- documents without editor nodes and triplets not anchored yet.
+ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS source_anchor JSONB;
+
+-- Set when an edit deleted the sentence the triplet was extracted from
+ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS is_stale BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Who created the triplet: the extractor, or a user editing the graph
+-- (see src/lib/graphCuration.js)
+ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS created_by TEXT NOT NULL DEFAULT 'extractor';
+ALTER TABLE knowledge_graph DROP CONSTRAINT IF EXISTS knowledge_graph_created_by_check;
+ALTER TABLE knowledge_graph ADD CONSTRAINT knowledge_graph_created_by_check CHECK (created_by IN ('extractor', 'user'));
+
+-- Set when a user confirms the triplet; verified triplets survive re-extraction
+ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS is_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Relation type the predicate maps to in the ontology (see
+-- src/data/relationTypes.js); NULL when no relation type matches
+ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS relation_type TEXT;
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_knowledge_graph_document_id ON knowledge_graph(document_id);
 CREATE INDEX IF NOT EXISTS idx_knowledge_graph_subject ON knowledge_graph(subject);
 CREATE INDEX IF NOT EXISTS idx_knowledge_graph_predicate ON knowledge_graph(predicate);
 CREATE INDEX IF NOT EXISTS idx_knowledge_graph_object ON knowledge_graph(object);
 CREATE INDEX IF NOT EXISTS idx_knowledge_graph_created_at ON knowledge_graph(created_at);
+CREATE INDEX IF NOT EXISTS idx_knowledge_graph_relation_type ON knowledge_graph(relation_type);
 
 -- Create a composite index for subject-predicate-object uniqueness
 CREATE UNIQUE INDEX IF NOT EXISTS idx_knowledge_graph_unique_triplet 
 ON knowledge_graph(document_id, subject, predicate, object);
 
+-- Entities: one row per real-world thing, however the triplets write it
+-- (see src/lib/entityResolution.js)
+CREATE TABLE IF NOT EXISTS entities (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  canonical_name TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'concept' CHECK (type IN ('person', 'org', 'concept', 'date')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Ways an entity is written. alias_key is the normalised name ('name') or
+-- the acronym of a multi-word name ('acronym'); each resolves to one entity
+CREATE TABLE IF NOT EXISTS entity_aliases (
+  alias_key TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'name' CHECK (kind IN ('name', 'acronym')),
+  alias TEXT NOT NULL,
+  entity_id UUID NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (alias_key, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_entity_aliases_entity_id ON entity_aliases(entity_id);
+CREATE INDEX IF NOT EXISTS idx_entities_canonical_name ON entities(canonical_name);
+
+-- Triplets keep subject and object as written and point at their entities
+ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS subject_entity_id UUID REFERENCES entities(id) ON DELETE SET NULL;
+ALTER TABLE knowledge_graph ADD COLUMN IF NOT EXISTS object_entity_id UUID REFERENCES entities(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_graph_subject_entity_id ON knowledge_graph(subject_entity_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_graph_object_entity_id ON knowledge_graph(object_entity_id);
+
+ALTER TABLE entities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE entity_aliases ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage entities" ON entities;
+DROP POLICY IF EXISTS "Users can manage entity aliases" ON entity_aliases;
+
+CREATE POLICY "Users can manage entities" ON entities
+  FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "Users can manage entity aliases" ON entity_aliases
+  FOR ALL USING (true) WITH CHECK (true);
+
+GRANT ALL ON entities TO anon;
+GRANT ALL ON entities TO authenticated;
+GRANT ALL ON entities TO service_role;
+
+GRANT ALL ON entity_aliases TO anon;
+GRANT ALL ON entity_aliases TO authenticated;
+GRANT ALL ON entity_aliases TO service_role;
+
 -- Enable Row Level Security (RLS)
 ALTER TABLE knowledge_graph ENABLE ROW LEVEL SECURITY;
 
@@ -55,6 +132,8 @@ GRANT ALL ON knowledge_graph TO service_role;
 DROP FUNCTION IF EXISTS get_document_knowledge_graph(UUID);
 
 -- Create a function to get knowledge graph for a document
+-- subject_name/object_name are the canonical entity names, falling back to
+-- the text as written for triplets that are not resolved yet
 CREATE OR REPLACE FUNCTION get_document_knowledge_graph(target_document_id UUID)
 RETURNS TABLE (
   id UUID,
@@ -62,7 +141,19 @@ RETURNS TABLE (
   predicate TEXT,
   object TEXT,
   source_snippet TEXT,
-  created_at TIMESTAMP WITH TIME ZONE
+  confidence REAL,
+  source_anchor JSONB,
+  is_stale BOOLEAN,
+  created_by TEXT,
+  is_verified BOOLEAN,
+  relation_type TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  subject_entity_id UUID,
+  subject_name TEXT,
+  subject_type TEXT,
+  object_entity_id UUID,
+  object_name TEXT,
+  object_type TEXT
 )
 LANGUAGE sql STABLE
 AS $$
@@ -72,8 +163,22 @@ AS $$
     kg.predicate,
     kg.object,
     kg.source_snippet,
-    kg.created_at
+    kg.confidence,
+    kg.source_anchor,
+    kg.is_stale,
+    kg.created_by,
+    kg.is_verified,
+    kg.relation_type,
+    kg.created_at,
+    kg.subject_entity_id,
+    COALESCE(se.canonical_name, kg.subject),
+    se.type,
+    kg.object_entity_id,
+    COALESCE(oe.canonical_name, kg.object),
+    oe.type
   FROM knowledge_graph kg
+  LEFT JOIN entities se ON se.id = kg.subject_entity_id
+  LEFT JOIN entities oe ON oe.id = kg.object_entity_id
   WHERE kg.document_id = target_document_id
   ORDER BY kg.created_at DESC;
 $$;
@@ -82,6 +187,8 @@ $$;
 DROP FUNCTION IF EXISTS search_knowledge_graph(TEXT, UUID);
 
 -- Create a function to search knowledge graph by entity
+-- An entity matches by its canonical name or any of its aliases, so
+-- searching "AI" also finds triplets that say "Artificial Intelligence"
 CREATE OR REPLACE FUNCTION search_knowledge_graph(
   search_term TEXT,
   target_document_id UUID DEFAULT NULL
@@ -92,26 +199,59 @@ RETURNS TABLE (
   predicate TEXT,
   object TEXT,
   source_snippet TEXT,
+  confidence REAL,
+  source_anchor JSONB,
+  is_stale BOOLEAN,
+  created_by TEXT,
+  is_verified BOOLEAN,
+  relation_type TEXT,
   document_id UUID,
-  created_at TIMESTAMP WITH TIME ZONE
+  created_at TIMESTAMP WITH TIME ZONE,
+  subject_entity_id UUID,
+  subject_name TEXT,
+  subject_type TEXT,
+  object_entity_id UUID,
+  object_name TEXT,
+  object_type TEXT
 )
 LANGUAGE sql STABLE
 AS $$
+  WITH matching_entities AS (
+    SELECT e.id FROM entities e WHERE e.canonical_name ILIKE '%' || search_term || '%'
+    UNION
+    SELECT a.entity_id FROM entity_aliases a WHERE a.alias ILIKE '%' || search_term || '%'
+  )
   SELECT
     kg.id,
     kg.subject,
     kg.predicate,
     kg.object,
     kg.source_snippet,
+    kg.confidence,
+    kg.source_anchor,
+    kg.is_stale,
+    kg.created_by,
+    kg.is_verified,
+    kg.relation_type,
     kg.document_id,
-    kg.created_at
+    kg.created_at,
+    kg.subject_entity_id,
+    COALESCE(se.canonical_name, kg.subject),
+    se.type,
+    kg.object_entity_id,
+    COALESCE(oe.canonical_name, kg.object),
+    oe.type
   FROM knowledge_graph kg
+  LEFT JOIN entities se ON se.id = kg.subject_entity_id
+  LEFT JOIN entities oe ON oe.id = kg.object_entity_id
   WHERE
     (target_document_id IS NULL OR kg.document_id = target_document_id)
     AND (
       kg.subject ILIKE '%' || search_term || '%' OR
       kg.predicate ILIKE '%' || search_term || '%' OR
-      kg.object ILIKE '%' || search_term || '%'
+      kg.object ILIKE '%' || search_term || '%' OR
+      kg.subject_entity_id IN (SELECT me.id FROM matching_entities me) OR
+      kg.object_entity_id IN (SELECT me.id FROM matching_entities me)
     )
   ORDER BY kg.created_at DESC;
 $$;
@@ -1,9 +1,13 @@
--- Drop existing function if it exists
-DROP FUNCTION IF EXISTS match_document_chunks;
+-- Drop the previous signatures and create function for document-specific chunk matching
+-- Distances are computed in the inner query, after the model filter, since <=>
+-- raises an error on vectors of different dimensions; taking the nearest
+-- chunks before the threshold gives the same rows as the other way round
+DROP FUNCTION IF EXISTS match_document_chunks(vector, uuid, float, int);
+DROP FUNCTION IF EXISTS match_document_chunks(vector, text, uuid, float, int);
 
--- Create function for document-specific chunk matching
 CREATE OR REPLACE FUNCTION match_document_chunks(
-  query_embedding vector(1536),
+  query_embedding vector,
+  query_model text,
   target_document_id uuid,
   match_threshold float DEFAULT 0.5,
   match_count int DEFAULT 3
@@ -12,21 +16,30 @@ RETURNS TABLE (
   id uuid,
   document_id uuid,
   chunk text,
+  heading_path text[],
+  anchor jsonb,
   similarity float
 )
 LANGUAGE sql STABLE
 AS $$
-  SELECT
-    embeddings.id,
-    embeddings.document_id,
-    embeddings.chunk,
-    1 - (embeddings.embedding <=> query_embedding) AS similarity
-  FROM embeddings
-  WHERE
-    embeddings.document_id = target_document_id
-    AND 1 - (embeddings.embedding <=> query_embedding) > match_threshold
-  ORDER BY embeddings.embedding <=> query_embedding
-  LIMIT match_count;
+  SELECT nearest.id, nearest.document_id, nearest.chunk, nearest.heading_path, nearest.anchor, nearest.similarity
+  FROM (
+    SELECT
+      e.id,
+      e.document_id,
+      e.chunk,
+      e.heading_path,
+      e.anchor,
+      1 - (e.embedding <=> query_embedding) AS similarity
+    FROM embeddings e
+    WHERE e.document_id = target_document_id
+      AND e.embedding_model = query_model
+      AND e.embedding_dimensions = vector_dims(query_embedding)
+    ORDER BY e.embedding <=> query_embedding
+    LIMIT match_count
+  ) nearest
+  WHERE nearest.similarity > match_threshold
+  ORDER BY nearest.similarity DESC;
 $$;
 
 -- Grant permissions for the function
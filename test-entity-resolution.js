@@ -0,0 +1,129 @@
+// Test script for knowledge graph entity resolution (src/lib/entityResolution.js)
+// Run this with: npm run test:entities
+//
+// Checks name normalisation, type inference and how a batch of
+// mentions resolves against known aliases, without a database.
+import assert from 'node:assert/strict'
+import {
+  entityKey,
+  isAcronym,
+  entityAcronym,
+  inferEntityType,
+  chooseCanonicalName,
+  aliasesForName,
+  planEntityResolution,
+  settleNewEntities
+} from './src/lib/entityResolution.js'
+import { createChecks } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+/**
+ * Mentions as resolveTripletEntities builds them
+ */
+const mentionsOf = (names) => names.map(name => ({ name, type: inferEntityType(name) }))
+
+/**
+ * Canonical names of the entities a plan creates, sorted
+ */
+const newNames = (plan) => plan.newEntities.map(entity => entity.canonical_name).sort()
+
+async function testEntityResolution() {
+  console.log('🧪 Testing knowledge graph entity resolution\n')
+
+  check('entity keys ignore case, accents, articles and plurals', () => {
+    assert.equal(entityKey('Artificial Intelligence'), entityKey('artificial intelligence'))
+    assert.equal(entityKey('The Neural Networks'), entityKey('neural network'))
+    assert.equal(entityKey('Gödel'), entityKey('Godel'))
+    assert.equal(entityKey("Turing's"), entityKey('Turing'))
+    assert.equal(entityKey('R&D'), entityKey('R and D'))
+    assert.notEqual(entityKey('Apple'), entityKey('Apple Inc'))
+    assert.equal(entityKey('...'), '')
+  })
+
+  check('acronyms are recognised and derived from capitalised names', () => {
+    assert.ok(isAcronym('AI'))
+    assert.ok(isAcronym('LLMs'))
+    assert.ok(!isAcronym('Ai'))
+    assert.ok(!isAcronym('A'))
+    assert.equal(entityAcronym('Artificial Intelligence'), 'ai')
+    assert.equal(entityAcronym('Natural Language Processing'), 'nlp')
+    assert.equal(entityAcronym('machine learning'), null)
+    assert.equal(entityAcronym('Turing'), null)
+  })
+
+  check('types come from the extractor, then the name and predicate', () => {
+    assert.equal(inferEntityType('Turing Machine', { type: 'person' }), 'person')
+    assert.equal(inferEntityType('Turing Machine', { type: 'planet' }), 'concept')
+    assert.equal(inferEntityType('1936'), 'date')
+    assert.equal(inferEntityType('March 2024'), 'date')
+    assert.equal(inferEntityType('Apple Inc.'), 'org')
+    assert.equal(inferEntityType('Dr. Ada Lovelace'), 'person')
+    assert.equal(inferEntityType('Alan Turing', { predicate: 'invented', role: 'subject' }), 'person')
+    assert.equal(inferEntityType('Machine Learning'), 'concept')
+  })
+
+  check('canonical names prefer spelled-out, frequent, capitalised forms', () => {
+    assert.equal(chooseCanonicalName(['AI', 'AI', 'Artificial Intelligence']), 'Artificial Intelligence')
+    assert.equal(chooseCanonicalName(['machine learning', 'Machine Learning', 'Machine Learning']), 'Machine Learning')
+    assert.equal(chooseCanonicalName(['machine learning', 'Machine Learning']), 'Machine Learning')
+  })
+
+  check('multi-word names get an acronym alias', () => {
+    assert.deepEqual(aliasesForName('Artificial Intelligence').map(row => row.kind), ['name', 'acronym'])
+    assert.deepEqual(aliasesForName('AI').map(row => row.kind), ['name'])
+  })
+
+  check('spellings and acronyms in one batch fold into one entity', () => {
+    const plan = planEntityResolution(
+      mentionsOf(['AI', 'Artificial Intelligence', 'artificial intelligence', 'ML', 'Machine Learning', 'Healthcare']),
+      [],
+      new Map()
+    )
+    assert.deepEqual(newNames(plan), ['Artificial Intelligence', 'Healthcare', 'Machine Learning'])
+    assert.equal(plan.assignments.get(entityKey('AI')).newEntity, plan.assignments.get(entityKey('artificial intelligence')).newEntity)
+  })
+
+  check('mentions resolve to known entities through their aliases', () => {
+    const entities = new Map([['e1', { id: 'e1', canonical_name: 'Artificial Intelligence', type: 'concept' }]])
+    const aliases = aliasesForName('Artificial Intelligence').map(row => ({ ...row, entity_id: 'e1' }))
+
+    const plan = planEntityResolution(mentionsOf(['AI', 'artificial intelligence', 'Robotics']), aliases, entities)
+    assert.deepEqual(plan.assignments.get(entityKey('AI')), { entityId: 'e1' })
+    assert.deepEqual(plan.assignments.get(entityKey('artificial intelligence')), { entityId: 'e1' })
+    assert.deepEqual(newNames(plan), ['Robotics'])
+
+    // "AI" is new to the known entity, so it is recorded as one of its aliases
+    assert.ok(plan.newAliases.some(row => row.alias === 'AI' && row.entity_id === 'e1'))
+  })
+
+  check('ambiguous acronyms stay separate', () => {
+    const plan = planEntityResolution(mentionsOf(['AI', 'Artificial Intelligence', 'Amnesty International']), [], new Map())
+    assert.deepEqual(newNames(plan), ['AI', 'Amnesty International', 'Artificial Intelligence'])
+  })
+
+  check('entities created by a concurrent extraction give way to the first one', () => {
+    const plan = planEntityResolution(mentionsOf(['Alan Turing', 'Enigma']), [], new Map())
+    const turing = plan.newEntities.findIndex(entity => entity.canonical_name === 'Alan Turing')
+    const createdIds = plan.newEntities.map((_, index) => `new-${index}`)
+
+    // Another extraction stored the aliases of Alan Turing first
+    const stored = plan.newAliases.map(row => ({
+      alias_key: row.alias_key,
+      kind: row.kind,
+      entity_id: row.newEntity === turing ? 'existing-turing' : createdIds[row.newEntity]
+    }))
+
+    const { entityIds, orphans } = settleNewEntities(plan, createdIds, stored)
+    assert.equal(entityIds[turing], 'existing-turing')
+    assert.equal(entityIds[1 - turing], createdIds[1 - turing])
+    assert.deepEqual(orphans, [createdIds[turing]])
+
+    assert.deepEqual(settleNewEntities(plan, createdIds, []).orphans, [], 'aliases that cannot be read back keep the new entity')
+  })
+
+  await runChecks('entity resolution')
+}
+
+// Run the test
+testEntityResolution()
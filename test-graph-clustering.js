@@ -0,0 +1,143 @@
+// Test script for graph clustering and search-to-focus (src/lib/graphClustering.js)
+// Run this with: npm run test:clustering
+//
+// Finds communities in small graphs with a known structure,
+// collapses them into super-nodes and checks the search ranking.
+import assert from 'node:assert/strict'
+import {
+  detectCommunities,
+  collapseCommunities,
+  searchNodes,
+  endpointId,
+  CLUSTER_PREFIX
+} from './src/lib/graphClustering.js'
+import { createChecks } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+/**
+ * Cliques of the given sizes, each joined to the next by one link
+ */
+const cliques = (...sizes) => {
+  const nodes = []
+  const links = []
+  const firsts = []
+
+  sizes.forEach((size, clique) => {
+    const ids = Array.from({ length: size }, (_, i) => `n${clique}-${i}`)
+    firsts.push(ids[0])
+    ids.forEach((id, i) => {
+      nodes.push({ id, label: `Node ${clique}-${i}`, connections: 0 })
+      for (const other of ids.slice(i + 1)) {
+        links.push({ id: `${id}~${other}`, source: id, target: other, label: 'knows' })
+      }
+    })
+  })
+
+  firsts.slice(1).forEach((id, i) => {
+    links.push({ id: `${firsts[i]}~${id}`, source: firsts[i], target: id, label: 'bridges' })
+  })
+
+  links.forEach(link => {
+    nodes.find(node => node.id === link.source).connections++
+    nodes.find(node => node.id === link.target).connections++
+  })
+
+  return { nodes, links }
+}
+
+async function testGraphClustering() {
+  console.log('🧪 Testing graph clustering\n')
+
+  check('densely linked groups become communities', () => {
+    const { nodes, links } = cliques(5, 5, 5)
+    const communities = detectCommunities(nodes, links)
+
+    assert.deepEqual(new Set(communities.values()), new Set(['c0', 'c1', 'c2']))
+    for (const clique of [0, 1, 2]) {
+      const ids = nodes.filter(node => node.id.startsWith(`n${clique}-`)).map(node => communities.get(node.id))
+      assert.equal(new Set(ids).size, 1, `clique ${clique} stays together`)
+    }
+    assert.equal(communities.get('n0-0'), 'c0', 'ids follow the order of first members')
+  })
+
+  check('the same graph always gives the same communities', () => {
+    const { nodes, links } = cliques(6, 4, 5, 3)
+    assert.deepEqual(detectCommunities(nodes, links), detectCommunities(nodes, links))
+  })
+
+  check('unlinked nodes and links to unknown nodes are left alone', () => {
+    const nodes = [{ id: 'a' }, { id: 'b' }]
+    const communities = detectCommunities(nodes, [{ source: 'a', target: 'missing' }])
+    assert.deepEqual([...communities.entries()], [['a', 'c0'], ['b', 'c1']])
+  })
+
+  check('communities collapse into super-nodes with merged links', () => {
+    const graph = cliques(5, 5, 2)
+    const communities = detectCommunities(graph.nodes, graph.links)
+    const { nodes, links } = collapseCommunities(graph, communities)
+
+    const clusters = nodes.filter(node => node.type === 'cluster')
+    assert.equal(clusters.length, 2, 'the pair is too small to collapse')
+    assert.equal(clusters[0].id, `${CLUSTER_PREFIX}c0`)
+    assert.equal(clusters[0].size, 5)
+    assert.equal(clusters[0].label, 'Node 0-0', 'named after the best connected member')
+    assert.equal(nodes.length, 4)
+
+    const between = links.find(link => link.source === clusters[0].id && link.target === clusters[1].id)
+    assert.equal(between.aggregated, true)
+    assert.equal(between.count, 1)
+    assert.equal(between.label, '1 relationship')
+    assert.deepEqual(between.linkIds, ['n0-0~n1-0'])
+    assert.ok(links.every(link => link.source !== link.target), 'links inside a cluster are hidden')
+    assert.ok(links.some(link => link.id === 'n2-0~n2-1' && !link.aggregated), 'links outside clusters are kept')
+  })
+
+  check('expanded communities show their members', () => {
+    const graph = cliques(5, 5)
+    const communities = detectCommunities(graph.nodes, graph.links)
+    const { nodes, links } = collapseCommunities(graph, communities, { expanded: new Set(['c1']) })
+
+    assert.equal(nodes.length, 6)
+    assert.ok(nodes.some(node => node.id === 'n1-3'))
+
+    const bridge = links.find(link => link.aggregated)
+    assert.equal(bridge.source, `${CLUSTER_PREFIX}c0`)
+    assert.equal(bridge.target, 'n1-0')
+    assert.equal(links.filter(link => !link.aggregated).length, 10)
+  })
+
+  check('collapsing copies instead of changing the graph', () => {
+    const graph = cliques(4, 4)
+    graph.links[0].source = graph.nodes[0]
+    const before = JSON.stringify(graph)
+    collapseCommunities(graph, detectCommunities(graph.nodes, graph.links), { expanded: new Set(['c0']) })
+
+    assert.equal(JSON.stringify(graph), before)
+    assert.equal(endpointId(graph.nodes[0]), 'n0-0')
+    assert.equal(endpointId('n0-0'), 'n0-0')
+  })
+
+  check('search ranks exact, prefix, word and substring matches', () => {
+    const nodes = [
+      { id: '1', label: 'Neural Network', connections: 2 },
+      { id: '2', label: 'Recurrent Neural Networks', connections: 9 },
+      { id: '3', label: 'Neuralink', connections: 1 },
+      { id: '4', label: 'Network', connections: 5 },
+      { id: '5', label: 'Subnetworks', connections: 4 }
+    ]
+
+    assert.deepEqual(searchNodes(nodes, 'neural').map(node => node.label),
+      ['Neural Network', 'Neuralink', 'Recurrent Neural Networks'])
+    assert.deepEqual(searchNodes(nodes, 'networks').map(node => node.label),
+      ['Network', 'Recurrent Neural Networks', 'Neural Network', 'Subnetworks'],
+      'plurals match, and equal matches go to the better connected node')
+    assert.deepEqual(searchNodes(nodes, '  '), [])
+    assert.equal(searchNodes(nodes, 'n', 2).length, 2)
+  })
+
+  await runChecks('graph clustering')
+}
+
+// Run the test
+testGraphClustering()
@@ -0,0 +1,133 @@
+// Test script for GraphRAG context (src/lib/graphContext.js)
+// Run this with: npm run test:graphrag
+//
+// Checks how a question's entities are found through their
+// aliases, which graph facts are kept for the answer, and that the local
+// provider cites the facts it uses as [G1], [G2], ...
+import assert from 'node:assert/strict'
+import {
+  questionEntitySpans,
+  pickQuestionEntities,
+  rankGraphFacts,
+  formatGraphFact,
+  buildGraphFactsMetadata
+} from './src/lib/graphContext.js'
+import { aliasesForName } from './src/lib/entityResolution.js'
+import { createProvider } from './src/lib/providers/index.js'
+import { createChecks } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+/**
+ * entity_aliases rows for some entities, as the alias table stores them
+ */
+const aliasRowsFor = (entities) => Object.entries(entities).flatMap(([entityId, names]) =>
+  names.flatMap(name => aliasesForName(name).map(row => ({ ...row, entity_id: entityId })))
+)
+
+const ALIASES = aliasRowsFor({
+  'e-turing': ['Alan Turing', 'Turing'],
+  'e-machine': ['Turing Machine'],
+  'e-ai': ['Artificial Intelligence'],
+  'e-it': ['Information Technology'],
+  'e-cs': ['Computer Science']
+})
+
+/**
+ * A search_knowledge_graph row
+ */
+const fact = (id, subject, predicate, object, confidence = 0.7) => ({
+  id,
+  subject: subject.name,
+  subject_name: subject.name,
+  subject_entity_id: subject.id,
+  predicate,
+  object: object.name,
+  object_name: object.name,
+  object_entity_id: object.id,
+  source_snippet: `${subject.name} ${predicate} ${object.name}.`,
+  document_id: 'doc-1',
+  confidence
+})
+
+const TURING = { id: 'e-turing', name: 'Alan Turing' }
+const MACHINE = { id: 'e-machine', name: 'Turing Machine' }
+const CS = { id: 'e-cs', name: 'Computer Science' }
+const AI = { id: 'e-ai', name: 'Artificial Intelligence' }
+const TEST = { id: 'e-test', name: 'Turing Test' }
+const PRIZE = { id: 'e-prize', name: 'Turing Award' }
+
+const entitiesIn = (question) => pickQuestionEntities(questionEntitySpans(question), ALIASES)
+
+async function testGraphContext() {
+  console.log('🧪 Testing GraphRAG context\n')
+
+  check('question spans skip question words at their edges', () => {
+    const texts = questionEntitySpans('How is Alan Turing related to the Turing Machine?').map(span => span.text)
+    assert.ok(texts.includes('Alan Turing'))
+    assert.ok(texts.includes('Turing Machine'))
+    assert.ok(!texts.some(text => /^(how|is|the)\b/i.test(text)))
+  })
+
+  check('entities are found through aliases, longest match first', () => {
+    assert.deepEqual(entitiesIn('How is Alan Turing related to the Turing Machine?'), ['e-turing', 'e-machine'])
+    assert.deepEqual(entitiesIn('What did turing think about AI?'), ['e-turing', 'e-ai'])
+    assert.deepEqual(entitiesIn('What is the weather like?'), [])
+  })
+
+  check('acronym aliases only match words written as acronyms', () => {
+    assert.deepEqual(entitiesIn('Is it part of computer science?'), ['e-cs'])
+    assert.deepEqual(entitiesIn('Is IT part of computer science?'), ['e-it', 'e-cs'])
+  })
+
+  check('facts linking the question entities rank first, then bridges', () => {
+    const triplets = [
+      fact('f1', TURING, 'received', PRIZE, 0.9),
+      fact('f2', TURING, 'proposed', TEST),
+      fact('f3', TEST, 'evaluates', AI),
+      fact('f4', TURING, 'invented', MACHINE, 0.5),
+      fact('f5', MACHINE, 'is foundation of', CS),
+      fact('f4', TURING, 'invented', MACHINE, 0.5)
+    ]
+
+    const direct = rankGraphFacts(triplets, ['e-turing', 'e-machine'])
+    assert.equal(direct[0].id, 'f4')
+    assert.equal(direct.filter(row => row.id === 'f4').length, 1)
+
+    const bridged = rankGraphFacts(triplets, ['e-turing', 'e-ai'])
+    assert.deepEqual(bridged.slice(0, 2).map(row => row.id).sort(), ['f2', 'f3'])
+    assert.ok(!bridged.some(row => row.id === 'f5'), 'facts away from the question entities are dropped')
+
+    assert.equal(rankGraphFacts(triplets, ['e-turing'], 2).length, 2)
+  })
+
+  check('graph facts are described with G citations', () => {
+    const [metadata] = buildGraphFactsMetadata([fact('f4', TURING, 'invented', MACHINE)])
+    assert.equal(metadata.citation, 'G1')
+    assert.equal(metadata.fact, 'Alan Turing invented Turing Machine.')
+    assert.equal(metadata.sourceSnippet, 'Alan Turing invented Turing Machine.')
+    assert.equal(metadata.documentId, 'doc-1')
+  })
+
+  check('the local provider cites graph facts it answers from', async () => {
+    const provider = createProvider({ provider: 'local' })
+    const facts = [fact('f2', TURING, 'proposed', TEST), fact('f3', TEST, 'evaluates', AI)].map(formatGraphFact)
+    const answer = await provider.complete({
+      messages: [],
+      task: {
+        type: 'answer',
+        question: 'How is Alan Turing related to the Turing Test?',
+        passages: ['The lecture covered the history of computing hardware.'],
+        facts
+      }
+    })
+
+    assert.ok(answer.includes('Alan Turing proposed Turing Test. [G1]'), answer)
+    assert.ok(!answer.includes('[2]'), answer)
+  })
+
+  await runChecks('GraphRAG context')
+}
+
+// Run the test
+testGraphContext()
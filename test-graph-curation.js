@@ -0,0 +1,79 @@
+// Test script for knowledge graph curation (src/lib/graphCuration.js)
+// Run this with: npm run test:curation
+//
+// Checks the rows built for relationships drawn in the graph
+// editor, predicate validation, and that curated triplets are kept current
+// when their document is re-indexed.
+import assert from 'node:assert/strict'
+import {
+  normalizePredicate,
+  validatePredicate,
+  isCuratedTriplet,
+  buildUserTriplet,
+  MAX_PREDICATE_LENGTH
+} from './src/lib/graphCuration.js'
+import { extractBlocks } from './src/lib/documentText.js'
+import { anchorTriplets, verifyEvidence } from './src/lib/provenance.js'
+import { createChecks, doc } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+const TURING = { id: '3f1c2b9e-8a47-4d2e-9b1a-5c6d7e8f9a0b', label: 'Alan Turing' }
+const MACHINE = { id: 'mention:turing machine', label: 'Turing Machine' }
+
+async function testGraphCuration() {
+  console.log('🧪 Testing knowledge graph curation\n')
+
+  check('predicates are tidied and validated', () => {
+    assert.equal(normalizePredicate('  works\n at  '), 'works at')
+    assert.equal(validatePredicate('works at'), null)
+    assert.ok(validatePredicate('   '))
+    assert.ok(validatePredicate('x'.repeat(MAX_PREDICATE_LENGTH + 1)))
+  })
+
+  check('drawn relationships are user-created, verified and keep entity ids', () => {
+    const { row, error } = buildUserTriplet(TURING, MACHINE, ' invented ', 'doc-1')
+
+    assert.equal(error, undefined)
+    assert.equal(row.subject, 'Alan Turing')
+    assert.equal(row.predicate, 'invented')
+    assert.equal(row.subject_entity_id, TURING.id)
+    assert.equal(row.object_entity_id, null, 'mention nodes are resolved when saved')
+    assert.equal(row.created_by, 'user')
+    assert.equal(row.is_verified, true)
+    assert.equal(row.document_id, 'doc-1')
+  })
+
+  check('relationships need a predicate, two entities and a document', () => {
+    assert.ok(buildUserTriplet(TURING, MACHINE, '', 'doc-1').error)
+    assert.ok(buildUserTriplet(TURING, TURING, 'knows', 'doc-1').error)
+    assert.ok(buildUserTriplet(TURING, MACHINE, 'invented', '').error)
+    assert.ok(buildUserTriplet(TURING, null, 'invented', 'doc-1').error)
+  })
+
+  check('verified and user-created triplets count as curated', () => {
+    assert.equal(isCuratedTriplet({ created_by: 'extractor', is_verified: false }), false)
+    assert.equal(isCuratedTriplet({ created_by: 'extractor', is_verified: true }), true)
+    assert.equal(isCuratedTriplet({ created_by: 'user', is_verified: false }), true)
+  })
+
+  check('curated triplets are never flagged stale when their evidence is deleted', () => {
+    const sentence = 'Alan Turing invented the Turing Machine.'
+    const [extracted] = anchorTriplets(extractBlocks(doc(sentence)), [{ id: 't1', source_snippet: sentence, created_by: 'extractor' }])
+    const verified = { ...extracted, id: 't2', is_verified: true }
+    const edited = extractBlocks(doc('The history of computing.'))
+
+    const changes = verifyEvidence(edited, [extracted, verified])
+    assert.deepEqual(changes.map(change => change.id), ['t1'])
+    assert.equal(changes[0].is_stale, true)
+
+    // Found again after moving, a curated triplet is still re-anchored
+    const [moved] = verifyEvidence(extractBlocks(doc('Intro.', sentence)), [verified])
+    assert.deepEqual(moved.source_anchor.path, [1])
+  })
+
+  await runChecks('graph curation')
+}
+
+// Run the test
+testGraphCuration()
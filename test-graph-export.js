@@ -0,0 +1,137 @@
+// Test script for knowledge graph export and import (src/lib/graphExport.js)
+// Run this with: npm run test:export
+//
+// Writes a small graph in every export format, reads each one
+// back and checks nothing was lost, including snippets that need escaping.
+import assert from 'node:assert/strict'
+import {
+  buildExportGraph,
+  serializeGraph,
+  parseGraphFiles,
+  graphToTriplets,
+  parseTurtle,
+  exportFileName,
+  formatOfFile,
+  fromCsv,
+  EXPORT_FORMATS
+} from './src/lib/graphExport.js'
+import { createChecks } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+const TURING_ID = '3f1c2b9e-8a47-4d2e-9b1a-5c6d7e8f9a0b'
+
+const TRIPLETS = [
+  {
+    id: '6a0f4d1e-1b2c-4d3e-8f90-a1b2c3d4e5f6',
+    subject: 'Turing',
+    predicate: 'invented',
+    object: 'Turing Machine',
+    subject_entity_id: TURING_ID,
+    subject_entity: { canonical_name: 'Alan Turing', type: 'person' },
+    object_entity_id: null,
+    relation_type: 'created',
+    source_snippet: 'Turing "invented", in 1936,\nthe Turing Machine \\ a model; café 😀',
+    source_anchor: { path: [2], offset: 0, endPath: [2], endOffset: 58 },
+    confidence: 0.92,
+    document_id: 'b7e6c5d4-3a2b-4c1d-9e8f-7a6b5c4d3e2f',
+    created_by: 'extractor',
+    is_verified: true,
+    is_stale: false
+  },
+  {
+    id: '0c9b8a7f-6e5d-4c3b-a291-8f7e6d5c4b3a',
+    subject: 'Turing Machine',
+    predicate: 'is a model of, "computation"',
+    object: 'Computation',
+    relation_type: null,
+    source_snippet: null,
+    source_anchor: null,
+    confidence: null,
+    document_id: 'b7e6c5d4-3a2b-4c1d-9e8f-7a6b5c4d3e2f',
+    created_by: 'user',
+    is_verified: false,
+    is_stale: true
+  }
+]
+
+/**
+ * Export in a format and read the files back
+ */
+const roundTrip = (format) => parseGraphFiles(serializeGraph(TRIPLETS, format))
+
+async function testGraphExport() {
+  console.log('🧪 Testing knowledge graph export and import\n')
+
+  check('entities become nodes and triplets edges with their properties', () => {
+    const { nodes, edges } = buildExportGraph(TRIPLETS)
+
+    assert.deepEqual(nodes.map(node => node.id), [TURING_ID, 'mention:turing machine', 'mention:computation'])
+    assert.equal(nodes[0].name, 'Alan Turing')
+    assert.equal(nodes[0].type, 'person')
+    assert.equal(edges[0].source, TURING_ID)
+    assert.equal(edges[0].subject, 'Turing', 'the mention text is kept next to the entity')
+    assert.equal(edges[0].document_id, TRIPLETS[0].document_id)
+    assert.equal(edges[0].source_snippet, TRIPLETS[0].source_snippet)
+  })
+
+  for (const format of Object.keys(EXPORT_FORMATS)) {
+    check(`${EXPORT_FORMATS[format].label} round-trips`, () => {
+      assert.deepEqual(roundTrip(format), buildExportGraph(TRIPLETS))
+    })
+  }
+
+  check('Turtle states each relation directly as well as reified', () => {
+    const [file] = serializeGraph(TRIPLETS, 'turtle')
+    const triples = parseTurtle(file.content)
+
+    const entity = (id) => `urn:neuranotes:entity:${encodeURIComponent(id)}`
+    assert.ok(triples.some(([subject, predicate, object]) =>
+      subject === entity(TURING_ID) &&
+      predicate === 'urn:neuranotes:vocab:created' &&
+      object === entity('mention:turing machine')))
+    assert.ok(triples.some(([, predicate]) => predicate === 'urn:neuranotes:predicate:is_a_model_of_computation'))
+  })
+
+  check('CSV is laid out for Gephi and read without regard to header case', () => {
+    const [nodes, edges] = serializeGraph(TRIPLETS, 'csv', 'notes')
+
+    assert.equal(nodes.name, 'notes-nodes.csv')
+    assert.equal(edges.name, 'notes-edges.csv')
+    assert.ok(nodes.content.startsWith('Id,Label,entityType\n'))
+    assert.ok(edges.content.startsWith('Id,Source,Target,Type,Label,'))
+
+    const read = fromCsv('source,target,label\nmention:a,mention:b,knows\n')
+    assert.equal(read.edges[0].predicate, 'knows')
+  })
+
+  check('imported graphs become triplet rows with entity type hints', () => {
+    const { triplets, skipped } = graphToTriplets(roundTrip('graphml'))
+
+    assert.equal(skipped, 0)
+    assert.equal(triplets[0].subject, 'Turing')
+    assert.equal(triplets[0].subject_type, 'person')
+    assert.equal(triplets[0].is_verified, true)
+    assert.equal(triplets[1].created_by, 'user')
+    assert.equal(triplets[1].is_stale, true)
+
+    // An edges CSV on its own still imports, naming entities after their ids
+    const edgesOnly = graphToTriplets(fromCsv('Source,Target,Label\nmention:alan turing,mention:enigma,broke\n,x,y\n'))
+    assert.deepEqual(edgesOnly.triplets.map(({ subject, object }) => [subject, object]), [['alan turing', 'enigma']])
+    assert.equal(edgesOnly.skipped, 1)
+  })
+
+  check('file names and formats', () => {
+    assert.equal(exportFileName(), 'knowledge-graph')
+    assert.equal(exportFileName('Café Notes: Part 2'), 'cafe-notes-part-2-knowledge-graph')
+    assert.equal(formatOfFile('graph.TTL'), 'turtle')
+    assert.equal(formatOfFile('graph.txt'), null)
+    assert.throws(() => parseGraphFiles([{ name: 'graph.txt', content: '' }]), /Cannot tell the format/)
+    assert.throws(() => parseGraphFiles([{ name: 'graph.ttl', content: '<a> <b> .' }]), /Could not read graph.ttl/)
+  })
+
+  await runChecks('graph export')
+}
+
+// Run the test
+testGraphExport()
@@ -0,0 +1,141 @@
+// Test script for knowledge graph queries (src/lib/graphQueries.js) and
+// paged loading (src/lib/graphTriplets.js)
+// Run this with: npm run test:graph
+//
+// Checks against a small hand-written graph: neighbourhoods, predicate
+// filters, shortest paths and paging, without a database.
+import assert from 'node:assert/strict'
+import {
+  buildGraph,
+  filterByPredicates,
+  listPredicates,
+  findNodes,
+  getNeighborhood,
+  findShortestPath
+} from './src/lib/graphQueries.js'
+import { loadGraphTriplets, GRAPH_PAGE_SIZE } from './src/lib/graphTriplets.js'
+import { createChecks } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+/**
+ * A knowledge graph row; entity ids are given for resolved mentions
+ */
+const triplet = (id, subject, predicate, object, entities = {}) => ({
+  id,
+  subject,
+  predicate,
+  object,
+  source_snippet: `${subject} ${predicate} ${object}.`,
+  subject_entity_id: entities[subject] || null,
+  object_entity_id: entities[object] || null
+})
+
+const ENTITY_IDS = {
+  'Alan Turing': 'e-turing',
+  'Turing': 'e-turing',
+  'Turing Machine': 'e-machine',
+  'Computer Science': 'e-cs'
+}
+
+// Turing — Turing Machine — Computer Science — Artificial Intelligence — Machine Learning,
+// with a shortcut from Turing to Artificial Intelligence through "Turing Test"
+const TRIPLETS = [
+  triplet('t1', 'Alan Turing', 'invented', 'Turing Machine', ENTITY_IDS),
+  triplet('t2', 'Turing Machine', 'is foundation of', 'Computer Science', ENTITY_IDS),
+  triplet('t3', 'Artificial Intelligence', 'is a subset of', 'Computer Science', ENTITY_IDS),
+  triplet('t4', 'Machine Learning', 'is a subset of', 'Artificial Intelligence', ENTITY_IDS),
+  triplet('t5', 'Turing', 'proposed', 'Turing Test', ENTITY_IDS),
+  triplet('t6', 'Turing Test', 'evaluates', 'Artificial Intelligence', ENTITY_IDS),
+  triplet('t7', 'Grace Hopper', 'developed', 'COBOL', ENTITY_IDS)
+]
+
+const ids = (rows) => rows.map(row => row.id).sort()
+
+/**
+ * A Supabase client stand-in whose knowledge_graph table holds count rows,
+ * served by range like the real one
+ */
+const pagedClient = (count) => {
+  const query = {
+    select: () => query,
+    order: () => query,
+    eq: () => query,
+    range: async (from, to) => ({
+      data: Array.from({ length: Math.max(0, Math.min(to + 1, count) - from) }, (_, index) => ({ id: `t${from + index}` })),
+      error: null
+    })
+  }
+  return { from: () => query }
+}
+
+async function testGraphQueries() {
+  console.log('🧪 Testing knowledge graph queries\n')
+
+  const graph = buildGraph(TRIPLETS)
+
+  check('resolved mentions share a node and unresolved ones are keyed by name', () => {
+    assert.equal(graph.nodes.size, 8)
+    assert.equal(graph.nodes.get('e-turing').name, 'Alan Turing')
+    assert.deepEqual(findNodes(graph, 'e-turing'), ['e-turing'])
+    assert.deepEqual(findNodes(graph, 'the turing tests'), findNodes(graph, 'Turing Test'))
+    assert.deepEqual(findNodes(graph, 'Ada Lovelace'), [])
+  })
+
+  check('neighbourhoods grow hop by hop in both directions', () => {
+    const one = getNeighborhood(graph, ['e-machine'], { hops: 1 })
+    assert.deepEqual(ids(one.triplets), ['t1', 't2'])
+    assert.deepEqual(one.nodes.map(node => node.hop).sort(), [0, 1, 1])
+
+    const two = getNeighborhood(graph, ['e-machine'], { hops: 2 })
+    assert.deepEqual(ids(two.triplets), ['t1', 't2', 't3', 't5'])
+    assert.ok(!two.nodes.some(node => node.name === 'Grace Hopper'))
+  })
+
+  check('predicates filter and are listed by frequency', () => {
+    assert.deepEqual(listPredicates(TRIPLETS)[0], { predicate: 'is a subset of', count: 2 })
+    assert.deepEqual(ids(filterByPredicates(TRIPLETS, ['Is A Subset Of'])), ['t3', 't4'])
+    assert.equal(filterByPredicates(TRIPLETS, []).length, TRIPLETS.length)
+  })
+
+  check('the shortest path is found and each hop says its direction', () => {
+    const path = findShortestPath(graph, ['e-turing'], findNodes(graph, 'Machine Learning'))
+    assert.deepEqual(path.map(hop => hop.triplet.id), ['t5', 't6', 't4'])
+    assert.deepEqual(path.map(hop => hop.reversed), [false, false, true])
+    assert.equal(path[0].from, 'e-turing')
+    assert.equal(path[path.length - 1].to, findNodes(graph, 'Machine Learning')[0])
+  })
+
+  check('paths respect the predicate filter and the hop limit', () => {
+    const filtered = buildGraph(filterByPredicates(TRIPLETS, ['invented', 'is foundation of', 'is a subset of']))
+    const path = findShortestPath(filtered, ['e-turing'], findNodes(filtered, 'Machine Learning'))
+    assert.deepEqual(path.map(hop => hop.triplet.id), ['t1', 't2', 't3', 't4'])
+    assert.equal(findShortestPath(filtered, ['e-turing'], findNodes(filtered, 'Machine Learning'), { maxHops: 3 }), null)
+  })
+
+  check('disconnected entities have no path', () => {
+    assert.equal(findShortestPath(graph, ['e-turing'], findNodes(graph, 'COBOL')), null)
+    assert.deepEqual(findShortestPath(graph, ['e-cs'], ['e-cs']), [])
+  })
+
+  check('graphs are loaded page by page and truncated only past the limit', async () => {
+    const limit = 2 * GRAPH_PAGE_SIZE
+
+    const whole = await loadGraphTriplets(pagedClient(limit + 5))
+    assert.equal(whole.triplets.length, limit + 5)
+    assert.equal(whole.truncated, false)
+
+    const exact = await loadGraphTriplets(pagedClient(limit), { limit })
+    assert.equal(exact.triplets.length, limit)
+    assert.equal(exact.truncated, false)
+
+    const over = await loadGraphTriplets(pagedClient(limit + 1), { limit })
+    assert.equal(over.triplets.length, limit)
+    assert.equal(over.truncated, true)
+  })
+
+  await runChecks('graph query')
+}
+
+// Run the test
+testGraphQueries()
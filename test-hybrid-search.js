@@ -55,8 +55,8 @@ async function testHybridSearch() {
       if (data.results && data.results.length > 0) {
         console.log('📝 Top result:')
         const topResult = data.results[0]
-        console.log(`   Score: ${(topResult.hybrid_score * 100).toFixed(1)}%`)
-        console.log(`   Text: ${topResult.chunk.substring(0, 100)}...`)
+        console.log(`   Score: ${(topResult.score * 100).toFixed(1)}%`)
+        console.log(`   Text: ${topResult.text.substring(0, 100)}...`)
       }
       
     } catch (error) {
@@ -103,7 +103,7 @@ async function testSearchModes() {
       if (data.success) {
         console.log(`✅ Found ${data.total} results`)
         data.results.forEach((result, i) => {
-          console.log(`   ${i+1}. Score: ${(result.hybrid_score * 100).toFixed(1)}% - ${result.chunk.substring(0, 80)}...`)
+          console.log(`   ${i+1}. Score: ${(result.score * 100).toFixed(1)}% - ${result.text.substring(0, 80)}...`)
         })
       } else {
         console.log(`❌ Error: ${data.error}`)
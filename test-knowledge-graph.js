@@ -1,6 +1,7 @@
 // Test knowledge graph extraction locally
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { extractLocalTriplets } from './src/lib/tripletExtraction.js'
 
 // Load environment variables
 dotenv.config()
@@ -11,76 +12,6 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 )
 
-// Mock knowledge extraction function (replaces OpenAI API call)
-function extractMockKnowledgeTriplets(text) {
-  // Simple pattern-based extraction for testing
-  const triplets = []
-  
-  // Look for common patterns in AI text
-  const patterns = [
-    {
-      regex: /(\w+(?:\s+\w+)*)\s+(?:is|are)\s+(?:a|an|the)?\s*(\w+(?:\s+\w+)*)/gi,
-      predicate: 'is a type of'
-    },
-    {
-      regex: /(\w+(?:\s+\w+)*)\s+(?:developed|created|invented|built)\s+(?:by|at)?\s*(\w+(?:\s+\w+)*)/gi,
-      predicate: 'developed by'
-    },
-    {
-      regex: /(\w+(?:\s+\w+)*)\s+(?:uses|utilizes|employs)\s+(\w+(?:\s+\w+)*)/gi,
-      predicate: 'uses'
-    },
-    {
-      regex: /(\w+(?:\s+\w+)*)\s+(?:includes|contains|has)\s+(\w+(?:\s+\w+)*)/gi,
-      predicate: 'includes'
-    }
-  ]
-  
-  // Extract based on patterns
-  patterns.forEach(pattern => {
-    let match
-    while ((match = pattern.regex.exec(text)) !== null) {
-      const subject = match[1].trim()
-      const object = match[2].trim()
-      
-      if (subject.length > 2 && object.length > 2 && subject !== object) {
-        triplets.push({
-          subject: subject,
-          predicate: pattern.predicate,
-          object: object
-        })
-      }
-    }
-  })
-  
-  // Add some AI-specific triplets if the text is about AI
-  if (text.toLowerCase().includes('artificial intelligence') || text.toLowerCase().includes('machine learning')) {
-    triplets.push(
-      { subject: 'Artificial Intelligence', predicate: 'is a field of', object: 'Computer Science' },
-      { subject: 'Machine Learning', predicate: 'is a subset of', object: 'Artificial Intelligence' },
-      { subject: 'Deep Learning', predicate: 'is a type of', object: 'Machine Learning' },
-      { subject: 'Neural Networks', predicate: 'are used in', object: 'Deep Learning' },
-      { subject: 'GPT-4', predicate: 'is an example of', object: 'Large Language Model' },
-      { subject: 'AI Systems', predicate: 'can process', object: 'Natural Language' },
-      { subject: 'Computer Vision', predicate: 'is an application of', object: 'Artificial Intelligence' },
-      { subject: 'AI', predicate: 'has applications in', object: 'Healthcare' },
-      { subject: 'AI', predicate: 'faces challenges with', object: 'Bias and Ethics' },
-      { subject: 'Quantum Computing', predicate: 'may accelerate', object: 'AI Development' }
-    )
-  }
-  
-  // Remove duplicates and limit to 15 triplets
-  const uniqueTriplets = triplets.filter((triplet, index, self) =>
-    index === self.findIndex(t => 
-      t.subject === triplet.subject && 
-      t.predicate === triplet.predicate && 
-      t.object === triplet.object
-    )
-  ).slice(0, 15)
-  
-  return uniqueTriplets
-}
-
 async function testKnowledgeGraphExtraction() {
   try {
     console.log('🧪 Testing Knowledge Graph Extraction...\n')
@@ -142,9 +73,9 @@ async function testKnowledgeGraphExtraction() {
       textContent = `Artificial Intelligence (AI) has emerged as one of the most transformative technologies of the 21st century. Machine Learning is a subset of AI that enables computers to learn from data. Deep Learning uses neural networks to process complex patterns. GPT-4 is a large language model developed by OpenAI. Computer vision is an application of AI in image recognition. AI systems face challenges with bias and ethical considerations. Quantum computing may accelerate AI development in the future.`
     }
 
-    // Step 3: Extract knowledge triplets using mock function
+    // Step 3: Extract knowledge triplets with the local extractor
     console.log('\n⏳ Extracting knowledge triplets...')
-    const triplets = extractMockKnowledgeTriplets(textContent)
+    const triplets = extractLocalTriplets(textContent)
     console.log(`✅ Extracted ${triplets.length} knowledge triplets`)
 
     if (triplets.length === 0) {
@@ -156,7 +87,7 @@ async function testKnowledgeGraphExtraction() {
     console.log('\n📋 Extracted Knowledge Triplets:')
     console.log('=' .repeat(60))
     triplets.forEach((triplet, index) => {
-      console.log(`${index + 1}. "${triplet.subject}" --[${triplet.predicate}]--> "${triplet.object}"`)
+      console.log(`${index + 1}. "${triplet.subject}" --[${triplet.predicate}]--> "${triplet.object}" (${triplet.confidence})`)
     })
 
     // Step 5: Test saving to database (create table first if needed)
@@ -0,0 +1,136 @@
+// Test script for the relation type ontology (src/lib/ontology.js)
+// Run this with: npm run test:ontology
+//
+// Checks that the relation types in src/data/relationTypes.js
+// are consistent, that raw predicates map onto them whatever their tense,
+// and the filtering and inference built on inverse and transitive types.
+import assert from 'node:assert/strict'
+import {
+  predicateKey,
+  validateRelationTypes,
+  createOntology,
+  mapPredicate,
+  typeTriplets,
+  listRelationTypes,
+  filterByRelationTypes,
+  inferRelationFacts,
+  UNTYPED_RELATION
+} from './src/lib/ontology.js'
+import { RELATION_TYPES } from './src/data/relationTypes.js'
+import { createChecks } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+/**
+ * A knowledge graph row
+ */
+const triplet = (id, subject, relationType, object) => ({ id, subject, predicate: relationType, object, relation_type: relationType })
+
+async function testOntology() {
+  console.log('🧪 Testing the relation type ontology\n')
+
+  check('the shipped relation types are consistent', () => {
+    assert.deepEqual(validateRelationTypes(RELATION_TYPES), [])
+  })
+
+  check('broken relation types are reported', () => {
+    const problems = validateRelationTypes([
+      { id: 'part_of', label: 'part of', inverse: 'has_part', subjectTypes: ['planet'] },
+      { id: 'has_part', label: 'has part', inverse: null },
+      { id: 'has_part', label: 'has part again' }
+    ])
+
+    assert.equal(problems.length, 3)
+    assert.throws(() => createOntology([{ id: 'x', label: 'x', inverse: 'y' }]), /unknown inverse/)
+  })
+
+  check('predicate keys ignore case, tense, articles and adverbs', () => {
+    assert.equal(predicateKey('were also subsets of'), predicateKey('is a subset of'))
+    assert.equal(predicateKey('has been developed by'), predicateKey('was developed by'))
+    assert.equal(predicateKey('Invents'), predicateKey('invented'))
+    assert.equal(predicateKey('wrote'), predicateKey('has written'))
+    assert.notEqual(predicateKey('is based on'), predicateKey('is based in'))
+  })
+
+  check('predicates map onto relation types', () => {
+    assert.equal(mapPredicate('is a subset of'), 'part_of')
+    assert.equal(mapPredicate('was originally developed by'), 'created_by')
+    assert.equal(mapPredicate('frobnicates'), null)
+  })
+
+  check('entity types pick between relation types sharing a predicate', () => {
+    assert.equal(mapPredicate('was published in', { subjectType: 'concept', objectType: 'date' }), 'happened_in')
+    assert.equal(mapPredicate('was published in', { subjectType: 'concept', objectType: 'concept' }), null)
+    assert.equal(mapPredicate('founded', { subjectType: 'person', objectType: 'org' }), 'created')
+
+    // A concept can stand in for a person the type guesser did not recognise
+    assert.equal(mapPredicate('works at', { subjectType: 'concept', objectType: 'org' }), 'works_for')
+  })
+
+  check('triplets are typed from their entity names', () => {
+    const [published, invented, unknown] = typeTriplets([
+      { subject: 'Attention Is All You Need', predicate: 'was published in', object: '2017' },
+      { subject: 'Alan Turing', predicate: 'invented', object: 'Turing Machine', subject_type: 'person' },
+      { subject: 'Foo', predicate: 'frobnicates', object: 'Bar' }
+    ])
+
+    assert.equal(published.relation_type, 'happened_in')
+    assert.equal(invented.relation_type, 'created')
+    assert.equal(invented.subject_type, 'person', 'type hints are passed through for entity resolution')
+    assert.equal(unknown.relation_type, null)
+  })
+
+  check('filters keep inverse relations and untyped ones on request', () => {
+    const triplets = [
+      triplet('t1', 'Deep Learning', 'part_of', 'Machine Learning'),
+      triplet('t2', 'Machine Learning', 'has_part', 'Reinforcement Learning'),
+      triplet('t3', 'Alan Turing', 'created', 'Turing Machine'),
+      { id: 't4', subject: 'Foo', predicate: 'frobnicates', object: 'Bar', relation_type: null }
+    ]
+
+    assert.deepEqual(filterByRelationTypes(triplets, ['part_of']).map(row => row.id), ['t1', 't2'])
+    assert.deepEqual(filterByRelationTypes(triplets, [UNTYPED_RELATION]).map(row => row.id), ['t4'])
+    assert.equal(filterByRelationTypes(triplets, []).length, 4)
+
+    const listed = listRelationTypes(triplets)
+    assert.equal(listed.length, 4)
+    assert.deepEqual(listed.find(type => type.id === UNTYPED_RELATION), { id: UNTYPED_RELATION, label: 'untyped', color: null, count: 1 })
+  })
+
+  check('transitive relations imply facts through inverses, once per pair', () => {
+    const facts = inferRelationFacts([
+      triplet('t1', 'CNN', 'part_of', 'Deep Learning'),
+      triplet('t2', 'Deep Learning', 'part_of', 'Machine Learning'),
+      triplet('t3', 'Artificial Intelligence', 'has_part', 'Machine Learning'),
+      triplet('t4', 'Alan Turing', 'created', 'Turing Machine')
+    ])
+
+    const stated = facts.map(fact => `${fact.subject} ${fact.predicate} ${fact.object}`).sort()
+    assert.deepEqual(stated, [
+      'CNN part of Artificial Intelligence',
+      'CNN part of Machine Learning',
+      'Deep Learning part of Artificial Intelligence'
+    ])
+
+    const cnnToAi = facts.find(fact => fact.subject === 'CNN' && fact.object === 'Artificial Intelligence')
+    assert.equal(cnnToAi.inferred, true)
+    assert.deepEqual(cnnToAi.via, ['t1', 't2', 't3'])
+
+    // Facts already stated are not inferred again, and hops are limited
+    assert.equal(inferRelationFacts([
+      triplet('t1', 'A', 'part_of', 'B'),
+      triplet('t2', 'B', 'part_of', 'C'),
+      triplet('t3', 'A', 'part_of', 'C')
+    ]).length, 0)
+    assert.equal(inferRelationFacts([
+      triplet('t1', 'A', 'part_of', 'B'),
+      triplet('t2', 'B', 'part_of', 'C'),
+      triplet('t3', 'C', 'part_of', 'D')
+    ], { maxHops: 2 }).length, 2)
+  })
+
+  await runChecks('ontology')
+}
+
+// Run the test
+testOntology()
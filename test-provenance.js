@@ -0,0 +1,110 @@
+// Test script for knowledge graph provenance (src/lib/provenance.js)
+// Run this with: npm run test:provenance
+//
+// Checks against Tiptap documents: anchoring triplets to their
+// evidence, following it when an edit moves it and flagging triplets stale
+// when an edit deletes it.
+import assert from 'node:assert/strict'
+import { extractBlocks } from './src/lib/documentText.js'
+import { findSnippetRanges, locateSnippet, anchorTriplets, verifyEvidence } from './src/lib/provenance.js'
+import { createChecks, doc } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+const TURING = 'Alan Turing invented the Turing Machine.'
+const HOPPER = 'Grace Hopper developed COBOL.'
+const INTRO = 'This note covers the history of computing.'
+
+/**
+ * A stored triplet row with its evidence
+ */
+const triplet = (id, snippet, extra = {}) => ({
+  id,
+  subject: 'Alan Turing',
+  predicate: 'invented',
+  object: 'Turing Machine',
+  source_snippet: snippet,
+  source_anchor: null,
+  is_stale: false,
+  ...extra
+})
+
+async function testProvenance() {
+  console.log('🧪 Testing knowledge graph provenance\n')
+
+  check('snippets match regardless of case and line wrapping', () => {
+    assert.deepEqual(findSnippetRanges('Intro. alan turing\ninvented  the Turing Machine.', TURING), [[7, 48]])
+    assert.deepEqual(findSnippetRanges('Nothing here.', TURING), [])
+    assert.deepEqual(findSnippetRanges('Costs $5 (approx.)', '$5 (approx.)'), [[6, 18]])
+  })
+
+  check('triplets are anchored to the block and characters of their evidence', () => {
+    const blocks = extractBlocks(doc(INTRO, `As we know, ${TURING}`))
+    const [row] = anchorTriplets(blocks, [triplet(undefined, TURING)])
+
+    assert.deepEqual(row.source_anchor, { path: [1], offset: 12, endPath: [1], endOffset: 12 + TURING.length })
+    assert.equal(row.is_stale, false)
+  })
+
+  check('a repeated sentence is anchored to the copy nearest the extracted chunk', () => {
+    const blocks = extractBlocks(doc(TURING, HOPPER, INTRO, TURING))
+    assert.equal(locateSnippet(blocks, TURING).length, 2)
+
+    const [first] = anchorTriplets(blocks, [triplet(undefined, TURING)])
+    const [last] = anchorTriplets(blocks, [triplet(undefined, TURING)], { path: [3], offset: 0, endPath: [3], endOffset: 40 })
+    assert.deepEqual(first.source_anchor.path, [0])
+    assert.deepEqual(last.source_anchor.path, [3])
+  })
+
+  check('evidence that moved is re-anchored and unchanged evidence is left alone', () => {
+    const before = anchorTriplets(extractBlocks(doc(TURING, HOPPER)), [
+      triplet('t1', TURING),
+      triplet('t2', HOPPER)
+    ])
+
+    assert.deepEqual(verifyEvidence(extractBlocks(doc(TURING, HOPPER)), before), [])
+
+    const changes = verifyEvidence(extractBlocks(doc(INTRO, TURING, HOPPER)), before)
+    assert.deepEqual(changes.map(change => change.id), ['t1', 't2'])
+    assert.deepEqual(changes[0].source_anchor.path, [1])
+    assert.equal(changes[0].is_stale, false)
+  })
+
+  check('deleted evidence flags the triplet stale and keeps its last anchor', () => {
+    const [stored] = anchorTriplets(extractBlocks(doc(INTRO, TURING)), [triplet('t1', TURING)])
+    const [change] = verifyEvidence(extractBlocks(doc(INTRO, HOPPER)), [stored])
+
+    assert.equal(change.is_stale, true)
+    assert.deepEqual(change.source_anchor, stored.source_anchor)
+
+    // Written back in: the triplet is current again
+    const [revived] = verifyEvidence(extractBlocks(doc(TURING)), [{ ...stored, ...change }])
+    assert.equal(revived.is_stale, false)
+    assert.deepEqual(revived.source_anchor.path, [0])
+  })
+
+  check('unanchored snippets are only flagged when their text was removed', () => {
+    const paraphrased = triplet('t1', 'Turing came up with a machine.')
+    const unanchored = triplet('t2', TURING)
+    const blocks = extractBlocks(doc(INTRO))
+
+    assert.deepEqual(verifyEvidence(blocks, [paraphrased, unanchored]), [])
+
+    const [change] = verifyEvidence(blocks, [paraphrased, unanchored], [`${HOPPER}\n\n${TURING}`])
+    assert.equal(change.id, 't2')
+    assert.equal(change.is_stale, true)
+  })
+
+  check('plain text documents are found but not anchored', () => {
+    const blocks = extractBlocks(`${INTRO}\n\n${TURING}`)
+    const [row] = anchorTriplets(blocks, [triplet(undefined, TURING)])
+    assert.equal(locateSnippet(blocks, TURING).length, 1)
+    assert.equal(row.source_anchor, null)
+    assert.deepEqual(verifyEvidence(blocks, [{ ...row, id: 't1' }]), [])
+  })
+
+  await runChecks('provenance')
+}
+
+// Run the test
+testProvenance()
@@ -0,0 +1,287 @@
+// Test script for the shared search core (src/lib/searchCore.js)
+// Run this with: npm run test:search
+//
+// A small corpus is chunked and embedded in memory with the
+// local embedding provider and searched through the same core as
+// /api/hybrid-search and the search page, so the result schema, filters,
+// fusion order and fallbacks are pinned without a database.
+import assert from 'node:assert/strict'
+import { createProvider } from './src/lib/providers/index.js'
+import { createSearchCore } from './src/lib/searchCore.js'
+import { buildSearchIndex, createMemorySearchBackend, createIndexSearchCore } from './src/lib/searchEvaluation.js'
+import { createChecks } from './check-runner.js'
+
+const documents = [
+  {
+    title: 'Garden Notes',
+    created_at: '2024-03-01T09:00:00Z',
+    content: [
+      'Tomatoes need full sun and deep watering twice a week once the fruit sets.',
+      'Compost made from kitchen scraps and dry leaves feeds the beds through winter.',
+      'Basil grows well between tomato plants and keeps the soil shaded.'
+    ].join('\n\n')
+  },
+  {
+    title: 'Coffee Brewing',
+    created_at: '2025-06-10T09:00:00Z',
+    content: [
+      'Espresso needs a fine grind and about nine bars of pressure.',
+      'Pour over coffee uses a medium grind and water just off the boil.',
+      'A cold brew steeps coarse grounds in cold water overnight.'
+    ].join('\n\n')
+  },
+  {
+    title: 'Tomato Sauce Recipe',
+    created_at: '2025-09-01T09:00:00Z',
+    content: [
+      'Simmer crushed tomatoes with garlic and olive oil for forty minutes.',
+      'Tear fresh basil into the sauce just before serving.'
+    ].join('\n\n')
+  }
+]
+
+const RESULT_FIELDS = [
+  'id', 'documentId', 'documentTitle', 'text', 'headingPath', 'anchor',
+  'score', 'hybridScore', 'rerankScore', 'ftsScore', 'ftsRank',
+  'vectorScore', 'vectorRank', 'preview'
+]
+
+const { check, runChecks } = createChecks()
+
+/**
+ * Titles of the results' documents, in rank order
+ */
+const titles = (response) => response.results.map(result => result.documentTitle)
+
+async function testSearchCore() {
+  console.log('🧪 Testing the shared search core\n')
+
+  const provider = createProvider({ provider: 'local' })
+  const index = await buildSearchIndex(documents, provider, { maxTokens: 20, overlapTokens: 0 })
+  const core = createIndexSearchCore(index)
+  const embedQuery = async (text) => {
+    const [embedding] = await provider.embedMany([text])
+    return { embedding, model: provider.embeddingModel, matchThreshold: provider.matchThreshold }
+  }
+
+  console.log(`📚 ${documents.length} documents → ${index.rows.length} chunks\n`)
+
+  check('results use the shared schema', async () => {
+    const response = await core.search('tomatoes', { limit: 3 })
+    assert.equal(response.success, true)
+    assert.ok(response.results.length > 0)
+    response.results.forEach(result => assert.deepEqual(Object.keys(result), RESULT_FIELDS))
+    assert.equal(response.total, response.results.length)
+    assert.equal(response.method, 'javascript_merge')
+    assert.equal(response.fusion, 'rrf')
+    assert.deepEqual(Object.keys(response.timings), ['filters', 'embedding', 'fts', 'vector', 'fusion', 'total'])
+  })
+
+  check('fusion ranks keyword and vector matches first', async () => {
+    const response = await core.search('espresso grind', { limit: 3 })
+    assert.equal(response.results[0].documentTitle, 'Coffee Brewing')
+    assert.match(response.results[0].text, /Espresso/)
+    assert.ok(response.results[0].ftsRank === 1 && response.results[0].vectorRank === 1)
+    const scores = response.results.map(result => result.score)
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a))
+  })
+
+  check('limit caps the results', async () => {
+    const response = await core.search('tomatoes basil garlic coffee', { limit: 2 })
+    assert.equal(response.results.length, 2)
+  })
+
+  check('title: and in: filters restrict documents', async () => {
+    const byTitle = await core.search('basil title:sauce')
+    assert.ok(byTitle.results.length > 0)
+    assert.ok(titles(byTitle).every(title => title === 'Tomato Sauce Recipe'))
+    assert.deepEqual(byTitle.filters.map(filter => filter.field), ['title'])
+
+    const byName = await core.search('basil in:"Garden Notes"')
+    assert.ok(titles(byName).every(title => title === 'Garden Notes'))
+  })
+
+  check('after: and before: filter by creation date', async () => {
+    const recent = await core.search('tomatoes after:2025-01-01')
+    assert.ok(titles(recent).every(title => title === 'Tomato Sauce Recipe'))
+
+    const older = await core.search('tomatoes before:2025-01-01')
+    assert.ok(titles(older).every(title => title === 'Garden Notes'))
+  })
+
+  check('filters that match no document return no results', async () => {
+    const response = await core.search('tomatoes title:astronomy')
+    assert.equal(response.success, true)
+    assert.equal(response.method, 'no_matching_documents')
+    assert.deepEqual(response.results, [])
+  })
+
+  check('exclusions drop keyword and vector matches', async () => {
+    const plain = await core.search('basil', { limit: 5 })
+    assert.ok(plain.results.some(result => /sauce/i.test(result.text)))
+
+    const response = await core.search('basil -sauce', { limit: 5 })
+    assert.ok(response.results.length > 0)
+    response.results.forEach(result => assert.doesNotMatch(result.text, /sauce/i))
+
+    // Only the vector search finds the garlic chunk for "tomatoes"
+    for (const query of ['tomatoes -garlic', 'basil -garlic', 'tomatoes -"olive oil"']) {
+      const excluded = await core.search(query, { limit: 5 })
+      assert.ok(excluded.results.length > 0, query)
+      excluded.results.forEach(result => assert.doesNotMatch(result.text, /garlic/i, query))
+    }
+  })
+
+  check('exclusions apply to SQL fusion candidates', async () => {
+    const memory = createMemorySearchBackend(index)
+    const withSql = createSearchCore({
+      backend: {
+        ...memory,
+        // Stands in for a SQL function whose vector half ignores exclusions
+        hybridSearch: async (args) => (await memory.vectorSearch(args)).map(row => ({ ...row, hybrid_score: row.similarity }))
+      },
+      embedQuery
+    })
+
+    const response = await withSql.search('tomatoes -garlic', { useSupabaseFunction: true })
+    assert.equal(response.method, 'sql_function')
+    assert.ok(response.results.length > 0)
+    response.results.forEach(result => assert.doesNotMatch(result.text, /garlic/i))
+  })
+
+  check('documentId restricts the search to one document', async () => {
+    const response = await core.search('grind water', { documentId: '1' })
+    assert.ok(response.results.length > 0)
+    assert.ok(response.results.every(result => result.documentId === '1'))
+  })
+
+  check('query filters reach the vector and SQL candidate searches', async () => {
+    const memory = createMemorySearchBackend(index)
+    const calls = []
+    const spying = createSearchCore({
+      backend: {
+        ...memory,
+        vectorSearch: async (args) => {
+          calls.push(args.documentIds)
+          return memory.vectorSearch(args)
+        },
+        hybridSearch: async (args) => {
+          calls.push(args.documentIds)
+          throw new Error('function does not exist')
+        }
+      },
+      embedQuery
+    })
+
+    const response = await spying.search('grind title:coffee', { useSupabaseFunction: true })
+    assert.ok(response.results.some(result => result.vectorScore > 0))
+    assert.ok(titles(response).every(title => title === 'Coffee Brewing'))
+    assert.equal(calls.length, 2)
+    assert.deepEqual(calls[0], [response.results[0].documentId])
+    assert.deepEqual(calls[1], calls[0])
+  })
+
+  check('a list weighted zero is not searched', async () => {
+    const keywordOnly = await core.search('tomatoes', { ftsWeight: 1, vectorWeight: 0 })
+    assert.equal(keywordOnly.method, 'fts_only')
+    assert.ok(keywordOnly.results.length > 0)
+    assert.ok(keywordOnly.results.every(result => result.ftsRank !== null && result.vectorRank === null))
+    assert.ok(!('embedding' in keywordOnly.timings))
+
+    const vectorOnly = await core.search('tomatoes', { ftsWeight: 0, vectorWeight: 1 })
+    assert.equal(vectorOnly.method, 'vector_only')
+    assert.ok(vectorOnly.results.length > 0)
+    assert.ok(vectorOnly.results.every(result => result.ftsRank === null && result.vectorRank !== null))
+    assert.ok(!('fts' in vectorOnly.timings))
+  })
+
+  check('search falls back to keywords when embedding fails', async () => {
+    const failing = createSearchCore({
+      backend: createMemorySearchBackend(index),
+      embedQuery: async () => { throw new Error('embedding service down') }
+    })
+
+    const response = await failing.search('compost')
+    assert.equal(response.success, true)
+    assert.equal(response.method, 'fts_only')
+    assert.match(response.results[0].text, /Compost/)
+    assert.equal(response.results[0].vectorScore, 0)
+
+    const strict = await failing.search('compost', { fallbackToFTSOnly: false })
+    assert.equal(strict.success, false)
+    assert.equal(strict.error, 'embedding service down')
+    assert.deepEqual(strict.results, [])
+  })
+
+  check('SQL fusion falls back to JavaScript fusion', async () => {
+    const withSql = createSearchCore({
+      backend: {
+        ...createMemorySearchBackend(index),
+        hybridSearch: async () => { throw new Error('function does not exist') }
+      },
+      embedQuery
+    })
+
+    const response = await withSql.search('compost', { useSupabaseFunction: true })
+    assert.equal(response.success, true)
+    assert.equal(response.method, 'javascript_merge')
+  })
+
+  check('re-ranking reorders candidates and failures keep the fused order', async () => {
+    const fused = await core.search('tomatoes basil', { limit: 3 })
+
+    // Grade passages in reverse so the last fused candidate wins
+    const reversing = createSearchCore({
+      backend: createMemorySearchBackend(index),
+      embedQuery,
+      rerank: async (query, passages) => ({ scores: passages.map((_, position) => position / passages.length) })
+    })
+    const reranked = await reversing.search('tomatoes basil', { limit: 3, rerank: true, rerankTopN: 3 })
+    assert.equal(reranked.reranked, true)
+    assert.equal(reranked.results[0].id, fused.results[2].id)
+    assert.notEqual(reranked.results[0].rerankScore, null)
+
+    const broken = createSearchCore({
+      backend: createMemorySearchBackend(index),
+      embedQuery,
+      rerank: async () => { throw new Error('rerank unavailable') }
+    })
+    const unranked = await broken.search('tomatoes basil', { limit: 3, rerank: true })
+    assert.equal(unranked.reranked, false)
+    assert.deepEqual(unranked.results.map(result => result.id), fused.results.map(result => result.id))
+  })
+
+  check('diversity spreads results across documents', async () => {
+    const plain = await core.search('tomatoes basil garlic', { limit: 2 })
+    const diverse = await core.search('tomatoes basil garlic', { limit: 2, diversity: 0.3 })
+    assert.equal(diverse.diversified, true)
+    assert.equal(diverse.results.length, 2)
+    assert.ok(new Set(titles(diverse)).size >= new Set(titles(plain)).size)
+    assert.equal(new Set(titles(diverse)).size, 2)
+  })
+
+  check('invalid requests fail validation', async () => {
+    const cases = [
+      ['', {}, /Query is required/],
+      ['x'.repeat(1001), {}, /less than 1000/],
+      ['tomatoes', { fusion: 'average' }, /Fusion must be one of/],
+      ['tomatoes', { limit: 0 }, /Limit must be/],
+      ['tomatoes', { diversity: 2 }, /Diversity/],
+      ['tomatoes', { rerankTopN: 500 }, /rerankTopN/],
+      ['title:garden', {}, /search terms besides filters/],
+      ['tomatoes after:yesterday', {}, /needs a date/]
+    ]
+
+    for (const [query, options, message] of cases) {
+      const response = await core.search(query, options)
+      assert.equal(response.success, false, query)
+      assert.equal(response.status, 400)
+      assert.match(response.error, message)
+    }
+  })
+
+  await runChecks('search core')
+}
+
+// Run the test
+testSearchCore()
@@ -0,0 +1,145 @@
+// Test script for search result grouping, facets and diversity (src/lib/searchResultGroups.js)
+// Run this with: npm run test:results
+//
+// Checks against hand-written results from three documents: grouping per
+// document, date buckets, entity mentions, facet counts and MMR order.
+import assert from 'node:assert/strict'
+import {
+  diversifyResults,
+  groupResultsByDocument,
+  dateBucket,
+  findEntityMentions,
+  computeFacets,
+  filterByFacets
+} from './src/lib/searchResultGroups.js'
+import { createChecks } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+const NOW = new Date('2025-06-30T12:00:00Z')
+
+const DAY = 86400000
+
+/**
+ * ISO timestamp of a moment some days before NOW
+ */
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY).toISOString()
+
+/**
+ * A result in the searchCore.js schema
+ */
+const result = (id, documentId, text, score) => ({ id, documentId, text, score })
+
+// Best first, as the search core returns them
+const RESULTS = [
+  result('a1', 'a', 'Alan Turing said machines could think.', 0.9),
+  result('b1', 'b', 'The art of AI is in the start.', 0.8),
+  result('a2', 'a', 'Turing proposed the imitation game.', 0.7),
+  result('c1', 'c', 'Neural networks learn from data.', 0.6),
+  result('a3', 'a', 'Later work built on Alan Turing and his AI ideas.', 0.5)
+]
+
+const DOCUMENTS = new Map([
+  ['a', { title: 'Turing Notes', created_at: daysAgo(2) }],
+  ['b', { title: 'Art and AI', created_at: daysAgo(20) }],
+  ['c', { title: 'Neural Networks', created_at: daysAgo(400) }]
+])
+
+const TRIPLETS = [
+  { subject: 'Alan Turing', object: 'imitation game', document_id: 'a' },
+  { subject: 'AI', object: 'Turing', document_id: 'a' },
+  { subject: 'AI', object: 'art', document_id: 'b' },
+  { subject: 'Neural Networks', object: 'data', document_id: 'c' }
+]
+
+/**
+ * Facet values with their counts, as [value, count] pairs
+ */
+const counts = (values) => values.map(value => [value.value, value.count])
+
+async function testSearchResults() {
+  console.log('🧪 Testing search result grouping and facets\n')
+
+  const mentions = findEntityMentions(RESULTS, TRIPLETS)
+  const context = { documents: DOCUMENTS, mentions, now: NOW }
+
+  check('results group per document in rank order with their other matches', () => {
+    const groups = groupResultsByDocument(RESULTS)
+    assert.deepEqual(groups.map(group => group.documentId), ['a', 'b', 'c'])
+
+    const [turing, art, neural] = groups
+    assert.equal(turing.best.id, 'a1')
+    assert.deepEqual(turing.more.map(more => more.id), ['a2', 'a3'])
+    assert.equal(turing.total, 3)
+    assert.deepEqual([art.more.length, art.total], [0, 1])
+    assert.deepEqual([neural.more.length, neural.total], [0, 1])
+
+    assert.deepEqual(groupResultsByDocument([]), [])
+  })
+
+  check('date buckets include their last day', () => {
+    const bucket = (days) => dateBucket(daysAgo(days), NOW).key
+    assert.equal(bucket(0), 'week')
+    assert.equal(bucket(7), 'week')
+    assert.equal(bucket(7 + 1 / 24), 'month')
+    assert.equal(bucket(31), 'month')
+    assert.equal(bucket(32), 'year')
+    assert.equal(bucket(365), 'year')
+    assert.equal(bucket(366), 'older')
+    assert.equal(dateBucket(daysAgo(-1), NOW).key, 'week', 'dates after now count as this week')
+    assert.equal(dateBucket(daysAgo(3), NOW).label, 'This week')
+  })
+
+  check('entity mentions match whole words of the result\'s own document', () => {
+    assert.deepEqual(mentions.get('a1'), ['Alan Turing', 'Turing'])
+    assert.deepEqual(mentions.get('a2'), ['imitation game', 'Turing'])
+    assert.deepEqual(mentions.get('a3'), ['Alan Turing', 'AI', 'Turing'])
+
+    // "AI" and "art" as words, not inside "said" or "start"
+    assert.deepEqual(mentions.get('b1'), ['AI', 'art'])
+    assert.deepEqual(findEntityMentions([result('b2', 'b', 'She said to start over.')], TRIPLETS).get('b2'), [])
+
+    // Entities of other documents are not looked for
+    assert.deepEqual(mentions.get('c1'), ['Neural Networks', 'data'])
+    assert.deepEqual(findEntityMentions([result('x1', 'x', 'Alan Turing')], TRIPLETS).get('x1'), [])
+  })
+
+  check('facets count every result without a selection', () => {
+    const facets = computeFacets(RESULTS, {}, context)
+    assert.deepEqual(counts(facets.document), [['a', 3], ['b', 1], ['c', 1]])
+    assert.equal(facets.document[0].label, 'Turing Notes')
+    assert.deepEqual(counts(facets.date), [['week', 3], ['month', 1], ['older', 1]])
+    assert.deepEqual(counts(facets.entity), [['turing', 3], ['ai', 2], ['alan turing', 2], ['art', 1], ['data', 1], ['imitation game', 1], ['neural networks', 1]])
+  })
+
+  check('each facet is counted over the other facets\' selections', () => {
+    const selected = { document: 'a', entity: 'ai' }
+    const facets = computeFacets(RESULTS, selected, context)
+
+    // Documents ignore their own selection but respect the entity; ties go by title
+    assert.deepEqual(counts(facets.document), [['b', 1], ['a', 1]])
+    // Dates respect both selections
+    assert.deepEqual(counts(facets.date), [['week', 1]])
+    // Entities ignore their own selection but respect the document
+    assert.deepEqual(counts(facets.entity), [['turing', 3], ['alan turing', 2], ['ai', 1], ['imitation game', 1]])
+
+    assert.deepEqual(filterByFacets(RESULTS, selected, context).map(row => row.id), ['a3'])
+    assert.deepEqual(filterByFacets(RESULTS, { date: 'week', entity: null }, context).map(row => row.id), ['a1', 'a2', 'a3'])
+    assert.deepEqual(filterByFacets(RESULTS, { date: 'year' }, context), [])
+  })
+
+  check('diversity spreads picks across documents and keeps relevance order at lambda 1', () => {
+    const rows = RESULTS.map(row => ({ id: row.id, document_id: row.documentId, chunk: row.text, hybrid_score: row.score }))
+
+    const diverse = diversifyResults(rows, { lambda: 0.5, limit: 3 })
+    assert.deepEqual(diverse.map(row => row.document_id), ['a', 'b', 'c'])
+
+    const ranked = diversifyResults(rows, { lambda: 1 })
+    assert.deepEqual(ranked.map(row => row.id), rows.map(row => row.id))
+  })
+
+  await runChecks('search result')
+}
+
+// Run the test
+testSearchResults()
@@ -0,0 +1,110 @@
+// Test script for the local triplet extractor (src/lib/tripletExtraction.js)
+// Run this with: npm run test:triplets
+//
+// Checks against triplet-extraction-fixtures.json: every expected
+// triplet must be extracted and nothing forbidden may be. Across all
+// fixtures, every subject and object must come from its source sentence,
+// so the extractor cannot add facts that are not in the text.
+import assert from 'node:assert/strict'
+import { readFile } from 'fs/promises'
+import { extractLocalTriplets, segmentSentences } from './src/lib/tripletExtraction.js'
+import { createProvider } from './src/lib/providers/index.js'
+import { createChecks } from './check-runner.js'
+
+const { check, runChecks } = createChecks()
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase()
+
+/**
+ * Whether a triplet matches every field a pattern gives
+ */
+const matches = (triplet, pattern) => ['subject', 'predicate', 'object'].every(field =>
+  pattern[field] === undefined || same(triplet[field], pattern[field])
+)
+
+const describe = (triplet) => `(${triplet.subject} | ${triplet.predicate} | ${triplet.object})`
+
+async function testTripletExtraction() {
+  console.log('🧪 Testing the local triplet extractor\n')
+
+  const { fixtures } = JSON.parse(await readFile(new URL('./triplet-extraction-fixtures.json', import.meta.url), 'utf8'))
+  const results = fixtures.map(fixture => ({ fixture, triplets: extractLocalTriplets(fixture.text) }))
+
+  results.forEach(({ fixture, triplets }) => {
+    check(fixture.name, () => {
+      const found = triplets.map(describe).join(', ') || 'nothing'
+
+      for (const expected of fixture.expected) {
+        const triplet = triplets.find(candidate => matches(candidate, expected))
+        assert.ok(triplet, `missing ${describe(expected)}; extracted ${found}`)
+        if (expected.minConfidence !== undefined) {
+          assert.ok(triplet.confidence >= expected.minConfidence, `${describe(triplet)} scored ${triplet.confidence}`)
+        }
+        if (expected.maxConfidence !== undefined) {
+          assert.ok(triplet.confidence <= expected.maxConfidence, `${describe(triplet)} scored ${triplet.confidence}`)
+        }
+      }
+
+      if (fixture.expected.length === 0) {
+        assert.equal(triplets.length, 0, `expected nothing; extracted ${found}`)
+      }
+
+      for (const pattern of fixture.forbidden || []) {
+        const triplet = triplets.find(candidate => matches(candidate, pattern))
+        assert.ok(!triplet, `forbidden ${describe(triplet || pattern)}`)
+      }
+
+      for (const entity of fixture.absentEntities || []) {
+        const triplet = triplets.find(candidate => same(candidate.subject, entity) || same(candidate.object, entity))
+        assert.ok(!triplet, `"${entity}" is not in the text but was extracted: ${triplet && describe(triplet)}`)
+      }
+    })
+  })
+
+  check('subjects and objects come from their source sentence', () => {
+    results.forEach(({ fixture, triplets }) => {
+      const sentences = segmentSentences(fixture.text)
+      triplets.forEach(triplet => {
+        assert.ok(sentences.includes(triplet.source_snippet), `${describe(triplet)} has snippet "${triplet.source_snippet}"`)
+        assert.ok(triplet.source_snippet.includes(triplet.subject), `${describe(triplet)} subject not in its snippet`)
+        assert.ok(triplet.source_snippet.includes(triplet.object), `${describe(triplet)} object not in its snippet`)
+      })
+    })
+  })
+
+  check('confidence is a score between 0 and 1', () => {
+    results.forEach(({ triplets }) => triplets.forEach(triplet => {
+      assert.equal(typeof triplet.confidence, 'number')
+      assert.ok(triplet.confidence > 0 && triplet.confidence <= 1, `${describe(triplet)} scored ${triplet.confidence}`)
+    }))
+  })
+
+  check('extraction is deterministic', () => {
+    fixtures.forEach(fixture => assert.deepEqual(extractLocalTriplets(fixture.text), extractLocalTriplets(fixture.text)))
+  })
+
+  check('maxTriplets keeps the most confident and minConfidence filters', () => {
+    const text = fixtures.map(fixture => fixture.text).join('\n')
+    const all = extractLocalTriplets(text, { maxTriplets: 100, minConfidence: 0 })
+    const top = extractLocalTriplets(text, { maxTriplets: 3, minConfidence: 0 })
+    assert.equal(top.length, 3)
+    const threshold = [...all].map(triplet => triplet.confidence).sort((a, b) => b - a)[2]
+    top.forEach(triplet => assert.ok(triplet.confidence >= threshold))
+
+    const confident = extractLocalTriplets(text, { maxTriplets: 100, minConfidence: 0.75 })
+    assert.ok(confident.length > 0 && confident.length < all.length)
+    confident.forEach(triplet => assert.ok(triplet.confidence >= 0.75))
+  })
+
+  check('the local provider serves the extractor for the triplets task', async () => {
+    const provider = createProvider({ provider: 'local' })
+    const text = fixtures[0].text
+    const response = await provider.complete({ messages: [], task: { type: 'triplets', text } })
+    assert.deepEqual(JSON.parse(response), extractLocalTriplets(text))
+  })
+
+  await runChecks('triplet extraction')
+}
+
+// Run the test
+testTripletExtraction()
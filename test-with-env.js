@@ -109,7 +109,7 @@ async function testSimpleSearch() {
     if (data.success) {
       console.log(`✅ Found ${data.total} results`)
       if (data.results && data.results.length > 0) {
-        console.log('First result:', data.results[0].chunk?.substring(0, 100) + '...')
+        console.log('First result:', data.results[0].text?.substring(0, 100) + '...')
       }
     } else {
       console.log('❌ Search failed:', data.error)
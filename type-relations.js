@@ -0,0 +1,161 @@
+// Script to type existing knowledge graph triplets against the relation ontology
+//
+// Usage:
+//   node type-relations.js [--document ID] [--dry-run]
+//
+// Triplets extracted before the ontology have no relation_type. This maps
+// each predicate onto a relation type the same way new extractions are typed
+// (src/lib/ontology.js), using the types of the triplet's entities. Run it
+// again after editing src/data/relationTypes.js to retype the graph. Run
+// supabase-knowledge-graph.sql first so the column exists.
+//
+// Verified triplets that already have a relation type keep it, since a user
+// may have set it by hand. The most common predicates that match no relation
+// type are listed, as candidates for the ontology.
+// --dry-run prints what would change without writing anything.
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { typeTriplets } from './src/lib/ontology.js'
+
+// Load environment variables
+dotenv.config()
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+)
+
+/**
+ * Triplets read per request
+ */
+const PAGE_SIZE = 1000
+
+/**
+ * Unmapped predicates listed at the end
+ */
+const UNMAPPED_SHOWN = 15
+
+/**
+ * Parse --name value flags from the command line
+ */
+function parseArgs(argv) {
+  const args = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) continue
+
+    const name = arg.slice(2)
+    const next = argv[i + 1]
+
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true
+    } else {
+      args[name] = next
+      i++
+    }
+  }
+
+  return args
+}
+
+/**
+ * Load triplets with the types of their entities, page by page
+ */
+async function loadTriplets(documentId) {
+  const triplets = []
+
+  for (;;) {
+    let query = supabase
+      .from('knowledge_graph')
+      .select(`
+        id, subject, predicate, object, relation_type, is_verified,
+        subject_entity:entities!subject_entity_id(type),
+        object_entity:entities!object_entity_id(type)
+      `)
+      .order('id', { ascending: true })
+      .range(triplets.length, triplets.length + PAGE_SIZE - 1)
+
+    if (documentId) {
+      query = query.eq('document_id', documentId)
+    }
+
+    const { data, error } = await query
+
+    if (error) {
+      throw new Error(`Failed to read triplets: ${error.message}`)
+    }
+
+    triplets.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) return triplets
+  }
+}
+
+/**
+ * Run the typing job
+ */
+async function typeRelations() {
+  try {
+    const args = parseArgs(process.argv.slice(2))
+
+    if (args.document === true) {
+      throw new Error('--document needs a document ID')
+    }
+
+    console.log('🏷️ Typing knowledge graph relations\n')
+
+    const triplets = await loadTriplets(args.document)
+    const typed = typeTriplets(triplets.map(triplet => ({
+      ...triplet,
+      subject_type: triplet.subject_entity?.type,
+      object_type: triplet.object_entity?.type
+    })))
+
+    const changes = typed.filter((triplet, index) =>
+      triplet.relation_type !== triplets[index].relation_type &&
+      !(triplets[index].is_verified && triplets[index].relation_type))
+
+    const unmapped = new Map()
+    typed.filter(triplet => !triplet.relation_type).forEach(triplet => {
+      const predicate = triplet.predicate.toLowerCase()
+      unmapped.set(predicate, (unmapped.get(predicate) || 0) + 1)
+    })
+
+    const typedCount = typed.filter(triplet => triplet.relation_type).length
+    console.log(`📊 ${triplets.length} triplets: ${typedCount} typed, ${changes.length} to update`)
+
+    if (unmapped.size > 0) {
+      console.log(`\n❓ Predicates without a relation type (${unmapped.size}):`)
+      Array.from(unmapped.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, UNMAPPED_SHOWN)
+        .forEach(([predicate, count]) => console.log(`   ${predicate} (${count})`))
+    }
+
+    if (args['dry-run']) {
+      console.log(`\nℹ️ Dry run: nothing was written. ${changes.length} triplets would be retyped.`)
+      return
+    }
+
+    for (const { id, relation_type } of changes) {
+      const { error } = await supabase
+        .from('knowledge_graph')
+        .update({ relation_type })
+        .eq('id', id)
+
+      if (error) {
+        throw new Error(`Failed to update triplet ${id}: ${error.message}`)
+      }
+    }
+
+    console.log(`\n✅ Done: ${changes.length} triplets retyped`)
+
+  } catch (error) {
+    console.error('❌ Error typing relations:', error.message)
+    process.exitCode = 1
+  }
+}
+
+// Run the script
+typeRelations()